@@ -1,83 +1,103 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import fs from 'fs';
 import path from 'path';
-import fetch from 'node-fetch';
+import { fileURLToPath } from 'url';
+import { DEFAULT_OLLAMA_HOST, OllamaAbortError, OllamaClient, OllamaResponseError } from './lib/ollama-client.js';
+import { createSessionStore } from './lib/session-store.js';
+import { ToolNotFoundError, ToolRegistry, ToolValidationError } from './lib/tool-registry.js';
+import { createWorkspace } from './lib/workspace.js';
+import { createDocsIndex } from './lib/docs-index.js';
+import { createSandbox } from './lib/sandbox.js';
+import { CodeIndexError, createCodeIndex } from './lib/code-index.js';
+import { readFormat, readFormatRetries, streamStructured } from './lib/structured-output.js';
+import { AuthError, canAccess, createAuth, hasScope } from './lib/auth.js';
+import { RateLimitError, createRateLimiter, promptLength, rateLimitIdentity } from './lib/rate-limit.js';
+import { CONTENT_TYPE, GenerationMetrics, Registry, httpMetricsMiddleware, registerProcessMetrics } from './lib/metrics.js';
+import { createAuditLog, createLogger, requestLogging } from './lib/logger.js';
+import { readInteger, readNumber } from './lib/env.js';
+import { FIM_FORMATS, buildFimPrompt, cleanCompletion, detectFimFormat, trimContext } from './lib/fim.js';
+import {
+  OpenAIRequestError,
+  addUsage,
+  completionId,
+  createUsage,
+  encodeEmbedding,
+  finishReason,
+  openAIError,
+  readChatCompletionRequest,
+  readCompletionRequest,
+  readEmbeddingRequest,
+  toOpenAIToolCalls,
+  toOpenAIUsage,
+  unixTime
+} from './lib/openai.js';
 
-dotenv.config();
+dotenv.config({ quiet: true });
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'deepseek-coder:6.7b';
-const OLLAMA_HOST = process.env.OLLAMA_HOST || 'https://918cd814f71a.ngrok-free.app';
+const OLLAMA_HOST = process.env.OLLAMA_HOST || DEFAULT_OLLAMA_HOST;
+
+// Browsers on other origins are only let in when listed in CORS_ORIGINS
+// (comma-separated, or * for any); the bundled page is same-origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
+// JSON-lines logs on stdout (LOG_* env vars) and, with AUDIT_LOG_FILE set,
+// every request with its response in a rotating audit file (lib/logger.js)
+const logger = createLogger(process.env, { service: 'code-completer' });
+const audit = createAuditLog(process.env, logger);
+
+// Prometheus metrics, served on GET /metrics: HTTP traffic by route plus
+// every Ollama generation's statistics (lib/metrics.js)
+const metrics = new Registry();
+registerProcessMetrics(metrics);
+const generationMetrics = new GenerationMetrics(metrics);
 
 // Middleware
-app.use(cors());
+app.use(httpMetricsMiddleware(metrics));
+app.use(requestLogging({ logger, audit, quiet: ['/', '/health', '/metrics'] }));
+app.use(cors({ origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS, exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
 app.use(express.static('public'));
 
-// Store chat sessions in memory (in production, use a database)
-const chatSessions = new Map();
-
-// Helper functions for direct Ollama API calls
-async function callOllamaChat(messages, stream = false) {
-  const payload = {
-    model: OLLAMA_MODEL,
-    messages: messages,
-    stream: stream
-  };
-
-  const response = await fetch(`${OLLAMA_HOST}/api/chat`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
-  });
+// Chat sessions survive restarts (SESSION_STORE=memory to opt out) and
+// expire after SESSION_TTL_MINUTES without activity
+const sessionStore = createSessionStore(process.env, { logger });
+const SESSION_SWEEP_INTERVAL = 10 * 60 * 1000;
 
-  if (!response.ok) {
-    throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
-  }
+// Shared Ollama client (same module the WebSocket servers use)
+const ollamaClient = new OllamaClient({ host: OLLAMA_HOST, metrics: generationMetrics });
 
-  return response;
-}
+// In-flight generations by session id, so they can be cancelled
+const activeRequests = new Map();
+metrics.gauge('codecompleter_active_chats', 'Chat generations in flight', [], (gauge) => {
+  gauge.set({}, activeRequests.size);
+});
 
-async function callOllamaGenerate(prompt, stream = false) {
-  const payload = {
-    model: OLLAMA_MODEL,
-    prompt: prompt,
-    stream: stream
-  };
+// Cache tool support per model to avoid repeated checks (model -> Promise<boolean>)
+const toolsSupportCache = new Map();
 
-  const response = await fetch(`${OLLAMA_HOST}/api/generate`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
-  });
+// How many rounds of tool calls a streamed turn may run before the model has to answer
+const MAX_TOOL_ITERATIONS = readInteger(process.env, 'MAX_TOOL_ITERATIONS', 5);
 
-  if (!response.ok) {
-    throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
-  }
+// Model for POST /complete; it needs to be trained for fill-in-the-middle
+const FIM_MODEL = process.env.FIM_MODEL || OLLAMA_MODEL;
+const MAX_COMPLETION_TOKENS = 1024;
+const MAX_COMPLETION_CANDIDATES = 5;
 
-  return response;
-}
+// Embedding model for /v1/embeddings and the code index behind `rag`
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'nomic-embed-text';
 
-async function getOllamaModels() {
-  const response = await fetch(`${OLLAMA_HOST}/api/tags`);
-  
-  if (!response.ok) {
-    throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
-  }
-  
-  return response.json();
-}
+// How many indexed chunks a rag session gets per message, and how similar
+// (cosine) they must be to the message to count
+const RAG_TOP_K = readInteger(process.env, 'RAG_TOP_K', 5);
+const RAG_MIN_SCORE = readNumber(process.env, 'RAG_MIN_SCORE', 0.3, { min: -1, max: 1 });
+const RAG_MAX_CHUNK_CHARS = 3000;
 
-// Cache tool support status to avoid repeated checks
-let toolsSupportCache = null;
-let toolsSupportChecked = false;
+// Generation options accepted as query-string shorthands on the SSE route
+const QUERY_OPTIONS = ['temperature', 'num_ctx', 'seed', 'top_p', 'top_k', 'num_predict'];
 
 // System prompt for code completion
 const SYSTEM_PROMPT = `You are an expert programming assistant specializing in code completion, explanation, and optimization. 
@@ -93,201 +113,338 @@ Your capabilities include:
 
 Always provide clear, well-commented, and production-ready code. When possible, include multiple approaches or alternatives.`;
 
-// Available tools for the AI
-const AVAILABLE_TOOLS = [
-  {
-    type: 'function',
-    function: {
-      name: 'save_code_snippet',
-      description: 'Save a code snippet to a file',
-      parameters: {
-        type: 'object',
-        properties: {
-          filename: {
-            type: 'string',
-            description: 'The filename to save the code to'
-          },
-          code: {
-            type: 'string',
-            description: 'The code content to save'
-          },
-          language: {
-            type: 'string',
-            description: 'Programming language of the code'
-          }
-        },
-        required: ['filename', 'code']
-      }
-    }
-  },
-  {
-    type: 'function',
-    function: {
-      name: 'analyze_code_complexity',
-      description: 'Analyze the complexity and quality of code',
-      parameters: {
-        type: 'object',
-        properties: {
-          code: {
-            type: 'string',
-            description: 'The code to analyze'
-          }
-        },
-        required: ['code']
-      }
+// Tools live in ./tools, one module per tool; DISABLED_TOOLS is a
+// comma-separated list of tool names to switch off
+const toolRegistry = new ToolRegistry({
+  disabled: (process.env.DISABLED_TOOLS || '').split(',').map((name) => name.trim()).filter(Boolean)
+});
+await toolRegistry.loadDirectory(fileURLToPath(new URL('./tools', import.meta.url)));
+
+// The only place tools may touch the filesystem (WORKSPACE_* env vars)
+const workspace = createWorkspace();
+
+// Offline docs behind search_documentation (DOCS_INDEX_FILE); filled by
+// `npm run index-docs <dir>` or POST /admin/docs/index
+const docsIndex = createDocsIndex();
+
+// execute_code runs snippets in a child process with CPU/memory limits and
+// no filesystem or network access (SANDBOX_* env vars)
+const sandbox = createSandbox();
+
+// Vector store of an indexed codebase (POST /index) for sessions with `rag` on
+const codeIndex = createCodeIndex(process.env, {
+  model: EMBEDDING_MODEL,
+  embed: async (texts, { signal } = {}) => {
+    const { embeddings } = await ollamaClient.embed({ model: EMBEDDING_MODEL, input: texts }, { signal, route: 'code_index' });
+    return embeddings;
+  }
+});
+
+// API keys (API_KEYS_FILE); every route but /, /health and /metrics needs one, see
+// requireScope below. Issue keys with `npm run keys -- issue <name>`.
+const auth = createAuth();
+
+// Route middleware: 401 without a valid key, 403 when it lacks `scope`.
+// The caller's key ends up on req.apiKey, and in the logs as clientId (its
+// id, or the address with auth disabled).
+function requireScope(scope, sendError = (res, error) => res.status(error.status).json({ error: error.message })) {
+  return async (req, res, next) => {
+    try {
+      req.apiKey = await auth.check(req, scope);
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      if (error.status === 401) res.setHeader('WWW-Authenticate', 'Bearer');
+      return sendError(res, error);
     }
-  },
-  {
-    type: 'function',
-    function: {
-      name: 'search_documentation',
-      description: 'Search for API documentation or examples',
-      parameters: {
-        type: 'object',
-        properties: {
-          technology: {
-            type: 'string',
-            description: 'The technology or library to search for'
-          },
-          query: {
-            type: 'string',
-            description: 'What to search for'
-          }
-        },
-        required: ['technology', 'query']
-      }
+    req.log.assign({ clientId: req.apiKey.id ?? req.ip, key: req.apiKey.name });
+    next();
+  };
+}
+
+// Requests per minute, concurrent generations, prompt length and daily
+// eval_count budget per key (RATE_LIMIT_* env vars, or the key's own limits)
+const rateLimiter = createRateLimiter();
+
+function sendRateLimitError(res, error) {
+  if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+  res.status(error.status).json({
+    error: error.message,
+    reason: error.reason,
+    limit: error.limit,
+    retry_after: error.retryAfter
+  });
+}
+
+// Route middleware for routes that generate, after requireScope. Takes a
+// slot for the caller or answers 429 (413 for an oversized prompt);
+// promptOf(req) is the prompt text the limit applies to. Handlers add
+// Ollama's counts to req.usage (lib/openai.js addUsage), and its eval_count
+// is charged to the caller's daily budget when the response closes.
+function rateLimit(promptOf, sendError = sendRateLimitError) {
+  return (req, res, next) => {
+    let lease;
+    try {
+      lease = rateLimiter.acquire(rateLimitIdentity(req.apiKey, req.ip), {
+        limits: rateLimiter.limitsFor(req.apiKey),
+        promptChars: promptLength(promptOf(req))
+      });
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) throw error;
+      return sendError(res, error);
     }
+    req.usage = createUsage();
+    res.on('close', () => lease.release(req.usage.eval_count));
+    next();
+  };
+}
+
+// Get or create a chat session for `apiKey`; null if someone else's (see canAccess)
+async function getSession(sessionId, apiKey) {
+  const existing = await sessionStore.get(sessionId);
+  if (existing) {
+    return canAccess(apiKey, existing.owner) ? existing : null;
   }
-];
 
-// Tool execution functions
-const toolFunctions = {
-  save_code_snippet: async (args) => {
-    try {
-      const { filename, code, language } = args;
-      const dir = './saved_snippets';
-      
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+  const session = {
+    id: sessionId,
+    owner: apiKey.id,
+    messages: [
+      {
+        role: 'system',
+        content: SYSTEM_PROMPT
       }
-      
-      const filepath = path.join(dir, filename);
-      fs.writeFileSync(filepath, code);
-      
-      return {
-        success: true,
-        message: `Code snippet saved to ${filepath}`,
-        filepath: filepath
-      };
-    } catch (error) {
-      return {
-        success: false,
-        message: `Error saving file: ${error.message}`
-      };
+    ],
+    created: new Date(),
+    lastActivity: new Date()
+  };
+  await sessionStore.save(session);
+  return session;
+}
+
+// Write a session back to the store; failures are logged, not fatal
+async function persistSession(session, log = logger) {
+  try {
+    await sessionStore.save(session);
+  } catch (error) {
+    log.error('Failed to save session', { sessionId: session.id, error });
+  }
+}
+
+// Register an AbortController for a session's generation. It fires when the
+// client disconnects before we finish or when POST /chat/:sessionId/cancel is hit.
+function trackRequest(sessionId, res) {
+  const controller = new AbortController();
+  activeRequests.set(sessionId, controller);
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
     }
-  },
+    if (activeRequests.get(sessionId) === controller) {
+      activeRequests.delete(sessionId);
+    }
+  });
 
-  analyze_code_complexity: async (args) => {
-    const { code } = args;
-    
-    // Simple complexity analysis
-    const lines = code.split('\n').filter(line => line.trim() !== '');
-    const functions = (code.match(/function\s+\w+|const\s+\w+\s*=\s*\(/g) || []).length;
-    const conditionals = (code.match(/if\s*\(|switch\s*\(|while\s*\(|for\s*\(/g) || []).length;
-    const complexity = conditionals + functions;
-    
-    let rating;
-    if (complexity < 5) rating = 'Low';
-    else if (complexity < 15) rating = 'Medium';
-    else rating = 'High';
-    
+  return controller;
+}
+
+// For sessions with rag on: finds the indexed code closest to the user's
+// message and puts it in a system message right before it, replacing the one
+// from the previous turn. Returns citations for the client (null with rag
+// off); retrieval problems are logged and the turn goes ahead without context.
+async function addRetrievedContext(session, message, signal, log = logger) {
+  session.messages = session.messages.filter((entry) => !entry.rag);
+  if (!session.rag) return null;
+
+  let hits;
+  try {
+    hits = await codeIndex.search(message, { limit: RAG_TOP_K, minScore: RAG_MIN_SCORE, signal });
+  } catch (error) {
+    if (error instanceof OllamaAbortError) throw error;
+    log.warn('Retrieval failed, answering without indexed code', { sessionId: session.id, error });
+    return [];
+  }
+  if (hits.length === 0) return [];
+
+  const citations = hits.map((hit) => ({
+    path: path.relative(hit.root, hit.path),
+    root: hit.root,
+    start_line: hit.start_line,
+    end_line: hit.end_line,
+    name: hit.name,
+    score: hit.score
+  }));
+
+  const sources = hits.map((hit, index) => {
+    const { path: file, start_line: start, end_line: end, name } = citations[index];
+    const text = hit.text.length > RAG_MAX_CHUNK_CHARS ? `${hit.text.slice(0, RAG_MAX_CHUNK_CHARS)}\n…` : hit.text;
+    return `[${file}:${start}-${end}]${name ? ` ${name}` : ''}\n\`\`\`\n${text}\n\`\`\``;
+  });
+
+  session.messages.push({
+    role: 'system',
+    rag: true,
+    content: 'Code from the indexed repository that may be relevant to the next question. ' +
+      'Base your answer on it where it applies, and cite every piece you use as [path:start-end]. ' +
+      `If it does not answer the question, say so.\n\n${sources.join('\n\n')}`
+  });
+
+  return citations;
+}
+
+// Keep whatever the model produced before it was cut off
+function recordInterrupted(session, partialResponse) {
+  session.messages.push({
+    role: 'assistant',
+    content: partialResponse,
+    interrupted: true
+  });
+}
+
+// Execute tool function. Failures go back to the model as { error } so it can
+// correct itself; schema violations list every offending argument.
+async function executeTool(toolCall) {
+  const { name, arguments: args } = toolCall.function;
+  
+  try {
+    // Ollama sends arguments as an object, OpenAI-style callers as a JSON string
+    const result = await toolRegistry.execute(name, typeof args === 'string' ? JSON.parse(args) : args, { workspace, docsIndex, sandbox });
     return {
-      analysis: {
-        lines_of_code: lines.length,
-        functions_count: functions,
-        conditional_statements: conditionals,
-        complexity_score: complexity,
-        complexity_rating: rating,
-        suggestions: complexity > 15 ? ['Consider breaking into smaller functions', 'Reduce nesting levels'] : ['Code complexity is acceptable']
-      }
+      tool_call_id: toolCall.id,
+      result: JSON.stringify(result)
+    };
+  } catch (error) {
+    const result = { error: error.message };
+    if (error instanceof ToolValidationError) {
+      result.errors = error.errors;
+    }
+    return {
+      tool_call_id: toolCall.id,
+      result: JSON.stringify(result)
     };
-  },
+  }
+}
 
-  search_documentation: async (args) => {
-    const { technology, query } = args;
+// Agent loop behind the streaming routes. Streams a chat turn; when the model
+// asks for tools, runs them, appends their results as role:'tool' messages and
+// asks the model again, up to MAX_TOOL_ITERATIONS rounds. The last round is
+// sent without tools so the model has to answer. Every assistant and tool
+// message lands in session.messages; yields the events to send to the client.
+// `usage` (see lib/openai.js createUsage) collects Ollama's counts across rounds;
+// `route` labels the rounds in the metrics.
+async function* streamAgentTurn(session, { model, options, format, supportsTools, signal, usage, route }) {
+  for (let iteration = 1; ; iteration++) {
+    const allowTools = supportsTools && iteration <= MAX_TOOL_ITERATIONS;
+    const chatOptions = {
+      model,
+      messages: session.messages,
+      options,
+      stream: true
+    };
+    if (format) {
+      chatOptions.format = format;
+    }
+    if (allowTools) {
+      chatOptions.tools = toolRegistry.definitions();
+    }
+    
+    const response = await ollamaClient.chat(chatOptions, { signal, route });
+    let content = '';
+    const toolCalls = [];
     
-    // Mock documentation search (in real implementation, integrate with actual docs)
-    const mockResults = {
-      'javascript': {
-        'array methods': 'map(), filter(), reduce(), forEach(), find(), some(), every()',
-        'promises': 'Promise.resolve(), Promise.reject(), async/await, .then(), .catch()',
-        'dom manipulation': 'document.querySelector(), addEventListener(), innerHTML, classList'
-      },
-      'react': {
-        'hooks': 'useState, useEffect, useContext, useReducer, useMemo, useCallback',
-        'components': 'Function components, Class components, Props, State',
-        'routing': 'React Router, useNavigate, useParams, Routes, Route'
-      },
-      'node.js': {
-        'file system': 'fs.readFile(), fs.writeFile(), fs.exists(), path.join()',
-        'http': 'express, http.createServer(), req, res, middleware',
-        'async': 'Promise, async/await, util.promisify(), stream'
+    for await (const chunk of response) {
+      if (chunk.message?.content) {
+        content += chunk.message.content;
+        yield { type: 'content', content: chunk.message.content };
       }
-    };
+      if (chunk.message?.tool_calls) {
+        toolCalls.push(...chunk.message.tool_calls);
+      }
+      if (chunk.done && usage) {
+        addUsage(usage, chunk);
+      }
+    }
     
-    const techDocs = mockResults[technology.toLowerCase()] || {};
-    const result = techDocs[query.toLowerCase()] || 'Documentation not found in cache';
+    const assistantMessage = { role: 'assistant', content };
+    if (allowTools && toolCalls.length > 0) {
+      assistantMessage.tool_calls = toolCalls;
+    }
+    session.messages.push(assistantMessage);
     
-    return {
-      technology,
-      query,
-      result,
-      suggestion: 'For detailed documentation, visit the official docs'
-    };
-  }
-};
-
-// Get or create chat session
-function getSession(sessionId) {
-  if (!chatSessions.has(sessionId)) {
-    chatSessions.set(sessionId, {
-      id: sessionId,
-      messages: [
-        {
-          role: 'system',
-          content: SYSTEM_PROMPT
-        }
-      ],
-      created: new Date(),
-      lastActivity: new Date()
-    });
+    if (!assistantMessage.tool_calls) {
+      return;
+    }
+    
+    for (const toolCall of toolCalls) {
+      yield {
+        type: 'tool_call',
+        iteration,
+        tool: toolCall.function.name,
+        arguments: toolCall.function.arguments
+      };
+      
+      const toolResult = await executeTool(toolCall);
+      session.messages.push({
+        role: 'tool',
+        tool_name: toolCall.function.name,
+        content: toolResult.result
+      });
+      
+      yield {
+        type: 'tool_result',
+        iteration,
+        tool: toolCall.function.name,
+        result: toolResult.result
+      };
+    }
   }
-  return chatSessions.get(sessionId);
 }
 
-// Execute tool function
-async function executeTool(toolCall) {
-  const { name, arguments: args } = toolCall.function;
-  
-  if (toolFunctions[name]) {
-    try {
-      const result = await toolFunctions[name](JSON.parse(args));
-      return {
-        tool_call_id: toolCall.id,
-        result: JSON.stringify(result)
-      };
-    } catch (error) {
-      return {
-        tool_call_id: toolCall.id,
-        result: JSON.stringify({ error: error.message })
+// Structured counterpart of streamAgentTurn for requests with a `format`
+// (JSON Schema or 'json'). No tools: the model answers straight away, its
+// reply is validated against the schema and, when invalid, sent back with the
+// errors up to `retries` times. Only the final reply lands in session.messages.
+// Yields content, format_retry and (last) structured events; `usage` and
+// `route` as for streamAgentTurn.
+async function* structuredTurn(session, { model, options, format, retries, signal, usage, route }) {
+  const turn = streamStructured({
+    messages: session.messages,
+    format,
+    retries,
+    generate: async function* (messages) {
+      const response = await ollamaClient.chat({ model, messages, options, format, stream: true }, { signal, route });
+      for await (const chunk of response) {
+        if (chunk.message?.content) yield chunk.message.content;
+        if (chunk.done && usage) addUsage(usage, chunk);
+      }
+    }
+  });
+
+  for await (const event of turn) {
+    if (event.type === 'content') {
+      yield { type: 'content', content: event.content };
+    } else if (event.type === 'retry') {
+      yield { type: 'format_retry', attempt: event.attempt, validation_errors: event.errors };
+    } else {
+      session.messages.push({ role: 'assistant', content: event.raw });
+      yield {
+        type: 'structured',
+        parsed: event.parsed,
+        valid: event.valid,
+        validation_errors: event.errors,
+        attempts: event.attempts
       };
     }
   }
-  
-  return {
-    tool_call_id: toolCall.id,
-    result: JSON.stringify({ error: 'Tool not found' })
-  };
+}
+
+// Validate `format` / `format_retries` of a chat request
+function readStructuredParams({ format, format_retries: formatRetries }) {
+  const structured = readFormat(format);
+  if (structured.error) return structured;
+  const retries = readFormatRetries(formatRetries);
+  if (retries.error) return retries;
+  return { format: structured.format, retries: retries.retries };
 }
 
 // Routes
@@ -306,6 +463,11 @@ app.get('/', (req, res) => {
     <body>
         <h1>🚀 Code Completer API</h1>
         <p>An AI-powered code completion service using Ollama SDK</p>
+        <p>Every endpoint below needs an API key: <code>Authorization: Bearer &lt;key&gt;</code>
+           (or <code>?access_token=&lt;key&gt;</code> for EventSource). Issue one with <code>npm run keys -- issue &lt;name&gt; --scopes chat,tools</code>.</p>
+        <p>Every response carries an <code>X-Request-Id</code> header, the id of the request in the server's logs;
+           send your own in the request to correlate with yours.</p>
+        <p>A chat session belongs to the key that started it; other keys get a 404 for it unless they have the admin scope.</p>
         
         <h2>Available Endpoints:</h2>
         
@@ -319,6 +481,26 @@ app.get('/', (req, res) => {
             <p>Get streaming responses via Server-Sent Events</p>
         </div>
         
+        <div class="endpoint">
+            <span class="method">POST</span> <code>/chat/:sessionId/cancel</code>
+            <p>Cancel the in-flight response (partial output is kept as interrupted)</p>
+        </div>
+        
+        <div class="endpoint">
+            <span class="method">POST</span> <code>/complete</code>
+            <p>Fill-in-the-middle completion at a cursor (prefix + suffix, optional SSE streaming)</p>
+        </div>
+        
+        <div class="endpoint">
+            <span class="method">POST</span> <code>/v1/chat/completions</code>, <code>/v1/completions</code>, <code>/v1/embeddings</code>
+            <p>OpenAI-compatible API (streaming deltas, tool_calls, usage); <code>GET /v1/models</code> lists models</p>
+        </div>
+        
+        <div class="endpoint">
+            <span class="method">GET</span> <code>/sessions?page=1&amp;limit=20</code>
+            <p>List saved sessions with their owners, most recently active first (admin)</p>
+        </div>
+        
         <div class="endpoint">
             <span class="method">GET</span> <code>/sessions/:sessionId</code>
             <p>Get chat session history</p>
@@ -334,13 +516,45 @@ app.get('/', (req, res) => {
             <p>List available Ollama models</p>
         </div>
         
+        <div class="endpoint">
+            <span class="method">GET</span> <code>/tools</code>
+            <p>List registered tools with their argument schemas</p>
+        </div>
+        
+        <div class="endpoint">
+            <span class="method">POST</span> <code>/tools/:name</code>
+            <p>Run a tool with the JSON body as its arguments (400 lists every invalid argument)</p>
+        </div>
+        
+        <div class="endpoint">
+            <span class="method">GET</span> <code>/usage</code>
+            <p>Your requests in the last minute, generations in flight and tokens used today, against your key's limits (429 with Retry-After once one is reached)</p>
+        </div>
+        
+        <div class="endpoint">
+            <span class="method">GET</span> <code>/metrics</code>
+            <p>Prometheus metrics: HTTP requests by route, and per model and route the time to first token, tokens/sec, prompt and eval counts and durations</p>
+        </div>
+        
+        <div class="endpoint">
+            <span class="method">POST</span> <code>/admin/docs/index</code>
+            <p>Index a documentation directory for search_documentation (body: {"path": "./docs"})</p>
+        </div>
+        
+        <div class="endpoint">
+            <span class="method">POST</span> <code>/index</code>
+            <p>Index a codebase for retrieval (body: {"path": "./src"}); chat with {"rag": true} to get answers citing it</p>
+        </div>
+        
         <h2>Features:</h2>
         <ul>
             <li>✅ Chat history persistence</li>
             <li>✅ System prompts for code assistance</li>
-            <li>✅ Tool support (save code, analyze complexity, search docs)</li>
+            <li>✅ Tool support (save code, analyze complexity, search docs, run code in a sandbox)</li>
             <li>✅ Streaming responses via SSE</li>
             <li>✅ Session management</li>
+            <li>✅ Retrieval over an indexed codebase, with citations</li>
+            <li>✅ API keys with chat, tools, admin and broadcast scopes</li>
         </ul>
         
         <h2>Example Usage:</h2>
@@ -352,8 +566,31 @@ POST /chat/my-session
   "stream": false
 }
 
+// Pick a model for the session and tune generation
+POST /chat/my-session
+{
+  "message": "Now add tests",
+  "model": "codellama:7b",
+  "options": { "temperature": 0.2, "num_ctx": 8192, "seed": 42 }
+}
+
 // Stream a response
-GET /chat/my-session/stream?message=Explain async/await in JavaScript
+GET /chat/my-session/stream?message=Explain async/await in JavaScript&amp;model=codellama:7b&amp;temperature=0.2
+
+// Ask about your own code: index it once, then turn rag on for the session
+POST /index
+{ "path": "./src" }
+
+POST /chat/my-session
+{ "message": "Where do we retry failed uploads?", "rag": true }
+
+// Machine-readable answer: reply is validated against the schema and retried up to format_retries times
+POST /chat/my-session
+{
+  "message": "List the bugs in this function: ...",
+  "format": { "type": "object", "properties": { "bugs": { "type": "array", "items": { "type": "string" } } }, "required": ["bugs"] },
+  "format_retries": 2
+}
         </pre>
     </body>
     </html>
@@ -362,48 +599,119 @@ GET /chat/my-session/stream?message=Explain async/await in JavaScript
 
 // Check if model supports tools
 async function modelSupportsTools(modelName) {
-  // Return cached result if already checked
-  if (toolsSupportChecked) {
-    return toolsSupportCache;
+  // Return cached result if this model was already checked (or is being checked)
+  if (toolsSupportCache.has(modelName)) {
+    return toolsSupportCache.get(modelName);
   }
   
-  try {
-    // Try a simple test call with tools to see if the model supports them
-    const testResponse = await ollamaClient.chat({
-      model: modelName,
-      messages: [{ role: 'user', content: 'hello' }],
-      tools: AVAILABLE_TOOLS, // Use actual tools to test
-      stream: false
-    });
-    toolsSupportCache = true;
-    toolsSupportChecked = true;
-    return true;
-  } catch (error) {
-    console.log('Tool support check error:', error.message);
-    if (error.message && error.message.includes('does not support tools')) {
-      toolsSupportCache = false;
-      toolsSupportChecked = true;
+  const check = (async () => {
+    try {
+      // Try a simple test call with tools to see if the model supports them
+      await ollamaClient.chat({
+        model: modelName,
+        messages: [{ role: 'user', content: 'hello' }],
+        tools: toolRegistry.definitions(), // Use actual tools to test
+        stream: false
+      }, { route: 'tool_support_check' });
+      return true;
+    } catch (error) {
+      logger.warn('Tool support check failed', { model: modelName, error });
+      if (!error.message || !error.message.includes('does not support tools')) {
+        // Not a definitive answer (Ollama down, model missing...), check again next time
+        toolsSupportCache.delete(modelName);
+      }
+      // Assume no tool support to be safe
       return false;
     }
-    // For any other error, assume no tool support to be safe
-    toolsSupportCache = false;
-    toolsSupportChecked = true;
-    return false;
+  })();
+
+  toolsSupportCache.set(modelName, check);
+  return check;
+}
+
+// Validate the model and Ollama generation options (temperature, num_ctx,
+// seed...) of a request. Returns { error } when they are unusable.
+function readGenerationParams({ model, options }) {
+  if (model !== undefined && (typeof model !== 'string' || !model.trim())) {
+    return { error: 'Model must be a non-empty string' };
+  }
+  if (options !== undefined && (typeof options !== 'object' || options === null || Array.isArray(options))) {
+    return { error: 'Options must be an object' };
+  }
+  return { model: model?.trim(), options };
+}
+
+// Same for the SSE route, where options arrive as a JSON `options` parameter
+// and/or individual shorthands like ?temperature=0.2&seed=42
+function readQueryGenerationParams(query) {
+  let options;
+
+  if (query.options !== undefined) {
+    try {
+      options = JSON.parse(query.options);
+    } catch {
+      return { error: 'Options must be valid JSON' };
+    }
+  }
+
+  for (const name of QUERY_OPTIONS) {
+    if (query[name] !== undefined) {
+      const value = Number(query[name]);
+      if (Number.isNaN(value)) {
+        return { error: `${name} must be a number` };
+      }
+      options = { ...options, [name]: value };
+    }
   }
+
+  return readGenerationParams({ model: query.model, options });
 }
 
 // Send message to AI
-app.post('/chat/:sessionId', async (req, res) => {
+app.post('/chat/:sessionId', requireScope('chat'), rateLimit((req) => req.body?.message), async (req, res) => {
+  const { sessionId } = req.params;
+  let session;
+  let fullResponse = '';
+
   try {
-    const { sessionId } = req.params;
-    const { message, stream = false } = req.body;
+    const { message, stream = false, rag } = req.body;
     
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
     }
+    if (rag !== undefined && typeof rag !== 'boolean') {
+      return res.status(400).json({ error: 'rag must be true or false' });
+    }
+    
+    const generation = readGenerationParams(req.body);
+    if (generation.error) {
+      return res.status(400).json({ error: generation.error });
+    }
+    
+    const structured = readStructuredParams(req.body);
+    if (structured.error) {
+      return res.status(400).json({ error: structured.error });
+    }
     
-    const session = getSession(sessionId);
+    session = await getSession(sessionId, req.apiKey);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     session.lastActivity = new Date();
+    const controller = trackRequest(sessionId, res);
+    
+    // A model picked on a request sticks to the session
+    if (generation.model) {
+      session.model = generation.model;
+    }
+    const model = session.model || OLLAMA_MODEL;
+    req.log.assign({ sessionId, model });
+    
+    // So does rag: retrieved code goes in ahead of each message
+    if (rag !== undefined) {
+      session.rag = rag;
+    }
+    const citations = await addRetrievedContext(session, message, controller.signal, req.log);
     
     // Add user message to history
     session.messages.push({
@@ -411,129 +719,197 @@ app.post('/chat/:sessionId', async (req, res) => {
       content: message
     });
     
-    // Check if model supports tools
-    const supportsTools = await modelSupportsTools(OLLAMA_MODEL);
-    const chatOptions = {
-      model: OLLAMA_MODEL,
-      messages: session.messages,
-      stream: stream
-    };
-    
-    // Only add tools if the model supports them
-    if (supportsTools) {
-      chatOptions.tools = AVAILABLE_TOOLS;
-    }
+    // Server tools need a key with the tools scope and a model that supports them
+    const supportsTools = hasScope(req.apiKey, 'tools') && await modelSupportsTools(model);
     
     if (stream) {
       // Set SSE headers
       res.setHeader('Content-Type', 'text/event-stream');
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
-      res.setHeader('Access-Control-Allow-Origin', '*');
       
-      let fullResponse = '';
+      if (citations) {
+        res.write(`data: ${JSON.stringify({ type: 'citations', citations })}\n\n`);
+      }
       
-      // Stream response
-      const response = await ollamaClient.chat(chatOptions);
+      // Stream response, running tool calls as the model makes them
+      // (or validating it against the requested format)
+      const turn = structured.format
+        ? structuredTurn(session, {
+          model,
+          options: generation.options,
+          ...structured,
+          signal: controller.signal,
+          usage: req.usage,
+          route: req.route.path
+        })
+        : streamAgentTurn(session, {
+          model,
+          options: generation.options,
+          supportsTools,
+          signal: controller.signal,
+          usage: req.usage,
+          route: req.route.path
+        });
       
-      for await (const chunk of response) {
-        if (chunk.message?.content) {
-          fullResponse += chunk.message.content;
-          res.write(`data: ${JSON.stringify({
-            type: 'content',
-            content: chunk.message.content
-          })}\n\n`);
+      for await (const event of turn) {
+        if (event.type === 'content') {
+          fullResponse += event.content;
+        } else if (event.type === 'tool_call' || event.type === 'format_retry') {
+          // The model's next round starts a fresh assistant message
+          fullResponse = '';
         }
-        
-        if (chunk.message?.tool_calls && supportsTools) {
-          // Handle tool calls
-          for (const toolCall of chunk.message.tool_calls) {
-            const toolResult = await executeTool(toolCall);
-            res.write(`data: ${JSON.stringify({
-              type: 'tool_result',
-              tool: toolCall.function.name,
-              result: toolResult.result
-            })}\n\n`);
-          }
-        }
-        
-        if (chunk.done) {
-          // Add assistant response to history
-          session.messages.push({
-            role: 'assistant',
-            content: fullResponse
-          });
-          
-          res.write(`data: ${JSON.stringify({
-            type: 'done',
-            full_response: fullResponse
-          })}\n\n`);
-          res.end();
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+      }
+      
+      res.write(`data: ${JSON.stringify({
+        type: 'done',
+        model,
+        full_response: fullResponse
+      })}\n\n`);
+      res.end();
+    } else if (structured.format) {
+      const turn = structuredTurn(session, {
+        model,
+        options: generation.options,
+        ...structured,
+        signal: controller.signal,
+        usage: req.usage,
+        route: req.route.path
+      });
+      let result;
+      for await (const event of turn) {
+        if (event.type === 'content') {
+          fullResponse += event.content;
+        } else if (event.type === 'format_retry') {
+          fullResponse = '';
+        } else if (event.type === 'structured') {
+          result = event;
         }
       }
-    } else {
-      // Non-streaming response
-      const response = await ollamaClient.chat(chatOptions);
       
-      // Handle tool calls if any and if model supports tools
-      if (response.message.tool_calls && supportsTools) {
-        const toolResults = [];
-        for (const toolCall of response.message.tool_calls) {
-          const result = await executeTool(toolCall);
-          toolResults.push(result);
+      res.json({
+        response: fullResponse,
+        parsed: result.parsed,
+        valid: result.valid,
+        validation_errors: result.validation_errors,
+        attempts: result.attempts,
+        session_id: sessionId,
+        model,
+        message_count: session.messages.length,
+        ...(citations && { citations })
+      });
+    } else {
+      // Same agent loop as the streaming path, collected into one reply
+      const turn = streamAgentTurn(session, {
+        model,
+        options: generation.options,
+        supportsTools,
+        signal: controller.signal,
+        usage: req.usage,
+        route: req.route.path
+      });
+      const toolResults = [];
+      for await (const event of turn) {
+        if (event.type === 'content') {
+          fullResponse += event.content;
+        } else if (event.type === 'tool_call') {
+          fullResponse = '';
+        } else if (event.type === 'tool_result') {
+          toolResults.push({ tool_name: event.tool, iteration: event.iteration, result: event.result });
         }
-        
-        // Add tool results and get final response
-        session.messages.push(response.message);
-        session.messages.push({
-          role: 'tool',
-          content: JSON.stringify(toolResults)
-        });
-        
-        const finalResponse = await ollamaClient.chat({
-          model: OLLAMA_MODEL,
-          messages: session.messages
-        });
-        
-        session.messages.push(finalResponse.message);
-        
-        res.json({
-          response: finalResponse.message.content,
-          session_id: sessionId,
-          tool_results: toolResults,
-          message_count: session.messages.length,
-          tools_supported: supportsTools
-        });
-      } else {
-        // Add assistant response to history
-        session.messages.push(response.message);
-        
-        res.json({
-          response: response.message.content,
-          session_id: sessionId,
-          message_count: session.messages.length,
-          tools_supported: supportsTools
-        });
       }
+      
+      res.json({
+        response: fullResponse,
+        session_id: sessionId,
+        model,
+        ...(toolResults.length > 0 && { tool_results: toolResults }),
+        message_count: session.messages.length,
+        tools_supported: supportsTools,
+        ...(citations && { citations })
+      });
     }
   } catch (error) {
-    console.error('Chat error:', error);
-    res.status(500).json({ error: error.message });
+    if (error instanceof OllamaAbortError) {
+      req.log.info('Generation cancelled', { sessionId });
+      recordInterrupted(session, fullResponse);
+
+      if (res.destroyed) return;
+      if (res.headersSent) {
+        res.write(`data: ${JSON.stringify({
+          type: 'cancelled',
+          full_response: fullResponse
+        })}\n\n`);
+        return res.end();
+      }
+      return res.json({
+        response: fullResponse,
+        session_id: sessionId,
+        cancelled: true
+      });
+    }
+
+    req.log.error('Chat failed', { sessionId, error });
+    if (res.headersSent) {
+      res.write(`data: ${JSON.stringify({
+        type: 'error',
+        error: error.message
+      })}\n\n`);
+      return res.end();
+    }
+    // Pass Ollama's own 4xx through (unknown model, bad options...)
+    const status = error instanceof OllamaResponseError && error.status < 500 ? error.status : 500;
+    res.status(status).json({ error: error.message });
+  } finally {
+    if (session) {
+      await persistSession(session, req.log);
+    }
   }
 });
 
 // Stream chat responses via SSE
-app.get('/chat/:sessionId/stream', async (req, res) => {
+app.get('/chat/:sessionId/stream', requireScope('chat'), rateLimit((req) => req.query.message), async (req, res) => {
+  const { sessionId } = req.params;
+  let session;
+  let fullResponse = '';
+
   try {
-    const { sessionId } = req.params;
     const { message } = req.query;
     
     if (!message) {
       return res.status(400).json({ error: 'Message parameter is required' });
     }
     
-    const session = getSession(sessionId);
+    const generation = readQueryGenerationParams(req.query);
+    if (generation.error) {
+      return res.status(400).json({ error: generation.error });
+    }
+    
+    const structured = readStructuredParams(req.query);
+    if (structured.error) {
+      return res.status(400).json({ error: structured.error });
+    }
+    
+    session = await getSession(sessionId, req.apiKey);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     session.lastActivity = new Date();
+    const controller = trackRequest(sessionId, res);
+    
+    // A model picked on a request sticks to the session
+    if (generation.model) {
+      session.model = generation.model;
+    }
+    const model = session.model || OLLAMA_MODEL;
+    req.log.assign({ sessionId, model });
+    
+    // So does rag: retrieved code goes in ahead of each message
+    if (req.query.rag !== undefined) {
+      session.rag = req.query.rag === 'true';
+    }
+    const citations = await addRetrievedContext(session, message, controller.signal, req.log);
     
     // Add user message to history
     session.messages.push({
@@ -545,70 +921,301 @@ app.get('/chat/:sessionId/stream', async (req, res) => {
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    
-    let fullResponse = '';
-    
-    // Check if model supports tools
-    const supportsTools = await modelSupportsTools(OLLAMA_MODEL);
-    const chatOptions = {
-      model: OLLAMA_MODEL,
-      messages: session.messages,
-      stream: true
-    };
     
-    // Only add tools if the model supports them
-    if (supportsTools) {
-      chatOptions.tools = AVAILABLE_TOOLS;
+    if (citations) {
+      res.write(`data: ${JSON.stringify({ type: 'citations', citations })}\n\n`);
     }
     
-    // Stream response
-    const response = await ollamaClient.chat(chatOptions);
+    // Server tools need a key with the tools scope and a model that supports them
+    const supportsTools = hasScope(req.apiKey, 'tools') && await modelSupportsTools(model);
     
-    for await (const chunk of response) {
-      if (chunk.message?.content) {
-        fullResponse += chunk.message.content;
-        res.write(`data: ${JSON.stringify({
-          type: 'content',
-          content: chunk.message.content
-        })}\n\n`);
+    // Stream response, running tool calls as the model makes them
+    // (or validating it against the requested format)
+    const turn = structured.format
+      ? structuredTurn(session, {
+          model,
+          options: generation.options,
+          ...structured,
+          signal: controller.signal,
+          usage: req.usage,
+          route: req.route.path
+        })
+      : streamAgentTurn(session, {
+        model,
+        options: generation.options,
+        supportsTools,
+        signal: controller.signal,
+        usage: req.usage,
+        route: req.route.path
+      });
+    
+    for await (const event of turn) {
+      if (event.type === 'content') {
+        fullResponse += event.content;
+      } else if (event.type === 'tool_call' || event.type === 'format_retry') {
+        // The model's next round starts a fresh assistant message
+        fullResponse = '';
       }
-      
-      if (chunk.done) {
-        // Add assistant response to history
-        session.messages.push({
-          role: 'assistant',
-          content: fullResponse
-        });
-        
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    }
+    
+    res.write(`data: ${JSON.stringify({
+      type: 'done',
+      model,
+      full_response: fullResponse
+    })}\n\n`);
+    res.end();
+  } catch (error) {
+    if (error instanceof OllamaAbortError) {
+      req.log.info('Stream cancelled', { sessionId });
+      recordInterrupted(session, fullResponse);
+
+      if (!res.destroyed) {
         res.write(`data: ${JSON.stringify({
-          type: 'done',
+          type: 'cancelled',
           full_response: fullResponse
         })}\n\n`);
         res.end();
       }
+      return;
     }
-  } catch (error) {
-    console.error('Stream error:', error);
+
+    req.log.error('Stream failed', { sessionId, error });
     res.write(`data: ${JSON.stringify({
       type: 'error',
       error: error.message
     })}\n\n`);
     res.end();
+  } finally {
+    if (session) {
+      await persistSession(session, req.log);
+    }
+  }
+});
+
+// Cancel the session's in-flight generation
+app.post('/chat/:sessionId/cancel', requireScope('chat'), async (req, res) => {
+  const { sessionId } = req.params;
+  const controller = activeRequests.get(sessionId);
+  const session = controller && await sessionStore.get(sessionId);
+
+  if (!session || !canAccess(req.apiKey, session.owner)) {
+    return res.status(404).json({ error: 'No active request for this session' });
+  }
+
+  controller.abort();
+  res.json({ message: 'Request cancelled', session_id: sessionId });
+});
+
+// Validate a POST /complete body. Returns { error } when it is unusable.
+function readCompletionParams(body) {
+  const { prefix, suffix = '', language, filename, cursor, stop = [], max_tokens = 128, n = 1, format, stream = false } = body;
+
+  if (typeof prefix !== 'string') {
+    return { error: 'prefix is required and must be a string' };
+  }
+  if (typeof suffix !== 'string') {
+    return { error: 'suffix must be a string' };
+  }
+  if (!Array.isArray(stop) || stop.length > 8 || stop.some((sequence) => typeof sequence !== 'string' || !sequence)) {
+    return { error: 'stop must be an array of up to 8 non-empty strings' };
+  }
+  if (!Number.isInteger(max_tokens) || max_tokens < 1 || max_tokens > MAX_COMPLETION_TOKENS) {
+    return { error: `max_tokens must be an integer between 1 and ${MAX_COMPLETION_TOKENS}` };
+  }
+  if (!Number.isInteger(n) || n < 1 || n > MAX_COMPLETION_CANDIDATES) {
+    return { error: `n must be an integer between 1 and ${MAX_COMPLETION_CANDIDATES}` };
+  }
+  if (cursor !== undefined && (typeof cursor !== 'object' || cursor === null || Array.isArray(cursor))) {
+    return { error: 'cursor must be an object like { "line": 10, "character": 4 }' };
+  }
+
+  const generation = readGenerationParams({ model: body.model, options: body.options });
+  if (generation.error) return generation;
+  // Each candidate gets seed + its index, which only works for a whole number
+  const seed = generation.options?.seed;
+  if (seed !== undefined && !Number.isSafeInteger(seed)) {
+    return { error: 'options.seed must be an integer' };
+  }
+
+  // An own key only: "constructor" and friends are no formats
+  if (format !== undefined && (typeof format !== 'string' || !Object.hasOwn(FIM_FORMATS, format))) {
+    return { error: `Unknown format ${JSON.stringify(format)}; use one of ${Object.keys(FIM_FORMATS).join(', ')}` };
+  }
+
+  const model = generation.model || FIM_MODEL;
+  const fimFormat = format || detectFimFormat(model);
+  if (!fimFormat) {
+    return { error: `No fill-in-the-middle format known for ${model}; pass "format" (${Object.keys(FIM_FORMATS).join(', ')})` };
+  }
+
+  return {
+    prefix, suffix, language, filename, cursor, stop, n,
+    maxTokens: max_tokens,
+    stream: stream === true,
+    model,
+    format: fimFormat,
+    options: generation.options
+  };
+}
+
+// The part of the editor's context that reaches the model (see trimContext),
+// which is what counts against the prompt length limit
+function completionContext(body) {
+  const { prefix, suffix = '' } = body || {};
+  if (typeof prefix !== 'string' || typeof suffix !== 'string') return [prefix, suffix];
+  const context = trimContext(prefix, suffix);
+  return [context.prefix, context.suffix];
+}
+
+// Fill-in-the-middle completion at an editor's cursor. Takes the text before
+// (prefix) and after (suffix) the cursor and returns up to `n` distinct
+// candidates for the middle; with stream: true they arrive as SSE deltas.
+app.post('/complete', requireScope('chat'), rateLimit((req) => completionContext(req.body)), async (req, res) => {
+  const params = readCompletionParams(req.body || {});
+  if (params.error) {
+    return res.status(400).json({ error: params.error });
+  }
+
+  const { model, format, prefix, suffix, filename, n } = params;
+  req.log.assign({ model });
+
+  try {
+    const { prompt, stop } = buildFimPrompt(format, { prefix, suffix, filename });
+
+    // Abort the generation when the editor gives up on this request
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    // Several candidates only make sense with some randomness; a fixed seed
+    // still gives reproducible (but different) candidates
+    const requestFor = (index) => {
+      const options = { temperature: n > 1 ? 0.6 : 0.2, ...params.options };
+      if (options.seed !== undefined) options.seed += index;
+
+      return {
+        model,
+        prompt,
+        raw: true,
+        stream: params.stream,
+        options: {
+          ...options,
+          num_predict: params.maxTokens,
+          stop: [...stop, ...params.stop]
+        }
+      };
+    };
+
+    const completions = [];
+    const usage = { prompt_tokens: 0, completion_tokens: 0 };
+    const addCandidate = (index, text, result) => {
+      addUsage(req.usage, result);
+      usage.prompt_tokens = Math.max(usage.prompt_tokens, result.prompt_eval_count || 0);
+      usage.completion_tokens += result.eval_count || 0;
+
+      const completion = cleanCompletion(text, format, suffix);
+      if (completions.some((candidate) => candidate.text === completion)) return null;
+
+      const candidate = { index, text: completion, finish_reason: result.done_reason === 'length' ? 'length' : 'stop' };
+      completions.push(candidate);
+      return candidate;
+    };
+
+    if (params.stream) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      for (let index = 0; index < n; index++) {
+        const response = await ollamaClient.generate(requestFor(index), { signal: controller.signal, route: req.route.path });
+        let text = '';
+
+        for await (const chunk of response) {
+          if (chunk.response) {
+            text += chunk.response;
+            res.write(`data: ${JSON.stringify({ type: 'content', index, content: chunk.response })}\n\n`);
+          }
+          if (chunk.done) {
+            const candidate = addCandidate(index, text, chunk);
+            res.write(`data: ${JSON.stringify({ type: 'candidate', index, duplicate: !candidate, ...candidate })}\n\n`);
+          }
+        }
+      }
+
+      res.write(`data: ${JSON.stringify({ type: 'done', model, format, completions, usage })}\n\n`);
+      return res.end();
+    }
+
+    for (let index = 0; index < n; index++) {
+      const result = await ollamaClient.generate(requestFor(index), { signal: controller.signal, route: req.route.path });
+      addCandidate(index, result.response, result);
+    }
+
+    res.json({
+      model,
+      format,
+      language: params.language,
+      cursor: params.cursor,
+      completions,
+      usage
+    });
+  } catch (error) {
+    if (error instanceof OllamaAbortError) {
+      if (!res.destroyed) res.end();
+      return;
+    }
+
+    req.log.error('Completion failed', { error });
+    if (res.headersSent) {
+      res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
+      return res.end();
+    }
+    const status = error instanceof OllamaResponseError && error.status < 500 ? error.status : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// List sessions, most recently active first
+app.get('/sessions', requireScope('admin'), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const { total, sessions } = await sessionStore.list({ offset: (page - 1) * limit, limit });
+
+    res.json({
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+      sessions: sessions.map(session => ({
+        session_id: session.id,
+        owner: session.owner ?? null,
+        model: session.model || OLLAMA_MODEL,
+        created: session.created,
+        last_activity: session.lastActivity,
+        message_count: session.messages.length
+      }))
+    });
+  } catch (error) {
+    req.log.error('Listing sessions failed', { error });
+    res.status(500).json({ error: error.message });
   }
 });
 
 // Get session history
-app.get('/sessions/:sessionId', (req, res) => {
+app.get('/sessions/:sessionId', requireScope('chat'), async (req, res) => {
   const { sessionId } = req.params;
-  const session = chatSessions.get(sessionId);
+  const session = await sessionStore.get(sessionId);
   
-  if (!session) {
+  if (!session || !canAccess(req.apiKey, session.owner)) {
     return res.status(404).json({ error: 'Session not found' });
   }
   
   res.json({
     session_id: sessionId,
+    model: session.model || OLLAMA_MODEL,
     created: session.created,
     last_activity: session.lastActivity,
     message_count: session.messages.length,
@@ -617,11 +1224,11 @@ app.get('/sessions/:sessionId', (req, res) => {
 });
 
 // Clear session
-app.delete('/sessions/:sessionId', (req, res) => {
+app.delete('/sessions/:sessionId', requireScope('chat'), async (req, res) => {
   const { sessionId } = req.params;
+  const session = await sessionStore.get(sessionId);
   
-  if (chatSessions.has(sessionId)) {
-    chatSessions.delete(sessionId);
+  if (session && canAccess(req.apiKey, session.owner) && await sessionStore.delete(sessionId)) {
     res.json({ message: 'Session cleared successfully' });
   } else {
     res.status(404).json({ error: 'Session not found' });
@@ -629,67 +1236,612 @@ app.delete('/sessions/:sessionId', (req, res) => {
 });
 
 // List available models
-app.get('/models', async (req, res) => {
+app.get('/models', requireScope('chat'), async (req, res) => {
   try {
     const models = await ollamaClient.list();
+    const toolsSupport = {};
+    for (const [model, check] of toolsSupportCache) {
+      toolsSupport[model] = await check;
+    }
+    
     res.json({
       current_model: OLLAMA_MODEL,
-      available_models: models.models
+      available_models: models.models,
+      tools_support: toolsSupport
     });
   } catch (error) {
-    console.error('Models error:', error);
+    req.log.error('Listing models failed', { error });
     res.status(500).json({ error: error.message });
   }
 });
 
-// Health check
-app.get('/health', async (req, res) => {
+// List registered tools and their argument schemas
+app.get('/tools', requireScope('tools'), (req, res) => {
+  res.json({
+    tools: toolRegistry.enabled().map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    })),
+    disabled: toolRegistry.disabledNames()
+  });
+});
+
+// Run one tool with the JSON body as its arguments. Clients that bring their
+// own model (langchain-ollama) use this instead of reimplementing the tools.
+app.post('/tools/:name', requireScope('tools'), rateLimit((req) => req.body?.code), async (req, res) => {
+  try {
+    const result = await toolRegistry.execute(req.params.name, req.body ?? {}, { workspace, docsIndex, sandbox });
+    res.json({ tool: req.params.name, result });
+  } catch (error) {
+    if (error instanceof ToolNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error instanceof ToolValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    logger.error('Tool failed', { tool: req.params.name, error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The caller's own usage against its rate limits
+app.get('/usage', requireScope(null), (req, res) => {
+  res.json({
+    key: req.apiKey.id ? { id: req.apiKey.id, name: req.apiKey.name } : null,
+    ...rateLimiter.usage(rateLimitIdentity(req.apiKey, req.ip), rateLimiter.limitsFor(req.apiKey))
+  });
+});
+
+// Usage of every caller since the server started
+app.get('/admin/usage', requireScope('admin'), (req, res) => {
+  res.json({ defaults: rateLimiter.defaults, callers: rateLimiter.all() });
+});
+
+// Documentation index: what is indexed
+app.get('/admin/docs', requireScope('admin'), async (req, res) => {
+  try {
+    res.json(await docsIndex.stats());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// (Re)index a directory of markdown/HTML/man pages, or a node_modules dir
+app.post('/admin/docs/index', requireScope('admin'), async (req, res) => {
+  const { path: dir } = req.body || {};
+  if (!dir || typeof dir !== 'string') {
+    return res.status(400).json({ error: 'path is required' });
+  }
+
+  try {
+    const result = await docsIndex.indexDirectory(dir);
+    res.json({ message: 'Directory indexed', ...result });
+  } catch (error) {
+    const status = error.code === 'ENOENT' || error.message.startsWith('Not a directory') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Drop a directory from the documentation index
+app.delete('/admin/docs', requireScope('admin'), async (req, res) => {
+  const dir = req.body?.path || req.query.path;
+  if (!dir) {
+    return res.status(400).json({ error: 'path is required' });
+  }
+
+  if (await docsIndex.removeDirectory(dir)) {
+    res.json({ message: 'Directory removed from the index' });
+  } else {
+    res.status(404).json({ error: 'Directory is not indexed' });
+  }
+});
+
+// Code index for rag sessions: what is indexed
+app.get('/index', requireScope('chat'), async (req, res) => {
+  try {
+    res.json(await codeIndex.stats());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// (Re)index the source files under a directory; unchanged files are not re-embedded
+app.post('/index', requireScope('admin'), async (req, res) => {
+  const { path: dir } = req.body || {};
+  if (!dir || typeof dir !== 'string') {
+    return res.status(400).json({ error: 'path is required' });
+  }
+
+  // Stop embedding when the caller hangs up; the old index stays as it was
+  const { signal } = abortOnClose(res);
+
+  try {
+    const result = await codeIndex.indexDirectory(dir, { signal });
+    res.json({ message: 'Directory indexed', model: EMBEDDING_MODEL, ...result });
+  } catch (error) {
+    if (signal.aborted) {
+      req.log.info('Indexing cancelled', { path: dir });
+      return;
+    }
+    if (error.code === 'EBUSY') {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Indexing failed', { error });
+    const status = error instanceof OllamaResponseError && error.status < 500 ? error.status : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Drop a directory from the code index
+app.delete('/index', requireScope('admin'), async (req, res) => {
+  const dir = req.body?.path || req.query.path;
+  if (!dir) {
+    return res.status(400).json({ error: 'path is required' });
+  }
+
+  if (await codeIndex.removeDirectory(dir)) {
+    res.json({ message: 'Directory removed from the index' });
+  } else {
+    res.status(404).json({ error: 'Directory is not indexed' });
+  }
+});
+
+// Try a retrieval query: GET /index/search?q=session+store&limit=5
+app.get('/index/search', requireScope('chat'), async (req, res) => {
+  const { q } = req.query;
+  if (!q) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+
   try {
-    const supportsTools = await modelSupportsTools(OLLAMA_MODEL);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || RAG_TOP_K));
+    res.json({ results: await codeIndex.search(q, { limit, root: req.query.root }) });
+  } catch (error) {
+    if (error instanceof CodeIndexError) {
+      return res.status(409).json({ error: error.message });
+    }
+    const status = error instanceof OllamaResponseError && error.status < 500 ? error.status : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// OpenAI-compatible API (/v1). Lets tooling that speaks the OpenAI wire
+// format use CodeCompleter; requests are translated to Ollama by lib/openai.js.
+// Chat requests that bring no `tools` of their own get the registered tools,
+// run here like on /chat; requests with `tools` get the model's tool_calls
+// back to run themselves.
+
+// Answer with OpenAI's { error: { message, type, param, code } } shape
+function sendOpenAIError(res, error) {
+  if (error instanceof OpenAIRequestError) {
+    return res.status(400).json(openAIError(error.message, { param: error.param }));
+  }
+
+  res.req.log.error('OpenAI API request failed', { error });
+  if (res.headersSent) {
+    res.write(`data: ${JSON.stringify(openAIError(error.message, { type: 'api_error' }))}\n\n`);
+    return res.end();
+  }
+  if (error instanceof OllamaResponseError && error.status < 500) {
+    const code = error.status === 404 ? 'model_not_found' : null;
+    return res.status(error.status).json(openAIError(error.error || error.message, { code }));
+  }
+  res.status(500).json(openAIError(error.message, { type: 'api_error' }));
+}
+
+// requireScope for /v1, answering like OpenAI does for a bad key
+function requireOpenAIScope(scope) {
+  return requireScope(scope, (res, error) => res.status(error.status).json(openAIError(error.message, {
+    type: error.status === 401 ? 'invalid_request_error' : 'permission_error',
+    code: error.status === 401 ? 'invalid_api_key' : 'insufficient_scope'
+  })));
+}
+
+// rateLimit for /v1, answering like OpenAI does when a caller is over a limit
+function openAIRateLimit(promptOf) {
+  return rateLimit(promptOf, (res, error) => {
+    if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+    const type = { prompt_too_long: 'invalid_request_error', daily_tokens: 'insufficient_quota' }[error.reason] || 'requests';
+    const code = { prompt_too_long: 'context_length_exceeded', daily_tokens: 'insufficient_quota' }[error.reason] || 'rate_limit_exceeded';
+    res.status(error.status).json(openAIError(error.message, { type, code }));
+  });
+}
+
+function startOpenAIStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+}
+
+// Abort the generation when the caller hangs up
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller;
+}
+
+// Ollama frames for one chat completion as { content } / { tool_calls }
+// deltas. With server-side tools the whole tool loop runs in here and only
+// the model's text comes out.
+async function* chatCompletionDeltas(request, { model, serverTools, signal, usage, route }) {
+  if (serverTools) {
+    const turn = streamAgentTurn({ messages: request.messages }, {
+      model,
+      options: request.options,
+      format: request.format,
+      supportsTools: true,
+      signal,
+      usage,
+      route
+    });
+    for await (const event of turn) {
+      if (event.type === 'content') yield { content: event.content };
+    }
+    return;
+  }
+
+  const chatOptions = {
+    model,
+    messages: request.messages,
+    options: request.options,
+    stream: true
+  };
+  if (request.format) chatOptions.format = request.format;
+  if (request.tools) chatOptions.tools = request.tools;
+
+  const response = await ollamaClient.chat(chatOptions, { signal, route });
+  for await (const chunk of response) {
+    if (chunk.message?.content) {
+      yield { content: chunk.message.content };
+    }
+    if (request.tools && chunk.message?.tool_calls?.length) {
+      yield { tool_calls: toOpenAIToolCalls(chunk.message.tool_calls) };
+    }
+    if (chunk.done) {
+      addUsage(usage, chunk);
+    }
+  }
+}
+
+app.post('/v1/chat/completions', requireOpenAIScope('chat'), openAIRateLimit((req) => req.body?.messages), async (req, res) => {
+  let request;
+  try {
+    request = readChatCompletionRequest(req.body || {});
+  } catch (error) {
+    return sendOpenAIError(res, error);
+  }
+
+  const model = request.model || OLLAMA_MODEL;
+  req.log.assign({ model });
+  if (!request.messages.some((message) => message.role === 'system')) {
+    request.messages.unshift({ role: 'system', content: SYSTEM_PROMPT });
+  }
+
+  const controller = abortOnClose(res);
+  const id = completionId('chatcmpl');
+  const created = unixTime();
+  const usage = req.usage;
+  const chunk = (delta, finish = null) => ({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finish }]
+  });
+
+  try {
+    const serverTools = !request.tools && request.toolChoice !== 'none' && hasScope(req.apiKey, 'tools') &&
+      await modelSupportsTools(model);
+    const deltas = chatCompletionDeltas(request, { model, serverTools, signal: controller.signal, usage, route: req.route.path });
+    let content = '';
+    const toolCalls = [];
+
+    if (request.stream) {
+      startOpenAIStream(res);
+      res.write(`data: ${JSON.stringify(chunk({ role: 'assistant', content: '' }))}\n\n`);
+
+      for await (const delta of deltas) {
+        if (delta.tool_calls) {
+          const indexed = delta.tool_calls.map((toolCall, offset) => ({ index: toolCalls.length + offset, ...toolCall }));
+          toolCalls.push(...delta.tool_calls);
+          res.write(`data: ${JSON.stringify(chunk({ tool_calls: indexed }))}\n\n`);
+        } else {
+          res.write(`data: ${JSON.stringify(chunk(delta))}\n\n`);
+        }
+      }
+
+      res.write(`data: ${JSON.stringify(chunk({}, finishReason(usage.done_reason, toolCalls.length > 0)))}\n\n`);
+      if (request.includeUsage) {
+        res.write(`data: ${JSON.stringify({ ...chunk({}), choices: [], usage: toOpenAIUsage(usage) })}\n\n`);
+      }
+      res.write('data: [DONE]\n\n');
+      return res.end();
+    }
+
+    for await (const delta of deltas) {
+      if (delta.content) content += delta.content;
+      if (delta.tool_calls) toolCalls.push(...delta.tool_calls);
+    }
+
+    const message = { role: 'assistant', content };
+    if (toolCalls.length > 0) message.tool_calls = toolCalls;
+
     res.json({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      active_sessions: chatSessions.size,
-      ollama_host: OLLAMA_HOST,
-      model: OLLAMA_MODEL,
-      tools_supported: supportsTools,
-      available_tools: supportsTools ? AVAILABLE_TOOLS.length : 0
+      id,
+      object: 'chat.completion',
+      created,
+      model,
+      choices: [{ index: 0, message, finish_reason: finishReason(usage.done_reason, toolCalls.length > 0) }],
+      usage: toOpenAIUsage(usage)
     });
   } catch (error) {
+    if (error instanceof OllamaAbortError) {
+      if (!res.destroyed) res.end();
+      return;
+    }
+    sendOpenAIError(res, error);
+  }
+});
+
+app.post('/v1/completions', requireOpenAIScope('chat'), openAIRateLimit((req) => [req.body?.prompt, req.body?.suffix]), async (req, res) => {
+  let request;
+  try {
+    request = readCompletionRequest(req.body || {});
+  } catch (error) {
+    return sendOpenAIError(res, error);
+  }
+
+  const model = request.model || OLLAMA_MODEL;
+  req.log.assign({ model });
+  const controller = abortOnClose(res);
+  const id = completionId('cmpl');
+  const created = unixTime();
+  const totals = req.usage;
+  const chunk = (index, text, finish = null) => ({
+    id,
+    object: 'text_completion',
+    created,
+    model,
+    choices: [{ index, text, logprobs: null, finish_reason: finish }]
+  });
+
+  try {
+    const choices = [];
+    if (request.stream) startOpenAIStream(res);
+
+    // One choice per prompt, generated in turn
+    for (const [index, prompt] of request.prompts.entries()) {
+      const usage = createUsage();
+      let text = request.echo ? prompt : '';
+      if (request.stream && request.echo) {
+        res.write(`data: ${JSON.stringify(chunk(index, prompt))}\n\n`);
+      }
+
+      const response = await ollamaClient.generate({
+        model,
+        prompt,
+        suffix: request.suffix,
+        options: request.options,
+        stream: true
+      }, { signal: controller.signal, route: req.route.path });
+
+      for await (const frame of response) {
+        if (frame.response) {
+          text += frame.response;
+          if (request.stream) res.write(`data: ${JSON.stringify(chunk(index, frame.response))}\n\n`);
+        }
+        if (frame.done) {
+          addUsage(usage, frame);
+          addUsage(totals, frame);
+        }
+      }
+
+      const finish = finishReason(usage.done_reason);
+      if (request.stream) {
+        res.write(`data: ${JSON.stringify(chunk(index, '', finish))}\n\n`);
+      }
+      choices.push({ index, text, logprobs: null, finish_reason: finish });
+    }
+
+    if (request.stream) {
+      if (request.includeUsage) {
+        res.write(`data: ${JSON.stringify({ id, object: 'text_completion', created, model, choices: [], usage: toOpenAIUsage(totals) })}\n\n`);
+      }
+      res.write('data: [DONE]\n\n');
+      return res.end();
+    }
+
+    res.json({
+      id,
+      object: 'text_completion',
+      created,
+      model,
+      choices,
+      usage: toOpenAIUsage(totals)
+    });
+  } catch (error) {
+    if (error instanceof OllamaAbortError) {
+      if (!res.destroyed) res.end();
+      return;
+    }
+    sendOpenAIError(res, error);
+  }
+});
+
+function toOpenAIModel(model) {
+  return {
+    id: model.name,
+    object: 'model',
+    created: model.modified_at ? unixTime(model.modified_at) : 0,
+    owned_by: 'ollama'
+  };
+}
+
+app.get('/v1/models', requireOpenAIScope('chat'), async (req, res) => {
+  try {
+    const { models = [] } = await ollamaClient.list();
+    res.json({ object: 'list', data: models.map(toOpenAIModel) });
+  } catch (error) {
+    sendOpenAIError(res, error);
+  }
+});
+
+// Model names contain ':' and sometimes '/', hence the wildcard
+app.get('/v1/models/*model', requireOpenAIScope('chat'), async (req, res) => {
+  const name = req.params.model.join('/');
+  try {
+    const { models = [] } = await ollamaClient.list();
+    const model = models.find((candidate) => candidate.name === name || candidate.model === name);
+    if (!model) {
+      return res.status(404).json(openAIError(`The model '${name}' does not exist`, { param: 'model', code: 'model_not_found' }));
+    }
+    res.json(toOpenAIModel(model));
+  } catch (error) {
+    sendOpenAIError(res, error);
+  }
+});
+
+app.post('/v1/embeddings', requireOpenAIScope('chat'), openAIRateLimit((req) => req.body?.input), async (req, res) => {
+  let request;
+  try {
+    request = readEmbeddingRequest(req.body || {});
+  } catch (error) {
+    return sendOpenAIError(res, error);
+  }
+
+  const model = request.model || EMBEDDING_MODEL;
+  req.log.assign({ model });
+  try {
+    const embedRequest = { model, input: request.inputs };
+    if (request.dimensions) embedRequest.dimensions = request.dimensions;
+
+    const result = await ollamaClient.embed(embedRequest, { route: req.route.path });
+    const promptTokens = result.prompt_eval_count || 0;
+
     res.json({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      active_sessions: chatSessions.size,
-      ollama_host: OLLAMA_HOST,
-      model: OLLAMA_MODEL,
-      tools_supported: false,
-      available_tools: 0,
-      note: 'Could not check tool support'
+      object: 'list',
+      data: result.embeddings.map((embedding, index) => ({
+        object: 'embedding',
+        index,
+        embedding: encodeEmbedding(embedding, request.encoding)
+      })),
+      model,
+      usage: { prompt_tokens: promptTokens, total_tokens: promptTokens }
     });
+  } catch (error) {
+    sendOpenAIError(res, error);
   }
 });
 
+// Prometheus scrape endpoint; open like /health
+app.get('/metrics', (req, res) => {
+  res.setHeader('Content-Type', CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
+// Health check
+app.get('/health', async (req, res) => {
+  // An unreadable session store degrades the service, it doesn't take /health down
+  let activeSessions = null;
+  let sessionStoreError;
+  try {
+    activeSessions = await sessionStore.count();
+  } catch (error) {
+    req.log.error('Counting sessions failed', { error });
+    sessionStoreError = error.message;
+  }
+
+  let supportsTools = false;
+  let note;
+  try {
+    supportsTools = await modelSupportsTools(OLLAMA_MODEL);
+  } catch {
+    note = 'Could not check tool support';
+  }
+
+  res.json({
+    status: sessionStoreError ? 'degraded' : 'healthy',
+    timestamp: new Date().toISOString(),
+    active_sessions: activeSessions,
+    session_store: sessionStoreError ? { status: 'degraded', error: sessionStoreError } : { status: 'ok' },
+    ollama_host: OLLAMA_HOST,
+    model: OLLAMA_MODEL,
+    tools_supported: supportsTools,
+    available_tools: supportsTools ? toolRegistry.enabled().length : 0,
+    ...(note && { note })
+  });
+});
+
 // Initialize and check tool support
 async function initializeServer() {
-  console.log(`🚀 Code Completer API running on http://localhost:${PORT}`);
-  console.log(`📡 Ollama Host: ${OLLAMA_HOST}`);
-  console.log(`🤖 Default Model: ${OLLAMA_MODEL}`);
-  
-  // Check tool support
   const supportsTools = await modelSupportsTools(OLLAMA_MODEL);
-  console.log(`🛠️  Tools Support: ${supportsTools ? '✅ Enabled' : '❌ Not Supported'}`);
-  console.log(`🔧 Available Tools: ${supportsTools ? AVAILABLE_TOOLS.length : 0}`);
-  
-  console.log('\n📋 Endpoints:');
-  console.log(`   POST   /chat/:sessionId`);
-  console.log(`   GET    /chat/:sessionId/stream`);
-  console.log(`   GET    /sessions/:sessionId`);
-  console.log(`   DELETE /sessions/:sessionId`);
-  console.log(`   GET    /models`);
-  console.log(`   GET    /health`);
+  logger.info('Code Completer API listening', {
+    url: `http://localhost:${PORT}`,
+    ollamaHost: OLLAMA_HOST,
+    model: OLLAMA_MODEL,
+    toolsSupported: supportsTools,
+    tools: supportsTools ? toolRegistry.enabled().length : 0,
+    maxToolRounds: MAX_TOOL_ITERATIONS,
+    auditLog: audit.file
+  });
+  logger.log(...await auth.describe());
+
+  logger.debug('Endpoints', {
+    endpoints: [
+      'POST   /chat/:sessionId',
+      'GET    /chat/:sessionId/stream',
+      'POST   /chat/:sessionId/cancel',
+      'POST   /complete',
+      'GET    /sessions',
+      'GET    /sessions/:sessionId',
+      'DELETE /sessions/:sessionId',
+      'GET    /models',
+      'GET    /tools',
+      'GET    /usage',
+      'GET    /admin/usage',
+      'GET    /admin/docs',
+      'POST   /admin/docs/index',
+      'DELETE /admin/docs',
+      'GET    /index',
+      'POST   /index',
+      'DELETE /index',
+      'GET    /index/search',
+      'POST   /v1/chat/completions',
+      'POST   /v1/completions',
+      'GET    /v1/models',
+      'POST   /v1/embeddings',
+      'GET    /metrics',
+      'GET    /health'
+    ]
+  });
+}
+
+// Drop sessions that have been idle longer than the TTL
+setInterval(async () => {
+  try {
+    const expired = await sessionStore.purgeExpired();
+    if (expired.length > 0) {
+      logger.info('Expired idle sessions', { count: expired.length });
+    }
+  } catch (error) {
+    logger.error('Session sweep failed', { error });
+  }
+}, SESSION_SWEEP_INTERVAL).unref();
+
+// Start server. A failed startup (port taken, unreadable key store...) ends
+// the process rather than leaving it serving half-initialized.
+function exitOnStartupError(error) {
+  logger.error('Startup failed', { error });
+  process.exit(1);
 }
 
-// Start server
-app.listen(PORT, () => {
-  initializeServer();
+app.listen(PORT, (error) => {
+  if (error) return exitOnStartupError(error);
+  initializeServer().catch(exitOnStartupError);
 });
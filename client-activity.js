@@ -1,6 +1,7 @@
 import WebSocket from "ws";
 import readline from "readline";
 import dotenv from "dotenv";
+import { authHeaders } from "./lib/auth.js";
 
 dotenv.config();
 
@@ -11,7 +12,10 @@ class ActivityClient {
     this.ws = null;
     this.clientId = null;
     this.clientName = null;
+    this.conversationId = null;
     this.isConnected = false;
+    this.requestCounter = 0;
+    this.pendingRequests = new Map(); // requestId -> { prompt, background, output }
     this.rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout
@@ -21,7 +25,7 @@ class ActivityClient {
   connect() {
     console.log("🔄 Connecting to WebSocket server...");
     
-    this.ws = new WebSocket("ws://localhost:8000");
+    this.ws = new WebSocket("ws://localhost:8000", { headers: authHeaders() });
 
     this.ws.on("open", () => {
       this.isConnected = true;
@@ -34,6 +38,7 @@ class ActivityClient {
 
     this.ws.on("close", () => {
       this.isConnected = false;
+      this.pendingRequests.clear();
       console.log("\n❎ Connection closed.");
       this.showMenu();
     });
@@ -51,25 +56,80 @@ class ActivityClient {
         this.clientName = `Client-${this.clientId}`;
         console.log(`✅ ${message.message}`);
         console.log(`👥 Total connected clients: ${message.connectedClients}`);
+        if (this.conversationId) {
+          console.log(`🧵 Resuming conversation ${this.conversationId}`);
+        } else {
+          this.conversationId = message.conversationId;
+        }
         this.showMenu();
         break;
 
-      case 'stream':
-        process.stdout.write(message.content);
+      case 'stream': {
+        const pending = this.pendingRequests.get(message.requestId);
+        if (!pending) break;
+
+        if (pending.background) {
+          pending.output += message.content;
+        } else {
+          process.stdout.write(message.content);
+        }
+        break;
+      }
+
+      case 'queued': {
+        const pending = this.pendingRequests.get(message.requestId);
+        if (!pending) break;
+
+        const tag = pending.background ? ` [${message.requestId}]` : "";
+        console.log(`⏳ Waiting for the model${tag}: position ${message.position} in queue`);
         break;
+      }
 
-      case 'stream_end':
-        console.log(`\n\n✅ ${message.message}`);
+      case 'stream_end': {
+        const pending = this.pendingRequests.get(message.requestId);
+        if (!pending) break;
+        this.pendingRequests.delete(message.requestId);
+
+        if (pending.background) {
+          console.log(`\n\n📬 Background answer [${message.requestId}] for "${pending.prompt}":`);
+          console.log("─".repeat(50));
+          console.log(pending.output);
+          console.log("─".repeat(50));
+        }
+        console.log(`\n✅ ${message.message}`);
         if (message.stats) {
-          console.log(`📊 Stats: ${message.stats.tokens} tokens, Model: ${message.stats.model}`);
+          const speed = message.stats.tokensPerSecond ? ` (${message.stats.tokensPerSecond} tokens/s)` : "";
+          console.log(`📊 Stats: ${message.stats.tokens} tokens${speed}, Model: ${message.stats.model}`);
+        }
+        if (!pending.background) {
+          this.showMenu();
         }
-        this.showMenu();
         break;
+      }
 
-      case 'error':
-        console.log(`\n❌ Error: ${message.message}`);
-        this.showMenu();
+      case 'error': {
+        const pending = this.pendingRequests.get(message.requestId);
+        this.pendingRequests.delete(message.requestId);
+
+        const tag = message.requestId ? ` [${message.requestId}]` : "";
+        console.log(`\n❌ Error${tag}: ${message.message}`);
+        if (!pending?.background) {
+          this.showMenu();
+        }
+        break;
+      }
+
+      case 'rate_limited': {
+        const pending = this.pendingRequests.get(message.requestId);
+        this.pendingRequests.delete(message.requestId);
+
+        const retry = message.retryAfter ? ` (retry in ${message.retryAfter}s)` : "";
+        console.log(`\n⏳ Rate limited [${message.requestId}]: ${message.message}${retry}`);
+        if (!pending?.background) {
+          this.showMenu();
+        }
         break;
+      }
 
       case 'name_set':
         this.clientName = message.name;
@@ -99,13 +159,40 @@ class ActivityClient {
         break;
 
       case 'client_disconnected':
-        console.log(`\n👋 ${message.name} disconnected`);
+        console.log(`\n👋 ${message.message}`);
         break;
 
       case 'server_shutdown':
         console.log(`\n🛑 ${message.message}`);
         break;
 
+      case 'conversation_reset':
+        console.log(`🔄 ${message.message}`);
+        this.showMenu();
+        break;
+
+      case 'conversation_forked':
+        this.conversationId = message.conversationId;
+        console.log(`🌿 ${message.message}, now on ${message.conversationId} (${message.messageCount} messages)`);
+        this.showMenu();
+        break;
+
+      case 'history':
+        console.log(`\n🧵 Conversation ${message.conversationId}:`);
+        if (message.system) {
+          console.log(`   ⚙️  System: ${message.system}`);
+        }
+        if (message.messages.length === 0) {
+          console.log("   (empty)");
+        }
+        message.messages.forEach((entry) => {
+          const who = entry.role === 'user' ? '👤 You' : '🤖 AI';
+          const note = entry.interrupted ? ' (interrupted)' : '';
+          console.log(`   ${who}${note}: ${entry.content}`);
+        });
+        this.showMenu();
+        break;
+
       case 'broadcast_sent':
         console.log(`✅ ${message.message}`);
         this.showMenu();
@@ -137,32 +224,42 @@ class ActivityClient {
       return;
     }
 
+    const backgroundCount = Array.from(this.pendingRequests.values()).filter(p => p.background).length;
+
     console.log(`\n🎮 Menu (You are: ${this.clientName}):`);
     console.log("1. Ask AI a question");
-    console.log("2. Set your name");
-    console.log("3. View connected clients");
-    console.log("4. Broadcast message to all clients");
-    console.log("5. Disconnect");
-    console.log("6. Exit");
-
-    this.rl.question("\nEnter your choice (1-6): ", (choice) => {
+    console.log(`2. Ask AI in the background${backgroundCount ? ` (${backgroundCount} running)` : ""}`);
+    console.log("3. Conversation history / reset / fork");
+    console.log("4. Set your name");
+    console.log("5. View connected clients");
+    console.log("6. Broadcast message to all clients");
+    console.log("7. Disconnect");
+    console.log("8. Exit");
+
+    this.rl.question("\nEnter your choice (1-8): ", (choice) => {
       switch (choice) {
         case '1':
           this.askQuestion();
           break;
         case '2':
-          this.setName();
+          this.askQuestion(true);
           break;
         case '3':
-          this.getClients();
+          this.manageConversation();
           break;
         case '4':
-          this.broadcastMessage();
+          this.setName();
           break;
         case '5':
-          this.disconnect();
+          this.getClients();
           break;
         case '6':
+          this.broadcastMessage();
+          break;
+        case '7':
+          this.disconnect();
+          break;
+        case '8':
           this.exit();
           break;
         default:
@@ -172,7 +269,9 @@ class ActivityClient {
     });
   }
 
-  askQuestion() {
+  // Background questions are buffered and printed when their stream ends,
+  // so several can run at once without their tokens interleaving.
+  askQuestion(background = false) {
     this.rl.question("\n💭 Enter your question for AI: ", (prompt) => {
       if (!prompt.trim()) {
         console.log("❌ Please enter a valid question");
@@ -180,14 +279,45 @@ class ActivityClient {
         return;
       }
 
-      console.log(`\n🤖 AI Response (Model: ${OLLAMA_MODEL}):`);
-      console.log("─".repeat(50));
+      const requestId = `req-${++this.requestCounter}`;
+      this.pendingRequests.set(requestId, { prompt, background, output: "" });
+
+      if (background) {
+        console.log(`\n⏳ Sent as ${requestId}, the answer will appear when it is ready`);
+      } else {
+        console.log(`\n🤖 AI Response (Model: ${OLLAMA_MODEL}):`);
+        console.log("─".repeat(50));
+      }
       
       this.ws.send(JSON.stringify({
         type: 'chat',
+        requestId,
+        conversationId: this.conversationId,
         model: OLLAMA_MODEL,
         prompt: prompt
       }));
+
+      if (background) {
+        this.showMenu();
+      }
+    });
+  }
+
+  manageConversation() {
+    this.rl.question("\n🧵 [h]istory, [r]eset or [f]ork the conversation? ", (answer) => {
+      const types = { h: 'get_history', r: 'reset_conversation', f: 'fork_conversation' };
+      const type = types[answer.trim().toLowerCase()[0]];
+
+      if (!type) {
+        console.log("❌ Invalid choice");
+        this.showMenu();
+        return;
+      }
+
+      this.ws.send(JSON.stringify({
+        type,
+        conversationId: this.conversationId
+      }));
     });
   }
 
@@ -1,11 +1,18 @@
 import WebSocket from "ws";
 import dotenv from "dotenv";
+import { authHeaders } from "./lib/auth.js";
 import readline from "readline";
+import { randomUUID } from "crypto";
 
 dotenv.config();
 
 const OLLAMA_MODEL = process.env.OLLAMA_MODEL || "deepseek-coder:6.7b";
 
+// Every prompt carries this id, so the server keeps the conversation history
+// and a reconnect resumes the same conversation
+let conversationId = process.env.CONVERSATION_ID || randomUUID();
+let systemPrompt;
+
 // Create readline interface for user input
 const rl = readline.createInterface({
   input: process.stdin,
@@ -13,12 +20,14 @@ const rl = readline.createInterface({
 });
 
 function connectAndChat() {
-  const ws = new WebSocket("ws://localhost:8000");
+  const ws = new WebSocket("ws://localhost:8000", { headers: authHeaders() });
 
   ws.on("open", () => {
     console.log("🔗 Connected to WebSocket server");
-    console.log(`🤖 Using model: ${OLLAMA_MODEL}\n`);
-    
+    console.log(`🤖 Using model: ${OLLAMA_MODEL}`);
+    console.log(`🧵 Conversation: ${conversationId}`);
+    console.log("💡 Commands: /reset, /fork, /history, /system <prompt>\n");
+
     askQuestion();
   });
 
@@ -37,23 +46,55 @@ function connectAndChat() {
         return;
       }
 
+      if (prompt.startsWith("/")) {
+        runCommand(prompt.trim());
+        return;
+      }
+
       console.log("\n🤖 Generating response...\n");
-      
+
       ws.send(JSON.stringify({
         model: OLLAMA_MODEL,
-        prompt: prompt.trim()
+        prompt: prompt.trim(),
+        conversationId,
+        system: systemPrompt
       }));
     });
   }
 
+  function runCommand(input) {
+    const [command, ...rest] = input.slice(1).split(" ");
+
+    switch (command) {
+      case "reset":
+      case "fork":
+      case "history":
+        ws.send(JSON.stringify({ command, conversationId }));
+        break;
+
+      case "system":
+        systemPrompt = rest.join(" ").trim() || undefined;
+        console.log(systemPrompt ? `🧭 System prompt set for the next turn` : "🧭 System prompt unchanged");
+        askQuestion();
+        break;
+
+      default:
+        console.log(`❌ Unknown command: /${command}`);
+        askQuestion();
+    }
+  }
+
   ws.on("message", (data) => {
     const message = data.toString();
-    
-    if (message.includes("--- generation complete ---")) {
+
+    if (message.includes("--- generation complete ---") || message.includes("--- command complete ---")) {
       console.log("\n");
       setTimeout(() => {
         askQuestion(); // Ask for next question
       }, 100);
+    } else if (message.startsWith("{") && message.includes('"forkedFrom"')) {
+      conversationId = JSON.parse(message).conversationId;
+      console.log(`🌿 Now on forked conversation ${conversationId}`);
     } else {
       process.stdout.write(message); // Live stream like Ollama CLI
     }
@@ -61,11 +102,12 @@ function connectAndChat() {
 
 ws.on("close", () => {
   console.log("\n❎ Connection closed.");
-  
-  // Ask if user wants to continue
+
+  // Reconnect and resume the same conversation
   setTimeout(() => {
     if (!rl.closed) {
-      askQuestion();
+      console.log(`🔄 Reconnecting to resume conversation ${conversationId}...`);
+      connectAndChat();
     }
   }, 1000);
 });
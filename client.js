@@ -1,11 +1,12 @@
 import WebSocket from "ws";
 import dotenv from "dotenv";
+import { authHeaders } from "./lib/auth.js";
 
 dotenv.config();
 
 const OLLAMA_MODEL = process.env.OLLAMA_MODEL || "deepseek-coder:6.7b";
 
-const ws = new WebSocket("ws://localhost:8000");
+const ws = new WebSocket("ws://localhost:8000", { headers: authHeaders() });
 
 ws.on("open", () => {
   console.log("🔗 Connected to WebSocket server\n");
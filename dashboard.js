@@ -1,9 +1,15 @@
 import WebSocket from "ws";
+import dotenv from "dotenv";
+import { authHeaders } from "./lib/auth.js";
+
+// API_KEY (any scope) is sent on connect
+dotenv.config();
 
 class ActivityDashboard {
   constructor() {
     this.ws = null;
     this.clients = new Map();
+    this.queue = null;
     this.isConnected = false;
     this.startTime = Date.now();
   }
@@ -14,7 +20,7 @@ class ActivityDashboard {
     console.log("=====================================");
     console.log("🔄 Connecting to server...");
     
-    this.ws = new WebSocket("ws://localhost:8000");
+    this.ws = new WebSocket("ws://localhost:8000", { headers: authHeaders() });
 
     this.ws.on("open", () => {
       this.isConnected = true;
@@ -55,6 +61,10 @@ class ActivityDashboard {
         this.updateClientList(message.clients);
         break;
 
+      case 'queue_status':
+        this.updateQueue(message);
+        break;
+
       case 'user_broadcast':
         this.logActivity(`📢 ${message.from} broadcasted: ${message.message.substring(0, 50)}...`);
         break;
@@ -64,7 +74,7 @@ class ActivityDashboard {
         break;
 
       case 'client_disconnected':
-        this.logActivity(`👋 ${message.name} disconnected`);
+        this.logActivity(`👋 ${message.message}`);
         break;
 
       case 'server_shutdown':
@@ -83,6 +93,16 @@ class ActivityDashboard {
     this.updateDisplay();
   }
 
+  updateQueue(status) {
+    const previous = this.queue;
+    this.queue = status;
+
+    // Only redraw when the numbers shown actually changed
+    if (!previous || previous.active !== status.active || previous.queued !== status.queued) {
+      this.updateDisplay();
+    }
+  }
+
   logActivity(message) {
     const timestamp = new Date().toLocaleTimeString();
     console.log(`[${timestamp}] ${message}`);
@@ -94,6 +114,11 @@ class ActivityDashboard {
       type: 'get_clients'
     }));
 
+    // Get pushed queue updates as they happen
+    this.ws.send(JSON.stringify({
+      type: 'subscribe_queue'
+    }));
+
     // Update display every 10 seconds
     setInterval(() => {
       if (this.isConnected) {
@@ -118,21 +143,26 @@ class ActivityDashboard {
     console.log(`⏱️  Dashboard Uptime: ${hours}h ${minutes}m ${seconds}s`);
     console.log(`📡 Connection Status: ${this.isConnected ? '✅ Connected' : '❌ Disconnected'}`);
     console.log(`👥 Active Clients: ${this.clients.size}`);
+    if (this.queue) {
+      console.log(`📥 Queue: ${this.queue.queued} waiting, ${this.queue.active}/${this.queue.concurrency} generating`);
+    }
     console.log();
 
     if (this.clients.size > 0) {
       console.log("👤 Connected Clients:");
       console.log("━".repeat(60));
-      console.log("ID    Name               Connected At        Last Activity");
+      console.log("ID    Name               Connected At        Last Activity         Queue");
       console.log("━".repeat(60));
       
       this.clients.forEach(client => {
         const id = String(client.id).padEnd(4);
         const name = client.name.padEnd(18);
         const connected = new Date(client.connected).toLocaleString().padEnd(18);
-        const lastActivity = new Date(client.lastActivity).toLocaleString();
+        const lastActivity = new Date(client.lastActivity).toLocaleString().padEnd(20);
+        const load = this.queue?.clients.find(entry => entry.clientId === client.id);
+        const queue = load ? `${load.active} running, ${load.queued} waiting` : '-';
         
-        console.log(`${id}  ${name}  ${connected}  ${lastActivity}`);
+        console.log(`${id}  ${name}  ${connected}  ${lastActivity}  ${queue}`);
       });
     } else {
       console.log("📭 No active clients");
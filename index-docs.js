@@ -0,0 +1,69 @@
+import dotenv from "dotenv";
+import { createDocsIndex } from "./lib/docs-index.js";
+
+dotenv.config();
+
+// Manage the offline documentation index used by search_documentation.
+//
+//   node index-docs.js <dir> [<dir> ...]   (re)index directories; a node_modules dir indexes package READMEs
+//   node index-docs.js --remove <dir>      drop a directory from the index
+//   node index-docs.js --list              show indexed directories
+//   node index-docs.js --search <query>    try a query
+
+const USAGE = `Usage:
+  node index-docs.js <dir> [<dir> ...]
+  node index-docs.js --remove <dir>
+  node index-docs.js --list
+  node index-docs.js --search <query>`;
+
+const docsIndex = createDocsIndex();
+const [command, ...rest] = process.argv.slice(2);
+
+async function main() {
+  switch (command) {
+    case undefined:
+    case "--help":
+    case "-h":
+      console.log(USAGE);
+      break;
+
+    case "--list": {
+      const stats = await docsIndex.stats();
+      console.log(`📚 ${stats.file}: ${stats.documents} sections, ${stats.terms} terms`);
+      for (const { root, documents, indexed } of stats.roots) {
+        console.log(`   ${root}  (${documents} sections, indexed ${indexed})`);
+      }
+      break;
+    }
+
+    case "--remove":
+      for (const dir of rest) {
+        const removed = await docsIndex.removeDirectory(dir);
+        console.log(removed ? `🗑️  Removed ${dir}` : `❓ ${dir} was not indexed`);
+      }
+      break;
+
+    case "--search": {
+      const results = await docsIndex.search(rest.join(" "));
+      if (results.length === 0) console.log("No matches");
+      for (const result of results) {
+        console.log(`\n[${result.score}] ${result.title}${result.section ? ` › ${result.section}` : ""}`);
+        console.log(`   ${result.path}`);
+        console.log(`   ${result.snippet}`);
+      }
+      break;
+    }
+
+    default:
+      for (const dir of [command, ...rest]) {
+        console.log(`📂 Indexing ${dir}...`);
+        const { root, files, documents } = await docsIndex.indexDirectory(dir);
+        console.log(`✅ ${root}: ${files} files, ${documents} sections`);
+      }
+  }
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
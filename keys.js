@@ -0,0 +1,107 @@
+import dotenv from "dotenv";
+import { SCOPES, createAuth } from "./lib/auth.js";
+
+dotenv.config({ quiet: true });
+
+// Manage the API keys the servers accept (API_KEYS_FILE).
+//
+//   node keys.js issue <name> [--scopes chat,tools] [limits]   print a new key (shown only once)
+//   node keys.js limits <id> <limits>                           change a key's rate limits
+//   node keys.js revoke <id>                                    stop accepting a key
+//   node keys.js list                                           show keys, without secrets
+//
+// Limits override the server defaults for one key (0 = unlimited):
+//   --rpm N  --concurrent N  --max-prompt-chars N  --daily-tokens N
+
+const USAGE = `Usage:
+  node keys.js issue <name> [--scopes ${SCOPES.join(",")}] [limits]   (default scope: chat)
+  node keys.js limits <id> <limits>
+  node keys.js revoke <id> [<id> ...]
+  node keys.js list
+
+Limits (0 = unlimited): --rpm N --concurrent N --max-prompt-chars N --daily-tokens N`;
+
+const LIMIT_FLAGS = {
+  "--rpm": "requestsPerMinute",
+  "--concurrent": "concurrent",
+  "--max-prompt-chars": "maxPromptChars",
+  "--daily-tokens": "dailyTokens"
+};
+
+const { store } = createAuth();
+const [command, ...rest] = process.argv.slice(2);
+
+// --scopes and the limit flags, as `--flag value` or `--flag=value`;
+// everything else is the name (or id)
+function readArgs(args) {
+  let scopes = "chat";
+  const limits = {};
+  const name = [];
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inline] = args[i].split("=", 2);
+    const value = () => inline ?? args[++i] ?? "";
+    if (flag === "--scopes") {
+      scopes = value();
+    } else if (LIMIT_FLAGS[flag]) {
+      limits[LIMIT_FLAGS[flag]] = value();
+    } else if (flag.startsWith("--")) {
+      throw new Error(`Unknown option ${flag}\n${USAGE}`);
+    } else {
+      name.push(args[i]);
+    }
+  }
+  return { name: name.join(" "), scopes, limits };
+}
+
+function describeLimits(limits = {}) {
+  const entries = Object.entries(limits);
+  return entries.length ? entries.map(([name, value]) => `${name}=${value}`).join(", ") : "server defaults";
+}
+
+async function main() {
+  switch (command) {
+    case "issue": {
+      const { name, scopes, limits } = readArgs(rest);
+      if (!name) throw new Error(`A name is required\n${USAGE}`);
+      const { key, record } = await store.issue({ name, scopes, limits });
+      console.log(`🔑 Issued ${record.id} (${record.name}) with scopes: ${record.scopes.join(", ")}; limits: ${describeLimits(record.limits)}`);
+      console.log(`\n   ${key}\n`);
+      console.log("   Store it now; it cannot be shown again.");
+      break;
+    }
+
+    case "limits": {
+      const { name: id, limits } = readArgs(rest);
+      if (!id || Object.keys(limits).length === 0) throw new Error(`A key id and at least one limit are required\n${USAGE}`);
+      const record = await store.setLimits(id, limits);
+      console.log(record ? `📏 ${id} (${record.name}) limits: ${describeLimits(record.limits)}` : `❓ No active key ${id}`);
+      break;
+    }
+
+    case "revoke":
+      if (rest.length === 0) throw new Error(`A key id is required\n${USAGE}`);
+      for (const id of rest) {
+        const record = await store.revoke(id);
+        console.log(record ? `🗑️  Revoked ${id} (${record.name})` : `❓ No active key ${id}`);
+      }
+      break;
+
+    case "list": {
+      const keys = await store.list();
+      if (keys.length === 0) console.log(`No keys in ${store.file}`);
+      for (const key of keys) {
+        const status = key.revoked ? `revoked ${key.revoked}` : "active";
+        console.log(`${key.id}  ${key.name}  [${key.scopes.join(", ")}]  limits: ${describeLimits(key.limits)}  created ${key.created}, ${status}`);
+      }
+      break;
+    }
+
+    default:
+      console.log(USAGE);
+  }
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
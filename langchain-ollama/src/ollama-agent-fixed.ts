@@ -6,26 +6,18 @@ import { ConversationChain } from "langchain/chains";
 import { DynamicTool } from "@langchain/core/tools";
 import { AgentExecutor, createReactAgent } from "langchain/agents";
 import * as dotenv from "dotenv";
-import * as fs from "fs";
-import * as path from "path";
+import { ToolClient, toolErrorResult } from "./tool-client";
 import * as readline from "readline";
 
 // Load environment variables
 dotenv.config();
 
-interface CodeAnalysis {
-  linesOfCode: number;
-  functionsCount: number;
-  conditionalStatements: number;
-  complexityScore: number;
-  complexityRating: 'Low' | 'Medium' | 'High';
-  suggestions: string[];
-}
-
 interface SaveCodeResult {
   success: boolean;
   message: string;
   filepath?: string;
+  bytes?: number;
+  version?: number | null;
 }
 
 // System prompt for code completion
@@ -54,6 +46,7 @@ class OllamaLangChainAgent {
   private memory: BufferMemory;
   private agent?: AgentExecutor;
   private tools: DynamicTool[];
+  private toolClient: ToolClient;
   private conversationHistory: Array<HumanMessage | AIMessage | SystemMessage> = [];
 
   constructor() {
@@ -71,6 +64,9 @@ class OllamaLangChainAgent {
     });
 
     // Initialize tools
+    // Tools run on the CodeCompleter server (CODE_COMPLETER_URL), see tool-client.ts
+    this.toolClient = new ToolClient();
+
     this.tools = this.createTools();
 
     // Add system message to conversation history
@@ -98,32 +94,28 @@ class OllamaLangChainAgent {
 
       new DynamicTool({
         name: "analyze_code_complexity",
-        description: "Analyze the complexity and quality of code. Use this when the user wants to understand code quality or when reviewing code.",
+        description: "Analyze the complexity and quality of code. Use this when the user wants to understand code quality or when reviewing code. Input: JSON {\"code\": string, \"language\"?: \"javascript\" | \"typescript\" | \"python\"}. Returns a summary plus per-function name, start_line, end_line, params, cyclomatic, cognitive and max_nesting; cite functions by name and line range.",
         func: async (input: string): Promise<string> => {
           try {
-            const { code } = JSON.parse(input);
-            const result = await this.analyzeCodeComplexity(code);
+            const { code, language } = JSON.parse(input);
+            const result = await this.analyzeCodeComplexity(code, language);
             return JSON.stringify(result);
           } catch (error) {
-            return JSON.stringify({ 
-              error: `Error analyzing code: ${error instanceof Error ? error.message : 'Unknown error'}` 
-            });
+            return toolErrorResult("Error analyzing code", error);
           }
         },
       }),
 
       new DynamicTool({
         name: "search_documentation",
-        description: "Search for API documentation or programming examples. Use this when the user asks about specific APIs, libraries, or programming concepts.",
+        description: "Search the locally indexed API documentation and package READMEs. Use this when the user asks about specific APIs, libraries, or programming concepts. Input: JSON {\"query\": string, \"technology\"?: string}. Returns ranked snippets with their source path; cite the path when you use one.",
         func: async (input: string): Promise<string> => {
           try {
             const { technology, query } = JSON.parse(input);
             const result = await this.searchDocumentation(technology, query);
             return JSON.stringify(result);
           } catch (error) {
-            return JSON.stringify({ 
-              error: `Error searching documentation: ${error instanceof Error ? error.message : 'Unknown error'}` 
-            });
+            return toolErrorResult("Error searching documentation", error);
           }
         },
       }),
@@ -162,14 +154,6 @@ class OllamaLangChainAgent {
 
   private async saveCodeSnippet(filename: string, code: string, language?: string): Promise<SaveCodeResult> {
     try {
-      const dir = './saved_snippets';
-      
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      
-      const filepath = path.join(dir, filename);
-      
       // Add language comment if provided
       let codeWithHeader = code;
       if (language) {
@@ -192,13 +176,7 @@ class OllamaLangChainAgent {
         codeWithHeader = `${comment}Language: ${language}\n${comment}Generated by Ollama LangChain Agent\n${comment}Date: ${new Date().toISOString()}\n\n${code}`;
       }
       
-      fs.writeFileSync(filepath, codeWithHeader);
-      
-      return {
-        success: true,
-        message: `Code snippet saved to ${filepath}`,
-        filepath: filepath
-      };
+      return await this.toolClient.run<SaveCodeResult>("save_code_snippet", { filename, code: codeWithHeader, language });
     } catch (error) {
       return {
         success: false,
@@ -207,84 +185,14 @@ class OllamaLangChainAgent {
     }
   }
 
-  private async analyzeCodeComplexity(code: string): Promise<CodeAnalysis> {
-    const lines = code.split('\n').filter(line => line.trim() !== '');
-    const functions = (code.match(/function\s+\w+|const\s+\w+\s*=\s*\(|class\s+\w+/g) || []).length;
-    const conditionals = (code.match(/if\s*\(|switch\s*\(|while\s*\(|for\s*\(|\?\s*:/g) || []).length;
-    const complexity = conditionals + functions;
-    
-    let rating: 'Low' | 'Medium' | 'High';
-    const suggestions: string[] = [];
-    
-    if (complexity < 5) {
-      rating = 'Low';
-      suggestions.push('Code complexity is low and maintainable');
-    } else if (complexity < 15) {
-      rating = 'Medium';
-      suggestions.push('Code complexity is moderate');
-      if (functions > 5) suggestions.push('Consider organizing into modules or classes');
-    } else {
-      rating = 'High';
-      suggestions.push('Consider breaking into smaller functions');
-      suggestions.push('Reduce nesting levels where possible');
-      suggestions.push('Consider using design patterns to simplify structure');
-    }
-    
-    if (lines.length > 100) {
-      suggestions.push('Consider splitting large files into smaller modules');
-    }
-    
-    return {
-      linesOfCode: lines.length,
-      functionsCount: functions,
-      conditionalStatements: conditionals,
-      complexityScore: complexity,
-      complexityRating: rating,
-      suggestions
-    };
+  // Per-function metrics from the server's parser (heuristic for Python); see lib/complexity.js
+  private async analyzeCodeComplexity(code: string, language?: string): Promise<any> {
+    const { analysis } = await this.toolClient.run("analyze_code_complexity", { code, language });
+    return analysis;
   }
 
-  private async searchDocumentation(technology: string, query: string): Promise<any> {
-    // Mock documentation search
-    const mockResults: { [key: string]: { [key: string]: string } } = {
-      'javascript': {
-        'array methods': 'map(), filter(), reduce(), forEach(), find(), some(), every(), includes()',
-        'promises': 'Promise.resolve(), Promise.reject(), async/await, .then(), .catch(), Promise.all()',
-        'dom manipulation': 'document.querySelector(), addEventListener(), innerHTML, classList, createElement()',
-        'modules': 'import/export, require(), module.exports, default exports'
-      },
-      'typescript': {
-        'types': 'string, number, boolean, object, array, union types, interfaces',
-        'generics': 'Generic functions, Generic classes, Type constraints',
-        'decorators': '@decorator syntax, Class decorators, Method decorators'
-      },
-      'react': {
-        'hooks': 'useState, useEffect, useContext, useReducer, useMemo, useCallback, useRef',
-        'components': 'Function components, Class components, Props, State, JSX',
-        'routing': 'React Router, useNavigate, useParams, Routes, Route, Link'
-      },
-      'node.js': {
-        'file system': 'fs.readFile(), fs.writeFile(), fs.exists(), path.join(), fs.createReadStream()',
-        'http': 'express, http.createServer(), req, res, middleware, app.get(), app.post()',
-        'async': 'Promise, async/await, util.promisify(), stream, EventEmitter'
-      },
-      'python': {
-        'data structures': 'list, dict, set, tuple, collections.deque, collections.defaultdict',
-        'functions': 'def, lambda, *args, **kwargs, decorators, generators',
-        'classes': 'class, __init__, inheritance, super(), @property'
-      }
-    };
-    
-    const techDocs = mockResults[technology.toLowerCase()] || {};
-    const result = techDocs[query.toLowerCase()] || 'Documentation not found in cache. Try searching official documentation.';
-    
-    return {
-      technology,
-      query,
-      result,
-      suggestion: `For detailed documentation, visit the official ${technology} documentation website`,
-      relatedTopics: Object.keys(techDocs).filter(key => key !== query.toLowerCase()).slice(0, 3)
-    };
+  private async searchDocumentation(technology: string | undefined, query: string): Promise<any> {
+    return this.toolClient.run("search_documentation", { technology, query });
   }
 
   async initializeAgent(): Promise<void> {
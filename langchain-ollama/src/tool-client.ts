@@ -0,0 +1,52 @@
+// The agent's tools run on the CodeCompleter server (POST /tools/:name), the
+// same implementations its own chats use, so the server has to be running.
+// CODE_COMPLETER_URL is the server; CODE_COMPLETER_API_KEY a key with the
+// tools scope (not needed when the server runs with AUTH_DISABLED=true).
+
+export class ToolCallError extends Error {
+  constructor(message: string, public status: number, public errors?: string[]) {
+    super(message);
+    this.name = "ToolCallError";
+  }
+}
+
+export class ToolClient {
+  private baseUrl: string;
+  private apiKey?: string;
+
+  constructor({
+    baseUrl = process.env.CODE_COMPLETER_URL || "http://localhost:3000",
+    apiKey = process.env.CODE_COMPLETER_API_KEY
+  }: { baseUrl?: string; apiKey?: string } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+  }
+
+  // The tool's result; throws ToolCallError when the server rejects the call
+  // (errors lists every invalid argument on a 400)
+  async run<T = any>(name: string, args: object): Promise<T> {
+    const response = await fetch(`${this.baseUrl}/tools/${encodeURIComponent(name)}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify(args)
+    });
+
+    const body: any = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new ToolCallError(body.error || `${name} failed with HTTP ${response.status}`, response.status, body.errors);
+    }
+    return body.result as T;
+  }
+}
+
+// What a DynamicTool hands back to the model when a call fails
+export function toolErrorResult(prefix: string, error: unknown): string {
+  const message = error instanceof Error ? error.message : 'Unknown error';
+  return JSON.stringify({
+    error: `${prefix}: ${message}`,
+    ...(error instanceof ToolCallError && error.errors && { errors: error.errors })
+  });
+}
@@ -0,0 +1,249 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { readLimits } from './rate-limit.js';
+
+// API keys for the HTTP and WebSocket servers.
+//
+// A key looks like `ock_<id>_<secret>` and is shown once, when it is issued
+// (npm run keys -- issue <name>). Only its SHA-256 is kept, in a JSON file
+// that every server reads, so keys can be issued and revoked from the CLI
+// while the servers run:
+//   {
+//     version: 1,
+//     keys: [{ id, name, hash, scopes, limits, created, revoked }]
+//   }
+// `limits` overrides the rate limit defaults for that key (lib/rate-limit.js).
+//
+// Scopes:
+//   chat       talk to the models: chat, completions, sessions, search
+//   tools      let the model run server-side tools during chat
+//   admin      manage the docs and code indexes; implies every other scope
+//   broadcast  send messages to every client of server-activity.js
+//
+// Clients send the key as `Authorization: Bearer <key>`, or as an
+// `access_token` query parameter where headers can't be set (EventSource,
+// browser WebSockets).
+
+export const SCOPES = ['chat', 'tools', 'admin', 'broadcast'];
+
+const KEYS_VERSION = 1;
+const KEY_PATTERN = /^ock_([0-9a-f]{12})_[A-Za-z0-9_-]{43}$/;
+
+// status is the HTTP status to answer with: 401 (no or bad key) or 403
+export class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function sameHash(a, b) {
+  return timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+// Every scope is granted to admin keys
+export function hasScope(key, scope) {
+  return Boolean(key) && (key.scopes.includes(scope) || key.scopes.includes('admin'));
+}
+
+// Sessions and conversations belong to the key that started them (owner: its
+// id, null with auth disabled); other keys may not see them, admin keys aside
+export function canAccess(apiKey, owner) {
+  return hasScope(apiKey, 'admin') || (owner ?? null) === apiKey.id;
+}
+
+export function readScopes(value) {
+  const scopes = (Array.isArray(value) ? value : String(value).split(','))
+    .map((scope) => scope.trim())
+    .filter(Boolean);
+  const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope(s): ${unknown.join(', ')} (expected ${SCOPES.join(', ')})`);
+  }
+  if (scopes.length === 0) {
+    throw new Error('At least one scope is required');
+  }
+  return [...new Set(scopes)];
+}
+
+// The key from an Authorization header or ?access_token=; null if neither
+export function readBearerToken(req) {
+  const header = req.headers.authorization;
+  if (header) {
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    return match ? match[1] : null;
+  }
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('access_token');
+}
+
+// Headers for clients of these servers, from API_KEY
+export function authHeaders(apiKey = process.env.API_KEY) {
+  return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+}
+
+export class ApiKeyStore {
+  constructor({ file = './api-keys.json' } = {}) {
+    this.file = path.resolve(file);
+    this.keys = [];
+    this.mtime = 0;
+  }
+
+  // Loads the key file if it changed since we last read it
+  async refresh() {
+    let stats;
+    try {
+      stats = await fs.stat(this.file);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.keys = [];
+        this.mtime = 0;
+        return;
+      }
+      throw error;
+    }
+    if (stats.mtimeMs === this.mtime) return;
+
+    const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    if (data.version !== KEYS_VERSION) {
+      throw new Error(`Unsupported API key file version ${data.version} in ${this.file}`);
+    }
+    this.keys = data.keys;
+    this.mtime = stats.mtimeMs;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ version: KEYS_VERSION, keys: this.keys }, null, 2), { mode: 0o600 });
+    await fs.rename(tmp, this.file);
+    this.mtime = (await fs.stat(this.file)).mtimeMs;
+  }
+
+  // Returns { key, record }; `key` is never stored and can't be recovered
+  async issue({ name, scopes, limits = {} }) {
+    await this.refresh();
+
+    const id = randomBytes(6).toString('hex');
+    const key = `ock_${id}_${randomBytes(32).toString('base64url')}`;
+    const record = {
+      id,
+      name,
+      hash: hashKey(key),
+      scopes: readScopes(scopes),
+      limits: readLimits(limits),
+      created: new Date().toISOString(),
+      revoked: null
+    };
+
+    this.keys.push(record);
+    await this.save();
+    return { key, record };
+  }
+
+  // Returns the revoked record, or null if there is no live key with that id
+  async revoke(id) {
+    await this.refresh();
+
+    const record = this.keys.find((key) => key.id === id && !key.revoked);
+    if (!record) return null;
+    record.revoked = new Date().toISOString();
+    await this.save();
+    return record;
+  }
+
+  // Merges `limits` into a live key's overrides; returns the record or null
+  async setLimits(id, limits) {
+    await this.refresh();
+
+    const record = this.keys.find((key) => key.id === id && !key.revoked);
+    if (!record) return null;
+    record.limits = { ...record.limits, ...readLimits(limits) };
+    await this.save();
+    return record;
+  }
+
+  async list() {
+    await this.refresh();
+    return this.keys.map(({ hash, ...record }) => record);
+  }
+
+  // The live record for a key, or null
+  async verify(key) {
+    const match = KEY_PATTERN.exec(key || '');
+    if (!match) return null;
+
+    await this.refresh();
+    const record = this.keys.find((candidate) => candidate.id === match[1]);
+    if (!record || record.revoked || !sameHash(record.hash, hashKey(key))) return null;
+    return record;
+  }
+}
+
+// With auth disabled every request acts as this key
+const ANONYMOUS = Object.freeze({ id: null, name: 'anonymous', scopes: Object.freeze([...SCOPES]) });
+
+export class Auth {
+  constructor({ store, enabled = true }) {
+    this.store = store;
+    this.enabled = enabled;
+  }
+
+  // Resolves to the caller's key record; throws AuthError if the request
+  // has no valid key, or (when `scope` is given) the key lacks that scope
+  async check(req, scope = null) {
+    if (!this.enabled) return ANONYMOUS;
+
+    const token = readBearerToken(req);
+    if (!token) {
+      throw new AuthError('An API key is required (Authorization: Bearer <key>)', 401);
+    }
+    const key = await this.store.verify(token);
+    if (!key) {
+      throw new AuthError('Invalid or revoked API key', 401);
+    }
+    if (scope && !hasScope(key, scope)) {
+      throw new AuthError(`This API key lacks the ${scope} scope`, 403);
+    }
+    return key;
+  }
+
+  // For WebSocketServer's verifyClient: the handshake is refused with
+  // 401/403 before any socket exists. The key ends up on req.apiKey.
+  verifyClient(scope = null) {
+    return (info, callback) => {
+      this.check(info.req, scope).then((key) => {
+        info.req.apiKey = key;
+        callback(true);
+      }, (error) => {
+        const status = error instanceof AuthError ? error.status : 500;
+        const headers = status === 401 ? { 'WWW-Authenticate': 'Bearer' } : undefined;
+        callback(false, status, error.message, headers);
+      });
+    };
+  }
+
+  // [level, message] for the startup log: logger.log(...await auth.describe())
+  async describe() {
+    if (!this.enabled) return ['warn', 'Authentication disabled (AUTH_DISABLED=true): anyone who can reach the port is let in'];
+    const live = (await this.store.list()).filter((key) => !key.revoked).length;
+    if (live === 0) return ['warn', `API keys required, but ${this.store.file} has none yet: npm run keys -- issue <name>`];
+    return ['info', `API keys required (${live} active in ${this.store.file})`];
+  }
+}
+
+// API_KEYS_FILE picks the key file (default ./api-keys.json);
+// AUTH_DISABLED=true turns checking off for local development
+export function createAuth(env = process.env) {
+  return new Auth({
+    store: new ApiKeyStore({ file: env.API_KEYS_FILE || './api-keys.json' }),
+    enabled: env.AUTH_DISABLED !== 'true'
+  });
+}
@@ -0,0 +1,532 @@
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { parse } from '@babel/parser';
+
+// Semantic search over a local codebase for retrieval-augmented chat.
+//
+// Source files are cut into chunks along function and class boundaries
+// (JavaScript/TypeScript from the AST, Python by indentation, anything else
+// in fixed windows of lines), each chunk is embedded through Ollama and the
+// vectors are kept in a single JSON file. Reindexing a directory only embeds
+// files whose content changed.
+//
+// On disk:
+//   {
+//     version: 1,
+//     model,                               // embedding model the vectors came from
+//     roots: { [absoluteDir]: { indexed, files, chunks } },
+//     files: { [absolutePath]: { root, hash } },
+//     chunks: [{ path, root, name, kind, start_line, end_line, text, vector }]
+//   }
+//
+// `vector` is a base64 float32 array, normalized so a dot product is the
+// cosine similarity.
+
+const INDEX_VERSION = 1;
+
+const MAX_FILE_SIZE = 512 * 1024;
+const MAX_CHUNK_LINES = 120;
+const WINDOW_LINES = 60;
+const WINDOW_OVERLAP = 10;
+const MIN_MODULE_LINES = 3; // stray top-level code shorter than this is not worth a chunk
+const MAX_EMBED_CHARS = 6000;
+const EMBED_BATCH_SIZE = 16;
+
+const SKIP_DIRS = new Set([
+  'node_modules', 'dist', 'build', 'coverage', 'out', 'target', 'vendor', '__pycache__', 'venv', 'saved_snippets'
+]);
+
+const SOURCE_EXTENSIONS = new Set([
+  '.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx', '.py', '.rb', '.go', '.rs', '.java', '.kt',
+  '.swift', '.c', '.h', '.cc', '.cpp', '.hpp', '.cs', '.php', '.scala', '.sh', '.vue', '.svelte', '.sql', '.md'
+]);
+
+const JS_EXTENSIONS = new Set(['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx']);
+
+export class CodeIndexError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'CodeIndexError';
+    this.code = code;
+  }
+}
+
+// --- Chunking ------------------------------------------------------------------
+
+function lineRange(lines, start, end) {
+  return lines.slice(start - 1, end).join('\n');
+}
+
+function nonBlankLines(text) {
+  return text.split('\n').filter((line) => line.trim() !== '').length;
+}
+
+// Splits a chunk that is too long to embed well into overlapping windows
+function splitChunk(lines, chunk) {
+  const length = chunk.end_line - chunk.start_line + 1;
+  if (length <= MAX_CHUNK_LINES) return [chunk];
+
+  const parts = [];
+  for (let start = chunk.start_line, part = 1; start <= chunk.end_line; start += WINDOW_LINES - WINDOW_OVERLAP, part++) {
+    const end = Math.min(start + WINDOW_LINES - 1, chunk.end_line);
+    parts.push({ ...chunk, name: chunk.name && `${chunk.name} (part ${part})`, start_line: start, end_line: end });
+    if (end === chunk.end_line) break;
+  }
+  return parts;
+}
+
+function windowChunks(lines) {
+  return splitChunk(lines, { name: null, kind: 'lines', start_line: 1, end_line: lines.length });
+}
+
+// Groups the lines no declaration claimed into 'module' chunks
+function fillGaps(lines, chunks) {
+  const claimed = new Array(lines.length + 2).fill(false);
+  for (const chunk of chunks) {
+    for (let line = chunk.start_line; line <= chunk.end_line; line++) claimed[line] = true;
+  }
+
+  const gaps = [];
+  let start = null;
+  for (let line = 1; line <= lines.length + 1; line++) {
+    const free = line <= lines.length && !claimed[line];
+    if (free && start === null) start = line;
+    if (!free && start !== null) {
+      if (nonBlankLines(lineRange(lines, start, line - 1)) >= MIN_MODULE_LINES) {
+        gaps.push({ name: null, kind: 'module', start_line: start, end_line: line - 1 });
+      }
+      start = null;
+    }
+  }
+  return gaps;
+}
+
+function declarationName(node) {
+  if (node.id?.name) return node.id.name;
+  if (node.type === 'VariableDeclaration') {
+    const declarator = node.declarations.find((candidate) => candidate.id?.name);
+    return declarator?.id.name || null;
+  }
+  return null;
+}
+
+function declarationKind(node) {
+  switch (node.type) {
+    case 'FunctionDeclaration':
+    case 'TSDeclareFunction':
+      return 'function';
+    case 'ClassDeclaration':
+      return 'class';
+    case 'TSInterfaceDeclaration':
+    case 'TSTypeAliasDeclaration':
+    case 'TSEnumDeclaration':
+      return 'type';
+    case 'VariableDeclaration': {
+      const init = node.declarations[0]?.init;
+      if (!init) return null;
+      if (init.type === 'ArrowFunctionExpression' || init.type === 'FunctionExpression') return 'function';
+      if (init.type === 'ClassExpression') return 'class';
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Top-level calls that take a function, like app.get('/path', handler) or
+// describe('...', () => {}), are chunked like declarations
+function callbackCallName(node, code) {
+  const call = node.type === 'ExpressionStatement' && node.expression.type === 'CallExpression' && node.expression;
+  const last = call && call.arguments.at(-1);
+  if (!last || (last.type !== 'ArrowFunctionExpression' && last.type !== 'FunctionExpression')) return null;
+
+  const callee = code.slice(call.callee.start, call.callee.end);
+  const first = call.arguments[0];
+  return first.type === 'StringLiteral' ? `${callee}('${first.value}')` : callee;
+}
+
+// Start line including the doc comment above a node
+function startLine(node) {
+  return node.leadingComments?.length ? node.leadingComments[0].loc.start.line : node.loc.start.line;
+}
+
+function chunkJavaScript(code, lines, typescript) {
+  const ast = parse(code, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    plugins: typescript ? ['typescript', 'jsx', 'decorators-legacy'] : ['jsx', 'decorators-legacy']
+  });
+
+  const chunks = [];
+  for (const statement of ast.program.body) {
+    const node = (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') && statement.declaration
+      ? statement.declaration
+      : statement;
+    const callName = callbackCallName(node, code);
+    const kind = callName ? 'call' : declarationKind(node);
+    if (!kind) continue;
+
+    const name = callName || declarationName(node) || (statement.type === 'ExportDefaultDeclaration' ? 'default' : '<anonymous>');
+    const chunk = { name, kind, start_line: startLine(statement), end_line: statement.loc.end.line };
+
+    // Big classes are indexed method by method
+    const body = kind === 'class' && (node.body?.body || node.declarations?.[0]?.init?.body?.body);
+    if (body && chunk.end_line - chunk.start_line + 1 > MAX_CHUNK_LINES) {
+      for (const member of body) {
+        if (member.type !== 'ClassMethod' && member.type !== 'ClassPrivateMethod' && member.type !== 'TSDeclareMethod') continue;
+        const memberName = member.key?.name || member.key?.id?.name || member.key?.value || '<computed>';
+        chunks.push(...splitChunk(lines, {
+          name: `${name}.${memberName}`,
+          kind: 'method',
+          start_line: startLine(member),
+          end_line: member.loc.end.line
+        }));
+      }
+      continue;
+    }
+
+    chunks.push(...splitChunk(lines, chunk));
+  }
+
+  return chunks;
+}
+
+const PY_BLOCK = /^(\s*)(?:async\s+)?(def|class)\s+(\w+)/;
+
+function indentWidth(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+// Python blocks at `indent`: a def/class line (with decorators and comments
+// right above it) down to the next line indented no deeper
+function pythonBlocks(lines, from, to, indent) {
+  const blocks = [];
+  for (let i = from; i <= to; i++) {
+    const match = lines[i - 1].match(PY_BLOCK);
+    if (!match || indentWidth(match[1]) !== indent) continue;
+
+    let start = i;
+    while (start > from && /^\s*(@|#)/.test(lines[start - 2]) && indentWidth(lines[start - 2]) === indent) start--;
+
+    let end = i;
+    for (let j = i + 1; j <= to; j++) {
+      if (lines[j - 1].trim() === '') continue;
+      if (indentWidth(lines[j - 1]) <= indent) break;
+      end = j;
+    }
+
+    blocks.push({ name: match[3], kind: match[2] === 'class' ? 'class' : 'function', start_line: start, end_line: end, line: i });
+    i = end;
+  }
+  return blocks;
+}
+
+function chunkPython(lines) {
+  const chunks = [];
+  for (const block of pythonBlocks(lines, 1, lines.length, 0)) {
+    const { line, ...chunk } = block;
+    if (chunk.kind === 'class' && chunk.end_line - chunk.start_line + 1 > MAX_CHUNK_LINES) {
+      const bodyIndent = lines.slice(line).find((text) => text.trim() !== '');
+      const methods = bodyIndent ? pythonBlocks(lines, line + 1, chunk.end_line, indentWidth(bodyIndent)) : [];
+      for (const { line: _, ...method } of methods) {
+        chunks.push(...splitChunk(lines, { ...method, name: `${chunk.name}.${method.name}`, kind: 'method' }));
+      }
+      continue;
+    }
+    chunks.push(...splitChunk(lines, chunk));
+  }
+  return chunks;
+}
+
+// Chunks of one source file: [{ name, kind, start_line, end_line, text }],
+// line numbers 1-based and inclusive, in file order
+export function chunkSource(content, file) {
+  const lines = content.split('\n');
+  const ext = path.extname(file).toLowerCase();
+
+  let chunks;
+  if (JS_EXTENSIONS.has(ext)) {
+    try {
+      chunks = chunkJavaScript(content, lines, /\.[mc]?tsx?$/.test(ext));
+    } catch {
+      chunks = null; // does not parse even with error recovery
+    }
+  } else if (ext === '.py') {
+    chunks = chunkPython(lines);
+  }
+
+  if (!chunks) {
+    chunks = windowChunks(lines);
+  } else {
+    chunks = chunks.concat(fillGaps(lines, chunks).flatMap((gap) => splitChunk(lines, gap)));
+  }
+
+  return chunks
+    .map((chunk) => ({ ...chunk, text: lineRange(lines, chunk.start_line, chunk.end_line) }))
+    .filter((chunk) => chunk.text.trim() !== '')
+    .sort((a, b) => a.start_line - b.start_line);
+}
+
+// --- Vectors -------------------------------------------------------------------
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return Float32Array.from(vector, (value) => value / norm);
+}
+
+function encodeVector(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+}
+
+function decodeVector(base64) {
+  const buffer = Buffer.from(base64, 'base64');
+  return new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// --- Finding files ---------------------------------------------------------------
+
+async function walk(dir, files = []) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EACCES') return files;
+    throw error;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.') && !SKIP_DIRS.has(entry.name)) await walk(fullPath, files);
+    } else if (entry.isFile() && SOURCE_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+async function readSource(file) {
+  const stats = await fs.stat(file);
+  if (stats.size > MAX_FILE_SIZE) return null;
+
+  const content = await fs.readFile(file, 'utf8');
+  if (content.includes('\0')) return null; // binary
+  return content;
+}
+
+// What gets embedded for a chunk: where it lives, then the code
+function embeddingText(chunk, root) {
+  const label = `${path.relative(root, chunk.path)}${chunk.name ? ` (${chunk.name})` : ''}`;
+  return `${label}\n${chunk.text}`.slice(0, MAX_EMBED_CHARS);
+}
+
+export class CodeIndex {
+  // embed(texts, { signal }) resolves to one vector per text
+  constructor({ file = './code-index.json', model, embed }) {
+    this.file = path.resolve(file);
+    this.model = model;
+    this.embed = embed;
+    this.indexModel = null;
+    this.roots = {};
+    this.files = {};
+    this.chunks = [];
+    this.mtime = 0;
+    this.indexing = null;
+  }
+
+  // Loads the index if the file changed since we last read it
+  async refresh() {
+    let stats;
+    try {
+      stats = await fs.stat(this.file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    if (stats.mtimeMs === this.mtime) return;
+
+    const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    if (data.version !== INDEX_VERSION) {
+      throw new CodeIndexError(`Unsupported code index version ${data.version} in ${this.file}; reindex`, 'EVERSION');
+    }
+    this.indexModel = data.model;
+    this.roots = data.roots;
+    this.files = data.files;
+    this.chunks = data.chunks.map((chunk) => ({ ...chunk, vector: decodeVector(chunk.vector) }));
+    this.mtime = stats.mtimeMs;
+  }
+
+  // Writes the loaded index, or `state` when given (see build())
+  async save({ indexModel, roots, files, chunks } = this) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({
+      version: INDEX_VERSION,
+      model: indexModel,
+      roots,
+      files,
+      chunks: chunks.map((chunk) => ({ ...chunk, vector: encodeVector(chunk.vector) }))
+    }));
+    await fs.rename(tmp, this.file);
+    this.mtime = (await fs.stat(this.file)).mtimeMs;
+  }
+
+  // (Re)indexes the source files under `dir`. Unchanged files keep their
+  // vectors. The new index is only swapped in once it is complete and saved,
+  // so a run that fails or is aborted leaves the old one untouched.
+  // Returns { root, files, chunks, embedded, reused }.
+  async indexDirectory(dir, { signal } = {}) {
+    if (this.indexing) {
+      throw new CodeIndexError(`Already indexing ${this.indexing}`, 'EBUSY');
+    }
+
+    const root = path.resolve(dir);
+    this.indexing = root;
+    try {
+      return await this.build(root, signal);
+    } finally {
+      this.indexing = null;
+    }
+  }
+
+  async build(root, signal) {
+    await this.refresh();
+
+    const stats = await fs.stat(root);
+    if (!stats.isDirectory()) {
+      throw new CodeIndexError(`Not a directory: ${root}`, 'ENOTDIR');
+    }
+
+    // Vectors from another model cannot be compared with ours
+    const base = this.indexModel && this.indexModel !== this.model
+      ? { roots: {}, files: {}, chunks: [] }
+      : { roots: this.roots, files: this.files, chunks: this.chunks };
+
+    const previous = new Map();
+    for (const chunk of base.chunks) {
+      if (chunk.root !== root) continue;
+      if (!previous.has(chunk.path)) previous.set(chunk.path, []);
+      previous.get(chunk.path).push(chunk);
+    }
+
+    const files = {};
+    const chunks = [];
+    const pending = [];
+    for (const file of await walk(root)) {
+      const content = await readSource(file);
+      if (content === null) continue;
+
+      const hash = createHash('sha1').update(content).digest('hex');
+      files[file] = { root, hash };
+
+      if (base.files[file]?.hash === hash && previous.has(file)) {
+        chunks.push(...previous.get(file));
+        continue;
+      }
+      for (const chunk of chunkSource(content, file)) {
+        const entry = { path: file, root, ...chunk, vector: null };
+        chunks.push(entry);
+        pending.push(entry);
+      }
+    }
+
+    for (let i = 0; i < pending.length; i += EMBED_BATCH_SIZE) {
+      signal?.throwIfAborted();
+      const batch = pending.slice(i, i + EMBED_BATCH_SIZE);
+      const vectors = await this.embed(batch.map((chunk) => embeddingText(chunk, root)), { signal });
+      batch.forEach((chunk, index) => {
+        chunk.vector = normalize(vectors[index]);
+      });
+    }
+
+    const next = {
+      indexModel: this.model,
+      roots: { ...base.roots, [root]: { indexed: new Date().toISOString(), files: Object.keys(files).length, chunks: chunks.length } },
+      files: {
+        ...Object.fromEntries(Object.entries(base.files).filter(([, info]) => info.root !== root)),
+        ...files
+      },
+      chunks: base.chunks.filter((chunk) => chunk.root !== root).concat(chunks)
+    };
+    await this.save(next);
+    Object.assign(this, next);
+
+    return {
+      root,
+      files: Object.keys(files).length,
+      chunks: chunks.length,
+      embedded: pending.length,
+      reused: chunks.length - pending.length
+    };
+  }
+
+  async removeDirectory(dir) {
+    await this.refresh();
+
+    const root = path.resolve(dir);
+    if (!this.roots[root]) return false;
+
+    this.chunks = this.chunks.filter((chunk) => chunk.root !== root);
+    this.files = Object.fromEntries(Object.entries(this.files).filter(([, info]) => info.root !== root));
+    delete this.roots[root];
+    await this.save();
+    return true;
+  }
+
+  async stats() {
+    await this.refresh();
+    return {
+      file: this.file,
+      model: this.indexModel || null,
+      chunks: this.chunks.length,
+      files: Object.keys(this.files).length,
+      roots: Object.entries(this.roots).map(([root, info]) => ({ root, ...info })),
+      indexing: this.indexing
+    };
+  }
+
+  // Chunks closest to `query`: [{ path, root, name, kind, start_line, end_line, score, text }]
+  async search(query, { limit = 5, minScore = 0, root, signal } = {}) {
+    await this.refresh();
+    if (this.chunks.length === 0) return [];
+
+    if (this.indexModel !== this.model) {
+      throw new CodeIndexError(`The code index was built with ${this.indexModel}, not ${this.model}; reindex it`, 'EMODEL');
+    }
+
+    const [vector] = await this.embed([query], { signal });
+    const queryVector = normalize(vector);
+    const searchRoot = root && path.resolve(root);
+
+    return this.chunks
+      .filter((chunk) => !searchRoot || chunk.root === searchRoot)
+      .map((chunk) => ({ chunk, score: dot(queryVector, chunk.vector) }))
+      .filter(({ score }) => score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ chunk, score }) => ({
+        path: chunk.path,
+        root: chunk.root,
+        name: chunk.name,
+        kind: chunk.kind,
+        start_line: chunk.start_line,
+        end_line: chunk.end_line,
+        score: Math.round(score * 1000) / 1000,
+        text: chunk.text
+      }));
+  }
+}
+
+// CODE_INDEX_FILE picks where the index lives (default ./code-index.json);
+// `embed` is how vectors are made, usually Ollama's /api/embed
+export function createCodeIndex(env = process.env, { model, embed }) {
+  return new CodeIndex({ file: env.CODE_INDEX_FILE || './code-index.json', model, embed });
+}
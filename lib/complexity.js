@@ -0,0 +1,552 @@
+import { parse } from '@babel/parser';
+
+// Per-function complexity metrics for the analyze_code_complexity tool.
+// JavaScript and TypeScript are parsed to an AST; Python gets an
+// indentation-based heuristic. The result looks like:
+//
+//   {
+//     language: 'javascript' | 'typescript' | 'python',
+//     method: 'ast' | 'heuristic',
+//     summary: {
+//       lines_of_code,            // non-blank lines
+//       functions_count,
+//       max_cyclomatic, average_cyclomatic, max_cognitive, max_nesting,
+//       complexity_rating         // 'Low' | 'Medium' | 'High' (worst function)
+//     },
+//     functions: [{
+//       name,                     // 'parse', 'Parser.next', '<anonymous>', ...
+//       kind,                     // 'function' | 'arrow' | 'method' | 'getter' | 'setter' | 'constructor'
+//                                 // ('file' when the code did not parse and the whole file was estimated)
+//       start_line, end_line,     // 1-based, inclusive
+//       params,                   // parameter count (self/cls excluded)
+//       cyclomatic,               // 1 + decision points (if, loops, case, catch, ?:, &&, ||, ??)
+//       cognitive,                // SonarSource-style: structures cost more the deeper they nest
+//       max_nesting,              // deepest nesting of control structures
+//       rating                    // 'Low' | 'Medium' | 'High' by cyclomatic
+//     }],
+//     suggestions: [...],
+//     parse_error                 // only when the code could not be parsed
+//   }
+//
+// Nested functions are reported on their own and do not add to the function
+// that contains them.
+
+const THRESHOLDS = {
+  cyclomatic: 10,
+  cognitive: 15,
+  nesting: 4,
+  params: 5
+};
+
+export const SUPPORTED_LANGUAGES = ['javascript', 'typescript', 'python'];
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript', 'node.js': 'javascript',
+  ts: 'typescript', tsx: 'typescript',
+  py: 'python', python3: 'python'
+};
+
+function normalizeLanguage(language) {
+  if (!language) return null;
+  const name = language.toLowerCase();
+  return LANGUAGE_ALIASES[name] || name;
+}
+
+function detectLanguage(code) {
+  if (/^[ \t]*(async[ \t]+)?def[ \t]+\w+[ \t]*\(.*$/m.test(code) && !/[{};][ \t]*$/m.test(code)) {
+    return 'python';
+  }
+  if (/:\s*(string|number|boolean|void|any)\b|\binterface\s+\w+|\btype\s+\w+\s*=/.test(code)) {
+    return 'typescript';
+  }
+  return 'javascript';
+}
+
+function ratingFor(cyclomatic) {
+  if (cyclomatic <= 5) return 'Low';
+  if (cyclomatic <= THRESHOLDS.cyclomatic) return 'Medium';
+  return 'High';
+}
+
+function countLines(code) {
+  return code.split('\n').filter((line) => line.trim() !== '').length;
+}
+
+export function analyzeCode(code, { language } = {}) {
+  const lang = normalizeLanguage(language) || detectLanguage(code);
+
+  let result;
+  if (lang === 'python') {
+    result = { language: lang, method: 'heuristic', functions: analyzePython(code) };
+  } else {
+    try {
+      result = { language: lang, method: 'ast', functions: analyzeJavaScript(code, lang === 'typescript') };
+    } catch (error) {
+      result = {
+        language: lang,
+        method: 'heuristic',
+        functions: [estimateWholeFile(code)],
+        parse_error: error.message
+      };
+    }
+  }
+
+  if (!SUPPORTED_LANGUAGES.includes(lang)) {
+    result.note = `No analyzer for ${lang}; parsed as JavaScript`;
+  }
+
+  return finish(code, result);
+}
+
+function finish(code, result) {
+  const { functions } = result;
+  const cyclomatic = functions.map((fn) => fn.cyclomatic);
+  const maxCyclomatic = cyclomatic.length ? Math.max(...cyclomatic) : 1;
+
+  const summary = {
+    lines_of_code: countLines(code),
+    functions_count: functions.length,
+    max_cyclomatic: maxCyclomatic,
+    average_cyclomatic: cyclomatic.length
+      ? Math.round((cyclomatic.reduce((sum, value) => sum + value, 0) / cyclomatic.length) * 10) / 10
+      : 0,
+    max_cognitive: functions.reduce((max, fn) => Math.max(max, fn.cognitive), 0),
+    max_nesting: functions.reduce((max, fn) => Math.max(max, fn.max_nesting), 0),
+    complexity_rating: ratingFor(maxCyclomatic)
+  };
+
+  return {
+    language: result.language,
+    method: result.method,
+    summary,
+    functions,
+    suggestions: suggestionsFor(functions, summary),
+    ...(result.parse_error && { parse_error: result.parse_error }),
+    ...(result.note && { note: result.note })
+  };
+}
+
+function suggestionsFor(functions, summary) {
+  const suggestions = [];
+
+  for (const fn of functions) {
+    const where = `${fn.name} (lines ${fn.start_line}-${fn.end_line})`;
+    if (fn.cyclomatic > THRESHOLDS.cyclomatic) {
+      suggestions.push(`${where} has cyclomatic complexity ${fn.cyclomatic}; split it into smaller functions`);
+    }
+    if (fn.cognitive > THRESHOLDS.cognitive) {
+      suggestions.push(`${where} has cognitive complexity ${fn.cognitive}; simplify its control flow`);
+    }
+    if (fn.max_nesting > THRESHOLDS.nesting) {
+      suggestions.push(`${where} nests ${fn.max_nesting} levels deep; use early returns or extract the inner blocks`);
+    }
+    if (fn.params > THRESHOLDS.params) {
+      suggestions.push(`${where} takes ${fn.params} parameters; consider passing an options object`);
+    }
+  }
+
+  if (summary.lines_of_code > 300) {
+    suggestions.push('Consider splitting this file into smaller modules');
+  }
+  if (suggestions.length === 0) {
+    suggestions.push('Code complexity is acceptable');
+  }
+  return suggestions;
+}
+
+// Used when the code does not parse: counts decision tokens across the whole
+// file so the model still gets a rough number
+function estimateWholeFile(code) {
+  const decisions = (code.match(/\b(if|for|while|case|catch)\b|&&|\|\||\?\?|\?(?=[^.?:]*:)/g) || []).length;
+  const lines = code.split('\n');
+
+  return {
+    name: '<file>',
+    kind: 'file',
+    start_line: 1,
+    end_line: lines.length,
+    params: 0,
+    cyclomatic: 1 + decisions,
+    cognitive: decisions,
+    max_nesting: 0,
+    rating: ratingFor(1 + decisions)
+  };
+}
+
+// --- JavaScript / TypeScript ------------------------------------------------
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+]);
+
+const LOOP_TYPES = new Set([
+  'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'
+]);
+
+const LOGICAL_ASSIGNMENTS = new Set(['&&=', '||=', '??=']);
+
+// Babel bookkeeping that is not part of the tree
+const SKIP_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+function children(node) {
+  const result = [];
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach((item) => item && typeof item.type === 'string' && result.push(item));
+    } else if (value && typeof value.type === 'string') {
+      result.push(value);
+    }
+  }
+  return result;
+}
+
+function keyName(key, computed) {
+  if (computed) return '[computed]';
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+  return '[computed]';
+}
+
+function memberName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression' && !node.computed) {
+    return `${memberName(node.object)}.${node.property.name}`;
+  }
+  return null;
+}
+
+function functionKind(node) {
+  if (node.type === 'ArrowFunctionExpression') return 'arrow';
+  if (node.kind === 'constructor') return 'constructor';
+  if (node.kind === 'get') return 'getter';
+  if (node.kind === 'set') return 'setter';
+  if (node.type === 'ObjectMethod' || node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod') return 'method';
+  return 'function';
+}
+
+// Best name for a function from the node itself or where it is assigned
+function functionName(node, parent, className) {
+  if (node.id) return node.id.name;
+
+  if (node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod') {
+    const name = keyName(node.key, node.computed);
+    return className ? `${className}.${name}` : name;
+  }
+  if (node.type === 'ObjectMethod') return keyName(node.key, node.computed);
+
+  if (parent) {
+    if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+    if (parent.type === 'ObjectProperty') return keyName(parent.key, parent.computed);
+    if (parent.type === 'ClassProperty' || parent.type === 'ClassPrivateProperty') {
+      const name = parent.key.type === 'PrivateName' ? `#${parent.key.id.name}` : keyName(parent.key, parent.computed);
+      return className ? `${className}.${name}` : name;
+    }
+    if (parent.type === 'AssignmentExpression') return memberName(parent.left) || '<anonymous>';
+  }
+  return '<anonymous>';
+}
+
+function analyzeJavaScript(code, typescript) {
+  const ast = parse(code, {
+    sourceType: 'unambiguous',
+    errorRecovery: false,
+    plugins: typescript ? ['typescript', 'jsx', 'decorators-legacy'] : ['jsx', 'decorators-legacy']
+  });
+
+  const functions = [];
+
+  // Finds functions anywhere in the tree, tracking the enclosing class for names
+  function collect(node, parent, className) {
+    if (FUNCTION_TYPES.has(node.type)) {
+      functions.push(measureFunction(node, functionName(node, parent, className), collect, className));
+      return;
+    }
+
+    const nextClass = node.type === 'ClassDeclaration' || node.type === 'ClassExpression'
+      ? (node.id && node.id.name) || (parent && parent.type === 'VariableDeclarator' && parent.id.name) || className
+      : className;
+
+    children(node).forEach((child) => collect(child, node, nextClass));
+  }
+
+  collect(ast.program, null, null);
+  return functions.sort((a, b) => a.start_line - b.start_line);
+}
+
+function measureFunction(fn, name, collect, className) {
+  const metrics = { cyclomatic: 1, cognitive: 0, maxNesting: 0 };
+
+  function nest(depth) {
+    metrics.maxNesting = Math.max(metrics.maxNesting, depth);
+  }
+
+  function visit(node, nesting, parent) {
+    // Nested functions are measured separately
+    if (FUNCTION_TYPES.has(node.type)) {
+      collect(node, parent, className);
+      return;
+    }
+
+    switch (node.type) {
+      case 'IfStatement':
+        visitIf(node, nesting, false);
+        return;
+
+      case 'ConditionalExpression':
+        metrics.cyclomatic++;
+        metrics.cognitive += 1 + nesting;
+        nest(nesting + 1);
+        visit(node.test, nesting, node);
+        visit(node.consequent, nesting + 1, node);
+        visit(node.alternate, nesting + 1, node);
+        return;
+
+      case 'SwitchStatement':
+        metrics.cognitive += 1 + nesting;
+        nest(nesting + 1);
+        visit(node.discriminant, nesting, node);
+        for (const switchCase of node.cases) {
+          if (switchCase.test) metrics.cyclomatic++;
+          children(switchCase).forEach((child) => visit(child, nesting + 1, switchCase));
+        }
+        return;
+
+      case 'CatchClause':
+        metrics.cyclomatic++;
+        metrics.cognitive += 1 + nesting;
+        nest(nesting + 1);
+        children(node).forEach((child) => visit(child, nesting + 1, node));
+        return;
+
+      case 'LogicalExpression':
+        metrics.cyclomatic++;
+        // A run of the same operator (a && b && c) counts once
+        if (!(parent && parent.type === 'LogicalExpression' && parent.operator === node.operator)) {
+          metrics.cognitive++;
+        }
+        break;
+
+      case 'AssignmentExpression':
+        if (LOGICAL_ASSIGNMENTS.has(node.operator)) {
+          metrics.cyclomatic++;
+          metrics.cognitive++;
+        }
+        break;
+
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        if (node.label) metrics.cognitive++;
+        break;
+
+      default:
+        if (LOOP_TYPES.has(node.type)) {
+          metrics.cyclomatic++;
+          metrics.cognitive += 1 + nesting;
+          nest(nesting + 1);
+          for (const child of children(node)) {
+            visit(child, child === node.body ? nesting + 1 : nesting, node);
+          }
+          return;
+        }
+    }
+
+    children(node).forEach((child) => visit(child, nesting, node));
+  }
+
+  // `else if` chains stay at the same nesting level and cost 1 each
+  function visitIf(node, nesting, isElseIf) {
+    metrics.cyclomatic++;
+    metrics.cognitive += isElseIf ? 1 : 1 + nesting;
+    nest(nesting + 1);
+
+    visit(node.test, nesting, node);
+    visit(node.consequent, nesting + 1, node);
+
+    if (node.alternate) {
+      if (node.alternate.type === 'IfStatement') {
+        visitIf(node.alternate, nesting, true);
+      } else {
+        metrics.cognitive++;
+        visit(node.alternate, nesting + 1, node);
+      }
+    }
+  }
+
+  fn.params.forEach((param) => visit(param, 0, fn));
+  visit(fn.body, 0, fn);
+
+  return {
+    name,
+    kind: functionKind(fn),
+    start_line: fn.loc.start.line,
+    end_line: fn.loc.end.line,
+    params: fn.params.length,
+    cyclomatic: metrics.cyclomatic,
+    cognitive: metrics.cognitive,
+    max_nesting: metrics.maxNesting,
+    rating: ratingFor(metrics.cyclomatic)
+  };
+}
+
+// --- Python (heuristic) -----------------------------------------------------
+
+const PY_DEF = /^([ \t]*)(?:async[ \t]+)?def[ \t]+(\w+)[ \t]*\(/;
+const PY_CLASS = /^([ \t]*)class[ \t]+(\w+)/;
+const PY_NESTING = /^(if|for|while|try|with|match|async[ \t]+for|async[ \t]+with)\b/;
+const PY_BRANCH = /^(if|for|while|except|async[ \t]+for)\b/;
+
+function indentOf(line) {
+  return line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+}
+
+// Drops string literals and comments so keywords inside them do not count
+function stripPython(line) {
+  return line
+    .replace(/("""|''').*?\1/g, '""')
+    .replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, '""')
+    .replace(/#.*$/, '');
+}
+
+function countPythonParams(signature) {
+  let depth = 0;
+  let current = '';
+  const params = [];
+
+  for (const char of signature) {
+    if ('([{'.includes(char)) depth++;
+    if (')]}'.includes(char)) depth--;
+    if (char === ',' && depth === 0) {
+      params.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  params.push(current.trim());
+
+  return params
+    .map((param) => param.split(/[:=]/)[0].trim())
+    .filter((param) => param && param !== 'self' && param !== 'cls' && param !== '*' && param !== '/')
+    .length;
+}
+
+function analyzePython(code) {
+  const lines = code.split('\n');
+  const functions = [];
+  const scopes = []; // enclosing classes and defs: { name, indent, type }
+
+  for (let i = 0; i < lines.length; i++) {
+    const classMatch = lines[i].match(PY_CLASS);
+    if (classMatch) {
+      const indent = indentOf(classMatch[1]);
+      while (scopes.length && scopes.at(-1).indent >= indent) scopes.pop();
+      scopes.push({ name: classMatch[2], indent, type: 'class' });
+      continue;
+    }
+
+    const defMatch = lines[i].match(PY_DEF);
+    if (!defMatch) continue;
+
+    const indent = indentOf(defMatch[1]);
+    while (scopes.length && scopes.at(-1).indent >= indent) scopes.pop();
+    const owner = scopes.at(-1);
+    const name = [...scopes.map((scope) => scope.name), defMatch[2]].join('.');
+    scopes.push({ name: defMatch[2], indent, type: 'def' });
+
+    // The signature may span several lines
+    let signature = lines[i].slice(lines[i].indexOf('(') + 1);
+    let end = i;
+    while (!/\)\s*(->.*)?:\s*(#.*)?$/.test(stripPython(lines[end])) && end + 1 < lines.length) {
+      end++;
+      signature += `\n${lines[end]}`;
+    }
+    signature = signature.replace(/\)\s*(->.*)?:\s*(#.*)?$/, '');
+
+    functions.push(measurePython(lines, i, end, indent, {
+      name,
+      kind: owner && owner.type === 'class' ? (defMatch[2] === '__init__' ? 'constructor' : 'method') : 'function',
+      params: countPythonParams(signature)
+    }));
+  }
+
+  return functions;
+}
+
+function measurePython(lines, start, signatureEnd, defIndent, info) {
+  let cyclomatic = 1;
+  let cognitive = 0;
+  let maxNesting = 0;
+  let last = signatureEnd;
+  let skipBelow = null; // indent of a nested def whose body we are skipping
+  const blocks = []; // indents of open control structures
+
+  for (let i = signatureEnd + 1; i < lines.length; i++) {
+    const code = stripPython(lines[i]);
+    if (code.trim() === '') continue;
+
+    const indent = indentOf(lines[i]);
+    if (indent <= defIndent) break;
+    last = i;
+
+    if (skipBelow !== null) {
+      if (indent > skipBelow) continue;
+      skipBelow = null;
+    }
+
+    const statement = code.trim();
+    if (PY_DEF.test(code) || PY_CLASS.test(code)) {
+      skipBelow = indent;
+      continue;
+    }
+
+    while (blocks.length && blocks.at(-1) >= indent) blocks.pop();
+    const nesting = blocks.length;
+
+    if (/^elif\b/.test(statement)) {
+      cyclomatic++;
+      cognitive++;
+    } else if (/^else\b/.test(statement)) {
+      cognitive++;
+    } else if (/^case\b/.test(statement)) {
+      cyclomatic++;
+    } else if (/^match\b/.test(statement)) {
+      cognitive += 1 + nesting;
+    } else if (PY_BRANCH.test(statement)) {
+      cyclomatic++;
+      cognitive += 1 + nesting;
+    }
+
+    if (PY_NESTING.test(statement) || /^(elif|else|except|finally|case)\b/.test(statement)) {
+      if (statement.endsWith(':')) {
+        blocks.push(indent);
+        maxNesting = Math.max(maxNesting, blocks.length);
+      }
+    }
+
+    // Inline conditionals, comprehension filters and boolean operators
+    const inlineIfs = (statement.match(/\bif\b/g) || []).length - (/^if\b/.test(statement) ? 1 : 0);
+    cyclomatic += inlineIfs;
+    cognitive += inlineIfs;
+
+    const operators = statement.match(/\b(and|or)\b/g) || [];
+    cyclomatic += operators.length;
+    cognitive += operators.filter((operator, index) => operator !== operators[index - 1]).length;
+  }
+
+  return {
+    name: info.name,
+    kind: info.kind,
+    start_line: start + 1,
+    end_line: last + 1,
+    params: info.params,
+    cyclomatic,
+    cognitive,
+    max_nesting: maxNesting,
+    rating: ratingFor(cyclomatic)
+  };
+}
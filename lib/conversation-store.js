@@ -0,0 +1,100 @@
+import { randomUUID } from 'crypto';
+
+// In-memory conversations for the WebSocket servers. Conversations are keyed
+// by id rather than by socket, so a client that reconnects with the same
+// conversationId picks up where it left off. Once `maxConversations` is hit
+// the least recently updated one is dropped. `owner` is the id of the API
+// key that started a conversation (null with auth disabled); the servers
+// check it with canAccess (lib/auth.js).
+export class ConversationStore {
+  constructor({ maxMessages = 100, maxConversations = 1000 } = {}) {
+    this.maxMessages = maxMessages;
+    this.maxConversations = maxConversations;
+    this.conversations = new Map();
+  }
+
+  create({ id = randomUUID(), owner = null, system = null, messages = [] } = {}) {
+    const conversation = {
+      id,
+      owner,
+      system,
+      messages: [...messages],
+      created: new Date().toISOString(),
+      updated: new Date().toISOString()
+    };
+
+    this.conversations.set(id, conversation);
+    if (this.conversations.size > this.maxConversations) {
+      this.evictOldest();
+    }
+    return conversation;
+  }
+
+  get(id) {
+    return this.conversations.get(id) || null;
+  }
+
+  // Unknown ids are created on the spot so clients can pick their own
+  getOrCreate(id, options = {}) {
+    return this.get(id) || this.create({ ...options, id });
+  }
+
+  // The message list to send to /api/chat for the next turn
+  buildMessages(conversation, userMessage) {
+    const messages = conversation.system
+      ? [{ role: 'system', content: conversation.system }]
+      : [];
+
+    return [...messages, ...conversation.messages, userMessage];
+  }
+
+  append(conversation, ...messages) {
+    conversation.messages.push(...messages);
+    if (conversation.messages.length > this.maxMessages) {
+      conversation.messages.splice(0, conversation.messages.length - this.maxMessages);
+    }
+    conversation.updated = new Date().toISOString();
+  }
+
+  // Clears the history; the system prompt survives unless a new one is given
+  reset(id, system) {
+    const conversation = this.get(id);
+    if (!conversation) return null;
+
+    conversation.messages = [];
+    if (system !== undefined) {
+      conversation.system = system;
+    }
+    conversation.updated = new Date().toISOString();
+    return conversation;
+  }
+
+  // Copies a conversation under a new id, owned by `owner`, so both
+  // branches can diverge
+  fork(id, { owner = null } = {}) {
+    const conversation = this.get(id);
+    if (!conversation) return null;
+
+    return this.create({
+      owner,
+      system: conversation.system,
+      messages: conversation.messages.map((message) => ({ ...message }))
+    });
+  }
+
+  evictOldest() {
+    let oldest = null;
+    this.conversations.forEach((conversation) => {
+      if (!oldest || conversation.updated < oldest.updated) {
+        oldest = conversation;
+      }
+    });
+    if (oldest) {
+      this.conversations.delete(oldest.id);
+    }
+  }
+
+  delete(id) {
+    return this.conversations.delete(id);
+  }
+}
@@ -0,0 +1,441 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { gunzipSync } from 'zlib';
+
+// Offline documentation search for the search_documentation tool.
+//
+// Markdown, HTML and man pages under a directory are split into sections
+// and stored in a single JSON file together with an inverted index, so the
+// server, the CLI (index-docs.js) and the LangChain agent all read the same
+// thing. Pointing it at a node_modules directory indexes every package's
+// README instead. Queries are ranked with BM25.
+//
+// On disk:
+//   {
+//     version: 1,
+//     roots: { [absoluteDir]: { indexed, documents } },
+//     docs: [{ path, root, title, section, text, length }],
+//     terms: { [term]: [[docIndex, termFrequency], ...] }
+//   }
+
+const INDEX_VERSION = 1;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+const MAX_SECTION_LENGTH = 2000;
+const SNIPPET_LENGTH = 300;
+
+const SKIP_DIRS = new Set(['.git', 'node_modules', '.hg', '.svn']);
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'how', 'i',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what',
+  'when', 'where', 'which', 'will', 'with', 'you', 'your'
+]);
+
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9_$]+/g) || [])
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token));
+}
+
+function docType(file) {
+  const name = file.toLowerCase();
+  if (/\.(md|markdown|mdx|txt)$/.test(name)) return 'markdown';
+  if (/\.html?$/.test(name)) return 'html';
+  if (/\.[1-9][a-z]*(\.gz)?$/.test(name)) return 'man';
+  return null;
+}
+
+// --- Parsing files into sections ---------------------------------------------
+
+function cleanMarkdown(text) {
+  return text
+    .replace(/!\[[^\]]*\](\([^)]*\)|\[[^\]]*\])/g, '')
+    .replace(/\[([^\]]*)\](\([^)]*\)|\[[^\]]*\])/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/^[ \t]*[*_-]{3,}[ \t]*$/gm, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&([a-z0-9#]+);/gi, (match, name) => ENTITIES[name.toLowerCase()] ?? match);
+}
+
+function stripHtml(html) {
+  return decodeEntities(html
+    .replace(/<(br|\/p|\/div|\/li|\/tr|\/h[1-6]|\/pre)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n\n')
+    .trim();
+}
+
+function markdownSections(text, fallbackTitle) {
+  const sections = [];
+  let title = fallbackTitle;
+  let current = { section: null, lines: [] };
+  let inFence = false;
+
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+
+    const heading = !inFence && line.match(/^#{1,3}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      sections.push(current);
+      const text = cleanMarkdown(heading[1]) || heading[1];
+      current = { section: text, lines: [] };
+      if (title === fallbackTitle && line.startsWith('# ')) title = text;
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return {
+    title,
+    sections: sections.map(({ section, lines }) => ({ section, text: cleanMarkdown(lines.join('\n')) }))
+  };
+}
+
+function htmlSections(html, fallbackTitle) {
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|nav|header|footer)[^>]*>[\s\S]*?<\/\1>/gi, '');
+
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? stripHtml(titleMatch[1]) : fallbackTitle;
+
+  const parts = body.split(/(<h[1-3][^>]*>[\s\S]*?<\/h[1-3]>)/i);
+  const sections = [{ section: null, text: stripHtml(parts[0]) }];
+  for (let i = 1; i < parts.length; i += 2) {
+    sections.push({ section: stripHtml(parts[i]), text: stripHtml(parts[i + 1] || '') });
+  }
+  return { title: title || fallbackTitle, sections };
+}
+
+function cleanRoff(text) {
+  return text
+    .split('\n')
+    .filter((line) => !line.startsWith('.\\"') && !line.startsWith('\'\\"'))
+    .map((line) => line.replace(/^\.(B|I|BR|BI|IR|IB|RB|RI)\s+/, '').replace(/^\.[A-Za-z]{1,3}\b.*$/, ''))
+    .join('\n')
+    .replace(/\\f[BIRP]|\\f\(..|\\s[+-]?\d/g, '')
+    .replace(/\\-/g, '-')
+    .replace(/\\e/g, '\\')
+    .replace(/\\\(..|\\&|\\\//g, '')
+    .replace(/"/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function manSections(text, fallbackTitle) {
+  const titleMatch = text.match(/^\.TH\s+"?([^\s"]+)"?\s+"?([^\s"]+)"?/m);
+  const title = titleMatch ? `${titleMatch[1]}(${titleMatch[2]})` : fallbackTitle;
+
+  const parts = text.split(/^\.SH\s+(.*)$/m);
+  const sections = [{ section: null, text: cleanRoff(parts[0]) }];
+  for (let i = 1; i < parts.length; i += 2) {
+    sections.push({ section: parts[i].replace(/"/g, '').trim(), text: cleanRoff(parts[i + 1] || '') });
+  }
+  return { title, sections };
+}
+
+// Long sections are cut on paragraph boundaries so snippets stay focused
+function splitLong(text) {
+  if (text.length <= MAX_SECTION_LENGTH) return [text];
+
+  const pieces = [];
+  let current = '';
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    if (current && current.length + paragraph.length > MAX_SECTION_LENGTH) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+export function parseDocument(content, file, fallbackTitle = path.basename(file)) {
+  const type = docType(file);
+  const parsed = type === 'html'
+    ? htmlSections(content, fallbackTitle)
+    : type === 'man'
+      ? manSections(content, fallbackTitle)
+      : markdownSections(content, fallbackTitle);
+
+  return parsed.sections
+    .filter(({ text }) => text.trim() !== '')
+    .flatMap(({ section, text }) => splitLong(text).map((piece) => ({
+      title: parsed.title,
+      section,
+      text: piece
+    })));
+}
+
+// --- Finding files -------------------------------------------------------------
+
+async function walk(dir, files = []) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EACCES') return files;
+    throw error;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory() && !SKIP_DIRS.has(entry.name)) {
+      await walk(fullPath, files);
+    } else if (entry.isFile() && docType(entry.name)) {
+      files.push({ file: fullPath });
+    }
+  }
+  return files;
+}
+
+// One README per package, including scoped (@scope/name) packages
+async function packageReadmes(nodeModules) {
+  const files = [];
+  const packageDirs = [];
+
+  for (const entry of await fs.readdir(nodeModules, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+    if (entry.name.startsWith('@')) {
+      const scope = path.join(nodeModules, entry.name);
+      for (const scoped of await fs.readdir(scope, { withFileTypes: true })) {
+        if (scoped.isDirectory()) packageDirs.push({ dir: path.join(scope, scoped.name), name: `${entry.name}/${scoped.name}` });
+      }
+    } else {
+      packageDirs.push({ dir: path.join(nodeModules, entry.name), name: entry.name });
+    }
+  }
+
+  for (const { dir, name } of packageDirs) {
+    const readme = (await fs.readdir(dir)).find((file) => /^readme(\.(md|markdown|txt))?$/i.test(file));
+    if (readme) files.push({ file: path.join(dir, readme), title: name });
+  }
+  return files;
+}
+
+async function readDoc(file) {
+  const stats = await fs.stat(file);
+  if (stats.size > MAX_FILE_SIZE) return null;
+
+  const buffer = await fs.readFile(file);
+  return (file.endsWith('.gz') ? gunzipSync(buffer) : buffer).toString('utf8');
+}
+
+// --- The index ---------------------------------------------------------------
+
+function termFrequencies(tokens) {
+  const frequencies = new Map();
+  for (const token of tokens) {
+    frequencies.set(token, (frequencies.get(token) || 0) + 1);
+  }
+  return frequencies;
+}
+
+// The stretch of `text` with the most query terms in it
+export function makeSnippet(text, queryTerms) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= SNIPPET_LENGTH) return flat;
+
+  const wanted = new Set(queryTerms);
+  const words = flat.split(' ');
+  let best = { start: 0, hits: -1 };
+
+  for (let start = 0; start < words.length; start += 10) {
+    const window = words.slice(start, start + 45);
+    const hits = window.filter((word) => tokenize(word).some((token) => wanted.has(token))).length;
+    if (hits > best.hits) best = { start, hits };
+  }
+
+  let snippet = words.slice(best.start).join(' ');
+  if (snippet.length > SNIPPET_LENGTH) {
+    snippet = `${snippet.slice(0, SNIPPET_LENGTH).replace(/\s+\S*$/, '')}…`;
+  }
+  return best.start > 0 ? `…${snippet}` : snippet;
+}
+
+export class DocsIndex {
+  constructor({ file = './docs-index.json' } = {}) {
+    this.file = path.resolve(file);
+    this.roots = {};
+    this.docs = [];
+    this.terms = new Map();
+    this.mtime = 0;
+  }
+
+  // Loads the index if the file changed since we last read it, so a server
+  // picks up a reindex done from the CLI
+  async refresh() {
+    let stats;
+    try {
+      stats = await fs.stat(this.file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    if (stats.mtimeMs === this.mtime) return;
+
+    const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    if (data.version !== INDEX_VERSION) {
+      throw new Error(`Unsupported docs index version ${data.version} in ${this.file}; reindex`);
+    }
+    this.roots = data.roots;
+    this.docs = data.docs;
+    this.terms = new Map(Object.entries(data.terms));
+    this.mtime = stats.mtimeMs;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({
+      version: INDEX_VERSION,
+      roots: this.roots,
+      docs: this.docs,
+      terms: Object.fromEntries(this.terms)
+    }));
+    await fs.rename(tmp, this.file);
+    this.mtime = (await fs.stat(this.file)).mtimeMs;
+  }
+
+  // Rebuilds postings from the stored section text
+  rebuildTerms() {
+    this.terms = new Map();
+    this.docs.forEach((doc, index) => {
+      const frequencies = termFrequencies(tokenize(`${doc.title} ${doc.section || ''} ${doc.text}`));
+      doc.length = 0;
+      for (const [term, count] of frequencies) {
+        doc.length += count;
+        if (!this.terms.has(term)) this.terms.set(term, []);
+        this.terms.get(term).push([index, count]);
+      }
+    });
+  }
+
+  // (Re)indexes everything under `dir`, replacing what was indexed from it before.
+  // Returns { root, files, documents }.
+  async indexDirectory(dir) {
+    await this.refresh();
+
+    const root = path.resolve(dir);
+    const stats = await fs.stat(root);
+    if (!stats.isDirectory()) {
+      throw new Error(`Not a directory: ${dir}`);
+    }
+
+    const files = path.basename(root) === 'node_modules'
+      ? await packageReadmes(root)
+      : await walk(root);
+
+    const docs = [];
+    for (const { file, title } of files) {
+      const content = await readDoc(file);
+      if (content === null) continue;
+      for (const section of parseDocument(content, file, title)) {
+        // Package READMEs are titled by package name, not their first heading
+        docs.push({ path: file, root, ...section, ...(title && { title }) });
+      }
+    }
+
+    this.docs = this.docs.filter((doc) => doc.root !== root).concat(docs);
+    this.roots[root] = { indexed: new Date().toISOString(), documents: docs.length };
+    this.rebuildTerms();
+    await this.save();
+
+    return { root, files: files.length, documents: docs.length };
+  }
+
+  async removeDirectory(dir) {
+    await this.refresh();
+
+    const root = path.resolve(dir);
+    if (!this.roots[root]) return false;
+
+    this.docs = this.docs.filter((doc) => doc.root !== root);
+    delete this.roots[root];
+    this.rebuildTerms();
+    await this.save();
+    return true;
+  }
+
+  async stats() {
+    await this.refresh();
+    return {
+      file: this.file,
+      documents: this.docs.length,
+      terms: this.terms.size,
+      roots: Object.entries(this.roots).map(([root, info]) => ({ root, ...info }))
+    };
+  }
+
+  // Ranked sections for a query: [{ path, title, section, score, snippet }].
+  // Sections whose path or title mention `technology` get a boost.
+  async search(query, { limit = 5, technology } = {}) {
+    await this.refresh();
+
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || this.docs.length === 0) return [];
+
+    const averageLength = this.docs.reduce((sum, doc) => sum + doc.length, 0) / this.docs.length;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const postings = this.terms.get(term);
+      if (!postings) continue;
+
+      const idf = Math.log(1 + (this.docs.length - postings.length + 0.5) / (postings.length + 0.5));
+      for (const [index, frequency] of postings) {
+        const { length } = this.docs[index];
+        const score = idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+        scores.set(index, (scores.get(index) || 0) + score);
+      }
+    }
+
+    const boostTerms = technology ? tokenize(technology) : [];
+    if (boostTerms.length > 0) {
+      for (const [index, score] of scores) {
+        const doc = this.docs[index];
+        const haystack = `${doc.path} ${doc.title}`.toLowerCase();
+        if (boostTerms.some((term) => haystack.includes(term))) {
+          scores.set(index, score * 1.5);
+        }
+      }
+    }
+
+    return Array.from(scores)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([index, score]) => {
+        const doc = this.docs[index];
+        return {
+          path: doc.path,
+          title: doc.title,
+          section: doc.section,
+          score: Math.round(score * 1000) / 1000,
+          snippet: makeSnippet(doc.text, queryTerms)
+        };
+      });
+  }
+}
+
+// DOCS_INDEX_FILE picks where the index lives (default ./docs-index.json)
+export function createDocsIndex(env = process.env) {
+  return new DocsIndex({ file: env.DOCS_INDEX_FILE || './docs-index.json' });
+}
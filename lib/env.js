@@ -0,0 +1,25 @@
+// Integer settings from the environment. A malformed value throws at startup
+// instead of turning into NaN, which compares false against everything and
+// so would silently switch off whatever limit it was meant to set.
+export function readInteger(env, name, fallback, { min = 1 } = {}) {
+  const raw = env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`${name} must be an integer of at least ${min}, got "${raw}"`);
+  }
+  return value;
+}
+
+// Same for fractional settings, which must also fall within [min, max]
+export function readNumber(env, name, fallback, { min = -Infinity, max = Infinity } = {}) {
+  const raw = env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`${name} must be a number between ${min} and ${max}, got "${raw}"`);
+  }
+  return value;
+}
@@ -0,0 +1,88 @@
+// Fill-in-the-middle prompts for code models. Each format wraps the text
+// before and after the cursor in the sentinel tokens the model was trained
+// with; the model then generates the missing middle. Prompts are sent to
+// /api/generate with raw: true so Ollama's chat template stays out of the way.
+
+export const FIM_FORMATS = {
+  'deepseek-coder': {
+    build: ({ prefix, suffix }) => `<｜fim▁begin｜>${prefix}<｜fim▁hole｜>${suffix}<｜fim▁end｜>`,
+    stop: ['<｜fim▁begin｜>', '<｜fim▁hole｜>', '<｜fim▁end｜>', '<|EOT|>', '<｜end▁of▁sentence｜>']
+  },
+  codellama: {
+    build: ({ prefix, suffix }) => `<PRE> ${prefix} <SUF>${suffix} <MID>`,
+    stop: ['<EOT>', '<PRE>', '<SUF>', '<MID>']
+  },
+  starcoder: {
+    // StarCoder also takes the file name as a hint
+    build: ({ prefix, suffix, filename }) =>
+      `${filename ? `<filename>${filename}\n` : ''}<fim_prefix>${prefix}<fim_suffix>${suffix}<fim_middle>`,
+    stop: ['<|endoftext|>', '<fim_prefix>', '<fim_suffix>', '<fim_middle>', '<file_sep>']
+  }
+};
+
+// Model name patterns (as listed by `ollama list`) -> format
+const MODEL_FORMATS = [
+  [/deepseek-coder/i, 'deepseek-coder'],
+  [/codellama|code-llama/i, 'codellama'],
+  [/starcoder|stable-code/i, 'starcoder']
+];
+
+export function detectFimFormat(model) {
+  const match = MODEL_FORMATS.find(([pattern]) => pattern.test(model));
+  return match ? match[1] : null;
+}
+
+// Keeps the end of the prefix and the start of the suffix, cut at line
+// boundaries, so long files fit in the context window
+export function trimContext(prefix, suffix, { maxPrefixChars = 6000, maxSuffixChars = 2000 } = {}) {
+  let trimmedPrefix = prefix;
+  if (trimmedPrefix.length > maxPrefixChars) {
+    trimmedPrefix = trimmedPrefix.slice(-maxPrefixChars);
+    const newline = trimmedPrefix.indexOf('\n');
+    if (newline !== -1) trimmedPrefix = trimmedPrefix.slice(newline + 1);
+  }
+
+  let trimmedSuffix = suffix;
+  if (trimmedSuffix.length > maxSuffixChars) {
+    trimmedSuffix = trimmedSuffix.slice(0, maxSuffixChars);
+    const newline = trimmedSuffix.lastIndexOf('\n');
+    if (newline !== -1) trimmedSuffix = trimmedSuffix.slice(0, newline + 1);
+  }
+
+  return { prefix: trimmedPrefix, suffix: trimmedSuffix };
+}
+
+// Returns { prompt, stop } for `format`
+export function buildFimPrompt(format, { prefix, suffix = '', filename }) {
+  const spec = FIM_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown FIM format: ${format}`);
+  }
+
+  const context = trimContext(prefix, suffix);
+  return {
+    prompt: spec.build({ ...context, filename }),
+    stop: spec.stop
+  };
+}
+
+// Drops sentinel tokens that slipped through and text the model repeated
+// from the suffix
+export function cleanCompletion(text, format, suffix = '') {
+  let completion = text;
+  for (const token of FIM_FORMATS[format].stop) {
+    const index = completion.indexOf(token);
+    if (index !== -1) completion = completion.slice(0, index);
+  }
+
+  const nextLine = suffix.split('\n').find((line) => line.trim() !== '');
+  if (nextLine && nextLine.trim().length > 3) {
+    const repeated = completion.indexOf(nextLine.trim());
+    if (repeated > 0 && completion.slice(0, repeated).endsWith('\n' + nextLine.match(/^\s*/)[0])) {
+      const cut = completion.slice(0, repeated).replace(/[ \t]*$/, '');
+      completion = /^[ \t]*\r?\n/.test(suffix) ? cut.replace(/\s+$/, '') : cut;
+    }
+  }
+
+  return completion;
+}
@@ -0,0 +1,262 @@
+// Small JSON Schema validator covering the subset tools and structured output
+// actually use: type, enum, const, properties/required/additionalProperties,
+// min/maxProperties, items, uniqueItems, string/number/array bounds (with
+// exclusiveMinimum/exclusiveMaximum and multipleOf), pattern,
+// anyOf/oneOf/allOf/not, and $ref to a local $defs/definitions entry.
+// validate() returns a list of human-readable errors (empty when the value
+// is valid), phrased so they can be fed back to a model as-is.
+// checkSchema() lists whatever a schema uses beyond that subset, so callers
+// can turn such schemas away instead of half-checking them.
+
+// Keywords that only describe; anything else checkSchema() does not know
+const ANNOTATIONS = new Set([
+  '$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'format',
+  'deprecated', 'readOnly', 'writeOnly'
+]);
+
+const ASSERTIONS = new Set([
+  'type', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'minProperties',
+  'maxProperties', 'items', 'minItems', 'maxItems', 'uniqueItems', 'minLength', 'maxLength',
+  'pattern', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'allOf', 'anyOf', 'oneOf', 'not', '$ref', '$defs', 'definitions'
+]);
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function describe(path) {
+  return path || 'value';
+}
+
+// JSON.stringify with object keys sorted, so equal values compare equal
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (typeOf(value) === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// The subschema a local $ref ("#", "#/$defs/name", ...) points at, or
+// undefined when there is none
+function resolveRef(root, ref) {
+  if (typeof ref !== 'string' || (ref !== '#' && !ref.startsWith('#/'))) return undefined;
+  let target = root;
+  for (const token of ref === '#' ? [] : ref.slice(2).split('/')) {
+    const name = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (typeof target !== 'object' || target === null || !Object.hasOwn(target, name)) return undefined;
+    target = target[name];
+  }
+  return target;
+}
+
+// Problems that keep validate() from checking values against `schema`
+// faithfully: keywords it does not implement, $refs it cannot follow and
+// patterns that are no valid regular expressions. Empty when there are none.
+export function checkSchema(schema, root = schema, path = '#') {
+  if (typeof schema === 'boolean') return [];
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    return [`${path} is not a schema`];
+  }
+
+  const problems = [];
+  const sub = (subschema, subpath) => problems.push(...checkSchema(subschema, root, subpath));
+
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (ANNOTATIONS.has(keyword)) continue;
+    if (!ASSERTIONS.has(keyword)) {
+      problems.push(`${path}: ${keyword} is not supported`);
+      continue;
+    }
+
+    switch (keyword) {
+      case 'properties':
+      case '$defs':
+      case 'definitions':
+        for (const [name, subschema] of Object.entries(value ?? {})) sub(subschema, `${path}/${keyword}/${name}`);
+        break;
+      case 'additionalProperties':
+      case 'not':
+        sub(value, `${path}/${keyword}`);
+        break;
+      case 'items':
+        if (Array.isArray(value)) problems.push(`${path}: items as an array (tuple validation) is not supported`);
+        else sub(value, `${path}/items`);
+        break;
+      case 'allOf':
+      case 'anyOf':
+      case 'oneOf':
+        if (!Array.isArray(value)) problems.push(`${path}: ${keyword} must be an array`);
+        else value.forEach((subschema, index) => sub(subschema, `${path}/${keyword}/${index}`));
+        break;
+      case 'exclusiveMinimum':
+      case 'exclusiveMaximum':
+      case 'multipleOf':
+        if (typeof value !== 'number') problems.push(`${path}: ${keyword} must be a number`);
+        else if (keyword === 'multipleOf' && value <= 0) problems.push(`${path}: multipleOf must be greater than 0`);
+        break;
+      case '$ref':
+        if (resolveRef(root, value) === undefined) problems.push(`${path}: $ref ${JSON.stringify(value)} does not point into this schema`);
+        break;
+      case 'pattern':
+        try {
+          new RegExp(value, 'u');
+        } catch {
+          problems.push(`${path}: pattern ${JSON.stringify(value)} is not a valid regular expression`);
+        }
+        break;
+    }
+  }
+
+  return problems;
+}
+
+export function validate(schema, value, path = '', root = schema) {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [`${describe(path)} is not allowed`];
+
+  const errors = [];
+
+  if (schema.$ref !== undefined) {
+    const target = resolveRef(root, schema.$ref);
+    if (target === undefined) {
+      throw new Error(`$ref ${schema.$ref} does not point into the schema`);
+    }
+    errors.push(...validate(target, value, path, root));
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return [`${describe(path)} must be of type ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${describe(path)} must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${describe(path)} must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${describe(path)} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${describe(path)} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${describe(path)} must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${describe(path)} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${describe(path)} must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${describe(path)} must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${describe(path)} must be < ${schema.exclusiveMaximum}`);
+    }
+    // Divides exactly for integers; otherwise up to floating point error,
+    // so 0.3 counts as a multiple of 0.1
+    if (schema.multipleOf !== undefined) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        errors.push(`${describe(path)} must be a multiple of ${schema.multipleOf}`);
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${describe(path)} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${describe(path)} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems === true) {
+      const seen = new Map();
+      value.forEach((item, index) => {
+        const key = canonical(item);
+        if (seen.has(key)) {
+          errors.push(`${path}[${index}] repeats ${path}[${seen.get(key)}]; items must be unique`);
+        } else {
+          seen.set(key, index);
+        }
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, `${path}[${index}]`, root));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    const count = Object.keys(value).length;
+    if (schema.minProperties !== undefined && count < schema.minProperties) {
+      errors.push(`${describe(path)} must have at least ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+      errors.push(`${describe(path)} must have at most ${schema.maxProperties} properties`);
+    }
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(`${path ? `${path}.` : ''}${name} is required`);
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const propertyPath = path ? `${path}.${name}` : name;
+      if (properties[name] !== undefined) {
+        errors.push(...validate(properties[name], propertyValue, propertyPath, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${propertyPath} is not an allowed property`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, propertyValue, propertyPath, root));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach((subschema) => errors.push(...validate(subschema, value, path, root)));
+  }
+
+  if (schema.anyOf && !schema.anyOf.some((subschema) => validate(subschema, value, path, root).length === 0)) {
+    errors.push(`${describe(path)} does not match any of the allowed shapes`);
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((subschema) => validate(subschema, value, path, root).length === 0).length;
+    if (matches !== 1) {
+      errors.push(`${describe(path)} must match exactly one of the allowed shapes (matched ${matches})`);
+    }
+  }
+
+  if (schema.not !== undefined && validate(schema.not, value, path, root).length === 0) {
+    errors.push(`${describe(path)} matches a shape that is not allowed`);
+  }
+
+  return errors;
+}
@@ -0,0 +1,338 @@
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Structured logs for the servers: one JSON object per line on stdout,
+//   {"time":"…","level":"info","msg":"chat complete","service":"server-activity","clientId":3,"requestId":"3-7","model":"llama2","latencyMs":812}
+// and, when AUDIT_LOG_FILE is set, an audit trail: one line per request with
+// everything that was asked and answered, in a file rotated by size.
+//
+// Prompt and response text is found by field name (BODY_FIELDS, at any depth)
+// and written according to a redaction mode:
+//   full      as is
+//   truncate  the first LOG_BODY_CHARS characters, then how many were cut
+//   redact    only its length
+// Fields that look like credentials (SECRET_FIELDS) are never written.
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const REDACTION_MODES = ['full', 'truncate', 'redact'];
+
+const BODY_FIELDS = new Set([
+  'prompt', 'system', 'message', 'messages', 'content', 'response', 'full_response', 'text',
+  'prefix', 'suffix', 'input', 'raw', 'parsed', 'arguments', 'result'
+]);
+const SECRET_FIELDS = /^(authorization|access_?token|api_?key|password|secret)$/i;
+
+const DEFAULT_BODY_CHARS = 200;
+const DEFAULT_AUDIT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_AUDIT_MAX_FILES = 5;
+
+// Request ids from clients (X-Request-Id) are kept when they are this tame
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function redactText(text, { bodies, bodyChars }) {
+  if (bodies === 'redact') return `[${text.length} chars]`;
+  if (bodies === 'truncate' && text.length > bodyChars) {
+    return `${text.slice(0, bodyChars)}… [${text.length - bodyChars} more chars]`;
+  }
+  return text;
+}
+
+// `value` with body text redacted per `options` ({ bodies, bodyChars }) and
+// secrets removed. `inBody` is set below a body field, where every string is
+// body text (the content of each message in `messages`, say).
+export function redact(value, options, inBody = false) {
+  if (typeof value === 'string') return inBody ? redactText(value, options) : value;
+  if (value instanceof Error) return serializeError(value);
+  if (Array.isArray(value)) return value.map((item) => redact(item, options, inBody));
+  if (typeof value !== 'object' || value === null) return value;
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    if (SECRET_FIELDS.test(key)) {
+      result[key] = '[secret]';
+    } else {
+      result[key] = redact(item, options, inBody || (options.bodies !== 'full' && BODY_FIELDS.has(key)));
+    }
+  }
+  return result;
+}
+
+function serializeError(error, withStack = true) {
+  const result = { name: error.name, message: error.message };
+  if (error.status !== undefined) result.status = error.status;
+  if (error.code !== undefined) result.code = error.code;
+  if (withStack && error.stack) result.stack = error.stack;
+  return result;
+}
+
+function readMode(value, name, fallback) {
+  if (!value) return fallback;
+  if (!REDACTION_MODES.includes(value)) {
+    throw new Error(`${name} must be one of ${REDACTION_MODES.join(', ')}`);
+  }
+  return value;
+}
+
+function readPositive(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return number;
+}
+
+// Loggers share one config; child() adds fields (clientId, requestId...)
+// that every line it writes carries.
+export class Logger {
+  constructor(config = {}, fields = {}) {
+    this.config = {
+      level: 'info',
+      format: 'json',
+      bodies: 'truncate',
+      bodyChars: DEFAULT_BODY_CHARS,
+      write: (line) => process.stdout.write(line),
+      ...config
+    };
+    if (!Object.hasOwn(LEVELS, this.config.level)) {
+      throw new Error(`Unknown log level ${this.config.level} (expected ${Object.keys(LEVELS).join(', ')})`);
+    }
+    this.fields = fields;
+  }
+
+  child(fields) {
+    return new Logger(this.config, { ...this.fields, ...fields });
+  }
+
+  // Adds fields to this logger itself, e.g. the model once a handler knows it
+  assign(fields) {
+    Object.assign(this.fields, fields);
+    return this;
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[this.config.level];
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.enabled(level)) return;
+    const { error, ...rest } = { ...this.fields, ...fields };
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...redact(rest, this.config)
+    };
+    if (error !== undefined) {
+      // Stacks only on error lines; a warning's cause is usually enough
+      entry.error = error instanceof Error ? serializeError(error, level === 'error') : error;
+    }
+    this.config.write(`${this.config.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry)}\n`);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+// LOG_FORMAT=pretty, for reading in a terminal:
+//   12:00:03.120 INFO  chat complete clientId=3 model="llama2" latencyMs=812
+function formatPretty({ time, level, msg, error, ...fields }) {
+  const pairs = Object.entries(fields).map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+  let line = `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${pairs.length ? ` ${pairs.join(' ')}` : ''}`;
+  if (error) line += `\n  ${error.stack || `${error.name}: ${error.message}`}`;
+  return line;
+}
+
+// The audit trail. Every record() appends one JSON line; once the file would
+// grow past maxBytes it is renamed to <file>.1 (and .1 to .2 and so on,
+// keeping maxFiles old files) and a new one is started. Writes happen in
+// order, in the background; failures go to onError and are not retried.
+export class AuditLog {
+  constructor({ file = null, maxBytes = DEFAULT_AUDIT_MAX_BYTES, maxFiles = DEFAULT_AUDIT_MAX_FILES, bodies = 'full', bodyChars = DEFAULT_BODY_CHARS, onError = () => {} } = {}) {
+    this.file = file ? path.resolve(file) : null;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.redaction = { bodies, bodyChars };
+    this.onError = onError;
+    this.size = null; // bytes in the current file, read on the first write
+    this.pending = Promise.resolve();
+  }
+
+  get enabled() {
+    return this.file !== null;
+  }
+
+  // Resolves once the entry is written (or failed to be); never rejects
+  record(entry) {
+    if (!this.enabled) return this.pending;
+    const line = `${JSON.stringify({ time: new Date().toISOString(), ...redact(entry, this.redaction) })}\n`;
+    this.pending = this.pending
+      .then(() => this.append(line))
+      .catch((error) => this.onError(error));
+    return this.pending;
+  }
+
+  async append(line) {
+    const bytes = Buffer.byteLength(line);
+    if (this.size === null) {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      try {
+        this.size = (await fs.stat(this.file)).size;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.size = 0;
+      }
+    }
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      await this.rotate();
+    }
+    await fs.appendFile(this.file, line, { mode: 0o600 });
+    this.size += bytes;
+  }
+
+  async rotate() {
+    await fs.rm(`${this.file}.${this.maxFiles}`, { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      await fs.rename(`${this.file}.${index}`, `${this.file}.${index + 1}`).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    await fs.rename(this.file, `${this.file}.1`);
+    this.size = 0;
+  }
+}
+
+// LOG_LEVEL (debug, info, warn, error; default info), LOG_FORMAT (json or
+// pretty), LOG_BODIES (redaction mode, default truncate) and LOG_BODY_CHARS.
+// `fields` go on every line, e.g. { service: 'code-completer' }; `stream` is
+// where lines go (stderr for the language server, whose stdout is the protocol).
+export function createLogger(env = process.env, fields = {}, { stream = process.stdout } = {}) {
+  return new Logger({
+    level: env.LOG_LEVEL || 'info',
+    format: env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json',
+    bodies: readMode(env.LOG_BODIES, 'LOG_BODIES', 'truncate'),
+    bodyChars: readPositive(env.LOG_BODY_CHARS, 'LOG_BODY_CHARS', DEFAULT_BODY_CHARS),
+    write: (line) => stream.write(line)
+  }, fields);
+}
+
+// AUDIT_LOG_FILE switches the audit trail on (e.g. logs/audit.jsonl);
+// AUDIT_MAX_BYTES and AUDIT_MAX_FILES control rotation and AUDIT_BODIES the
+// redaction (default full: the point is to be able to review what was said).
+// Write failures are logged through `logger`.
+export function createAuditLog(env = process.env, logger) {
+  return new AuditLog({
+    file: env.AUDIT_LOG_FILE || null,
+    maxBytes: readPositive(env.AUDIT_MAX_BYTES, 'AUDIT_MAX_BYTES', DEFAULT_AUDIT_MAX_BYTES),
+    maxFiles: readPositive(env.AUDIT_MAX_FILES, 'AUDIT_MAX_FILES', DEFAULT_AUDIT_MAX_FILES),
+    bodies: readMode(env.AUDIT_BODIES, 'AUDIT_BODIES', 'full'),
+    bodyChars: readPositive(env.LOG_BODY_CHARS, 'LOG_BODY_CHARS', DEFAULT_BODY_CHARS),
+    onError: (error) => logger?.error('Audit log write failed', { error })
+  });
+}
+
+// A request id: the client's own when it sent a usable one
+export function requestId(candidate) {
+  return typeof candidate === 'string' && REQUEST_ID_PATTERN.test(candidate) ? candidate : randomUUID();
+}
+
+// Text of one streamed event, for the audit trail: our own { type: 'content' }
+// events and OpenAI-style chunks. undefined for anything else.
+function streamedText(event) {
+  if (event?.type === 'content') return event.content;
+  const choice = event?.choices?.[0];
+  return choice?.delta?.content ?? choice?.text ?? undefined;
+}
+
+// Keeps what a response sends: the body of res.json(), or for Server-Sent
+// Events the streamed text and every other event
+function captureResponse(res) {
+  const captured = { body: undefined, text: '', events: [], streamed: false };
+  const { json, write } = res;
+
+  res.json = function (body) {
+    captured.body = body;
+    return json.call(this, body);
+  };
+  res.write = function (chunk, ...rest) {
+    captured.streamed = true;
+    for (const line of String(chunk).split('\n')) {
+      if (!line.startsWith('data: ') || line === 'data: [DONE]') continue;
+      let event;
+      try {
+        event = JSON.parse(line.slice(6));
+      } catch {
+        continue;
+      }
+      const text = streamedText(event);
+      if (typeof text === 'string') {
+        captured.text += text;
+      } else {
+        captured.events.push(event);
+      }
+    }
+    return write.call(this, chunk, ...rest);
+  };
+
+  return {
+    reply: () => (captured.streamed ? { text: captured.text, events: captured.events } : captured.body)
+  };
+}
+
+// Express middleware, ahead of the routes. Every request gets an id (sent
+// back as X-Request-Id) and req.log, a child of `logger` carrying it, which
+// handlers can assign() more fields to (clientId, model). When the response
+// closes one line is logged with its status and latency, and the request and
+// response go to `audit`. Routes in `quiet` (health checks, scrapes) and
+// requests no route matched are logged at debug and not audited.
+export function requestLogging({ logger, audit, quiet = [] }) {
+  return (req, res, next) => {
+    const started = performance.now();
+    req.id = requestId(req.get('X-Request-Id'));
+    req.log = logger.child({ requestId: req.id });
+    res.setHeader('X-Request-Id', req.id);
+    const capture = audit?.enabled ? captureResponse(res) : null;
+
+    res.on('close', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : null;
+      const routine = !route || quiet.includes(route);
+      const fields = {
+        method: req.method,
+        path: req.path,
+        route,
+        status: res.statusCode,
+        latencyMs: Math.round(performance.now() - started),
+        ip: req.ip
+      };
+      if (!res.writableFinished) fields.aborted = true;
+
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : routine ? 'debug' : 'info';
+      req.log.log(level, 'request', fields);
+
+      if (capture && !routine) {
+        audit.record({
+          ...req.log.fields,
+          ...fields,
+          request: { query: req.query, body: req.body },
+          reply: capture.reply()
+        });
+      }
+    });
+    next();
+  };
+}
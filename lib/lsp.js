@@ -0,0 +1,288 @@
+// Minimal Language Server Protocol plumbing: JSON-RPC 2.0 framed with
+// Content-Length headers (the stdio transport editors use), plus a store of
+// open documents kept in step with incremental didChange events.
+//
+// Positions are LSP's { line, character } with character counted in UTF-16
+// code units, which is what JavaScript string indices already are.
+
+export const ErrorCodes = {
+  ParseError: -32700,
+  InvalidRequest: -32600,
+  MethodNotFound: -32601,
+  InvalidParams: -32602,
+  InternalError: -32603,
+  ServerNotInitialized: -32002,
+  RequestCancelled: -32800,
+  ContentModified: -32801
+};
+
+export const TextDocumentSyncKind = { None: 0, Full: 1, Incremental: 2 };
+
+// Thrown by handlers to answer with a specific JSON-RPC error
+export class ResponseError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'ResponseError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// `log` gets handler failures: log.error(message, { method, error }). The
+// default, console, writes to stderr, which is free when stdout is the transport.
+export class LspConnection {
+  constructor(input = process.stdin, output = process.stdout, log = console) {
+    this.input = input;
+    this.output = output;
+    this.log = log;
+    this.buffer = Buffer.alloc(0);
+    this.requestHandlers = new Map();
+    this.notificationHandlers = new Map();
+    this.inFlight = new Map(); // request id -> AbortController
+    this.pending = new Map(); // id of a request we sent -> { resolve, reject }
+    this.nextId = 1;
+  }
+
+  // handler(params, { signal, id }) returns (or resolves to) the result
+  onRequest(method, handler) {
+    this.requestHandlers.set(method, handler);
+  }
+
+  onNotification(method, handler) {
+    this.notificationHandlers.set(method, handler);
+  }
+
+  listen() {
+    this.input.on('data', (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.drain();
+    });
+    this.input.on('end', () => this.notificationHandlers.get('$/close')?.());
+  }
+
+  // Splits the buffer into complete messages; a partial one waits for more data
+  drain() {
+    for (;;) {
+      const headerEnd = this.buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+
+      const header = this.buffer.subarray(0, headerEnd).toString('ascii');
+      const match = header.match(/Content-Length:\s*(\d+)/i);
+      if (!match) {
+        // Unframed garbage; skip past it rather than stall forever
+        this.buffer = this.buffer.subarray(headerEnd + 4);
+        continue;
+      }
+
+      const length = parseInt(match[1], 10);
+      const start = headerEnd + 4;
+      if (this.buffer.length < start + length) return;
+
+      const body = this.buffer.subarray(start, start + length).toString('utf8');
+      this.buffer = this.buffer.subarray(start + length);
+
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch {
+        this.send({ jsonrpc: '2.0', id: null, error: { code: ErrorCodes.ParseError, message: 'Invalid JSON' } });
+        continue;
+      }
+      this.dispatch(message);
+    }
+  }
+
+  dispatch(message) {
+    if (message.method === undefined) {
+      // A response to something we asked the client
+      const waiter = this.pending.get(message.id);
+      if (!waiter) return;
+      this.pending.delete(message.id);
+      if (message.error) {
+        waiter.reject(new ResponseError(message.error.code, message.error.message, message.error.data));
+      } else {
+        waiter.resolve(message.result);
+      }
+      return;
+    }
+
+    if (message.id === undefined) {
+      if (message.method === '$/cancelRequest') {
+        this.inFlight.get(message.params?.id)?.abort();
+        return;
+      }
+      const handler = this.notificationHandlers.get(message.method);
+      if (!handler) return; // unknown notifications are ignored, per the spec
+      // Run synchronously: a didChange must land before the request after it
+      try {
+        Promise.resolve(handler(message.params))
+          .catch((error) => this.log.error('LSP notification failed', { method: message.method, error }));
+      } catch (error) {
+        this.log.error('LSP notification failed', { method: message.method, error });
+      }
+      return;
+    }
+
+    this.handleRequest(message);
+  }
+
+  async handleRequest({ id, method, params }) {
+    const handler = this.requestHandlers.get(method);
+    if (!handler) {
+      this.respondError(id, new ResponseError(ErrorCodes.MethodNotFound, `Unhandled method ${method}`));
+      return;
+    }
+
+    const controller = new AbortController();
+    this.inFlight.set(id, controller);
+
+    try {
+      const result = await handler(params, { signal: controller.signal, id });
+      if (controller.signal.aborted) {
+        throw new ResponseError(ErrorCodes.RequestCancelled, 'Request cancelled');
+      }
+      this.send({ jsonrpc: '2.0', id, result: result === undefined ? null : result });
+    } catch (error) {
+      if (controller.signal.aborted && !(error instanceof ResponseError)) {
+        error = new ResponseError(ErrorCodes.RequestCancelled, 'Request cancelled');
+      }
+      this.respondError(id, error, method);
+    } finally {
+      this.inFlight.delete(id);
+    }
+  }
+
+  respondError(id, error, method) {
+    if (!(error instanceof ResponseError)) {
+      this.log.error('LSP request failed', { method, error });
+    }
+    const code = error instanceof ResponseError ? error.code : ErrorCodes.InternalError;
+    const payload = { code, message: error.message };
+    if (error.data !== undefined) payload.data = error.data;
+    this.send({ jsonrpc: '2.0', id, error: payload });
+  }
+
+  // Server -> client request (workspace/applyEdit, window/showDocument...)
+  request(method, params) {
+    const id = `server-${this.nextId++}`;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.send({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  notify(method, params) {
+    this.send({ jsonrpc: '2.0', method, params });
+  }
+
+  send(message) {
+    const body = Buffer.from(JSON.stringify(message), 'utf8');
+    this.output.write(`Content-Length: ${body.length}\r\n\r\n`);
+    this.output.write(body);
+  }
+}
+
+export class TextDocument {
+  constructor(uri, languageId, version, text) {
+    this.uri = uri;
+    this.languageId = languageId;
+    this.version = version;
+    this.text = text;
+    this.lineOffsets = null;
+  }
+
+  getLineOffsets() {
+    if (!this.lineOffsets) {
+      const offsets = [0];
+      for (let i = 0; i < this.text.length; i++) {
+        const char = this.text[i];
+        if (char === '\r' && this.text[i + 1] === '\n') i++;
+        if (char === '\r' || char === '\n') offsets.push(i + 1);
+      }
+      this.lineOffsets = offsets;
+    }
+    return this.lineOffsets;
+  }
+
+  get lineCount() {
+    return this.getLineOffsets().length;
+  }
+
+  // Clamps out-of-range positions the way editors expect
+  offsetAt({ line, character }) {
+    const offsets = this.getLineOffsets();
+    if (line >= offsets.length) return this.text.length;
+    if (line < 0) return 0;
+
+    const lineStart = offsets[line];
+    let lineEnd = line + 1 < offsets.length ? offsets[line + 1] : this.text.length;
+    // A character past the end of the line stops before its line break
+    while (lineEnd > lineStart && (this.text[lineEnd - 1] === '\n' || this.text[lineEnd - 1] === '\r')) {
+      lineEnd--;
+    }
+    return Math.max(lineStart, Math.min(lineStart + character, lineEnd));
+  }
+
+  positionAt(offset) {
+    const offsets = this.getLineOffsets();
+    const clamped = Math.max(0, Math.min(offset, this.text.length));
+    let low = 0;
+    let high = offsets.length;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (offsets[mid] > clamped) high = mid;
+      else low = mid + 1;
+    }
+    const line = low - 1;
+    return { line, character: clamped - offsets[line] };
+  }
+
+  getText(range) {
+    if (!range) return this.text;
+    return this.text.slice(this.offsetAt(range.start), this.offsetAt(range.end));
+  }
+
+  // contentChanges from textDocument/didChange, applied in order. A change
+  // without a range replaces the whole document.
+  update(changes, version) {
+    for (const change of changes) {
+      if (change.range) {
+        const start = this.offsetAt(change.range.start);
+        const end = this.offsetAt(change.range.end);
+        this.text = this.text.slice(0, start) + change.text + this.text.slice(end);
+      } else {
+        this.text = change.text;
+      }
+      this.lineOffsets = null;
+    }
+    this.version = version;
+  }
+}
+
+// Open documents by URI, fed by the textDocument/did* notifications
+export class TextDocuments {
+  constructor() {
+    this.documents = new Map();
+  }
+
+  get(uri) {
+    return this.documents.get(uri);
+  }
+
+  open({ uri, languageId, version, text }) {
+    const document = new TextDocument(uri, languageId, version, text);
+    this.documents.set(uri, document);
+    return document;
+  }
+
+  change({ textDocument, contentChanges }) {
+    const document = this.documents.get(textDocument.uri);
+    if (!document) return null;
+    document.update(contentChanges, textDocument.version);
+    return document;
+  }
+
+  close({ uri }) {
+    this.documents.delete(uri);
+  }
+}
@@ -0,0 +1,314 @@
+// Prometheus metrics in the text exposition format (version 0.0.4), for the
+// /metrics endpoints of CodeCompleter.js and the WebSocket servers.
+//
+// A Registry holds counters, gauges and histograms; each metric is keyed by
+// its label values. GenerationMetrics records what Ollama reports in the
+// final `done` frame of every generation and is what OllamaClient calls into
+// when given one (`new OllamaClient({ metrics })`).
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds from a generation's start to its first token
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+// Phases of a generation, from Ollama's *_duration fields
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const RATE_BUCKETS = [1, 2, 5, 10, 20, 30, 50, 75, 100, 150, 200];
+const HTTP_BUCKETS = [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, index) => `${name}="${escapeLabel(values[index])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // JSON of label values -> value (or histogram state)
+  }
+
+  // Label values in labelNames order; missing labels are empty strings
+  key(labels = {}) {
+    return JSON.stringify(this.labelNames.map((name) => labels[name] ?? ''));
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    if (!(value >= 0)) return; // counters only go up; also drops NaN
+    const key = this.key(labels);
+    this.series.set(key, (this.series.get(key) || 0) + value);
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, value] of this.series) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+// `collect()`, when given, is called on every scrape to set current values
+export class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.series.set(this.key(labels), value);
+  }
+
+  inc(labels, value = 1) {
+    const key = this.key(labels);
+    this.series.set(key, (this.series.get(key) || 0) + value);
+  }
+
+  dec(labels, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  render() {
+    if (this.collect) this.collect(this);
+    const lines = this.header();
+    for (const [key, value] of this.series) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    if (!Number.isFinite(value)) return;
+    const key = this.key(labels);
+    let state = this.series.get(key);
+    if (!state) {
+      state = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, state);
+    }
+    const index = this.buckets.findIndex((bound) => value <= bound);
+    if (index !== -1) state.counts[index]++;
+    state.sum += value;
+    state.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, { counts, sum, count }] of this.series) {
+      const values = JSON.parse(key);
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += counts[index];
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${formatValue(bound)}"`)} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+export class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Gauges every server gets: uptime and memory
+export function registerProcessMetrics(registry) {
+  registry.gauge('process_uptime_seconds', 'Seconds since the server started', [], (gauge) => {
+    gauge.set({}, Math.round(process.uptime()));
+  });
+  registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], (gauge) => {
+    gauge.set({}, process.memoryUsage().rss);
+  });
+  registry.gauge('process_heap_used_bytes', 'V8 heap in use, in bytes', [], (gauge) => {
+    gauge.set({}, process.memoryUsage().heapUsed);
+  });
+}
+
+const NANOSECONDS = 1e9;
+
+// Per-generation statistics, labelled by model and route. `route` is what
+// the caller passes to OllamaClient (the server route or WebSocket message
+// the generation serves), or the Ollama endpoint when it passes nothing.
+// Clients pick the model name, so a model gets a label value of its own only
+// once Ollama has answered for it (a token or a done frame), and only the
+// first `maxModels` of those do; every other model is labelled "other".
+export class GenerationMetrics {
+  constructor(registry, { now = () => performance.now(), maxModels = 50 } = {}) {
+    this.now = now;
+    this.maxModels = maxModels;
+    this.models = new Set();
+    const labels = ['model', 'route'];
+    this.requests = registry.counter('ollama_requests_total', 'Finished Ollama requests (answered, failed or abandoned)', labels);
+    this.errors = registry.counter('ollama_errors_total', 'Failed Ollama requests by error type', [...labels, 'type']);
+    this.inFlight = registry.gauge('ollama_requests_in_flight', 'Ollama requests currently running', labels);
+    this.timeToFirstToken = registry.histogram('ollama_time_to_first_token_seconds',
+      'Seconds from sending a streamed request to its first token', labels, LATENCY_BUCKETS);
+    this.tokensPerSecond = registry.histogram('ollama_tokens_per_second',
+      'Generation speed (eval_count / eval_duration)', labels, RATE_BUCKETS);
+    this.promptTokens = registry.counter('ollama_prompt_tokens_total', 'Prompt tokens evaluated (prompt_eval_count)', labels);
+    this.evalTokens = registry.counter('ollama_eval_tokens_total', 'Tokens generated (eval_count)', labels);
+    this.promptEvalDuration = registry.histogram('ollama_prompt_eval_duration_seconds',
+      'Time spent evaluating the prompt (prompt_eval_duration)', labels, DURATION_BUCKETS);
+    this.evalDuration = registry.histogram('ollama_eval_duration_seconds',
+      'Time spent generating (eval_duration)', labels, DURATION_BUCKETS);
+    this.loadDuration = registry.histogram('ollama_load_duration_seconds',
+      'Time spent loading the model (load_duration)', labels, DURATION_BUCKETS);
+    this.totalDuration = registry.histogram('ollama_total_duration_seconds',
+      'Whole request as timed by Ollama (total_duration)', labels, DURATION_BUCKETS);
+  }
+
+  // The label value for `model`; accepted ones (Ollama answered for them)
+  // keep their name while there is room
+  modelLabel(model, accepted = false) {
+    if (accepted && this.models.size < this.maxModels) {
+      this.models.add(model);
+    }
+    return this.models.has(model) ? model : 'other';
+  }
+
+  // Returns a tracker for one request: token() on each content frame of a
+  // stream, then either done(frame) with the final frame or fail(error).
+  // Only the first call of done/fail counts.
+  start({ model = 'unknown', route }) {
+    const pending = { model: this.modelLabel(model), route };
+    const started = this.now();
+    let firstToken = false;
+    let finished = false;
+
+    this.inFlight.inc(pending);
+
+    // Labels for the request's outcome, counted in ollama_requests_total
+    const finish = (accepted) => {
+      if (finished) return null;
+      finished = true;
+      this.inFlight.dec(pending);
+      const labels = { model: this.modelLabel(model, accepted), route };
+      this.requests.inc(labels);
+      return labels;
+    };
+
+    return {
+      token: () => {
+        if (firstToken || finished) return;
+        firstToken = true;
+        const labels = { model: this.modelLabel(model, true), route };
+        this.timeToFirstToken.observe(labels, (this.now() - started) / 1000);
+      },
+      done: (frame = {}) => {
+        const labels = finish(true);
+        if (!labels) return;
+        this.promptTokens.inc(labels, frame.prompt_eval_count || 0);
+        this.evalTokens.inc(labels, frame.eval_count || 0);
+        if (frame.prompt_eval_duration) this.promptEvalDuration.observe(labels, frame.prompt_eval_duration / NANOSECONDS);
+        if (frame.eval_duration) this.evalDuration.observe(labels, frame.eval_duration / NANOSECONDS);
+        if (frame.load_duration) this.loadDuration.observe(labels, frame.load_duration / NANOSECONDS);
+        if (frame.total_duration) this.totalDuration.observe(labels, frame.total_duration / NANOSECONDS);
+        if (frame.eval_count && frame.eval_duration) {
+          this.tokensPerSecond.observe(labels, frame.eval_count / (frame.eval_duration / NANOSECONDS));
+        }
+      },
+      fail: (error) => {
+        const labels = finish(firstToken);
+        if (!labels) return;
+        this.errors.inc({ ...labels, type: error?.name || 'Error' });
+      },
+      // A stream the caller stopped reading early: neither done nor failed
+      end: () => {
+        finish(firstToken);
+      }
+    };
+  }
+}
+
+// HTTP request counts and latencies for an Express app, labelled by the
+// matched route pattern (not the raw path, which would explode the label set)
+export function httpMetricsMiddleware(registry) {
+  const requests = registry.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+  const duration = registry.histogram('http_request_duration_seconds',
+    'Time until the response was finished or the client went away', ['method', 'route'], HTTP_BUCKETS);
+
+  return (req, res, next) => {
+    const started = performance.now();
+    res.on('close', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      duration.observe({ method: req.method, route }, (performance.now() - started) / 1000);
+    });
+    next();
+  };
+}
+
+// Request listener for the plain HTTP server the WebSocket servers share
+// their port with: GET /metrics, 404 for anything else
+export function metricsRequestListener(registry) {
+  return (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(registry.render());
+      return;
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found\n');
+  };
+}
@@ -0,0 +1,526 @@
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import fetch from 'node-fetch';
+
+// A stand-in for Ollama's HTTP API, so the servers can be run and tested
+// without a model: /api/chat and /api/generate (NDJSON streams or single
+// JSON replies), /api/embed, /api/tags, /api/show and /api/version.
+//
+// Replies come from fixtures, tried in order; the first that matches the
+// request answers it. A fixture matches on any of
+//   endpoint   'chat', 'generate' or 'embed'
+//   model      exact model name
+//   tools      true/false: only requests that do (or don't) offer tools
+//   role       role of the last chat message ('user', 'tool'...)
+//   prompt     substring of the last message's content (the prompt for generate)
+//   pattern    regular expression for the same text
+//   request    the whole request body, exactly (what recordings use)
+// and answers with one of
+//   reply      { content, chunks, tool_calls, done_reason } for chat and generate,
+//              { embeddings } for embed; content is streamed a word at a time
+//              unless `chunks` spells the pieces out
+//   frames     raw NDJSON frames to stream as they are
+//   body       a raw JSON body (with `status`, default 200)
+//   error      { status, message }: fail the request
+// plus, optionally,
+//   failAfter  cut the connection after this many streamed frames
+//   latencyMs, chunkDelayMs   override the server-wide delays
+//   times      stop matching after this many uses
+// Requests no fixture matches get a made-up reply: "Mock reply to: <text>",
+// a minimal value satisfying `format` when one is given, and deterministic
+// embeddings derived from the input text.
+//
+// In record mode every request is proxied to a real Ollama and what it
+// answered for chat, generate and embed is saved to the recordings file as
+// `request` fixtures, which a later replay serves back byte for byte.
+
+export const DEFAULT_MODELS = [
+  { name: 'deepseek-coder:6.7b' },
+  { name: 'llama2' },
+  { name: 'llama3.1', tools: true },
+  { name: 'codellama:7b-code' },
+  { name: 'nomic-embed-text', embedding: true }
+];
+
+const RECORDINGS_VERSION = 1;
+const MAX_LOGGED_REQUESTS = 1000;
+const NANOSECONDS_PER_MS = 1e6;
+
+// Request fields that don't change the answer
+const IGNORED_FIELDS = ['keep_alive'];
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (typeof value !== 'object' || value === null) return value;
+  return Object.fromEntries(Object.keys(value).sort().map((key) => [key, sortKeys(value[key])]));
+}
+
+// Stable JSON of a request body, for matching recordings
+export function canonicalRequest(body) {
+  const copy = { ...body };
+  for (const field of IGNORED_FIELDS) delete copy[field];
+  return JSON.stringify(sortKeys(copy));
+}
+
+// The text a fixture's prompt/pattern is matched against
+function requestText(endpoint, body) {
+  if (endpoint === 'chat') {
+    const content = body.messages?.at(-1)?.content;
+    return typeof content === 'string' ? content : '';
+  }
+  if (endpoint === 'embed') {
+    return [].concat(body.input ?? []).join('\n');
+  }
+  return typeof body.prompt === 'string' ? body.prompt : '';
+}
+
+function fixtureMatches(fixture, endpoint, body) {
+  if (fixture.times !== undefined && fixture.used >= fixture.times) return false;
+  if (fixture.endpoint && fixture.endpoint !== endpoint) return false;
+  if (fixture.model && fixture.model !== body.model) return false;
+  if (fixture.tools !== undefined && Boolean(body.tools?.length) !== fixture.tools) return false;
+  if (fixture.role && body.messages?.at(-1)?.role !== fixture.role) return false;
+  if (fixture.request && canonicalRequest(fixture.request) !== canonicalRequest(body)) return false;
+
+  const text = requestText(endpoint, body);
+  if (fixture.prompt !== undefined && !text.includes(fixture.prompt)) return false;
+  if (fixture.pattern !== undefined && !new RegExp(fixture.pattern).test(text)) return false;
+  return true;
+}
+
+// Smallest value that satisfies a JSON Schema, for replies to `format`
+// requests no fixture covers. Handles what models are usually asked for:
+// objects with required properties, arrays, enums and scalars.
+export function sampleForSchema(schema) {
+  if (!schema || schema === 'json' || typeof schema !== 'object') return {};
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum)) return schema.enum[0];
+  if (schema.anyOf || schema.oneOf) return sampleForSchema((schema.anyOf || schema.oneOf)[0]);
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  switch (type) {
+    case 'object': {
+      const value = {};
+      for (const name of schema.required || []) {
+        value[name] = sampleForSchema(schema.properties?.[name] || {});
+      }
+      return value;
+    }
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => sampleForSchema(schema.items || {}));
+    case 'string':
+      return 'x'.repeat(schema.minLength || 0);
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    case 'null':
+      return null;
+    default:
+      return schema.properties ? sampleForSchema({ ...schema, type: 'object' }) : {};
+  }
+}
+
+// A unit vector from the text's hash: same text, same embedding
+function embeddingFor(text, dimensions) {
+  const digest = createHash('sha256').update(text).digest();
+  const vector = Array.from({ length: dimensions }, (_, index) => digest[index % digest.length] - 127.5);
+  const norm = Math.hypot(...vector) || 1;
+  return vector.map((value) => value / norm);
+}
+
+// Roughly what a tokenizer would count, for the *_count fields
+function tokenCount(text) {
+  return Math.max(1, Math.ceil(text.length / 4));
+}
+
+function splitWords(text) {
+  return text.match(/\s*\S+\s*/g) || (text ? [text] : []);
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString('utf8');
+  return text ? JSON.parse(text) : {};
+}
+
+export class MockOllama {
+  constructor({
+    models = DEFAULT_MODELS,
+    fixtures = [],
+    latencyMs = 0,
+    chunkDelayMs = 0,
+    failureRate = 0,
+    embeddingDimensions = 16,
+    record = null,
+    recordingsFile = null,
+    random = Math.random,
+    logger = null
+  } = {}) {
+    this.models = models;
+    this.fixtures = fixtures.map((fixture) => ({ ...fixture, used: 0 }));
+    this.latencyMs = latencyMs;
+    this.chunkDelayMs = chunkDelayMs;
+    this.failureRate = failureRate;
+    this.embeddingDimensions = embeddingDimensions;
+    this.record = record ? record.replace(/\/+$/, '') : null; // upstream Ollama to proxy to
+    this.recordingsFile = recordingsFile ? path.resolve(recordingsFile) : null;
+    this.recordings = [];
+    this.random = random;
+    this.logger = logger;
+    this.requests = []; // { endpoint, body } of every request, newest last
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  // Fixtures added later are tried first
+  addFixture(fixture) {
+    this.fixtures.unshift({ ...fixture, used: 0 });
+    return this;
+  }
+
+  // Replaces the fixtures (with none by default) and clears the request log
+  reset({ fixtures = [] } = {}) {
+    this.fixtures = fixtures.map((fixture) => ({ ...fixture, used: 0 }));
+    this.requests = [];
+    return this;
+  }
+
+  // Loads the recordings file, then serves scripted fixtures ahead of the
+  // recorded ones. Resolves to the base URL once listening; port 0 picks one.
+  async listen(port = 11434, host = '127.0.0.1') {
+    if (this.recordingsFile) {
+      this.recordings = await loadRecordings(this.recordingsFile);
+      if (!this.record) {
+        this.fixtures.push(...this.recordings.map((fixture) => ({ ...fixture, used: 0 })));
+      }
+    }
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    const address = this.server.address();
+    this.url = `http://${host}:${address.port}`;
+    return this.url;
+  }
+
+  async close() {
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  model(name) {
+    return this.models.find((model) => model.name === name || model.name === `${name}:latest`);
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const endpoint = pathname.replace(/^\/api\//, '');
+
+    try {
+      if (req.method === 'GET' && pathname === '/') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+        return res.end('Ollama is running');
+      }
+
+      let body = {};
+      if (req.method === 'POST') {
+        try {
+          body = await readBody(req);
+        } catch {
+          return sendJSON(res, 400, { error: 'invalid JSON in request body' });
+        }
+      }
+
+      this.requests.push({ endpoint, body });
+      if (this.requests.length > MAX_LOGGED_REQUESTS) this.requests.shift();
+      this.logger?.debug('Mock Ollama request', { method: req.method, endpoint, model: body.model });
+
+      if (this.record) return await this.proxy(req, res, pathname, body);
+
+      if (req.method === 'GET' && endpoint === 'tags') return sendJSON(res, 200, this.tags());
+      if (req.method === 'GET' && endpoint === 'version') return sendJSON(res, 200, { version: '0.0.0-mock' });
+      if (req.method === 'POST' && endpoint === 'show') return this.show(res, body);
+      if (req.method === 'POST' && ['chat', 'generate', 'embed'].includes(endpoint)) {
+        return await this.answer(res, endpoint, body);
+      }
+      sendJSON(res, 404, { error: `${req.method} ${pathname} is not something the mock Ollama serves` });
+    } catch (error) {
+      this.logger?.error('Mock Ollama request failed', { endpoint, error });
+      if (!res.headersSent) {
+        sendJSON(res, 500, { error: error.message });
+      } else {
+        res.destroy();
+      }
+    }
+  }
+
+  tags() {
+    return {
+      models: this.models.map((model) => ({
+        name: model.name,
+        model: model.name,
+        modified_at: '2024-01-01T00:00:00Z',
+        size: 0,
+        digest: createHash('sha256').update(model.name).digest('hex'),
+        details: { format: 'gguf', family: model.name.split(':')[0], parameter_size: '', quantization_level: '' }
+      }))
+    };
+  }
+
+  show(res, body) {
+    const model = this.model(body.model || body.name);
+    if (!model) return sendJSON(res, 404, { error: `model '${body.model || body.name}' not found` });
+    const capabilities = model.embedding ? ['embedding'] : ['completion', ...(model.tools ? ['tools'] : [])];
+    sendJSON(res, 200, {
+      modelfile: `FROM ${model.name}`,
+      template: model.tools ? '{{ if .Tools }}{{ .Tools }}{{ end }}{{ .Prompt }}' : '{{ .Prompt }}',
+      details: { format: 'gguf', family: model.name.split(':')[0] },
+      capabilities
+    });
+  }
+
+  async answer(res, endpoint, body) {
+    const fixture = this.fixtures.find((candidate) => fixtureMatches(candidate, endpoint, body));
+    if (fixture) fixture.used++;
+
+    const signal = abortOnClose(res);
+    await sleep(fixture?.latencyMs ?? this.latencyMs, undefined, { signal }).catch(() => {});
+    if (signal.aborted) return;
+
+    if (fixture?.error) {
+      return sendJSON(res, fixture.error.status || 500, { error: fixture.error.message || 'injected failure' });
+    }
+    if (!fixture && this.failureRate > 0 && this.random() < this.failureRate) {
+      return sendJSON(res, 500, { error: 'injected failure (MOCK_FAILURE_RATE)' });
+    }
+    if (fixture?.body !== undefined) {
+      return sendJSON(res, fixture.status || 200, fixture.body);
+    }
+
+    // Ollama's own checks, unless a fixture says otherwise
+    const model = this.model(body.model);
+    if (!fixture && !model) {
+      return sendJSON(res, 404, { error: `model '${body.model}' not found, try pulling it first` });
+    }
+    if (!fixture && endpoint === 'chat' && body.tools?.length && !model.tools) {
+      return sendJSON(res, 400, { error: `registry.ollama.ai/library/${body.model} does not support tools` });
+    }
+
+    if (endpoint === 'embed') {
+      const inputs = [].concat(body.input ?? []);
+      return sendJSON(res, 200, {
+        model: body.model,
+        embeddings: fixture?.reply?.embeddings || inputs.map((input) => embeddingFor(String(input), this.embeddingDimensions)),
+        total_duration: 1000000,
+        load_duration: 0,
+        prompt_eval_count: inputs.reduce((total, input) => total + tokenCount(String(input)), 0)
+      });
+    }
+
+    const frames = fixture?.frames || this.frames(endpoint, body, fixture?.reply || this.defaultReply(endpoint, body));
+    const chunkDelayMs = fixture?.chunkDelayMs ?? this.chunkDelayMs;
+
+    if (body.stream === false) {
+      // Everything in one frame, as Ollama does
+      return sendJSON(res, 200, fixture?.frames ? frames.at(-1) : mergeFrames(endpoint, frames));
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    for (const [index, frame] of frames.entries()) {
+      if (fixture?.failAfter !== undefined && index >= fixture.failAfter) {
+        // Close the connection once the frames so far are out, without
+        // ending the chunked body: the client sees a truncated stream
+        res.socket.end();
+        return;
+      }
+      if (index > 0 && chunkDelayMs) {
+        await sleep(chunkDelayMs, undefined, { signal }).catch(() => {});
+      }
+      if (signal.aborted) return;
+      res.write(`${JSON.stringify(frame)}\n`);
+    }
+    res.end();
+  }
+
+  defaultReply(endpoint, body) {
+    if (body.format) {
+      return { content: JSON.stringify(sampleForSchema(body.format)) };
+    }
+    const text = requestText(endpoint, body).split('\n')[0].slice(0, 200);
+    return { content: `Mock reply to: ${text}` };
+  }
+
+  // The NDJSON frames of a scripted reply: one per chunk, tool calls in a
+  // frame of their own, then the final frame with the counts
+  frames(endpoint, body, reply) {
+    const content = reply.content ?? '';
+    const chunks = reply.chunks || splitWords(content);
+    const created = new Date().toISOString();
+    const frame = (text, extra = {}) => (endpoint === 'chat'
+      ? { model: body.model, created_at: created, message: { role: 'assistant', content: text, ...extra }, done: false }
+      : { model: body.model, created_at: created, response: text, done: false });
+
+    const frames = chunks.map((chunk) => frame(chunk));
+    if (endpoint === 'chat' && reply.tool_calls?.length) {
+      frames.push(frame('', { tool_calls: reply.tool_calls }));
+    }
+
+    const evalCount = Math.max(1, frames.length);
+    const promptText = endpoint === 'chat'
+      ? (body.messages || []).map((message) => message.content || '').join('\n')
+      : `${body.system || ''}${body.prompt || ''}`;
+    const final = {
+      ...frame(''),
+      done: true,
+      done_reason: reply.done_reason || 'stop',
+      total_duration: (evalCount * 10 + 25) * NANOSECONDS_PER_MS,
+      load_duration: 5 * NANOSECONDS_PER_MS,
+      prompt_eval_count: tokenCount(promptText),
+      prompt_eval_duration: 20 * NANOSECONDS_PER_MS,
+      eval_count: evalCount,
+      eval_duration: evalCount * 10 * NANOSECONDS_PER_MS
+    };
+    return [...frames, final];
+  }
+
+  // Record mode: pass the request through to the real Ollama, stream its
+  // answer back and keep a copy
+  async proxy(req, res, pathname, body) {
+    const upstream = await fetch(`${this.record}${pathname}`, {
+      method: req.method,
+      headers: req.method === 'POST' ? { 'Content-Type': 'application/json' } : {},
+      body: req.method === 'POST' ? JSON.stringify(body) : undefined
+    });
+
+    const contentType = upstream.headers.get('content-type') || 'application/json';
+    res.writeHead(upstream.status, { 'Content-Type': contentType });
+    const chunks = [];
+    for await (const chunk of upstream.body) {
+      chunks.push(chunk);
+      res.write(chunk);
+    }
+    res.end();
+    const text = Buffer.concat(chunks).toString('utf8');
+
+    const endpoint = pathname.replace(/^\/api\//, '');
+    if (req.method !== 'POST' || !['chat', 'generate', 'embed'].includes(endpoint)) return;
+
+    const recording = { endpoint, request: body };
+    if (contentType.includes('ndjson') && upstream.ok) {
+      recording.frames = text.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+    } else {
+      recording.status = upstream.status;
+      recording.body = JSON.parse(text);
+    }
+    await this.saveRecording(recording);
+  }
+
+  // Replaces an earlier recording of the same request
+  async saveRecording(recording) {
+    const key = canonicalRequest(recording.request);
+    this.recordings = this.recordings.filter((existing) =>
+      existing.endpoint !== recording.endpoint || canonicalRequest(existing.request) !== key);
+    this.recordings.push(recording);
+    this.logger?.info('Recorded Ollama reply', { endpoint: recording.endpoint, model: recording.request.model, file: this.recordingsFile });
+
+    if (!this.recordingsFile) return;
+    await fs.mkdir(path.dirname(this.recordingsFile), { recursive: true });
+    const tmp = `${this.recordingsFile}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ version: RECORDINGS_VERSION, fixtures: this.recordings }, null, 2));
+    await fs.rename(tmp, this.recordingsFile);
+  }
+}
+
+// A streamed reply folded into the one frame a `stream: false` request gets
+function mergeFrames(endpoint, frames) {
+  const final = { ...frames.at(-1) };
+  if (endpoint === 'chat') {
+    const toolCalls = frames.flatMap((frame) => frame.message?.tool_calls || []);
+    final.message = {
+      role: 'assistant',
+      content: frames.map((frame) => frame.message?.content || '').join(''),
+      ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+    };
+  } else {
+    final.response = frames.map((frame) => frame.response || '').join('');
+  }
+  return final;
+}
+
+// An AbortSignal that fires when the client hangs up before the response ends
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+async function loadRecordings(file) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  if (data.version !== RECORDINGS_VERSION) {
+    throw new Error(`Unsupported recordings file version ${data.version} in ${file}`);
+  }
+  return data.fixtures;
+}
+
+// A fixtures file: { "models": [...], "fixtures": [...] }, or just the
+// fixtures array. `models` replaces DEFAULT_MODELS when given.
+export async function loadFixtures(file) {
+  const data = JSON.parse(await fs.readFile(file, 'utf8'));
+  return Array.isArray(data) ? { fixtures: data } : { models: data.models, fixtures: data.fixtures || [] };
+}
+
+function readNumber(value, name, fallback, { max = Infinity } = {}) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > max) {
+    throw new Error(`${name} must be a number between 0 and ${max}`);
+  }
+  return number;
+}
+
+// MOCK_FIXTURES: comma-separated fixture files, tried in order
+// MOCK_RECORDINGS: recordings file, replayed after the fixtures (default ./mock-recordings.json)
+// MOCK_RECORD: URL of a real Ollama; proxy to it and record instead of replaying
+// MOCK_LATENCY_MS, MOCK_CHUNK_DELAY_MS: delay before the first frame and between frames
+// MOCK_FAILURE_RATE: share (0-1) of unscripted requests answered with a 500
+export async function createMockOllama(env = process.env, { logger } = {}) {
+  let models = DEFAULT_MODELS;
+  const fixtures = [];
+  for (const file of (env.MOCK_FIXTURES || '').split(',').map((name) => name.trim()).filter(Boolean)) {
+    const loaded = await loadFixtures(file);
+    if (loaded.models) models = loaded.models;
+    fixtures.push(...loaded.fixtures);
+  }
+
+  return new MockOllama({
+    models,
+    fixtures,
+    latencyMs: readNumber(env.MOCK_LATENCY_MS, 'MOCK_LATENCY_MS', 0),
+    chunkDelayMs: readNumber(env.MOCK_CHUNK_DELAY_MS, 'MOCK_CHUNK_DELAY_MS', 0),
+    failureRate: readNumber(env.MOCK_FAILURE_RATE, 'MOCK_FAILURE_RATE', 0, { max: 1 }),
+    record: env.MOCK_RECORD || null,
+    recordingsFile: env.MOCK_RECORDINGS || './mock-recordings.json',
+    logger
+  });
+}
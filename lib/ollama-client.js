@@ -0,0 +1,252 @@
+import fetch from 'node-fetch';
+
+export const DEFAULT_OLLAMA_HOST = 'http://localhost:11434';
+
+// Base class for everything the client throws, so callers can catch Ollama
+// failures separately from their own bugs.
+export class OllamaError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'OllamaError';
+  }
+}
+
+// The host could not be reached at all (refused, DNS, TLS, reset...).
+export class OllamaConnectionError extends OllamaError {
+  constructor(host, cause) {
+    super(`Could not connect to Ollama at ${host}: ${cause.message}`, { cause });
+    this.name = 'OllamaConnectionError';
+    this.host = host;
+  }
+}
+
+// Ollama answered with a non-2xx status. `status` and the server's own error
+// text are kept so routes can pass them through.
+export class OllamaResponseError extends OllamaError {
+  constructor(status, statusText, error) {
+    super(`Ollama API error: ${status} ${error || statusText}`);
+    this.name = 'OllamaResponseError';
+    this.status = status;
+    this.statusText = statusText;
+    this.error = error;
+  }
+}
+
+// A streamed response contained a frame we could not parse, or an
+// `{ error }` frame sent after the headers were already out.
+export class OllamaStreamError extends OllamaError {
+  constructor(message, line) {
+    super(message);
+    this.name = 'OllamaStreamError';
+    this.line = line;
+  }
+}
+
+// The caller aborted the request through its AbortSignal, either before the
+// response arrived or part-way through a stream.
+export class OllamaAbortError extends OllamaError {
+  constructor(cause) {
+    super('Ollama request was aborted', { cause });
+    this.name = 'OllamaAbortError';
+  }
+}
+
+function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+// Accepts either a bare host or a full endpoint URL such as the
+// `http://localhost:11434/api/generate` the WebSocket servers used to take.
+export function resolveOllamaHost(value) {
+  if (!value) return DEFAULT_OLLAMA_HOST;
+
+  let host = value.trim();
+  if (!/^https?:\/\//i.test(host)) {
+    host = `http://${host}`;
+  }
+
+  return host.replace(/\/api(\/.*)?$/, '').replace(/\/+$/, '');
+}
+
+// Turns a newline-delimited JSON body into an async iterator of frames.
+// Works with anything that yields Buffers or strings (node-fetch bodies,
+// Node streams, arrays in tests).
+export async function* parseNDJSON(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parseLine = (line) => {
+    let frame;
+    try {
+      frame = JSON.parse(line);
+    } catch (error) {
+      throw new OllamaStreamError(`Bad JSON from Ollama: ${line}`, line);
+    }
+    if (frame.error) {
+      throw new OllamaStreamError(frame.error, line);
+    }
+    return frame;
+  };
+
+  try {
+    for await (const chunk of body) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) yield parseLine(line);
+      }
+    }
+  } catch (error) {
+    if (isAbortError(error)) throw new OllamaAbortError(error);
+    throw error;
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    yield parseLine(buffer.trim());
+  }
+}
+
+async function readJSON(response) {
+  try {
+    return await response.json();
+  } catch (error) {
+    if (isAbortError(error)) throw new OllamaAbortError(error);
+    throw error;
+  }
+}
+
+// Passes frames through while telling a metrics tracker (lib/metrics.js)
+// about the first token and the final `done` frame
+async function* trackFrames(frames, tracker) {
+  try {
+    for await (const frame of frames) {
+      if (frame.response || frame.message?.content || frame.message?.tool_calls) tracker.token();
+      if (frame.done) tracker.done(frame);
+      yield frame;
+    }
+  } catch (error) {
+    tracker.fail(error);
+    throw error;
+  } finally {
+    tracker.end();
+  }
+}
+
+export class OllamaClient {
+  // `metrics` is a GenerationMetrics (lib/metrics.js) to record generations in
+  constructor({ host, headers = {}, fetch: fetchImpl = fetch, metrics = null } = {}) {
+    this.host = resolveOllamaHost(host);
+    this.headers = headers;
+    this.fetch = fetchImpl;
+    this.metrics = metrics;
+  }
+
+  // A metrics tracker for one generation, or null without metrics.
+  // `options.route` labels it; by default the Ollama endpoint does.
+  track(endpoint, request, options = {}) {
+    return this.metrics?.start({ model: request.model, route: options.route || endpoint }) || null;
+  }
+
+  // `options.signal` aborts the HTTP request, including a stream that is
+  // already being consumed. `options.route` labels the request in metrics.
+  async request(method, endpoint, body, { signal } = {}) {
+    const url = `${this.host}${endpoint}`;
+    let response;
+
+    try {
+      response = await this.fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal
+      });
+    } catch (error) {
+      if (isAbortError(error)) throw new OllamaAbortError(error);
+      throw new OllamaConnectionError(this.host, error);
+    }
+
+    if (!response.ok) {
+      let message;
+      try {
+        const text = await response.text();
+        try {
+          message = JSON.parse(text).error;
+        } catch {
+          message = text;
+        }
+      } catch {
+        // Body unreadable, statusText will have to do
+      }
+      throw new OllamaResponseError(response.status, response.statusText, message);
+    }
+
+    return response;
+  }
+
+  // Streaming endpoints default to a single JSON response (like ollama-js);
+  // pass `stream: true` to get an async iterator of frames instead.
+  async streamable(endpoint, request, options) {
+    const stream = request.stream === true;
+    const tracker = this.track(endpoint, request, options);
+
+    let response;
+    try {
+      response = await this.request('POST', endpoint, { ...request, stream }, options);
+      if (!stream) {
+        const result = await readJSON(response);
+        tracker?.done(result);
+        return result;
+      }
+      if (!response.body) {
+        throw new OllamaStreamError('Ollama returned an empty stream');
+      }
+    } catch (error) {
+      tracker?.fail(error);
+      throw error;
+    }
+
+    const frames = parseNDJSON(response.body);
+    return tracker ? trackFrames(frames, tracker) : frames;
+  }
+
+  generate(request, options) {
+    return this.streamable('/api/generate', request, options);
+  }
+
+  chat(request, options) {
+    return this.streamable('/api/chat', request, options);
+  }
+
+  pull(request, options) {
+    return this.streamable('/api/pull', request, options);
+  }
+
+  async list(options) {
+    const response = await this.request('GET', '/api/tags', undefined, options);
+    return readJSON(response);
+  }
+
+  async show(request, options) {
+    const response = await this.request('POST', '/api/show', request, options);
+    return readJSON(response);
+  }
+
+  async embed(request, options) {
+    const tracker = this.track('/api/embed', request, options);
+    try {
+      const result = await readJSON(await this.request('POST', '/api/embed', request, options));
+      tracker?.done(result);
+      return result;
+    } catch (error) {
+      tracker?.fail(error);
+      throw error;
+    }
+  }
+}
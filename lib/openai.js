@@ -0,0 +1,295 @@
+import { randomUUID } from 'crypto';
+
+// Translation between the OpenAI wire format and Ollama's, for the /v1 routes
+// in CodeCompleter.js. Requests are validated here and turned into Ollama
+// requests; responses are built from Ollama frames. Nothing in here talks to
+// the network.
+
+// A request the /v1 routes must answer with 400, in OpenAI's error shape
+export class OpenAIRequestError extends Error {
+  constructor(message, param = null) {
+    super(message);
+    this.name = 'OpenAIRequestError';
+    this.param = param;
+  }
+}
+
+export function openAIError(message, { type = 'invalid_request_error', param = null, code = null } = {}) {
+  return { error: { message, type, param, code } };
+}
+
+export function completionId(prefix) {
+  return `${prefix}-${randomUUID().replace(/-/g, '').slice(0, 24)}`;
+}
+
+export function unixTime(date = new Date()) {
+  return Math.floor(new Date(date).getTime() / 1000);
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function readNumber(body, name, { min = -Infinity, max = Infinity, integer = false } = {}) {
+  const value = body[name];
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    const range = Number.isFinite(min) && Number.isFinite(max) ? ` between ${min} and ${max}` : '';
+    throw new OpenAIRequestError(`${name} must be ${integer ? 'an integer' : 'a number'}${range}`, name);
+  }
+  return value;
+}
+
+// Sampling parameters shared by both completion routes -> Ollama options
+export function toOllamaOptions(body) {
+  const options = {};
+
+  const maxTokens = readNumber(body, 'max_completion_tokens', { min: 1, integer: true })
+    ?? readNumber(body, 'max_tokens', { min: 1, integer: true });
+  if (maxTokens !== undefined) options.num_predict = maxTokens;
+
+  const mapped = {
+    temperature: readNumber(body, 'temperature', { min: 0, max: 2 }),
+    top_p: readNumber(body, 'top_p', { min: 0, max: 1 }),
+    seed: readNumber(body, 'seed', { integer: true }),
+    presence_penalty: readNumber(body, 'presence_penalty', { min: -2, max: 2 }),
+    frequency_penalty: readNumber(body, 'frequency_penalty', { min: -2, max: 2 })
+  };
+  for (const [name, value] of Object.entries(mapped)) {
+    if (value !== undefined) options[name] = value;
+  }
+
+  const { stop } = body;
+  if (stop !== undefined && stop !== null) {
+    const sequences = typeof stop === 'string' ? [stop] : stop;
+    if (!Array.isArray(sequences) || sequences.length > 4 || sequences.some((sequence) => typeof sequence !== 'string')) {
+      throw new OpenAIRequestError('stop must be a string or an array of up to 4 strings', 'stop');
+    }
+    options.stop = sequences;
+  }
+
+  const n = readNumber(body, 'n', { min: 1, integer: true });
+  if (n !== undefined && n > 1) {
+    throw new OpenAIRequestError('n > 1 is not supported', 'n');
+  }
+
+  return options;
+}
+
+function readModel(body) {
+  if (body.model === undefined) return undefined;
+  if (typeof body.model !== 'string' || !body.model.trim()) {
+    throw new OpenAIRequestError('model must be a non-empty string', 'model');
+  }
+  return body.model.trim();
+}
+
+// OpenAI content is a string or an array of parts; Ollama wants text plus
+// base64 images alongside it
+function readContent(content, param) {
+  if (content === null || content === undefined) return { content: '' };
+  if (typeof content === 'string') return { content };
+  if (!Array.isArray(content)) {
+    throw new OpenAIRequestError('content must be a string or an array of content parts', param);
+  }
+
+  const text = [];
+  const images = [];
+  for (const part of content) {
+    if (part?.type === 'text') {
+      text.push(part.text);
+    } else if (part?.type === 'image_url') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      const match = /^data:[^;,]+;base64,(.*)$/s.exec(url || '');
+      if (!match) {
+        throw new OpenAIRequestError('Only base64 data: URLs are supported for images', param);
+      }
+      images.push(match[1]);
+    } else {
+      throw new OpenAIRequestError(`Unsupported content part type: ${part?.type}`, param);
+    }
+  }
+
+  return images.length ? { content: text.join('\n'), images } : { content: text.join('\n') };
+}
+
+function parseArguments(args, param) {
+  if (typeof args !== 'string') return args || {};
+  try {
+    return args.trim() ? JSON.parse(args) : {};
+  } catch {
+    throw new OpenAIRequestError('tool call arguments must be a JSON string', param);
+  }
+}
+
+// OpenAI messages -> Ollama messages. Tool results are matched back to the
+// call they answer so Ollama gets the tool's name.
+export function toOllamaMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new OpenAIRequestError('messages must be a non-empty array', 'messages');
+  }
+
+  const toolNames = new Map();
+  return messages.map((message, index) => {
+    const param = `messages[${index}]`;
+    if (!isObject(message)) {
+      throw new OpenAIRequestError('Each message must be an object', param);
+    }
+
+    const role = message.role === 'developer' ? 'system' : message.role;
+    if (!['system', 'user', 'assistant', 'tool'].includes(role)) {
+      throw new OpenAIRequestError(`Unsupported role: ${message.role}`, `${param}.role`);
+    }
+
+    const converted = { role, ...readContent(message.content, `${param}.content`) };
+
+    if (role === 'assistant' && Array.isArray(message.tool_calls)) {
+      converted.tool_calls = message.tool_calls.map((toolCall, callIndex) => {
+        const name = toolCall?.function?.name;
+        if (typeof name !== 'string') {
+          throw new OpenAIRequestError('tool_calls need a function name', `${param}.tool_calls[${callIndex}]`);
+        }
+        if (toolCall.id) toolNames.set(toolCall.id, name);
+        return {
+          function: {
+            name,
+            arguments: parseArguments(toolCall.function.arguments, `${param}.tool_calls[${callIndex}].function.arguments`)
+          }
+        };
+      });
+    }
+
+    if (role === 'tool') {
+      const name = message.name || toolNames.get(message.tool_call_id);
+      if (name) converted.tool_name = name;
+    }
+
+    return converted;
+  });
+}
+
+// tools (already Ollama's shape) narrowed down by tool_choice
+function readTools({ tools, tool_choice: toolChoice }) {
+  if (toolChoice === 'none') return { tools: undefined, toolChoice };
+  if (tools === undefined || tools === null) return { tools: undefined, toolChoice };
+
+  if (!Array.isArray(tools) || tools.some((tool) => tool?.type !== 'function' || typeof tool.function?.name !== 'string')) {
+    throw new OpenAIRequestError('tools must be an array of { type: "function", function: { name, ... } }', 'tools');
+  }
+
+  if (isObject(toolChoice)) {
+    const name = toolChoice.function?.name;
+    const chosen = tools.filter((tool) => tool.function.name === name);
+    if (chosen.length === 0) {
+      throw new OpenAIRequestError(`tool_choice names an unknown function: ${name}`, 'tool_choice');
+    }
+    return { tools: chosen, toolChoice };
+  }
+
+  return { tools, toolChoice };
+}
+
+// response_format -> Ollama's format ('json' or a JSON schema)
+function readFormat(responseFormat) {
+  if (!responseFormat || responseFormat.type === 'text') return undefined;
+  if (responseFormat.type === 'json_object') return 'json';
+  if (responseFormat.type === 'json_schema' && isObject(responseFormat.json_schema?.schema)) {
+    return responseFormat.json_schema.schema;
+  }
+  throw new OpenAIRequestError('response_format must be text, json_object or json_schema with a schema', 'response_format');
+}
+
+export function readChatCompletionRequest(body) {
+  const { tools, toolChoice } = readTools(body);
+  return {
+    model: readModel(body),
+    messages: toOllamaMessages(body.messages),
+    options: toOllamaOptions(body),
+    format: readFormat(body.response_format),
+    tools,
+    toolChoice,
+    stream: body.stream === true,
+    includeUsage: body.stream_options?.include_usage === true
+  };
+}
+
+export function readCompletionRequest(body) {
+  const prompts = typeof body.prompt === 'string' ? [body.prompt] : body.prompt;
+  if (!Array.isArray(prompts) || prompts.length === 0 || prompts.some((prompt) => typeof prompt !== 'string')) {
+    throw new OpenAIRequestError('prompt must be a string or an array of strings', 'prompt');
+  }
+  if (body.suffix !== undefined && body.suffix !== null && typeof body.suffix !== 'string') {
+    throw new OpenAIRequestError('suffix must be a string', 'suffix');
+  }
+
+  return {
+    model: readModel(body),
+    prompts,
+    suffix: body.suffix || undefined,
+    echo: body.echo === true,
+    options: toOllamaOptions(body),
+    stream: body.stream === true,
+    includeUsage: body.stream_options?.include_usage === true
+  };
+}
+
+export function readEmbeddingRequest(body) {
+  const inputs = typeof body.input === 'string' ? [body.input] : body.input;
+  if (!Array.isArray(inputs) || inputs.length === 0 || inputs.some((input) => typeof input !== 'string')) {
+    throw new OpenAIRequestError('input must be a string or an array of strings (token arrays are not supported)', 'input');
+  }
+  if (body.encoding_format !== undefined && !['float', 'base64'].includes(body.encoding_format)) {
+    throw new OpenAIRequestError('encoding_format must be float or base64', 'encoding_format');
+  }
+
+  return {
+    model: readModel(body),
+    inputs,
+    dimensions: readNumber(body, 'dimensions', { min: 1, integer: true }),
+    encoding: body.encoding_format || 'float'
+  };
+}
+
+// Ollama tool calls -> OpenAI's, which carry an id and JSON-string arguments
+export function toOpenAIToolCalls(toolCalls) {
+  return toolCalls.map((toolCall) => ({
+    id: toolCall.id || `call_${randomUUID().replace(/-/g, '').slice(0, 24)}`,
+    type: 'function',
+    function: {
+      name: toolCall.function.name,
+      arguments: typeof toolCall.function.arguments === 'string'
+        ? toolCall.function.arguments
+        : JSON.stringify(toolCall.function.arguments || {})
+    }
+  }));
+}
+
+export function finishReason(doneReason, hasToolCalls = false) {
+  if (hasToolCalls) return 'tool_calls';
+  return doneReason === 'length' ? 'length' : 'stop';
+}
+
+// Running totals of Ollama's counts, e.g. across the rounds of a tool loop
+export function createUsage() {
+  return { prompt_eval_count: 0, eval_count: 0, done_reason: null };
+}
+
+export function addUsage(usage, frame) {
+  usage.prompt_eval_count += frame.prompt_eval_count || 0;
+  usage.eval_count += frame.eval_count || 0;
+  if (frame.done_reason) usage.done_reason = frame.done_reason;
+}
+
+export function toOpenAIUsage({ prompt_eval_count: promptTokens, eval_count: completionTokens }) {
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+// encoding_format: 'base64' is little-endian float32, like OpenAI's
+export function encodeEmbedding(vector, encoding) {
+  if (encoding !== 'base64') return vector;
+  return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
@@ -0,0 +1,186 @@
+// Per-caller limits for the servers that put prompts in front of Ollama.
+//
+// A caller is an API key (or, with auth disabled, an address). Each one gets
+//   requestsPerMinute  generations started in any rolling 60 seconds
+//   concurrent         generations running at once
+//   maxPromptChars     characters of prompt text in one request
+//   dailyTokens        tokens Ollama generated for it (eval_count) per UTC day
+// A limit of 0 switches that check off. Defaults come from the environment
+// and a key can override any of them (`limits` in the key file, set with
+// npm run keys). Counts live in memory, per server process, and start
+// over when it restarts.
+
+export const LIMIT_NAMES = ['requestsPerMinute', 'concurrent', 'maxPromptChars', 'dailyTokens'];
+
+const WINDOW_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// reason: requests_per_minute, concurrent, prompt_too_long or daily_tokens.
+// retryAfter is in seconds, null when retrying can't help.
+export class RateLimitError extends Error {
+  constructor(message, { reason, limit, retryAfter = null }) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.reason = reason;
+    this.limit = limit;
+    this.retryAfter = retryAfter;
+    this.status = reason === 'prompt_too_long' ? 413 : 429;
+  }
+}
+
+// Values for LIMIT_NAMES from a plain object; throws on anything that is not
+// a non-negative integer
+export function readLimits(value = {}) {
+  const limits = {};
+  for (const name of LIMIT_NAMES) {
+    if (value[name] === undefined || value[name] === null || value[name] === '') continue;
+    const limit = Number(value[name]);
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error(`${name} must be a non-negative integer (0 for no limit)`);
+    }
+    limits[name] = limit;
+  }
+  return limits;
+}
+
+// Characters of prompt text in a request value: strings, arrays of them and
+// the content/text fields of message objects (images don't count)
+export function promptLength(value) {
+  if (typeof value === 'string') return value.length;
+  if (Array.isArray(value)) return value.reduce((total, item) => total + promptLength(item), 0);
+  if (typeof value === 'object' && value !== null) {
+    return promptLength(value.content) + promptLength(value.text);
+  }
+  return 0;
+}
+
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function secondsUntil(time, now) {
+  return Math.max(1, Math.ceil((time - now) / 1000));
+}
+
+export class RateLimiter {
+  constructor({ defaults = {}, now = Date.now } = {}) {
+    this.defaults = { requestsPerMinute: 0, concurrent: 0, maxPromptChars: 0, dailyTokens: 0, ...defaults };
+    this.now = now;
+    this.callers = new Map(); // identity -> { started: [time...], active, day, tokens }
+  }
+
+  // The defaults with a key's own overrides on top
+  limitsFor(key) {
+    return { ...this.defaults, ...key?.limits };
+  }
+
+  state(identity) {
+    const now = this.now();
+    let state = this.callers.get(identity);
+    if (!state) {
+      state = { started: [], active: 0, day: utcDay(now), tokens: 0 };
+      this.callers.set(identity, state);
+    }
+    while (state.started.length > 0 && state.started[0] <= now - WINDOW_MS) {
+      state.started.shift();
+    }
+    if (state.day !== utcDay(now)) {
+      state.day = utcDay(now);
+      state.tokens = 0;
+    }
+    return state;
+  }
+
+  // Starts a generation for `identity` or throws RateLimitError. The lease
+  // must be released exactly once, with the eval_count it used.
+  acquire(identity, { limits = this.defaults, promptChars = 0 } = {}) {
+    const now = this.now();
+    const state = this.state(identity);
+
+    if (limits.maxPromptChars && promptChars > limits.maxPromptChars) {
+      throw new RateLimitError(`Prompt is ${promptChars} characters; the limit is ${limits.maxPromptChars}`, {
+        reason: 'prompt_too_long',
+        limit: limits.maxPromptChars
+      });
+    }
+    if (limits.dailyTokens && state.tokens >= limits.dailyTokens) {
+      const midnight = Math.ceil((now + 1) / DAY_MS) * DAY_MS;
+      throw new RateLimitError(`Daily token budget of ${limits.dailyTokens} used up`, {
+        reason: 'daily_tokens',
+        limit: limits.dailyTokens,
+        retryAfter: secondsUntil(midnight, now)
+      });
+    }
+    if (limits.requestsPerMinute && state.started.length >= limits.requestsPerMinute) {
+      throw new RateLimitError(`Rate limit of ${limits.requestsPerMinute} requests per minute reached`, {
+        reason: 'requests_per_minute',
+        limit: limits.requestsPerMinute,
+        retryAfter: secondsUntil(state.started[0] + WINDOW_MS, now)
+      });
+    }
+    if (limits.concurrent && state.active >= limits.concurrent) {
+      throw new RateLimitError(`Too many concurrent requests (limit ${limits.concurrent})`, {
+        reason: 'concurrent',
+        limit: limits.concurrent,
+        retryAfter: 1
+      });
+    }
+
+    state.started.push(now);
+    state.active++;
+    state.limits = limits;
+
+    let released = false;
+    return {
+      release: (evalCount = 0) => {
+        if (released) return;
+        released = true;
+        const current = this.state(identity);
+        current.active--;
+        current.tokens += evalCount;
+      }
+    };
+  }
+
+  // What `identity` has used against `limits` (by default, those of its
+  // last request), for the usage endpoints
+  usage(identity, limits) {
+    const now = this.now();
+    const state = this.state(identity);
+    limits = limits || state.limits || this.defaults;
+    return {
+      limits,
+      requests_last_minute: state.started.length,
+      active: state.active,
+      tokens_today: state.tokens,
+      tokens_remaining: limits.dailyTokens ? Math.max(0, limits.dailyTokens - state.tokens) : null,
+      day: state.day,
+      resets_at: new Date(Math.ceil((now + 1) / DAY_MS) * DAY_MS).toISOString()
+    };
+  }
+
+  // Every caller seen since the start, busiest first
+  all() {
+    return Array.from(this.callers.keys())
+      .map((identity) => ({ identity, ...this.usage(identity) }))
+      .sort((a, b) => b.tokens_today - a.tokens_today || b.requests_last_minute - a.requests_last_minute);
+  }
+}
+
+// Who a request counts against: its API key, else where it came from
+export function rateLimitIdentity(key, address) {
+  return key?.id ? `key:${key.id}` : `address:${address}`;
+}
+
+// RATE_LIMIT_RPM, RATE_LIMIT_CONCURRENT, MAX_PROMPT_CHARS and
+// DAILY_TOKEN_BUDGET set the defaults (0 = unlimited)
+export function createRateLimiter(env = process.env) {
+  return new RateLimiter({
+    defaults: readLimits({
+      requestsPerMinute: env.RATE_LIMIT_RPM ?? 60,
+      concurrent: env.RATE_LIMIT_CONCURRENT ?? 4,
+      maxPromptChars: env.MAX_PROMPT_CHARS ?? 32000,
+      dailyTokens: env.DAILY_TOKEN_BUDGET ?? 0
+    })
+  });
+}
@@ -0,0 +1,440 @@
+import { spawn, execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { readInteger } from './env.js';
+
+// Runs untrusted snippets (JavaScript or Python) in a separate process:
+//
+//   - CPU time is capped with `ulimit -t`, wall-clock time with a SIGKILL timer
+//   - memory is capped with `ulimit -d` (Node, whose reserved address space
+//     would trip `ulimit -v`) or `ulimit -v` (Python)
+//   - the working directory is an empty scratch dir that is deleted afterwards
+//   - where the machine allows user namespaces, the process gets its own
+//     mount, PID and network namespaces: its root is an empty tmpfs with only
+//     /usr, the system libraries, the interpreter and the scratch dir bind
+//     mounted (read-only but for the scratch dir), and it runs as uid 65534
+//   - no filesystem access: Node runs under --experimental-permission, Python
+//     under an audit hook that refuses opens outside its standard library
+//     (allowFs opens up the scratch dir only)
+//   - no processes: Node's permission model refuses child_process, the
+//     Python hook refuses fork/exec/spawn and the modules that bypass them
+//   - no network: the empty network namespace, and a language-level guard
+//     either way
+//
+// The language-level guards are all there is on machines without user
+// namespaces; set requireIsolation (SANDBOX_REQUIRE_ISOLATION=true) to
+// refuse to run snippets there instead.
+//
+// Results look like:
+//   { language, exitCode, signal, stdout, stderr, timedOut, cpuLimitExceeded,
+//     memoryLimitExceeded, truncated, durationMs }
+
+export const SANDBOX_LANGUAGES = ['javascript', 'python'];
+
+const LANGUAGE_ALIASES = { js: 'javascript', node: 'javascript', 'node.js': 'javascript', py: 'python', python3: 'python' };
+
+const MAX_CODE_LENGTH = 100 * 1024;
+
+// Node's own data segment before a snippet allocates anything (about 50 MB),
+// allowed on top of memoryMb
+const NODE_RUNTIME_MB = 64;
+
+// What Node (heap or ArrayBuffer allocations) and Python print when a
+// snippet runs into its memory limit
+const MEMORY_ERRORS = /heap out of memory|Array buffer allocation failed|std::bad_alloc|MemoryError|Cannot allocate memory/;
+
+export class SandboxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SandboxError';
+  }
+}
+
+// Installed before the snippet runs when network access is off. The network
+// namespace is the real barrier; this covers systems without `unshare`. It is
+// squeezed onto the snippet's first line so error line numbers still match.
+const NODE_NETWORK_GUARD = `
+(() => {
+  const deny = (what) => function () { throw new Error('Sandbox: network access is disabled (' + what + ')'); };
+  const net = require('net');
+  net.Socket.prototype.connect = deny('net.connect');
+  net.Server.prototype.listen = deny('listen');
+  const dgram = require('dgram');
+  dgram.Socket.prototype.bind = deny('dgram.bind');
+  dgram.Socket.prototype.send = deny('dgram.send');
+  const dns = require('dns');
+  for (const name of ['lookup', 'resolve', 'resolve4', 'resolve6', 'resolveAny']) {
+    dns[name] = deny('dns.' + name);
+    dns.promises[name] = deny('dns.' + name);
+  }
+  globalThis.fetch = deny('fetch');
+  globalThis.WebSocket = deny('WebSocket');
+  process.binding = deny('process.binding');
+})();
+`;
+
+// Audit hooks cannot be removed once installed, so the snippet cannot undo
+// this. Modules that start processes or call into C without raising audit
+// events of their own (_posixsubprocess.fork_exec, ctypes) may not be
+// imported at all. The snippet itself arrives as argv[1].
+const PYTHON_PRELUDE = `
+import sys, os
+
+def _install_sandbox(allow_fs, allow_net, scratch):
+    realpath = os.path.realpath
+    fsdecode = os.fsdecode
+    sep = os.sep
+    readable = tuple(realpath(p) for p in sys.path if p and realpath(p) != scratch)
+    write_flags = os.O_WRONLY | os.O_RDWR | os.O_CREAT | os.O_APPEND | os.O_TRUNC
+    always_blocked = {
+        'subprocess.Popen', 'os.system', 'os.exec', 'os.posix_spawn', 'os.spawn', 'os.fork',
+        'os.forkpty', 'os.startfile', 'pty.spawn', 'os.kill', 'os.killpg', 'signal.pthread_kill',
+        'ctypes.dlopen', 'ctypes.dlsym', 'ctypes.call_function', 'sys.addaudithook',
+        '_winapi.CreateProcess'
+    }
+    blocked_modules = {
+        '_posixsubprocess', '_ctypes', 'ctypes', '_winapi', 'posix', 'nt', '_testcapi',
+        '_testinternalcapi', '_xxsubinterpreters'
+    }
+    fs_events = {
+        'os.remove', 'os.rename', 'os.rmdir', 'os.mkdir', 'os.chmod', 'os.chown', 'os.link',
+        'os.symlink', 'os.truncate', 'os.utime', 'os.listdir', 'os.scandir', 'shutil.rmtree'
+    }
+    net_events = {
+        'socket.connect', 'socket.bind', 'socket.getaddrinfo', 'socket.gethostbyname',
+        'socket.gethostbyaddr', 'socket.sendto', 'socket.sendmsg'
+    }
+
+    def in_scratch(p):
+        return p == scratch or p.startswith(scratch + sep)
+
+    def hook(event, args):
+        if event == 'import':
+            if isinstance(args[0], str) and args[0].partition('.')[0] in blocked_modules:
+                raise PermissionError('Sandbox: importing ' + args[0] + ' is not allowed')
+            return
+        if event == 'open':
+            target, mode, flags = args
+            if not isinstance(target, (str, bytes)):
+                return
+            p = realpath(fsdecode(target))
+            if allow_fs and in_scratch(p):
+                return
+            writing = (isinstance(mode, str) and any(c in mode for c in 'wax+')) or bool(flags & write_flags)
+            if not writing and p.startswith(readable):
+                return
+            raise PermissionError('Sandbox: file access is disabled (' + p + ')')
+        if event in fs_events:
+            target = args[0] if args else None
+            if isinstance(target, (str, bytes)) and realpath(fsdecode(target)).startswith(readable) and event in ('os.listdir', 'os.scandir'):
+                return
+            if allow_fs and isinstance(target, (str, bytes)) and in_scratch(realpath(fsdecode(target))):
+                return
+            raise PermissionError('Sandbox: file access is disabled (' + event + ')')
+        if event in always_blocked:
+            raise PermissionError('Sandbox: ' + event + ' is not allowed')
+        if not allow_net and event in net_events:
+            raise PermissionError('Sandbox: network access is disabled (' + event + ')')
+
+    sys.addaudithook(hook)
+
+_code = sys.argv.pop(1)
+_install_sandbox(sys.argv.pop(1) == '1', sys.argv.pop(1) == '1', os.path.realpath(os.getcwd()))
+del _install_sandbox
+exec(compile(_code, '<sandbox>', 'exec'), {'__name__': '__main__'})
+`;
+
+// Run by sh as root of a fresh user namespace (see isolate below): builds
+// the snippet's root filesystem on a tmpfs, pivots into it and runs the
+// command as uid 65534 of a nested user namespace, where nothing can be
+// remounted. $1 is an empty mount point, $2 the scratch dir and $3 the
+// colon-separated paths to bind read-only; the rest is the command.
+// The shell stays on as PID 1 and exits with the command's status, 128 + the
+// signal number when it was killed (unshare --fork cannot pass signals on).
+const NAMESPACE_SETUP = `
+set -e
+root=$1; scratch=$2; dirs=$3; shift 3
+mount -t tmpfs -o size=1m,mode=755 sandbox "$root"
+IFS=:
+for dir in $dirs; do
+  [ -e "$dir" ] || continue
+  if [ -L "$dir" ]; then ln -s "$(readlink "$dir")" "$root$dir"; continue; fi
+  if [ -d "$dir" ]; then mkdir -p "$root$dir"; else mkdir -p "$root$(dirname "$dir")"; touch "$root$dir"; fi
+  mount --rbind "$dir" "$root$dir"
+  mount -o remount,bind,ro "$root$dir"
+done
+unset IFS
+mkdir -p "$root$scratch" "$root/dev" "$root/tmp" "$root/proc" "$root/.old"
+mount --bind "$scratch" "$root$scratch"
+for dev in null zero random urandom; do
+  touch "$root/dev/$dev"
+  mount --bind "/dev/$dev" "$root/dev/$dev"
+done
+mount -t proc proc "$root/proc"
+cd "$root"
+pivot_root . .old
+umount -l /.old
+rmdir /.old
+cd "$scratch"
+set +e
+unshare --user --map-user=65534 --map-group=65534 "$@"
+exit $?
+`;
+
+// What the isolated root gets besides the interpreter's own prefix, and
+// what name resolution and TLS need on top when the network is allowed
+const SYSTEM_DIRS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32'];
+const NETWORK_FILES = ['/etc/resolv.conf', '/etc/hosts', '/etc/nsswitch.conf', '/etc/ssl'];
+
+// The interpreter binary and the directory it is installed under, resolved
+// outside the sandbox: wrappers such as pyenv shims would not find their way
+// around the isolated root
+const PYTHON_LOCATION = 'import os, sys; print(os.path.realpath(sys.executable)); print(os.path.realpath(sys.base_prefix))';
+
+let unshareCheck = null;
+
+// Whether this machine lets us give the snippet its own (empty) network namespace
+function canUnshareNetwork() {
+  if (!unshareCheck) {
+    unshareCheck = new Promise((resolve) => {
+      execFile('unshare', ['--net', '--map-root-user', 'true'], { timeout: 5000 }, (error) => resolve(!error));
+    });
+  }
+  return unshareCheck;
+}
+
+// `command` wrapped so it runs in its own namespaces on a root of its own
+function isolate(command, { mountPoint, scratch, prefix, allowNetwork }) {
+  const dirs = [...SYSTEM_DIRS, ...(allowNetwork ? NETWORK_FILES : [])];
+  if (!SYSTEM_DIRS.some((dir) => prefix === dir || prefix.startsWith(dir + '/'))) dirs.push(prefix);
+  return [
+    'unshare', '--user', '--map-root-user', '--mount', '--pid', '--fork', ...(allowNetwork ? [] : ['--net']),
+    '/bin/sh', '-c', NAMESPACE_SETUP, 'sandbox-setup', mountPoint, scratch, dirs.join(':'),
+    ...command
+  ];
+}
+
+function execFileResult(file, args, options) {
+  return new Promise((resolve) => {
+    execFile(file, args, { timeout: 5000, ...options }, (error, stdout) => resolve(error ? null : stdout));
+  });
+}
+
+function normalizeLanguage(language = 'javascript') {
+  const name = String(language).toLowerCase();
+  return LANGUAGE_ALIASES[name] || name;
+}
+
+export class Sandbox {
+  constructor({
+    timeout = 10000,
+    cpuSeconds = 5,
+    memoryMb = 128,
+    maxOutput = 64 * 1024,
+    allowNetwork = false,
+    allowFs = false,
+    requireIsolation = false,
+    python = 'python3'
+  } = {}) {
+    this.timeout = timeout;
+    this.cpuSeconds = cpuSeconds;
+    this.memoryMb = memoryMb;
+    this.maxOutput = maxOutput;
+    this.allowNetwork = allowNetwork;
+    this.allowFs = allowFs;
+    this.requireIsolation = requireIsolation;
+    this.python = python;
+    this.isolationChecks = new Map();
+  }
+
+  environment(home) {
+    const env = { PATH: process.env.PATH, LANG: 'C.UTF-8', HOME: home };
+    for (const name of ['PYENV_ROOT', 'PYENV_VERSION']) {
+      if (process.env[name]) env[name] = process.env[name];
+    }
+    return env;
+  }
+
+  // { file, prefix } of the interpreter when this machine lets snippets in
+  // `language` run isolated (see NAMESPACE_SETUP), null when it does not.
+  // Found out by running the interpreter that way once.
+  isolation(language) {
+    if (!this.isolationChecks.has(language)) {
+      this.isolationChecks.set(language, this.checkIsolation(language));
+    }
+    return this.isolationChecks.get(language);
+  }
+
+  async checkIsolation(language) {
+    let file = await fs.realpath(process.execPath);
+    let prefix = path.dirname(path.dirname(file));
+    if (language === 'python') {
+      const location = await execFileResult(this.python, ['-I', '-c', PYTHON_LOCATION], { env: this.environment(process.env.HOME) });
+      if (!location) return null;
+      [file, prefix] = location.trim().split('\n');
+    }
+
+    const scratch = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-')));
+    const mountPoint = await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-root-'));
+    try {
+      const [command, ...args] = isolate([file, '--version'], { mountPoint, scratch, prefix, allowNetwork: this.allowNetwork });
+      const output = await execFileResult(command, args, { cwd: scratch, env: this.environment(scratch) });
+      return output === null ? null : { file, prefix };
+    } finally {
+      await fs.rm(scratch, { recursive: true, force: true });
+      await fs.rm(mountPoint, { recursive: true, force: true });
+    }
+  }
+
+  command(language, code, scratch) {
+    if (language === 'javascript') {
+      const args = [
+        '--experimental-permission',
+        '--disable-warning=ExperimentalWarning',
+        `--max-old-space-size=${this.memoryMb}`
+      ];
+      if (this.allowFs) {
+        args.push(`--allow-fs-read=${scratch}`, `--allow-fs-write=${scratch}`);
+      }
+      const source = this.allowNetwork ? code : `${NODE_NETWORK_GUARD.trim().replace(/\s*\n\s*/g, ' ')} ${code}`;
+      // The heap flag leaves Buffers and ArrayBuffers out; the data limit
+      // counts every private writable mapping, them included
+      const dataMb = this.memoryMb + NODE_RUNTIME_MB;
+      return { file: process.execPath, args: [...args, '-e', source], limits: [`ulimit -d ${dataMb * 1024}`] };
+    }
+
+    return {
+      file: this.python,
+      args: ['-I', '-c', PYTHON_PRELUDE, code, this.allowFs ? '1' : '0', this.allowNetwork ? '1' : '0'],
+      limits: [`ulimit -v ${this.memoryMb * 1024}`]
+    };
+  }
+
+  // Runs `code` and resolves with the result; only invalid input throws
+  async run({ language, code, stdin = '' }) {
+    const lang = normalizeLanguage(language);
+    if (!SANDBOX_LANGUAGES.includes(lang)) {
+      throw new SandboxError(`Unsupported language: ${language}; use one of ${SANDBOX_LANGUAGES.join(', ')}`);
+    }
+    if (typeof code !== 'string' || code.trim() === '') {
+      throw new SandboxError('Code is required');
+    }
+    if (code.length > MAX_CODE_LENGTH) {
+      throw new SandboxError(`Code is ${code.length} characters; the limit is ${MAX_CODE_LENGTH}`);
+    }
+
+
+    const isolated = await this.isolation(lang);
+    if (!isolated && this.requireIsolation) {
+      throw new SandboxError('Snippets have to run isolated, but this machine does not allow user namespaces');
+    }
+
+    const scratch = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-')));
+    const mountPoint = isolated && await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-root-'));
+    try {
+      return await this.spawn(lang, code, stdin, scratch, isolated && { ...isolated, mountPoint });
+    } finally {
+      await fs.rm(scratch, { recursive: true, force: true });
+      if (mountPoint) await fs.rm(mountPoint, { recursive: true, force: true });
+    }
+  }
+
+  async spawn(language, code, stdin, scratch, isolated) {
+    const { file, args, limits } = this.command(language, code, scratch);
+
+    // sh applies the rlimits, then execs the interpreter in its place. The
+    // hard CPU limit sits a second above the soft one so the snippet dies of
+    // SIGXCPU, which tells us why it stopped.
+    const script = [
+      `ulimit -S -t ${this.cpuSeconds}`,
+      `ulimit -H -t ${this.cpuSeconds + 1}`,
+      ...limits,
+      'exec "$@"'
+    ].join('; ');
+    let command = ['/bin/sh', '-c', script, 'sandbox', isolated ? isolated.file : file, ...args];
+    if (isolated) {
+      command = isolate(command, { ...isolated, scratch, allowNetwork: this.allowNetwork });
+    } else if (!this.allowNetwork && await canUnshareNetwork()) {
+      command = ['unshare', '--net', '--map-root-user', ...command];
+    }
+
+    // Inside the isolated root only the scratch dir is there to be HOME
+    const env = this.environment(isolated ? scratch : process.env.HOME || scratch);
+
+    const started = Date.now();
+    const child = spawn(command[0], command.slice(1), {
+      cwd: scratch,
+      env,
+      detached: true, // own process group, so a timeout kills everything it started
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    const output = { stdout: '', stderr: '' };
+    let truncated = false;
+    const collect = (stream) => (chunk) => {
+      const room = this.maxOutput - output.stdout.length - output.stderr.length;
+      if (room <= 0) {
+        truncated = true;
+        return;
+      }
+      const text = chunk.toString();
+      if (text.length > room) truncated = true;
+      output[stream] += text.slice(0, room);
+    };
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
+
+    child.stdin.on('error', () => {}); // the snippet may exit without reading stdin
+    child.stdin.end(stdin);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        // already gone
+      }
+    }, this.timeout);
+
+    let { exitCode, signal } = await new Promise((resolve, reject) => {
+      child.on('error', reject);
+      child.on('close', (code, closeSignal) => resolve({ exitCode: code, signal: closeSignal }));
+    }).finally(() => clearTimeout(timer));
+    if (isolated && exitCode > 128) {
+      signal = Object.keys(os.constants.signals).find((name) => os.constants.signals[name] === exitCode - 128) ?? null;
+      if (signal) exitCode = null;
+    }
+
+    return {
+      language,
+      exitCode,
+      signal,
+      stdout: output.stdout,
+      stderr: output.stderr,
+      timedOut,
+      cpuLimitExceeded: signal === 'SIGXCPU',
+      memoryLimitExceeded: MEMORY_ERRORS.test(output.stderr),
+      truncated,
+      durationMs: Date.now() - started
+    };
+  }
+}
+
+// Builds a sandbox from the environment:
+//   SANDBOX_TIMEOUT_MS, SANDBOX_CPU_SECONDS, SANDBOX_MEMORY_MB, SANDBOX_MAX_OUTPUT,
+//   SANDBOX_ALLOW_NETWORK=true, SANDBOX_ALLOW_FS=true, SANDBOX_REQUIRE_ISOLATION=true,
+//   SANDBOX_PYTHON
+export function createSandbox(env = process.env) {
+  return new Sandbox({
+    timeout: readInteger(env, 'SANDBOX_TIMEOUT_MS', undefined),
+    cpuSeconds: readInteger(env, 'SANDBOX_CPU_SECONDS', undefined),
+    memoryMb: readInteger(env, 'SANDBOX_MEMORY_MB', undefined),
+    maxOutput: readInteger(env, 'SANDBOX_MAX_OUTPUT', undefined),
+    allowNetwork: env.SANDBOX_ALLOW_NETWORK === 'true',
+    allowFs: env.SANDBOX_ALLOW_FS === 'true',
+    requireIsolation: env.SANDBOX_REQUIRE_ISOLATION === 'true',
+    python: env.SANDBOX_PYTHON || undefined
+  });
+}
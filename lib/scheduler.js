@@ -0,0 +1,157 @@
+import { EventEmitter } from 'events';
+
+// Rejected when a task's AbortSignal fires before it left the queue.
+export class QueueAbortError extends Error {
+  constructor() {
+    super('Request was cancelled while queued');
+    this.name = 'QueueAbortError';
+  }
+}
+
+// Runs tasks with a global concurrency limit. Every client gets its own FIFO
+// queue and free slots are handed out round-robin across clients, so one
+// chatty client cannot starve everyone else.
+//
+// Emits 'change' with the current stats whenever something is queued,
+// started, finished or cancelled.
+export class FairScheduler extends EventEmitter {
+  constructor({ concurrency = 1 } = {}) {
+    super();
+    // NaN would fail every `active < concurrency` check and queue forever
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`concurrency must be an integer of at least 1, got ${concurrency}`);
+    }
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.activeByClient = new Map();
+    this.queues = new Map(); // clientId -> queued entries
+    this.rotation = []; // clientIds with queued work, in turn order
+  }
+
+  // Resolves with the task's result once it has had its turn. `onQueued` is
+  // called with the 1-based queue position whenever that position changes;
+  // it is never called for a task that starts straight away.
+  schedule(clientId, task, { signal, onQueued } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new QueueAbortError());
+        return;
+      }
+
+      const entry = { clientId, task, resolve, reject, signal, onQueued, position: null };
+      if (signal) {
+        entry.onAbort = () => this.remove(entry);
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      let queue = this.queues.get(clientId);
+      if (!queue) {
+        queue = [];
+        this.queues.set(clientId, queue);
+        this.rotation.push(clientId);
+      }
+      queue.push(entry);
+
+      this.drain();
+      this.changed();
+    });
+  }
+
+  remove(entry) {
+    const queue = this.queues.get(entry.clientId);
+    const index = queue ? queue.indexOf(entry) : -1;
+    if (index === -1) return; // Already running, the task handles its own abort
+
+    queue.splice(index, 1);
+    if (queue.length === 0) {
+      this.queues.delete(entry.clientId);
+      this.rotation = this.rotation.filter((id) => id !== entry.clientId);
+    }
+
+    entry.reject(new QueueAbortError());
+    this.changed();
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.rotation.length > 0) {
+      const clientId = this.rotation.shift();
+      const queue = this.queues.get(clientId);
+      const entry = queue.shift();
+
+      if (queue.length > 0) {
+        this.rotation.push(clientId);
+      } else {
+        this.queues.delete(clientId);
+      }
+
+      this.run(entry);
+    }
+  }
+
+  async run(entry) {
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+    this.active++;
+    this.activeByClient.set(entry.clientId, (this.activeByClient.get(entry.clientId) || 0) + 1);
+
+    try {
+      entry.resolve(await entry.task());
+    } catch (error) {
+      entry.reject(error);
+    } finally {
+      this.active--;
+      const remaining = this.activeByClient.get(entry.clientId) - 1;
+      if (remaining > 0) {
+        this.activeByClient.set(entry.clientId, remaining);
+      } else {
+        this.activeByClient.delete(entry.clientId);
+      }
+
+      this.drain();
+      this.changed();
+    }
+  }
+
+  // Position = how many queued tasks will be dispatched before this one,
+  // following the same round-robin order drain() uses.
+  positionOf(clientId, depth) {
+    const turn = this.rotation.indexOf(clientId);
+    let position = 1;
+
+    this.rotation.forEach((otherId, otherTurn) => {
+      const length = this.queues.get(otherId).length;
+      position += Math.min(length, depth);
+      if (otherTurn < turn && length > depth) position++;
+    });
+
+    return position;
+  }
+
+  changed() {
+    this.queues.forEach((queue, clientId) => {
+      queue.forEach((entry, depth) => {
+        const position = this.positionOf(clientId, depth);
+        if (position !== entry.position) {
+          entry.position = position;
+          entry.onQueued?.(position);
+        }
+      });
+    });
+
+    this.emit('change', this.stats());
+  }
+
+  stats() {
+    const clientIds = new Set([...this.queues.keys(), ...this.activeByClient.keys()]);
+
+    return {
+      concurrency: this.concurrency,
+      active: this.active,
+      queued: Array.from(this.queues.values()).reduce((total, queue) => total + queue.length, 0),
+      clients: Array.from(clientIds).map((clientId) => ({
+        clientId,
+        active: this.activeByClient.get(clientId) || 0,
+        queued: this.queues.get(clientId)?.length || 0
+      }))
+    };
+  }
+}
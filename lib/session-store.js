@@ -0,0 +1,252 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Interface for CodeCompleter's chat session storage. Sessions are plain
+// objects: { id, messages, created, lastActivity, ... }. A session whose
+// lastActivity is older than `ttl` ms counts as gone, and purgeExpired()
+// removes such sessions for good. A ttl of 0 disables expiry.
+export class SessionStore {
+  constructor({ ttl = 0 } = {}) {
+    this.ttl = ttl;
+  }
+
+  isExpired(session) {
+    return this.ttl > 0 && Date.now() - new Date(session.lastActivity).getTime() > this.ttl;
+  }
+
+  async get(id) {
+    throw new Error('SessionStore.get() not implemented');
+  }
+
+  async save(session) {
+    throw new Error('SessionStore.save() not implemented');
+  }
+
+  async delete(id) {
+    throw new Error('SessionStore.delete() not implemented');
+  }
+
+  // All live sessions, most recently active first
+  async all() {
+    throw new Error('SessionStore.all() not implemented');
+  }
+
+  async list({ offset = 0, limit = 20 } = {}) {
+    const sessions = await this.all();
+    return {
+      total: sessions.length,
+      sessions: sessions.slice(offset, offset + limit)
+    };
+  }
+
+  async count() {
+    return (await this.all()).length;
+  }
+
+  // Returns the ids that were removed
+  async purgeExpired() {
+    throw new Error('SessionStore.purgeExpired() not implemented');
+  }
+}
+
+function byLastActivity(a, b) {
+  return new Date(b.lastActivity) - new Date(a.lastActivity);
+}
+
+// Keeps sessions in a Map; everything is lost on restart
+export class MemorySessionStore extends SessionStore {
+  constructor(options) {
+    super(options);
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    const session = this.sessions.get(id);
+    if (!session || this.isExpired(session)) return null;
+    return session;
+  }
+
+  async save(session) {
+    this.sessions.set(session.id, session);
+  }
+
+  async delete(id) {
+    return this.sessions.delete(id);
+  }
+
+  async all() {
+    return Array.from(this.sessions.values())
+      .filter((session) => !this.isExpired(session))
+      .sort(byLastActivity);
+  }
+
+  async purgeExpired() {
+    const expired = [];
+    this.sessions.forEach((session, id) => {
+      if (this.isExpired(session)) expired.push(id);
+    });
+    expired.forEach((id) => this.sessions.delete(id));
+    return expired;
+  }
+}
+
+// One JSON file per session under `dir`. Writes go through a temp file and a
+// rename so a crash mid-write never leaves a half-written session behind.
+// Loaded sessions are cached, so every caller shares the same live object and
+// sees messages added by a request that has not saved yet. The cache keeps the
+// `cacheSize` most recently used sessions; a request's session is used at its
+// start and saved at its end, so only sessions nobody is working on drop out.
+// Listing skips files that no longer parse (hand-edited, truncated by a full
+// disk) with a warning through `logger`, so one bad file cannot break /sessions.
+export class FileSessionStore extends SessionStore {
+  constructor({ dir = './sessions', cacheSize = 500, logger = null, ...options } = {}) {
+    super(options);
+    this.dir = dir;
+    this.cacheSize = cacheSize;
+    this.logger = logger;
+    this.cache = new Map(); // file -> session, least recently used first
+    this.writes = new Map(); // file -> pending write, so saves never race
+  }
+
+  fileFor(id) {
+    return path.join(this.dir, `${encodeURIComponent(id)}.json`);
+  }
+
+  remember(file, session) {
+    this.cache.delete(file);
+    this.cache.set(file, session);
+    for (const oldest of this.cache.keys()) {
+      if (this.cache.size <= this.cacheSize) break;
+      if (!this.writes.has(oldest)) this.cache.delete(oldest);
+    }
+  }
+
+  async read(file) {
+    const cached = this.cache.get(file);
+    if (cached) {
+      this.remember(file, cached);
+      return cached;
+    }
+
+    try {
+      const session = JSON.parse(await fs.readFile(file, 'utf8'));
+      session.created = new Date(session.created);
+      session.lastActivity = new Date(session.lastActivity);
+      this.remember(file, session);
+      return session;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async get(id) {
+    const session = await this.read(this.fileFor(id));
+    if (!session || this.isExpired(session)) return null;
+    return session;
+  }
+
+  async save(session) {
+    const file = this.fileFor(session.id);
+    this.remember(file, session);
+
+    const previous = this.writes.get(file) || Promise.resolve();
+    const write = previous.catch(() => {}).then(() => this.write(file, session));
+    this.writes.set(file, write);
+
+    try {
+      await write;
+    } finally {
+      if (this.writes.get(file) === write) {
+        this.writes.delete(file);
+      }
+    }
+  }
+
+  async write(file, session) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(session, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  async delete(id) {
+    const file = this.fileFor(id);
+    this.cache.delete(file);
+
+    try {
+      await fs.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async files() {
+    try {
+      return (await fs.readdir(this.dir))
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => path.join(this.dir, file));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async readAll() {
+    const sessions = await Promise.all((await this.files()).map((file) => this.read(file).catch((error) => {
+      if (!(error instanceof SyntaxError)) throw error;
+      this.logger?.warn('Skipping unreadable session file', { file, error });
+      return null;
+    })));
+    return sessions.filter(Boolean);
+  }
+
+  // Counts session files without parsing them. Every save rewrites the file,
+  // so its mtime stands in for lastActivity when telling expired ones apart.
+  async count() {
+    const files = await this.files();
+    if (this.ttl <= 0) return files.length;
+
+    const stats = await Promise.all(files.map((file) => fs.stat(file).catch((error) => {
+      if (error.code === 'ENOENT') return null; // deleted meanwhile
+      throw error;
+    })));
+    return stats.filter((stat) => stat && Date.now() - stat.mtimeMs <= this.ttl).length;
+  }
+
+  async all() {
+    const sessions = await this.readAll();
+    return sessions.filter((session) => !this.isExpired(session)).sort(byLastActivity);
+  }
+
+  async purgeExpired() {
+    const sessions = await this.readAll();
+    const expired = sessions.filter((session) => this.isExpired(session));
+    await Promise.all(expired.map((session) => this.delete(session.id)));
+    return expired.map((session) => session.id);
+  }
+}
+
+// Picks a store from the environment:
+//   SESSION_STORE=file|memory (default file), SESSION_DIR, SESSION_TTL_MINUTES,
+//   SESSION_CACHE_SIZE (sessions a file store keeps in memory, default 500)
+export function createSessionStore(env = process.env, { logger } = {}) {
+  const ttlMinutes = Number(env.SESSION_TTL_MINUTES || '1440');
+  if (!Number.isFinite(ttlMinutes) || ttlMinutes < 0) {
+    throw new Error('SESSION_TTL_MINUTES must be a non-negative number');
+  }
+  const ttl = ttlMinutes * 60 * 1000;
+
+  if (env.SESSION_STORE === 'memory') {
+    return new MemorySessionStore({ ttl });
+  }
+
+  const cacheSize = Number(env.SESSION_CACHE_SIZE || '500');
+  if (!Number.isInteger(cacheSize) || cacheSize < 1) {
+    throw new Error('SESSION_CACHE_SIZE must be a positive integer');
+  }
+  return new FileSessionStore({ dir: env.SESSION_DIR || './sessions', ttl, cacheSize, logger });
+}
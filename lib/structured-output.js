@@ -0,0 +1,126 @@
+import { checkSchema, validate } from './json-schema.js';
+
+// Structured (JSON) replies for scripts. The schema is passed to Ollama as
+// `format`, which constrains generation, and the reply is still checked
+// against it with lib/json-schema.js: constrained decoding does not enforce
+// everything (minimum, pattern, enum across anyOf...) and a reply cut off by
+// num_predict is not valid JSON at all. Invalid replies are sent back to the
+// model with the validation errors, up to `retries` times.
+
+export const DEFAULT_FORMAT_RETRIES = 2;
+export const MAX_FORMAT_RETRIES = 5;
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// `format` as it arrives on a request: 'json', a JSON Schema object, or (from
+// a query string) the schema as a JSON string. Returns { format } or { error }.
+export function readFormat(format) {
+  if (format === undefined || format === null || format === '') return { format: undefined };
+  if (format === 'json') return { format };
+
+  let schema = format;
+  if (typeof format === 'string') {
+    try {
+      schema = JSON.parse(format);
+    } catch {
+      return { error: 'format must be "json" or a JSON Schema object' };
+    }
+  }
+  if (!isObject(schema)) {
+    return { error: 'format must be "json" or a JSON Schema object' };
+  }
+  // Replies are validated here, so a schema we can only partly check is refused
+  const problems = checkSchema(schema);
+  if (problems.length > 0) {
+    return { error: `format uses JSON Schema features this server cannot check: ${problems.join('; ')}` };
+  }
+  return { format: schema };
+}
+
+export function readFormatRetries(retries, name = 'format_retries') {
+  if (retries === undefined || retries === null) return { retries: DEFAULT_FORMAT_RETRIES };
+  const value = Number(retries);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_FORMAT_RETRIES) {
+    return { error: `${name} must be an integer between 0 and ${MAX_FORMAT_RETRIES}` };
+  }
+  return { retries: value };
+}
+
+// Some models wrap JSON in a markdown fence even when constrained
+function stripFence(text) {
+  const match = text.trim().match(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/);
+  return match ? match[1] : text;
+}
+
+// Returns { value, errors }; errors is empty when the reply is usable
+export function parseStructured(text, format) {
+  let value;
+  try {
+    value = JSON.parse(stripFence(text));
+  } catch (error) {
+    return { value: undefined, errors: [`The reply is not valid JSON (${error.message})`] };
+  }
+
+  if (format === 'json') return { value, errors: [] };
+
+  try {
+    return { value, errors: validate(format, value) };
+  } catch (error) {
+    // e.g. a pattern in the caller's schema that is not a valid regex
+    return { value, errors: [`The schema could not be applied: ${error.message}`] };
+  }
+}
+
+function schemaInstruction(format) {
+  if (format === 'json') {
+    return 'Reply with a single JSON value and nothing else.';
+  }
+  return `Reply with a single JSON value, and nothing else, that satisfies this JSON Schema:\n${JSON.stringify(format)}`;
+}
+
+function retryPrompt(errors, format) {
+  return 'Your reply did not match the required format:\n' +
+    errors.map((error) => `- ${error}`).join('\n') +
+    `\n\n${schemaInstruction(format)}`;
+}
+
+// Drives a structured exchange. `generate(messages)` is an async iterable of
+// text deltas for one model reply. Yields
+//   { type: 'content', content, attempt }    as the reply streams in
+//   { type: 'retry', attempt, errors }       when a reply is rejected and the model is asked again
+//   { type: 'result', raw, parsed, valid, errors, attempts }   once, at the end
+// `parsed` is null when no attempt produced a valid reply. The instruction and
+// retry messages only go to the model; `messages` is not modified.
+export async function* streamStructured({ messages, format, retries = DEFAULT_FORMAT_RETRIES, generate }) {
+  const conversation = [
+    ...messages.slice(0, -1),
+    { role: 'system', content: schemaInstruction(format) },
+    messages[messages.length - 1]
+  ];
+
+  for (let attempt = 1; ; attempt++) {
+    let raw = '';
+    for await (const content of generate(conversation)) {
+      raw += content;
+      yield { type: 'content', content, attempt };
+    }
+
+    const { value, errors } = parseStructured(raw, format);
+    if (errors.length === 0) {
+      yield { type: 'result', raw, parsed: value, valid: true, errors: [], attempts: attempt };
+      return;
+    }
+    if (attempt > retries) {
+      yield { type: 'result', raw, parsed: null, valid: false, errors, attempts: attempt };
+      return;
+    }
+
+    yield { type: 'retry', attempt, errors };
+    conversation.push(
+      { role: 'assistant', content: raw },
+      { role: 'user', content: retryPrompt(errors, format) }
+    );
+  }
+}
@@ -0,0 +1,121 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { checkSchema, validate } from './json-schema.js';
+
+export class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+export class ToolNotFoundError extends ToolError {
+  constructor(name) {
+    super(`Tool not found: ${name}`);
+    this.name = 'ToolNotFoundError';
+    this.tool = name;
+  }
+}
+
+// The model called a tool with arguments that do not match its schema.
+// `errors` lists every problem so the model can fix them in one go.
+export class ToolValidationError extends ToolError {
+  constructor(name, errors) {
+    super(`Invalid arguments for ${name}: ${errors.join('; ')}`);
+    this.name = 'ToolValidationError';
+    this.tool = name;
+    this.errors = errors;
+  }
+}
+
+// Holds the tools the model may call. A tool is a module whose default export
+// looks like:
+//
+//   export default {
+//     name: 'save_code_snippet',
+//     description: 'Save a code snippet to a file',
+//     parameters: { type: 'object', properties: {...}, required: [...] },
+//     enabled: true,                        // optional
+//     handler: async (args, context) => ({ ... })
+//   };
+//
+// Arguments are validated against `parameters` before the handler runs.
+export class ToolRegistry {
+  constructor({ disabled = [] } = {}) {
+    this.tools = new Map();
+    this.disabled = new Set(disabled);
+  }
+
+  register(tool, source = tool.name) {
+    if (!tool || typeof tool.name !== 'string' || !tool.name) {
+      throw new Error(`Invalid tool module ${source}: missing name`);
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Invalid tool module ${source}: missing handler`);
+    }
+    if (!tool.parameters || tool.parameters.type !== 'object') {
+      throw new Error(`Invalid tool module ${source}: parameters must be an object schema`);
+    }
+    const problems = checkSchema(tool.parameters);
+    if (problems.length > 0) {
+      throw new Error(`Invalid tool module ${source}: ${problems.join('; ')}`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Duplicate tool ${tool.name} in ${source}`);
+    }
+
+    this.tools.set(tool.name, tool);
+  }
+
+  // Imports every .js file in `dir` (sorted, so load order is stable)
+  async loadDirectory(dir) {
+    const files = (await fs.readdir(dir)).filter((file) => file.endsWith('.js')).sort();
+
+    for (const file of files) {
+      const fullPath = path.join(dir, file);
+      const module = await import(pathToFileURL(fullPath).href);
+      this.register(module.default, fullPath);
+    }
+  }
+
+  isEnabled(tool) {
+    return tool.enabled !== false && !this.disabled.has(tool.name);
+  }
+
+  enabled() {
+    return Array.from(this.tools.values()).filter((tool) => this.isEnabled(tool));
+  }
+
+  disabledNames() {
+    return Array.from(this.tools.values())
+      .filter((tool) => !this.isEnabled(tool))
+      .map((tool) => tool.name);
+  }
+
+  // Tool definitions in the shape Ollama's /api/chat expects
+  definitions() {
+    return this.enabled().map((tool) => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  async execute(name, args, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool || !this.isEnabled(tool)) {
+      throw new ToolNotFoundError(name);
+    }
+
+    const errors = validate(tool.parameters, args);
+    if (errors.length > 0) {
+      throw new ToolValidationError(name, errors);
+    }
+
+    return tool.handler(args, context);
+  }
+}
@@ -0,0 +1,229 @@
+import fs from 'fs/promises';
+import { constants } from 'fs';
+import path from 'path';
+import { readInteger } from './env.js';
+
+export const DEFAULT_EXTENSIONS = [
+  '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.json', '.py', '.java', '.c', '.h',
+  '.cpp', '.hpp', '.cs', '.go', '.rs', '.rb', '.php', '.sh', '.sql', '.html', '.css',
+  '.md', '.txt', '.yml', '.yaml'
+];
+
+// Old copies of overwritten files live here, out of reach of tool writes
+const VERSIONS_DIR = '.versions';
+
+export class WorkspaceError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.code = code;
+  }
+}
+
+// A directory that tools may read and write, and nothing outside it. Paths
+// are always relative to `root`; absolute paths, `..` segments and symlinks
+// anywhere along the way are refused. Writes are limited by extension, per
+// file size and total size, and overwriting a file keeps the previous
+// contents as a numbered version (the newest `maxVersions` are kept).
+export class Workspace {
+  constructor({
+    root = './saved_snippets',
+    maxFileSize = 1024 * 1024,
+    maxTotalSize = 50 * 1024 * 1024,
+    allowedExtensions = DEFAULT_EXTENSIONS,
+    maxVersions = 10
+  } = {}) {
+    this.root = path.resolve(root);
+    this.maxFileSize = maxFileSize;
+    this.maxTotalSize = maxTotalSize;
+    this.allowedExtensions = allowedExtensions.map((extension) => extension.toLowerCase());
+    this.maxVersions = maxVersions;
+  }
+
+  // Maps a workspace-relative path to an absolute one, or throws
+  resolve(relativePath) {
+    if (typeof relativePath !== 'string' || relativePath.trim() === '') {
+      throw new WorkspaceError('Path is required', 'EINVAL');
+    }
+    if (relativePath.includes('\0')) {
+      throw new WorkspaceError('Path contains a null byte', 'EINVAL');
+    }
+    if (path.isAbsolute(relativePath) || /^[a-zA-Z]:/.test(relativePath)) {
+      throw new WorkspaceError(`Absolute paths are not allowed: ${relativePath}`, 'EOUTSIDE');
+    }
+
+    const segments = relativePath.split(/[\\/]+/);
+    if (segments.includes('..')) {
+      throw new WorkspaceError(`Path escapes the workspace: ${relativePath}`, 'EOUTSIDE');
+    }
+    if (segments[0] === VERSIONS_DIR) {
+      throw new WorkspaceError(`${VERSIONS_DIR} is reserved`, 'EOUTSIDE');
+    }
+
+    const target = path.resolve(this.root, ...segments);
+    const relative = path.relative(this.root, target);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new WorkspaceError(`Path escapes the workspace: ${relativePath}`, 'EOUTSIDE');
+    }
+    return target;
+  }
+
+  // Refuses the path if the root or any existing component below it is a symlink
+  async assertNoSymlinks(target) {
+    const parts = path.relative(this.root, target).split(path.sep);
+    let current = this.root;
+
+    for (const part of ['', ...parts]) {
+      current = part ? path.join(current, part) : current;
+      let stats;
+      try {
+        stats = await fs.lstat(current);
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      if (stats.isSymbolicLink()) {
+        throw new WorkspaceError(`Symlinks are not allowed: ${path.relative(this.root, current) || '.'}`, 'ESYMLINK');
+      }
+    }
+  }
+
+  checkExtension(relativePath) {
+    const extension = path.extname(relativePath).toLowerCase();
+    if (!this.allowedExtensions.includes(extension)) {
+      throw new WorkspaceError(
+        `Extension ${extension || '(none)'} is not allowed; use one of ${this.allowedExtensions.join(', ')}`,
+        'EEXTENSION'
+      );
+    }
+  }
+
+  async totalSize(dir = this.root) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let total = 0;
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        total += await this.totalSize(fullPath);
+      } else if (entry.isFile()) {
+        total += (await fs.stat(fullPath)).size;
+      }
+    }
+    return total;
+  }
+
+  async readFile(relativePath) {
+    const target = this.resolve(relativePath);
+    await this.assertNoSymlinks(target);
+
+    const handle = await fs.open(target, constants.O_RDONLY | constants.O_NOFOLLOW);
+    try {
+      return await handle.readFile('utf8');
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Writes `content`, versioning any file it replaces. Returns
+  // { path, bytes, version } where version is the number the previous
+  // contents were saved under (null for a new file).
+  async writeFile(relativePath, content) {
+    const target = this.resolve(relativePath);
+    this.checkExtension(relativePath);
+
+    const bytes = Buffer.byteLength(content);
+    if (bytes > this.maxFileSize) {
+      throw new WorkspaceError(`File is ${bytes} bytes; the limit is ${this.maxFileSize}`, 'EQUOTA');
+    }
+    if (await this.totalSize() + bytes > this.maxTotalSize) {
+      throw new WorkspaceError(`Workspace quota of ${this.maxTotalSize} bytes exceeded`, 'EQUOTA');
+    }
+
+    await fs.mkdir(this.root, { recursive: true });
+    await this.assertNoSymlinks(target);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+
+    const version = await this.saveVersion(target);
+
+    // O_NOFOLLOW closes the gap between the symlink check and the write
+    const handle = await fs.open(target, constants.O_WRONLY | constants.O_CREAT | constants.O_TRUNC | constants.O_NOFOLLOW);
+    try {
+      await handle.writeFile(content);
+    } finally {
+      await handle.close();
+    }
+
+    return { path: path.relative(this.root, target), bytes, version };
+  }
+
+  versionsDir(target) {
+    return path.join(this.root, VERSIONS_DIR, path.relative(this.root, target));
+  }
+
+  // Numbered copies of a file's previous contents, oldest first
+  async versions(relativePath) {
+    const target = this.resolve(relativePath);
+    try {
+      const files = await fs.readdir(this.versionsDir(target));
+      return files
+        .map((file) => parseInt(file, 10))
+        .filter((number) => !Number.isNaN(number))
+        .sort((a, b) => a - b);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async saveVersion(target) {
+    try {
+      const stats = await fs.lstat(target);
+      if (!stats.isFile()) {
+        throw new WorkspaceError(`Not a regular file: ${path.relative(this.root, target)}`, 'EINVAL');
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const dir = this.versionsDir(target);
+    const existing = await this.versions(path.relative(this.root, target));
+    const version = (existing.at(-1) || 0) + 1;
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.copyFile(target, path.join(dir, `${version}${path.extname(target)}`));
+
+    const stale = existing.slice(0, Math.max(0, existing.length + 1 - this.maxVersions));
+    await Promise.all(stale.map((number) => fs.rm(path.join(dir, `${number}${path.extname(target)}`), { force: true })));
+
+    return version;
+  }
+}
+
+// Builds the tool workspace from the environment:
+//   WORKSPACE_ROOT (default ./saved_snippets), WORKSPACE_MAX_FILE_BYTES,
+//   WORKSPACE_QUOTA_BYTES, WORKSPACE_EXTENSIONS (comma-separated, e.g. ".js,.py"),
+//   WORKSPACE_MAX_VERSIONS
+export function createWorkspace(env = process.env) {
+  const options = {
+    root: env.WORKSPACE_ROOT || './saved_snippets',
+    maxFileSize: readInteger(env, 'WORKSPACE_MAX_FILE_BYTES', undefined),
+    maxTotalSize: readInteger(env, 'WORKSPACE_QUOTA_BYTES', undefined),
+    maxVersions: readInteger(env, 'WORKSPACE_MAX_VERSIONS', undefined)
+  };
+  if (env.WORKSPACE_EXTENSIONS) {
+    options.allowedExtensions = env.WORKSPACE_EXTENSIONS.split(',')
+      .map((extension) => extension.trim())
+      .filter(Boolean)
+      .map((extension) => (extension.startsWith('.') ? extension : `.${extension}`));
+  }
+
+  return new Workspace(options);
+}
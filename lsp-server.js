@@ -0,0 +1,425 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { setTimeout as sleep } from 'timers/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+import { ErrorCodes, LspConnection, ResponseError, TextDocuments, TextDocumentSyncKind } from './lib/lsp.js';
+import { trimContext } from './lib/fim.js';
+import { analyzeCode, SUPPORTED_LANGUAGES } from './lib/complexity.js';
+import { authHeaders } from './lib/auth.js';
+import { createLogger } from './lib/logger.js';
+import { readInteger } from './lib/env.js';
+
+// quiet: dotenv's banner would land on stdout, in the middle of the protocol
+dotenv.config({ quiet: true });
+
+// Language server (stdio) in front of CodeCompleter.js, so editors get its
+// completions without a custom plugin:
+//
+//   textDocument/completion        -> POST /complete, candidates as completion items
+//   textDocument/inlineCompletion  -> POST /complete, ghost text at the cursor
+//   textDocument/codeAction        -> "Explain selection" and "Write tests for <function>",
+//                                     run through POST /chat/:sessionId
+//
+// Point the editor at `node lsp-server.js` (or `npm run lsp`). stdout carries
+// the protocol, so everything else is logged to stderr (as JSON lines, see
+// lib/logger.js for LOG_LEVEL and friends).
+//
+//   CODE_COMPLETER_URL   backend (default http://localhost:3000)
+//   LSP_DEBOUNCE_MS      quiet period before asking for a completion (default 150)
+//   LSP_CANDIDATES       candidates for completion lists and invoked inline completions (default 3)
+//   LSP_MAX_TOKENS       completion length limit (default 128)
+//   FIM_MODEL            model for completions; the backend's default when unset
+//   API_KEY              key for the backend (needs the chat scope)
+
+const CODE_COMPLETER_URL = (process.env.CODE_COMPLETER_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const DEBOUNCE_MS = readInteger(process.env, 'LSP_DEBOUNCE_MS', 150, { min: 0 });
+const CANDIDATES = readInteger(process.env, 'LSP_CANDIDATES', 3);
+const MAX_TOKENS = readInteger(process.env, 'LSP_MAX_TOKENS', 128);
+const FIM_MODEL = process.env.FIM_MODEL;
+
+const COMMANDS = {
+  explainSelection: 'codeCompleter.explainSelection',
+  writeTests: 'codeCompleter.writeTests'
+};
+
+const CODE_ACTION_KINDS = {
+  explain: 'refactor.codeCompleter.explain',
+  writeTests: 'refactor.codeCompleter.writeTests'
+};
+
+const CompletionItemKind = { Text: 1 };
+const InsertTextFormat = { PlainText: 1 };
+const InlineCompletionTriggerKind = { Invoked: 1, Automatic: 2 };
+const MessageType = { Error: 1, Warning: 2, Info: 3, Log: 4 };
+
+// Editor language ids -> names the analyzers and prompts understand
+const LANGUAGE_IDS = {
+  javascriptreact: 'javascript',
+  typescriptreact: 'typescript'
+};
+
+const logger = createLogger(process.env, { service: 'lsp-server' }, { stream: process.stderr });
+const connection = new LspConnection(process.stdin, process.stdout, logger);
+const documents = new TextDocuments();
+
+let clientCapabilities = {};
+let shutdownRequested = false;
+
+// The newest completion per document. A new request or an edit makes the
+// previous one stale, so its debounce or backend call is abandoned.
+const pendingCompletions = new Map();
+
+function log(message, type = MessageType.Log) {
+  connection.notify('window/logMessage', { type, message });
+}
+
+function languageOf(document) {
+  return LANGUAGE_IDS[document.languageId] || document.languageId;
+}
+
+function filenameOf(uri) {
+  try {
+    return path.basename(fileURLToPath(uri));
+  } catch {
+    // untitled:, vscode-notebook-cell: and friends
+    return undefined;
+  }
+}
+
+function getDocument(uri) {
+  const document = documents.get(uri);
+  if (!document) {
+    throw new ResponseError(ErrorCodes.InvalidParams, `Document is not open: ${uri}`);
+  }
+  return document;
+}
+
+class BackendError extends Error {
+  constructor(status, message) {
+    super(`CodeCompleter error: ${status} ${message}`);
+    this.name = 'BackendError';
+    this.status = status;
+  }
+}
+
+async function backend(method, route, body, signal) {
+  const response = await fetch(`${CODE_COMPLETER_URL}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new BackendError(response.status, data.error || response.statusText);
+  }
+  return data;
+}
+
+function isAbort(error) {
+  return error?.name === 'AbortError';
+}
+
+// Asks the backend for completions at `position` once the user has paused
+// typing. Resolves to null when the request went stale in the meantime;
+// rejects only when the client itself cancelled.
+async function requestCompletions(uri, position, signal, n) {
+  pendingCompletions.get(uri)?.abort();
+  const stale = new AbortController();
+  pendingCompletions.set(uri, stale);
+  const combined = AbortSignal.any([signal, stale.signal]);
+
+  try {
+    await sleep(DEBOUNCE_MS, undefined, { signal: combined });
+
+    const document = getDocument(uri);
+    const version = document.version;
+    const offset = document.offsetAt(position);
+    const { prefix, suffix } = trimContext(document.text.slice(0, offset), document.text.slice(offset));
+
+    const body = {
+      prefix,
+      suffix,
+      language: languageOf(document),
+      filename: filenameOf(uri),
+      cursor: position,
+      max_tokens: MAX_TOKENS,
+      n
+    };
+    if (FIM_MODEL) body.model = FIM_MODEL;
+
+    const result = await backend('POST', '/complete', body, combined);
+
+    // Edited while we waited; these completions no longer fit
+    if (document.version !== version) return null;
+    return { document, completions: result.completions.filter((completion) => completion.text.trim() !== '') };
+  } catch (error) {
+    if (signal.aborted) throw error;
+    if (stale.signal.aborted && isAbort(error)) return null;
+    log(`Completion failed: ${error.message}`, MessageType.Warning);
+    return null;
+  } finally {
+    if (pendingCompletions.get(uri) === stale) pendingCompletions.delete(uri);
+  }
+}
+
+// Sends a one-off prompt through the chat endpoint in a throwaway session
+async function ask(message, signal) {
+  const sessionId = `lsp-${randomUUID()}`;
+  try {
+    const result = await backend('POST', `/chat/${sessionId}`, { message, stream: false }, signal);
+    return result.response;
+  } finally {
+    backend('DELETE', `/sessions/${sessionId}`).catch(() => {});
+  }
+}
+
+function fence(document, code) {
+  return `\`\`\`${languageOf(document)}\n${code}\n\`\`\``;
+}
+
+// The first fenced block of a reply, or the whole reply when there is none
+function extractCode(reply) {
+  const match = reply.match(/```[\w+-]*\n([\s\S]*?)```/);
+  return (match ? match[1] : reply).replace(/\s+$/, '') + '\n';
+}
+
+// Innermost function around `line` (0-based), from the complexity analyzer's AST
+function enclosingFunction(document, line) {
+  const language = languageOf(document);
+  if (!SUPPORTED_LANGUAGES.includes(language)) return null;
+
+  const { functions } = analyzeCode(document.text, { language });
+  const containing = functions.filter((fn) =>
+    fn.kind !== 'file' && fn.start_line - 1 <= line && line <= fn.end_line - 1);
+  if (containing.length === 0) return null;
+
+  return containing.reduce((innermost, fn) =>
+    fn.end_line - fn.start_line < innermost.end_line - innermost.start_line ? fn : innermost);
+}
+
+// foo.js -> foo.test.js, foo.py -> test_foo.py
+function testFileFor(uri, language) {
+  const file = fileURLToPath(uri);
+  const dir = path.dirname(file);
+  const ext = path.extname(file);
+  const base = path.basename(file, ext);
+  const testFile = language === 'python' ? path.join(dir, `test_${base}${ext}`) : path.join(dir, `${base}.test${ext}`);
+  return pathToFileURL(testFile).href;
+}
+
+function supportsCreateFiles() {
+  const workspaceEdit = clientCapabilities.workspace?.workspaceEdit;
+  return Boolean(workspaceEdit?.documentChanges && workspaceEdit.resourceOperations?.includes('create'));
+}
+
+// Appends `text` to the test file, creating it first when needed
+function testFileEdit(testUri, text) {
+  const open = documents.get(testUri);
+  let existing = open?.text;
+  if (existing === undefined) {
+    const file = fileURLToPath(testUri);
+    existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+  }
+
+  const changes = [];
+  let position = { line: 0, character: 0 };
+  let newText = text;
+
+  if (existing === null) {
+    changes.push({ kind: 'create', uri: testUri, options: { ignoreIfExists: true } });
+  } else {
+    const lines = existing.split(/\r?\n/);
+    position = { line: lines.length - 1, character: lines[lines.length - 1].length };
+    if (existing.length > 0) newText = `${existing.endsWith('\n') ? '' : '\n'}\n${text}`;
+  }
+
+  changes.push({
+    textDocument: { uri: testUri, version: open ? open.version : null },
+    edits: [{ range: { start: position, end: position }, newText }]
+  });
+  return { documentChanges: changes };
+}
+
+function completionItem(completion, position, word) {
+  const text = completion.text;
+  const firstLine = text.split('\n').find((line) => line.trim() !== '').trim();
+  const label = `${word}${firstLine}`;
+
+  return {
+    label: label.length > 60 ? `${label.slice(0, 57)}...` : label,
+    kind: CompletionItemKind.Text,
+    detail: 'CodeCompleter',
+    documentation: text.includes('\n') ? { kind: 'markdown', value: `\`\`\`\n${word}${text}\n\`\`\`` } : undefined,
+    sortText: String(completion.index).padStart(2, '0'),
+    filterText: `${word}${text}`,
+    insertTextFormat: InsertTextFormat.PlainText,
+    // Replace the word being typed so the editor's filtering keeps the item
+    textEdit: {
+      range: { start: { line: position.line, character: position.character - word.length }, end: position },
+      newText: `${word}${text}`
+    }
+  };
+}
+
+connection.onRequest('initialize', ({ capabilities = {} }) => {
+  clientCapabilities = capabilities;
+  return {
+    capabilities: {
+      textDocumentSync: { openClose: true, change: TextDocumentSyncKind.Incremental },
+      completionProvider: { triggerCharacters: ['.', '(', ' ', '\n'], resolveProvider: false },
+      inlineCompletionProvider: {},
+      codeActionProvider: { codeActionKinds: Object.values(CODE_ACTION_KINDS) },
+      executeCommandProvider: { commands: Object.values(COMMANDS) }
+    },
+    serverInfo: { name: 'code-completer-lsp', version: '1.0.0' }
+  };
+});
+
+connection.onNotification('initialized', () => {
+  log(`Using CodeCompleter at ${CODE_COMPLETER_URL}`, MessageType.Info);
+});
+
+connection.onRequest('shutdown', () => {
+  shutdownRequested = true;
+  for (const controller of pendingCompletions.values()) controller.abort();
+  return null;
+});
+
+connection.onNotification('exit', () => process.exit(shutdownRequested ? 0 : 1));
+connection.onNotification('$/close', () => process.exit(shutdownRequested ? 0 : 1));
+
+connection.onNotification('textDocument/didOpen', ({ textDocument }) => {
+  documents.open(textDocument);
+});
+
+connection.onNotification('textDocument/didChange', (params) => {
+  pendingCompletions.get(params.textDocument.uri)?.abort();
+  documents.change(params);
+});
+
+connection.onNotification('textDocument/didClose', ({ textDocument }) => {
+  pendingCompletions.get(textDocument.uri)?.abort();
+  documents.close(textDocument);
+});
+
+connection.onRequest('textDocument/completion', async ({ textDocument, position }, { signal }) => {
+  const result = await requestCompletions(textDocument.uri, position, signal, CANDIDATES);
+  if (!result) return { isIncomplete: true, items: [] };
+
+  const line = result.document.getText({ start: { line: position.line, character: 0 }, end: position });
+  const word = line.match(/[\w$]*$/)[0];
+
+  return {
+    isIncomplete: true,
+    items: result.completions.map((completion) => completionItem(completion, position, word))
+  };
+});
+
+connection.onRequest('textDocument/inlineCompletion', async ({ textDocument, position, context = {} }, { signal }) => {
+  // Ghost text shows one suggestion while typing; cycle through more when asked for
+  const n = context.triggerKind === InlineCompletionTriggerKind.Invoked ? CANDIDATES : 1;
+  const result = await requestCompletions(textDocument.uri, position, signal, n);
+  if (!result) return { items: [] };
+
+  return {
+    items: result.completions.map((completion) => ({
+      insertText: completion.text,
+      range: { start: position, end: position }
+    }))
+  };
+});
+
+connection.onRequest('textDocument/codeAction', ({ textDocument, range, context = {} }) => {
+  const document = getDocument(textDocument.uri);
+  const wanted = (kind) => !context.only || context.only.some((only) => kind === only || kind.startsWith(`${only}.`));
+  const actions = [];
+
+  const selected = document.getText(range);
+  if (selected.trim() !== '' && wanted(CODE_ACTION_KINDS.explain)) {
+    actions.push({
+      title: 'Explain selection',
+      kind: CODE_ACTION_KINDS.explain,
+      command: { title: 'Explain selection', command: COMMANDS.explainSelection, arguments: [document.uri, range] }
+    });
+  }
+
+  if (wanted(CODE_ACTION_KINDS.writeTests) && document.uri.startsWith('file:')) {
+    const fn = enclosingFunction(document, range.start.line);
+    if (fn) {
+      const title = `Write tests for ${fn.name}`;
+      const fnRange = {
+        start: { line: fn.start_line - 1, character: 0 },
+        end: { line: fn.end_line, character: 0 }
+      };
+      actions.push({
+        title,
+        kind: CODE_ACTION_KINDS.writeTests,
+        command: { title, command: COMMANDS.writeTests, arguments: [document.uri, fnRange, fn.name] }
+      });
+    }
+  }
+
+  return actions;
+});
+
+connection.onRequest('workspace/executeCommand', async ({ command, arguments: args = [] }, { signal }) => {
+  switch (command) {
+    case COMMANDS.explainSelection: {
+      const [uri, range] = args;
+      const document = getDocument(uri);
+      const code = document.getText(range);
+
+      const explanation = await ask(
+        `Explain what this ${languageOf(document)} code does, briefly and precisely:\n\n${fence(document, code)}`,
+        signal
+      );
+      connection.notify('window/showMessage', { type: MessageType.Info, message: explanation });
+      return { explanation };
+    }
+
+    case COMMANDS.writeTests: {
+      const [uri, range, name] = args;
+      const document = getDocument(uri);
+      const language = languageOf(document);
+      const filename = filenameOf(uri);
+
+      const reply = await ask(
+        `Write unit tests for the ${language} function \`${name}\` from ${filename}. ` +
+        `Import it from ${filename}, cover normal cases and edge cases, and reply with a single code block ` +
+        `containing only the test file.\n\n${fence(document, document.getText(range))}`,
+        signal
+      );
+      const tests = extractCode(reply);
+
+      if (!supportsCreateFiles()) {
+        connection.notify('window/showMessage', { type: MessageType.Info, message: tests });
+        return { tests };
+      }
+
+      const testUri = testFileFor(uri, language);
+      const { applied, failureReason } = await connection.request('workspace/applyEdit', {
+        label: `Tests for ${name}`,
+        edit: testFileEdit(testUri, tests)
+      });
+      if (!applied) {
+        throw new ResponseError(ErrorCodes.InternalError, `Could not write ${testUri}: ${failureReason || 'edit rejected'}`);
+      }
+
+      if (clientCapabilities.window?.showDocument?.support) {
+        connection.request('window/showDocument', { uri: testUri, takeFocus: true }).catch(() => {});
+      }
+      return { tests, uri: testUri };
+    }
+
+    default:
+      throw new ResponseError(ErrorCodes.InvalidParams, `Unknown command ${command}`);
+  }
+});
+
+connection.listen();
+logger.info('Language server listening on stdio', { backend: CODE_COMPLETER_URL });
@@ -0,0 +1,34 @@
+import dotenv from "dotenv";
+import { createMockOllama } from "./lib/mock-ollama.js";
+import { createLogger } from "./lib/logger.js";
+
+dotenv.config({ quiet: true });
+
+// Fake Ollama for working on the servers without a model (lib/mock-ollama.js
+// describes fixtures and recordings). Point them at it with
+// OLLAMA_HOST=http://localhost:11435.
+//
+//   npm run mock-ollama                                          scripted/made-up replies
+//   MOCK_FIXTURES=fixtures.json npm run mock-ollama               replies from a fixtures file
+//   MOCK_RECORD=http://localhost:11434 npm run mock-ollama        proxy to a real Ollama and record
+//
+//   MOCK_PORT          port to listen on (default 11435, next to a real Ollama)
+//   MOCK_RECORDINGS    where recordings are kept (default ./mock-recordings.json)
+//   MOCK_LATENCY_MS, MOCK_CHUNK_DELAY_MS, MOCK_FAILURE_RATE   see lib/mock-ollama.js
+
+const PORT = parseInt(process.env.MOCK_PORT || "11435", 10);
+
+const logger = createLogger(process.env, { service: "mock-ollama" });
+const mock = await createMockOllama(process.env, { logger });
+const url = await mock.listen(PORT, process.env.MOCK_BIND || "127.0.0.1");
+
+logger.info(mock.record ? "Mock Ollama recording" : "Mock Ollama listening", {
+  url,
+  upstream: mock.record,
+  recordings: mock.recordingsFile,
+  models: mock.models.map((model) => model.name),
+  fixtures: mock.fixtures.length,
+  latencyMs: mock.latencyMs,
+  chunkDelayMs: mock.chunkDelayMs,
+  failureRate: mock.failureRate
+});
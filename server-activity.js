@@ -1,23 +1,114 @@
+import http from "http";
 import { WebSocketServer } from "ws";
-import fetch from "node-fetch";
 import dotenv from "dotenv";
-
-dotenv.config();
-
-const OLLAMA_URL = process.env.OLLAMA_URL || "http://localhost:11434/api/generate";
+import {
+  OllamaAbortError,
+  OllamaClient,
+  OllamaConnectionError,
+  OllamaResponseError,
+  OllamaStreamError
+} from "./lib/ollama-client.js";
+import { FairScheduler, QueueAbortError } from "./lib/scheduler.js";
+import { ConversationStore } from "./lib/conversation-store.js";
+import { readFormat, readFormatRetries, streamStructured } from "./lib/structured-output.js";
+import { canAccess, createAuth, hasScope } from "./lib/auth.js";
+import { RateLimitError, createRateLimiter, promptLength, rateLimitIdentity } from "./lib/rate-limit.js";
+import { GenerationMetrics, Registry, metricsRequestListener, registerProcessMetrics } from "./lib/metrics.js";
+import { createAuditLog, createLogger } from "./lib/logger.js";
+import { readInteger } from "./lib/env.js";
+
+dotenv.config({ quiet: true });
+
+// JSON-lines logs on stdout (LOG_* env vars); with AUDIT_LOG_FILE set, every
+// chat with its reply also goes to a rotating audit file (lib/logger.js)
+const logger = createLogger(process.env, { service: "server-activity" });
+const audit = createAuditLog(process.env, logger);
+
+// Prometheus metrics at /metrics, next to the WebSocket
+const metrics = new Registry();
+registerProcessMetrics(metrics);
+
+const ollama = new OllamaClient({
+  host: process.env.OLLAMA_URL || process.env.OLLAMA_HOST,
+  metrics: new GenerationMetrics(metrics)
+});
 const OLLAMA_MODEL = process.env.OLLAMA_MODEL || "llama2";
+const MAX_CONCURRENT_PER_CLIENT = readInteger(process.env, "MAX_CONCURRENT_PER_CLIENT", 3);
+const OLLAMA_CONCURRENCY = readInteger(process.env, "OLLAMA_CONCURRENCY", 1);
+
+// Every HEARTBEAT_INTERVAL_MS each client is pinged and has HEARTBEAT_TIMEOUT_MS
+// to answer before its connection is dropped as dead (0 turns pings off).
+// IDLE_TIMEOUT_MS closes connections that have sent no message for that long
+// and have no chat in flight (0, the default, never does).
+const HEARTBEAT_INTERVAL_MS = readInteger(process.env, "HEARTBEAT_INTERVAL_MS", 30000, { min: 0 });
+const HEARTBEAT_TIMEOUT_MS = readInteger(process.env, "HEARTBEAT_TIMEOUT_MS", 10000);
+const IDLE_TIMEOUT_MS = readInteger(process.env, "IDLE_TIMEOUT_MS", 0, { min: 0 });
+
+// Every Ollama call goes through the scheduler so clients take turns
+const scheduler = new FairScheduler({ concurrency: OLLAMA_CONCURRENCY });
+
+// Chat history, keyed by conversationId so clients can resume after reconnecting
+const conversations = new ConversationStore({
+  maxMessages: readInteger(process.env, "CONVERSATION_MAX_MESSAGES", 100)
+});
 
 // Store client information
 const clients = new Map();
 let clientIdCounter = 0;
-
-// Create WebSocket server
-const wss = new WebSocketServer({ port: 8000 });
-
-// Client activity tracking
-function logClientActivity(clientId, activity, data = {}) {
-  const timestamp = new Date().toISOString();
-  console.log(`📊 [${timestamp}] Client ${clientId}: ${activity}`, data);
+let requestIdCounter = 0;
+
+// Any valid API key may connect (Authorization: Bearer <key> or
+// ?access_token=<key> on the upgrade); what it may do is checked per message
+const auth = createAuth();
+
+// Scope each message type needs; unlisted types are chats
+const MESSAGE_SCOPES = {
+  set_name: null,
+  get_clients: null,
+  get_queue: null,
+  subscribe_queue: null,
+  get_usage: null,
+  broadcast: "broadcast"
+};
+
+// Per-key limits on chats, shared by all of a key's connections (RATE_LIMIT_*
+// env vars or the key's own limits). MAX_CONCURRENT_PER_CLIENT still caps
+// each connection on its own.
+const rateLimiter = createRateLimiter();
+
+const messagesReceived = metrics.counter("websocket_messages_total", "Messages received from clients, by type", ["type"]);
+// The message types handled below; the rest are counted as "other" so that
+// clients cannot add label values (and series) at will
+const MESSAGE_TYPES = new Set([
+  "chat", "set_name", "get_clients", "broadcast", "cancel", "get_usage", "get_queue",
+  "subscribe_queue", "reset_conversation", "fork_conversation", "get_history"
+]);
+const rateLimited = metrics.counter("rate_limited_total", "Chats refused by the rate limiter, by reason", ["reason"]);
+const disconnects = metrics.counter("websocket_disconnects_total", "Closed connections, by reason", ["reason"]);
+metrics.gauge("websocket_clients", "Connected clients", [], (gauge) => gauge.set({}, clients.size));
+metrics.gauge("scheduler_active", "Generations running in Ollama", [], (gauge) => gauge.set({}, scheduler.stats().active));
+metrics.gauge("scheduler_queued", "Generations waiting for a turn", [], (gauge) => gauge.set({}, scheduler.stats().queued));
+
+// Create WebSocket server, sharing its port with /metrics
+const PORT = parseInt(process.env.WS_PORT || "8000", 10);
+const server = http.createServer(metricsRequestListener(metrics));
+const wss = new WebSocketServer({ server, verifyClient: auth.verifyClient() });
+server.listen(PORT);
+
+// stream_end stats from Ollama's final frame(s): tokens is eval_count, the
+// number of stream chunks only when Ollama reported no count
+function generationStats(frames, chunks, model) {
+  const evalCount = frames.reduce((total, frame) => total + (frame.eval_count || 0), 0);
+  const evalDuration = frames.reduce((total, frame) => total + (frame.eval_duration || 0), 0);
+  const stats = { tokens: evalCount || chunks, model };
+  if (frames.length > 0) {
+    stats.promptTokens = frames.reduce((total, frame) => total + (frame.prompt_eval_count || 0), 0);
+    stats.durationMs = Math.round(frames.reduce((total, frame) => total + (frame.total_duration || 0), 0) / 1e6);
+  }
+  if (evalCount && evalDuration) {
+    stats.tokensPerSecond = Math.round(evalCount / (evalDuration / 1e9) * 10) / 10;
+  }
+  return stats;
 }
 
 // Broadcast to all clients
@@ -33,6 +124,51 @@ function broadcast(message, excludeClientId = null) {
   });
 }
 
+// Why a connection ended, as sent in client_disconnected: the client closed
+// it, or the server dropped it (dropClient)
+const DISCONNECT_REASONS = {
+  closed: 'disconnected',
+  heartbeat_timeout: 'disconnected (no heartbeat)',
+  idle_timeout: 'disconnected (idle)',
+  error: 'disconnected (connection error)'
+};
+
+// Close a connection on the server's initiative. A dead peer would never
+// complete a close handshake, so it is terminated; an idle one is told why.
+function dropClient(client, reason) {
+  client.closeReason = reason;
+  if (reason === 'idle_timeout') {
+    client.ws.close(4000, 'Idle timeout');
+  } else {
+    client.ws.terminate();
+  }
+}
+
+// Queue depth and per-client load, as sent to dashboards
+function queueStatus() {
+  const stats = scheduler.stats();
+  return {
+    type: 'queue_status',
+    concurrency: stats.concurrency,
+    active: stats.active,
+    queued: stats.queued,
+    clients: stats.clients.map((entry) => ({
+      ...entry,
+      name: clients.get(entry.clientId)?.name
+    }))
+  };
+}
+
+// Push queue changes to clients that asked for them
+scheduler.on('change', () => {
+  const status = JSON.stringify(queueStatus());
+  clients.forEach((client) => {
+    if (client.queueSubscriber && client.ws.readyState === 1) {
+      client.ws.send(status);
+    }
+  });
+});
+
 // Send client list to all clients
 function sendClientList() {
   const clientList = Array.from(clients.entries()).map(([id, client]) => ({
@@ -56,22 +192,28 @@ wss.on("connection", (ws, req) => {
     connectedAt: Date.now(),
     lastActivity: Date.now(),
     ip: req.socket.remoteAddress,
-    userAgent: req.headers['user-agent']
+    userAgent: req.headers['user-agent'],
+    apiKey: req.apiKey,
+    requests: new Map(), // requestId -> AbortController for in-flight chats
+    queueSubscriber: false,
+    pongTimeout: null, // pending while a heartbeat ping awaits its pong
+    closeReason: null, // set when the server drops the connection
+    conversationId: conversations.create({ system: process.env.SYSTEM_PROMPT || null, owner: req.apiKey.id }).id
   };
 
   clients.set(clientId, clientInfo);
-  
-  logClientActivity(clientId, 'CONNECTED', {
-    ip: clientInfo.ip,
-    userAgent: clientInfo.userAgent
-  });
+
+  // Every line about this connection carries its clientId and key
+  const log = logger.child({ clientId, key: clientInfo.apiKey.name });
+  log.info('Client connected', { ip: clientInfo.ip, userAgent: clientInfo.userAgent });
 
   // Send welcome message with client info
   ws.send(JSON.stringify({
     type: 'welcome',
     clientId: clientId,
     message: `Welcome! You are Client ${clientId}`,
-    connectedClients: clients.size
+    connectedClients: clients.size,
+    conversationId: clientInfo.conversationId
   }));
 
   // Send client list to all clients
@@ -82,11 +224,21 @@ wss.on("connection", (ws, req) => {
       clientInfo.lastActivity = Date.now();
       
       const data = JSON.parse(msg.toString());
+      const type = data.type || 'chat';
+      messagesReceived.inc({ type: MESSAGE_TYPES.has(type) ? type : 'other' });
       
-      logClientActivity(clientId, 'MESSAGE_RECEIVED', {
-        type: data.type || 'chat',
-        prompt: data.prompt?.substring(0, 50) + '...'
-      });
+      log.debug('Message received', { type, requestId: data.requestId, prompt: data.prompt });
+
+      const scope = Object.hasOwn(MESSAGE_SCOPES, data.type) ? MESSAGE_SCOPES[data.type] : "chat";
+      if (scope && !hasScope(clientInfo.apiKey, scope)) {
+        log.warn('Message refused: missing scope', { type, requestId: data.requestId, scope });
+        ws.send(JSON.stringify({
+          type: 'error',
+          requestId: data.requestId,
+          message: `This API key lacks the ${scope} scope`
+        }));
+        return;
+      }
 
       // Handle different message types
       switch (data.type) {
@@ -102,13 +254,38 @@ wss.on("connection", (ws, req) => {
         case 'broadcast':
           handleBroadcast(clientId, data.message);
           break;
+        case 'cancel':
+          handleCancel(clientId, data.requestId);
+          break;
+        case 'get_usage':
+          ws.send(JSON.stringify({
+            type: 'usage',
+            ...rateLimiter.usage(rateLimitIdentity(clientInfo.apiKey, clientInfo.ip), rateLimiter.limitsFor(clientInfo.apiKey))
+          }));
+          break;
+        case 'get_queue':
+          ws.send(JSON.stringify(queueStatus()));
+          break;
+        case 'subscribe_queue':
+          clientInfo.queueSubscriber = data.enabled !== false;
+          ws.send(JSON.stringify(queueStatus()));
+          break;
+        case 'reset_conversation':
+          handleResetConversation(clientId, data);
+          break;
+        case 'fork_conversation':
+          handleForkConversation(clientId, data);
+          break;
+        case 'get_history':
+          handleGetHistory(clientId, data);
+          break;
         default:
           // Default to chat if no type specified
           await handleChatMessage(clientId, data);
       }
 
     } catch (parseErr) {
-      logClientActivity(clientId, 'PARSE_ERROR', { error: parseErr.message });
+      log.warn('Unreadable message', { error: parseErr });
       ws.send(JSON.stringify({
         type: 'error',
         message: 'Invalid message format'
@@ -121,108 +298,429 @@ wss.on("connection", (ws, req) => {
     const client = clients.get(clientId);
     if (!client) return;
 
+    const requestId = data.requestId || `${clientId}-${++requestIdCounter}`;
+    const requestLog = log.child({ requestId });
+
+    if (typeof data.prompt !== 'string' || !data.prompt.trim()) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        requestId,
+        message: 'Prompt is required'
+      }));
+      return;
+    }
+
+    // options: Ollama generation options (temperature, num_ctx, seed...)
+    if (data.options !== undefined && (typeof data.options !== 'object' || data.options === null || Array.isArray(data.options))) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        requestId,
+        message: 'Options must be an object'
+      }));
+      return;
+    }
+
+    // format: JSON Schema (or 'json') the reply must satisfy; formatRetries:
+    // how often an invalid reply is sent back with the validation errors
+    const structured = readFormat(data.format);
+    const retries = readFormatRetries(data.formatRetries, 'formatRetries');
+    if (structured.error || retries.error) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        requestId,
+        message: structured.error || retries.error
+      }));
+      return;
+    }
+
+    if (client.requests.has(requestId)) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        requestId,
+        message: `Request ${requestId} is already in flight`
+      }));
+      return;
+    }
+
+    if (client.requests.size >= MAX_CONCURRENT_PER_CLIENT) {
+      requestLog.warn('Chat refused: too many in flight', { inFlight: client.requests.size });
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        requestId,
+        message: `Too many concurrent requests (limit ${MAX_CONCURRENT_PER_CLIENT})`
+      }));
+      return;
+    }
+
+    const conversationId = data.conversationId || client.conversationId;
+    if (conversations.get(conversationId) && !findConversation(client, conversationId)) {
+      requestLog.warn('Chat refused: conversation of another key', { conversationId });
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        requestId,
+        message: `Unknown conversation: ${conversationId}`
+      }));
+      return;
+    }
+
+    let lease;
+    try {
+      lease = rateLimiter.acquire(rateLimitIdentity(client.apiKey, client.ip), {
+        limits: rateLimiter.limitsFor(client.apiKey),
+        promptChars: promptLength(data.prompt) + promptLength(data.system)
+      });
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) throw error;
+      requestLog.warn('Chat refused: rate limited', { reason: error.reason, retryAfter: error.retryAfter });
+      rateLimited.inc({ reason: error.reason });
+      client.ws.send(JSON.stringify({
+        type: 'rate_limited',
+        requestId,
+        reason: error.reason,
+        message: error.message,
+        limit: error.limit,
+        retryAfter: error.retryAfter
+      }));
+      return;
+    }
+
+    const controller = new AbortController();
+    client.requests.set(requestId, controller);
+
+    // Chatting in a conversation makes it this connection's current one
+    const conversation = conversations.getOrCreate(conversationId, { owner: client.apiKey.id });
+    client.conversationId = conversation.id;
+    if (data.system !== undefined) {
+      conversation.system = data.system;
+    }
+
+    const model = data.model || OLLAMA_MODEL;
+    const userMessage = { role: 'user', content: data.prompt };
+    let responseTokens = 0;
+    const doneFrames = []; // Ollama's final frames, for stats and the daily budget
+    let fullResponse = '';
+    requestLog.assign({ conversationId: conversation.id, model });
+
+    // What ends up in the audit trail besides the prompt and the reply
+    const started = performance.now();
+    let outcome = { status: 'complete' };
+
     try {
       const payload = {
-        model: data.model || OLLAMA_MODEL,
-        prompt: data.prompt,
+        model,
+        messages: conversations.buildMessages(conversation, userMessage),
+        options: data.options,
         stream: true
       };
 
-      logClientActivity(clientId, 'OLLAMA_REQUEST', {
-        model: payload.model,
-        prompt: payload.prompt.substring(0, 100) + '...'
-      });
-
-      const response = await fetch(OLLAMA_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
+      await scheduler.schedule(clientId, async () => {
+        requestLog.info('Chat started', { prompt: data.prompt });
 
-      if (!response.ok || !response.body) {
-        logClientActivity(clientId, 'OLLAMA_ERROR', { status: response.status });
-        client.ws.send(JSON.stringify({
-          type: 'error',
-          message: `❌ Error connecting to Ollama: ${response.status}`
-        }));
-        return;
-      }
-
-      // Handle streaming response
-      let buffer = '';
-      let responseTokens = 0;
-      
-      response.body.on('data', (chunk) => {
-        buffer += chunk.toString();
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
-        
-        for (const line of lines) {
-          if (!line.trim()) continue;
-
-          try {
-            const responseData = JSON.parse(line);
-
-            if (responseData.response) {
+        if (structured.format) {
+          outcome = await streamStructuredReply(clientId, requestId, conversation, userMessage, payload, {
+            log: requestLog,
+            format: structured.format,
+            retries: retries.retries,
+            signal: controller.signal,
+            onContent: (content) => {
               responseTokens++;
-              client.ws.send(JSON.stringify({
-                type: 'stream',
-                content: responseData.response
-              }));
+              fullResponse += content;
+            },
+            onRetry: () => {
+              fullResponse = '';
+            },
+            onDone: (responseData) => {
+              doneFrames.push(responseData);
             }
+          });
+          requestLog.info('Chat complete', {
+            ...outcome.stats,
+            valid: outcome.valid,
+            attempts: outcome.attempts,
+            latencyMs: Math.round(performance.now() - started)
+          });
+          return;
+        }
 
-            if (responseData.done) {
-              logClientActivity(clientId, 'OLLAMA_COMPLETE', {
-                tokens: responseTokens,
-                model: payload.model
-              });
-              
-              client.ws.send(JSON.stringify({
-                type: 'stream_end',
-                message: 'Generation complete',
-                stats: {
-                  tokens: responseTokens,
-                  model: payload.model
-                }
-              }));
-            }
-          } catch (parseErr) {
-            console.error("Bad JSON from Ollama:", line);
+        const stream = await ollama.chat(payload, { signal: controller.signal, route: 'chat' });
+
+        for await (const responseData of stream) {
+          if (responseData.message?.content) {
+            responseTokens++;
+            fullResponse += responseData.message.content;
+            client.ws.send(JSON.stringify({
+              type: 'stream',
+              requestId,
+              content: responseData.message.content
+            }));
           }
-        }
-      });
 
-      response.body.on('end', () => {
-        if (buffer.trim()) {
-          try {
-            const responseData = JSON.parse(buffer);
-            if (responseData.done) {
-              client.ws.send(JSON.stringify({
-                type: 'stream_end',
-                message: 'Generation complete'
-              }));
-            }
-          } catch (parseErr) {
-            console.error("Bad final JSON from Ollama:", buffer);
+          if (responseData.done) {
+            doneFrames.push(responseData);
+            conversations.append(conversation, userMessage, {
+              role: 'assistant',
+              content: fullResponse
+            });
+
+            const stats = generationStats(doneFrames, responseTokens, payload.model);
+            outcome = { status: 'complete', stats };
+            requestLog.info('Chat complete', { ...stats, latencyMs: Math.round(performance.now() - started) });
+
+            client.ws.send(JSON.stringify({
+              type: 'stream_end',
+              requestId,
+              conversationId: conversation.id,
+              message: 'Generation complete',
+              stats
+            }));
           }
         }
+      }, {
+        signal: controller.signal,
+        onQueued: (position) => {
+          requestLog.info('Chat queued', { position });
+          client.ws.send(JSON.stringify({
+            type: 'queued',
+            requestId,
+            position
+          }));
+        }
       });
 
-      response.body.on('error', (err) => {
-        logClientActivity(clientId, 'STREAM_ERROR', { error: err.message });
+    } catch (err) {
+      if (err instanceof OllamaAbortError || err instanceof QueueAbortError) {
+        outcome = { status: 'cancelled' };
+        requestLog.info('Chat cancelled', { tokens: responseTokens, latencyMs: Math.round(performance.now() - started) });
+        conversations.append(conversation, userMessage, {
+          role: 'assistant',
+          content: fullResponse,
+          interrupted: true
+        });
+
+        if (client.ws.readyState === 1) {
+          client.ws.send(JSON.stringify({
+            type: 'stream_end',
+            requestId,
+            conversationId: conversation.id,
+            message: 'Generation cancelled',
+            cancelled: true,
+            stats: {
+              tokens: responseTokens,
+              model
+            }
+          }));
+        }
+      } else if (err instanceof OllamaResponseError || err instanceof OllamaConnectionError) {
+        outcome = { status: 'error', error: err.message };
+        requestLog.error('Ollama request failed', { error: err });
         client.ws.send(JSON.stringify({
           type: 'error',
+          requestId,
+          message: `❌ Error connecting to Ollama: ${err.status || err.message}`
+        }));
+      } else if (err instanceof OllamaStreamError) {
+        outcome = { status: 'error', error: err.message };
+        requestLog.error('Ollama stream failed', { error: err });
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId,
           message: 'Stream error occurred'
         }));
+      } else {
+        outcome = { status: 'error', error: err.message };
+        requestLog.error('Chat failed', { error: err });
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId,
+          message: 'Internal server error'
+        }));
+      }
+    } finally {
+      client.requests.delete(requestId);
+      lease.release(doneFrames.reduce((total, frame) => total + (frame.eval_count || 0), 0));
+      const { status, ...result } = outcome;
+      audit.record({
+        ...requestLog.fields,
+        type: 'chat',
+        status,
+        latencyMs: Math.round(performance.now() - started),
+        request: { prompt: data.prompt, system: data.system, format: data.format, options: data.options },
+        reply: { text: fullResponse, ...result }
       });
+    }
+  }
 
-    } catch (err) {
-      logClientActivity(clientId, 'SERVER_ERROR', { error: err.message });
+  // Structured variant of a chat reply: streams each attempt, re-prompts with
+  // the validation errors while the reply does not satisfy `format`, and ends
+  // with the parsed value in stream_end. Only the final reply is kept in the
+  // conversation. Resolves to the outcome for the audit trail.
+  async function streamStructuredReply(clientId, requestId, conversation, userMessage, payload, { log, format, retries, signal, onContent, onRetry, onDone }) {
+    const doneFrames = [];
+    const client = clients.get(clientId);
+    const turn = streamStructured({
+      messages: payload.messages,
+      format,
+      retries,
+      generate: async function* (messages) {
+        const stream = await ollama.chat({ ...payload, messages, format }, { signal, route: 'chat' });
+        for await (const responseData of stream) {
+          if (responseData.message?.content) yield responseData.message.content;
+          if (responseData.done) {
+            doneFrames.push(responseData);
+            onDone(responseData);
+          }
+        }
+      }
+    });
+
+    let chunks = 0;
+    let outcome;
+    for await (const event of turn) {
+      if (event.type === 'content') {
+        chunks++;
+        onContent(event.content);
+        client.ws.send(JSON.stringify({
+          type: 'stream',
+          requestId,
+          content: event.content,
+          attempt: event.attempt
+        }));
+      } else if (event.type === 'retry') {
+        onRetry();
+        log.info('Reply does not match the format, retrying', { attempt: event.attempt, errors: event.errors });
+        client.ws.send(JSON.stringify({
+          type: 'format_retry',
+          requestId,
+          attempt: event.attempt,
+          errors: event.errors
+        }));
+      } else {
+        conversations.append(conversation, userMessage, {
+          role: 'assistant',
+          content: event.raw
+        });
+
+        const stats = generationStats(doneFrames, chunks, payload.model);
+        outcome = { status: 'complete', stats, parsed: event.parsed, valid: event.valid, attempts: event.attempts };
+
+        client.ws.send(JSON.stringify({
+          type: 'stream_end',
+          requestId,
+          conversationId: conversation.id,
+          message: event.valid ? 'Generation complete' : 'Generation complete, but the reply does not match the format',
+          parsed: event.parsed,
+          valid: event.valid,
+          validationErrors: event.errors,
+          attempts: event.attempts,
+          stats
+        }));
+      }
+    }
+    return outcome;
+  }
+
+  // A conversation this client's key may use; another key's (see canAccess)
+  // is as unknown as a missing one
+  function findConversation(client, conversationId) {
+    const conversation = conversations.get(conversationId);
+    return conversation && canAccess(client.apiKey, conversation.owner) ? conversation : null;
+  }
+
+  // Look up the conversation a command targets (the current one by default)
+  function resolveConversation(client, data) {
+    const conversationId = data.conversationId || client.conversationId;
+    const conversation = findConversation(client, conversationId);
+
+    if (!conversation) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: `Unknown conversation: ${conversationId}`
+      }));
+    }
+    return conversation;
+  }
+
+  // Handle clearing a conversation's history (optionally with a new system prompt)
+  function handleResetConversation(clientId, data) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    const conversation = resolveConversation(client, data);
+    if (!conversation) return;
+
+    conversations.reset(conversation.id, data.system);
+    client.conversationId = conversation.id;
+    log.info('Conversation reset', { conversationId: conversation.id });
+
+    client.ws.send(JSON.stringify({
+      type: 'conversation_reset',
+      conversationId: conversation.id,
+      system: conversation.system,
+      message: 'Conversation history cleared'
+    }));
+  }
+
+  // Handle branching a conversation; the connection switches to the copy
+  function handleForkConversation(clientId, data) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    const source = resolveConversation(client, data);
+    if (!source) return;
+
+    const fork = conversations.fork(source.id, { owner: client.apiKey.id });
+    client.conversationId = fork.id;
+    log.info('Conversation forked', { from: source.id, conversationId: fork.id });
+
+    client.ws.send(JSON.stringify({
+      type: 'conversation_forked',
+      conversationId: fork.id,
+      forkedFrom: source.id,
+      messageCount: fork.messages.length,
+      message: `Forked conversation ${source.id}`
+    }));
+  }
+
+  // Handle inspecting a conversation's history
+  function handleGetHistory(clientId, data) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    const conversation = resolveConversation(client, data);
+    if (!conversation) return;
+
+    client.ws.send(JSON.stringify({
+      type: 'history',
+      conversationId: conversation.id,
+      system: conversation.system,
+      messages: conversation.messages,
+      created: conversation.created,
+      updated: conversation.updated
+    }));
+  }
+
+  // Handle cancelling an in-flight chat (all of them if no requestId given)
+  function handleCancel(clientId, requestId) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    if (requestId === undefined) {
+      client.requests.forEach((controller) => controller.abort());
+      return;
+    }
+
+    const controller = client.requests.get(requestId);
+    if (!controller) {
       client.ws.send(JSON.stringify({
         type: 'error',
-        message: 'Internal server error'
+        requestId,
+        message: `No in-flight request with id ${requestId}`
       }));
+      return;
     }
+
+    log.info('Cancel requested', { requestId });
+    controller.abort();
   }
 
   // Handle setting client name
@@ -233,10 +731,7 @@ wss.on("connection", (ws, req) => {
     const oldName = client.name;
     client.name = newName || `Client-${clientId}`;
     
-    logClientActivity(clientId, 'NAME_CHANGED', {
-      oldName,
-      newName: client.name
-    });
+    log.info('Name changed', { oldName, newName: client.name });
 
     client.ws.send(JSON.stringify({
       type: 'name_set',
@@ -273,7 +768,7 @@ wss.on("connection", (ws, req) => {
       clients: clientList
     }));
 
-    logClientActivity(clientId, 'REQUESTED_CLIENT_LIST');
+    log.debug('Client list requested');
   }
 
   // Handle broadcast message
@@ -281,7 +776,7 @@ wss.on("connection", (ws, req) => {
     const client = clients.get(clientId);
     if (!client) return;
 
-    logClientActivity(clientId, 'BROADCAST_SENT', { message: message.substring(0, 50) + '...' });
+    log.info('Broadcast sent', { message });
 
     broadcast({
       type: 'user_broadcast',
@@ -297,8 +792,17 @@ wss.on("connection", (ws, req) => {
     }));
   }
 
-  ws.on("close", () => {
-    logClientActivity(clientId, 'DISCONNECTED');
+  ws.on("pong", () => {
+    clearTimeout(clientInfo.pongTimeout);
+    clientInfo.pongTimeout = null;
+  });
+
+  ws.on("close", (code) => {
+    const reason = clientInfo.closeReason || 'closed';
+    log.info('Client disconnected', { reason, code, connectedMs: Date.now() - clientInfo.connectedAt });
+    disconnects.inc({ reason });
+    clearTimeout(clientInfo.pongTimeout);
+    clientInfo.requests.forEach((controller) => controller.abort());
     clients.delete(clientId);
     
     // Notify other clients
@@ -306,32 +810,59 @@ wss.on("connection", (ws, req) => {
       type: 'client_disconnected',
       clientId,
       name: clientInfo.name,
-      message: `${clientInfo.name} disconnected`
+      reason,
+      message: `${clientInfo.name} ${DISCONNECT_REASONS[reason]}`
     });
 
     sendClientList();
   });
 
   ws.on("error", (error) => {
-    logClientActivity(clientId, 'CONNECTION_ERROR', { error: error.message });
+    log.warn('Connection error', { error });
+    clientInfo.closeReason ??= 'error';
   });
 });
 
 // Server statistics
 setInterval(() => {
-  const stats = {
-    totalClients: clients.size,
-    uptime: process.uptime(),
-    memory: process.memoryUsage(),
-    timestamp: new Date().toISOString()
-  };
-  
-  console.log(`📈 Server Stats: ${stats.totalClients} clients connected, uptime: ${Math.floor(stats.uptime)}s`);
+  logger.info('Server stats', {
+    clients: clients.size,
+    uptimeSeconds: Math.floor(process.uptime()),
+    rssBytes: process.memoryUsage().rss
+  });
 }, 30000); // Every 30 seconds
 
+// Heartbeats: ping every client not already waiting on a pong; one that
+// doesn't answer within HEARTBEAT_TIMEOUT_MS is terminated
+if (HEARTBEAT_INTERVAL_MS > 0) {
+  setInterval(() => {
+    clients.forEach((client, clientId) => {
+      if (client.pongTimeout || client.ws.readyState !== 1) return;
+      client.pongTimeout = setTimeout(() => {
+        logger.warn('Heartbeat timed out', { clientId, timeoutMs: HEARTBEAT_TIMEOUT_MS });
+        dropClient(client, 'heartbeat_timeout');
+      }, HEARTBEAT_TIMEOUT_MS);
+      client.ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+}
+
+// Idle timeout, on lastActivity (the last message a client sent); pongs
+// don't count, and neither do connections with a chat still running
+if (IDLE_TIMEOUT_MS > 0) {
+  setInterval(() => {
+    const now = Date.now();
+    clients.forEach((client, clientId) => {
+      if (client.closeReason || client.requests.size > 0 || now - client.lastActivity < IDLE_TIMEOUT_MS) return;
+      logger.info('Closing idle connection', { clientId, idleMs: now - client.lastActivity });
+      dropClient(client, 'idle_timeout');
+    });
+  }, Math.min(IDLE_TIMEOUT_MS, 10000));
+}
+
 // Graceful shutdown
 process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down server...');
+  logger.info('Shutting down');
   
   // Notify all clients
   broadcast({
@@ -349,10 +880,17 @@ process.on('SIGINT', () => {
   }, 1000);
 });
 
-console.log("🚀 WebSocket server with client activity tracking running at ws://localhost:8000");
-console.log("📊 Features:");
-console.log("   - Client activity logging");
-console.log("   - Multi-client support");
-console.log("   - Broadcasting between clients");
-console.log("   - Client naming and management");
-console.log("   - Real-time statistics");
+logger.info("WebSocket server listening", {
+  url: `ws://localhost:${PORT}`,
+  metrics: `http://localhost:${PORT}/metrics`,
+  ollamaHost: ollama.host,
+  model: OLLAMA_MODEL,
+  ollamaConcurrency: OLLAMA_CONCURRENCY,
+  maxConcurrentPerClient: MAX_CONCURRENT_PER_CLIENT,
+  rateLimits: rateLimiter.defaults,
+  heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS,
+  heartbeatTimeoutMs: HEARTBEAT_TIMEOUT_MS,
+  idleTimeoutMs: IDLE_TIMEOUT_MS,
+  auditLog: audit.file
+});
+logger.log(...await auth.describe());
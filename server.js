@@ -1,102 +1,241 @@
+import http from "http";
 import { WebSocketServer } from "ws";
-import fetch from "node-fetch";
 import dotenv from "dotenv";
+import {
+  OllamaAbortError,
+  OllamaClient,
+  OllamaConnectionError,
+  OllamaResponseError,
+  OllamaStreamError
+} from "./lib/ollama-client.js";
+import { ConversationStore } from "./lib/conversation-store.js";
+import { canAccess, createAuth } from "./lib/auth.js";
+import { GenerationMetrics, Registry, metricsRequestListener, registerProcessMetrics } from "./lib/metrics.js";
+import { createAuditLog, createLogger } from "./lib/logger.js";
+
+dotenv.config({ quiet: true });
+
+// JSON-lines logs on stdout (LOG_* env vars); AUDIT_LOG_FILE adds an audit
+// trail of every prompt and its answer (lib/logger.js)
+const logger = createLogger(process.env, { service: "server" });
+const audit = createAuditLog(process.env, logger);
+
+// Prometheus metrics at /metrics, next to the WebSocket
+const metrics = new Registry();
+registerProcessMetrics(metrics);
+
+const ollama = new OllamaClient({
+  host: process.env.OLLAMA_URL || process.env.OLLAMA_HOST,
+  metrics: new GenerationMetrics(metrics)
+});
 
-dotenv.config();
+// Payloads carrying a conversationId are answered through /api/chat with the
+// conversation's history and the socket stays open for the next turn. Plain
+// {model, prompt} payloads keep the old one-shot generate-and-close behaviour.
+const conversations = new ConversationStore();
+
+// Sent after every answer so line-oriented clients know when to prompt again
+const GENERATION_COMPLETE = "\n--- generation complete ---\n";
+const COMMAND_COMPLETE = "\n--- command complete ---\n";
+
+// A conversation `apiKey` may use; another key's (see canAccess) is as
+// unknown as a missing one
+function findConversation(id, apiKey) {
+  const conversation = conversations.get(id);
+  return conversation && canAccess(apiKey, conversation.owner) ? conversation : null;
+}
+
+// Handle {command, conversationId} payloads: reset, fork and history
+function handleCommand(ws, payload, apiKey) {
+  const conversation = findConversation(payload.conversationId, apiKey);
+
+  if (!conversation) {
+    ws.send(`❌ Unknown conversation: ${payload.conversationId}`);
+  } else if (payload.command === "reset") {
+    conversations.reset(conversation.id, payload.system);
+    ws.send(`🔄 Conversation ${conversation.id} cleared`);
+  } else if (payload.command === "fork") {
+    const fork = conversations.fork(conversation.id, { owner: apiKey.id });
+    ws.send(JSON.stringify({ conversationId: fork.id, forkedFrom: conversation.id }));
+  } else if (payload.command === "history") {
+    ws.send(JSON.stringify({
+      conversationId: conversation.id,
+      system: conversation.system,
+      messages: conversation.messages
+    }, null, 2));
+  } else {
+    ws.send(`❌ Unknown command: ${payload.command}`);
+  }
+
+  ws.send(COMMAND_COMPLETE);
+}
+
+// Stream one conversational turn over /api/chat; onContent sees each token
+async function streamChat(ws, payload, apiKey, signal, onContent) {
+  const conversation = conversations.getOrCreate(payload.conversationId, { owner: apiKey.id });
+  if (payload.system !== undefined) {
+    conversation.system = payload.system;
+  }
+
+  const userMessage = { role: "user", content: payload.prompt };
+  let fullResponse = "";
+
+  try {
+    const stream = await ollama.chat({
+      model: payload.model,
+      messages: conversations.buildMessages(conversation, userMessage),
+      options: payload.options,
+      stream: true
+    }, { signal, route: "chat" });
+
+    for await (const data of stream) {
+      if (data.message?.content) {
+        fullResponse += data.message.content;
+        onContent(data.message.content);
+        ws.send(data.message.content); // live tokens
+      }
 
-const OLLAMA_URL = process.env.OLLAMA_URL || "http://localhost:11434/api/generate";
+      if (data.done) {
+        conversations.append(conversation, userMessage, { role: "assistant", content: fullResponse });
+        ws.send(GENERATION_COMPLETE);
+      }
+    }
+  } catch (err) {
+    if (err instanceof OllamaAbortError) {
+      conversations.append(conversation, userMessage, {
+        role: "assistant",
+        content: fullResponse,
+        interrupted: true
+      });
+    }
+    throw err;
+  }
+}
 
-// Create WebSocket server
-const wss = new WebSocketServer({ port: 8000 });
+// Everything here is chat, so connecting takes a key with the chat scope
+// (Authorization: Bearer <key> or ?access_token=<key> on the upgrade)
+const auth = createAuth();
 
-wss.on("connection", (ws) => {
-  console.log("✅ Client connected");
+// Create WebSocket server, sharing its port with /metrics
+const PORT = parseInt(process.env.WS_PORT || "8000", 10);
+const server = http.createServer(metricsRequestListener(metrics));
+const wss = new WebSocketServer({ server, verifyClient: auth.verifyClient("chat") });
+server.listen(PORT);
 
-  ws.on("message", async (msg) => {
-    try {
-      const payload = JSON.parse(msg.toString());
-      payload.stream = true; // force streaming like CLI
+metrics.gauge("websocket_clients", "Connected clients", [], (gauge) => gauge.set({}, wss.clients.size));
 
-      console.log("📤 Sending to Ollama:", OLLAMA_URL);
-      console.log("📝 Payload:", JSON.stringify(payload));
+let connectionCounter = 0;
 
-      const response = await fetch(OLLAMA_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
+wss.on("connection", (ws, req) => {
+  const clientId = ++connectionCounter;
+  let messageCounter = 0;
+  const log = logger.child({ clientId, key: req.apiKey.name });
+  log.info("Client connected", { ip: req.socket.remoteAddress });
 
-      console.log("📥 Response status:", response.status);
-      console.log("📥 Response ok:", response.ok);
+  // In-flight generations for this socket, aborted if the client goes away
+  const controllers = new Set();
 
-      if (!response.ok || !response.body) {
-        ws.send("❌ Error connecting to Ollama (is it running?)");
-        ws.close();
+  ws.on("message", async (msg) => {
+    const controller = new AbortController();
+    controllers.add(controller);
+    const requestLog = log.child({ requestId: `${clientId}-${++messageCounter}` });
+    const started = performance.now();
+    let payload;
+    let response = "";
+    let status = "incomplete"; // until Ollama's done frame
+
+    try {
+      payload = JSON.parse(msg.toString());
+
+      if (payload.command) {
+        handleCommand(ws, payload, req.apiKey);
         return;
       }
 
-      // Handle streaming response from node-fetch
-      let buffer = '';
-      
-      response.body.on('data', (chunk) => {
-        buffer += chunk.toString();
-        const lines = buffer.split('\n');
-        
-        // Keep the last incomplete line in buffer
-        buffer = lines.pop() || '';
-        
-        for (const line of lines) {
-          if (!line.trim()) continue;
-
-          try {
-            const data = JSON.parse(line);
-
-            if (data.response) {
-              ws.send(data.response); // live tokens
-            }
-
-            if (data.done) {
-              ws.send("\n--- generation complete ---\n");
-              ws.close();
-              return;
-            }
-          } catch (parseErr) {
-            console.error("Bad JSON from Ollama:", line);
-            // Skip invalid JSON lines
-          }
+      requestLog.assign({ model: payload.model, conversationId: payload.conversationId });
+      requestLog.info("Generation started", { ollamaHost: ollama.host, prompt: payload.prompt, options: payload.options });
+
+      if (payload.conversationId) {
+        if (conversations.get(payload.conversationId) && !findConversation(payload.conversationId, req.apiKey)) {
+          status = "refused";
+          requestLog.warn("Chat refused: conversation of another key");
+          ws.send(`❌ Unknown conversation: ${payload.conversationId}`);
+          ws.send(GENERATION_COMPLETE);
+          return;
         }
-      });
+        await streamChat(ws, payload, req.apiKey, controller.signal, (content) => {
+          response += content;
+        });
+        status = "complete";
+        requestLog.info("Generation complete", { latencyMs: Math.round(performance.now() - started) });
+        return;
+      }
 
-      response.body.on('end', () => {
-        // Process any remaining data in buffer
-        if (buffer.trim()) {
-          try {
-            const data = JSON.parse(buffer);
-            if (data.done) {
-              ws.send("\n--- generation complete ---\n");
-              ws.close();
-            }
-          } catch (parseErr) {
-            console.error("Bad JSON from Ollama:", buffer);
-          }
+      payload.stream = true; // force streaming like CLI
+      const stream = await ollama.generate(payload, { signal: controller.signal, route: "generate" });
+
+      for await (const data of stream) {
+        if (data.response) {
+          response += data.response;
+          ws.send(data.response); // live tokens
         }
-      });
 
-      response.body.on('error', (err) => {
-        console.error("Stream error:", err);
+        if (data.done) {
+          status = "complete";
+          requestLog.info("Generation complete", { tokens: data.eval_count, latencyMs: Math.round(performance.now() - started) });
+          ws.send(GENERATION_COMPLETE);
+          ws.close();
+          return;
+        }
+      }
+    } catch (err) {
+      status = err instanceof OllamaAbortError ? "cancelled" : "error";
+      if (err instanceof OllamaAbortError) {
+        requestLog.info("Generation aborted, client went away", { latencyMs: Math.round(performance.now() - started) });
+        return;
+      }
+      if (err instanceof OllamaResponseError || err instanceof OllamaConnectionError) {
+        requestLog.error("Ollama request failed", { error: err });
+        ws.send("❌ Error connecting to Ollama (is it running?)");
+      } else if (err instanceof OllamaStreamError) {
+        requestLog.error("Ollama stream failed", { error: err });
         ws.send("❌ Stream error");
+      } else {
+        requestLog.error("Message failed", { error: err });
+        ws.send("❌ Internal server error");
+      }
+
+      // Conversations outlive a failed turn; one-shot sockets are done
+      if (payload?.conversationId) {
+        ws.send(GENERATION_COMPLETE);
+      } else {
         ws.close();
-      });
-    } catch (err) {
-      console.error("❌ Server error:", err.message);
-      ws.send("❌ Internal server error");
-      ws.close();
+      }
+    } finally {
+      controllers.delete(controller);
+      // Commands and unreadable messages never reached Ollama
+      if (payload && !payload.command) {
+        audit.record({
+          ...requestLog.fields,
+          status,
+          latencyMs: Math.round(performance.now() - started),
+          request: payload,
+          reply: { text: response }
+        });
+      }
     }
   });
 
   ws.on("close", () => {
-    console.log("❎ Client disconnected");
+    log.info("Client disconnected");
+    controllers.forEach((controller) => controller.abort());
   });
 });
 
-console.log("🚀 WebSocket server running at ws://localhost:8000");
+logger.info("WebSocket server listening", {
+  url: `ws://localhost:${PORT}`,
+  metrics: `http://localhost:${PORT}/metrics`,
+  ollamaHost: ollama.host,
+  auditLog: audit.file
+});
+logger.log(...await auth.describe());
@@ -0,0 +1,285 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { setTimeout as sleep } from 'timers/promises';
+import { DEFAULT_MODELS } from '../lib/mock-ollama.js';
+import { freePort, readEvents, startMockOllama, startServer } from './helpers.js';
+
+const ADD = 'function add(a, b) { return a + b; }';
+const SLOW_PROMPT = 'take your time';
+
+describe('CodeCompleter.js', () => {
+  let mock;
+  let server;
+  let base;
+
+  before(async () => {
+    mock = await startMockOllama({
+      models: [...DEFAULT_MODELS, { name: 'qwen2.5', tools: true }],
+      fixtures: [
+        // llama3.1 offers tools: asked about complexity it calls the analyzer,
+        // and whatever a tool returns, it sums up in one sentence
+        {
+          endpoint: 'chat', model: 'llama3.1', tools: true, role: 'user', prompt: 'How complex',
+          reply: { tool_calls: [{ function: { name: 'analyze_code_complexity', arguments: { code: ADD, language: 'javascript' } } }] }
+        },
+        {
+          endpoint: 'chat', model: 'llama3.1', tools: true, role: 'user', prompt: 'Analyze nothing',
+          reply: { tool_calls: [{ function: { name: 'analyze_code_complexity', arguments: {} } }] }
+        },
+        { endpoint: 'chat', model: 'llama3.1', role: 'tool', reply: { content: 'It is simple.' } },
+        // qwen2.5 needs two rounds of tools before it answers
+        {
+          endpoint: 'chat', model: 'qwen2.5', tools: true, role: 'user', prompt: 'How complex',
+          reply: { tool_calls: [{ function: { name: 'analyze_code_complexity', arguments: { code: ADD } } }] }
+        },
+        {
+          endpoint: 'chat', model: 'qwen2.5', role: 'tool', times: 1,
+          reply: { tool_calls: [{ function: { name: 'analyze_code_complexity', arguments: { code: `${ADD}\n${ADD}` } } }] }
+        },
+        { endpoint: 'chat', model: 'qwen2.5', role: 'tool', reply: { content: 'Both are simple.' } },
+        { endpoint: 'chat', prompt: 'cut off', reply: { content: 'one two three four five six' }, failAfter: 2 },
+        { endpoint: 'chat', prompt: SLOW_PROMPT, reply: { content: 'one two three four five six seven eight' }, chunkDelayMs: 200 }
+      ]
+    });
+    const port = await freePort();
+    server = await startServer('CodeCompleter.js', {
+      env: { OLLAMA_HOST: mock.url, PORT: String(port), SESSION_STORE: 'memory', MAX_PROMPT_CHARS: '10000' },
+      ready: 'Code Completer API listening'
+    });
+    base = `http://127.0.0.1:${port}`;
+  });
+
+  after(async () => {
+    await server?.stop();
+    await mock?.close();
+  });
+
+  function post(path, body) {
+    return fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+  }
+
+  async function json(response, status = 200) {
+    const body = await response.json();
+    assert.equal(response.status, status, JSON.stringify(body));
+    return body;
+  }
+
+  const types = (events) => events.map((event) => event.type);
+
+  test('answers a chat and keeps the session', async () => {
+    const response = await post('/chat/rest-1', { message: 'hello' });
+    assert.match(response.headers.get('x-request-id'), /\S/);
+    const reply = await json(response);
+    assert.equal(reply.response, 'Mock reply to: hello');
+    assert.equal(reply.session_id, 'rest-1');
+    assert.equal(reply.model, 'deepseek-coder:6.7b');
+    assert.equal(reply.tools_supported, false);
+    assert.equal(reply.message_count, 3);
+
+    const session = await json(await fetch(`${base}/sessions/rest-1`));
+    assert.deepEqual(session.messages.map((message) => message.role), ['user', 'assistant']);
+    assert.equal(session.message_count, 3);
+
+    const { sessions } = await json(await fetch(`${base}/sessions`));
+    assert.ok(sessions.some((entry) => entry.session_id === 'rest-1'));
+
+    await json(await fetch(`${base}/sessions/rest-1`, { method: 'DELETE' }));
+    await json(await fetch(`${base}/sessions/rest-1`), 404);
+    await json(await fetch(`${base}/sessions/rest-1`, { method: 'DELETE' }), 404);
+  });
+
+  test('streams a POSTed chat as server-sent events', async () => {
+    const response = await post('/chat/sse-post', { message: 'stream this', stream: true });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = await readEvents(response);
+    const done = events.pop();
+    assert.ok(events.length > 1 && events.every((event) => event.type === 'content'));
+    assert.equal(done.type, 'done');
+    assert.equal(done.full_response, 'Mock reply to: stream this');
+    assert.equal(events.map((event) => event.content).join(''), done.full_response);
+  });
+
+  test('streams GET /chat/:sessionId/stream with the session model and options', async () => {
+    const events = await readEvents(await fetch(`${base}/chat/sse-get/stream?message=hi&model=llama2&temperature=0.2&seed=7`));
+    assert.equal(events.at(-1).type, 'done');
+    assert.equal(events.at(-1).model, 'llama2');
+    assert.deepEqual(mock.requests.at(-1).body.options, { temperature: 0.2, seed: 7 });
+
+    // The model sticks to the session
+    await readEvents(await fetch(`${base}/chat/sse-get/stream?message=again`));
+    assert.equal(mock.requests.at(-1).body.model, 'llama2');
+    assert.equal((await json(await fetch(`${base}/sessions/sse-get`))).model, 'llama2');
+  });
+
+  test('runs tool calls in a stream and feeds the results back', async () => {
+    const events = await readEvents(await fetch(`${base}/chat/tools-sse/stream?message=${encodeURIComponent('How complex is add?')}&model=llama3.1`));
+    const sequence = types(events).filter((type, index, all) => type !== all[index - 1]);
+    assert.deepEqual(sequence, ['tool_call', 'tool_result', 'content', 'done']);
+
+    const [call, result] = events;
+    assert.equal(call.tool, 'analyze_code_complexity');
+    assert.deepEqual(call.arguments, { code: ADD, language: 'javascript' });
+    assert.equal(JSON.parse(result.result).analysis.summary.functions_count, 1);
+    assert.equal(events.at(-1).full_response, 'It is simple.');
+
+    const { messages } = mock.requests.at(-1).body;
+    assert.equal(messages.at(-1).role, 'tool');
+    assert.equal(messages.at(-1).tool_name, 'analyze_code_complexity');
+    assert.ok(messages.at(-2).tool_calls);
+  });
+
+  test('runs tool calls for a non-streamed chat', async () => {
+    const reply = await json(await post('/chat/tools-rest', { message: 'How complex is add?', model: 'llama3.1' }));
+    assert.equal(reply.tools_supported, true);
+    assert.equal(reply.response, 'It is simple.');
+    assert.equal(reply.tool_results.length, 1);
+    assert.equal(reply.tool_results[0].tool_name, 'analyze_code_complexity');
+    assert.equal(JSON.parse(reply.tool_results[0].result).analysis.summary.functions_count, 1);
+  });
+
+  test('runs as many tool rounds without streaming as with it', async () => {
+    const reply = await json(await post('/chat/tools-rounds', { message: 'How complex is add?', model: 'qwen2.5' }));
+    assert.equal(reply.response, 'Both are simple.');
+    assert.deepEqual(reply.tool_results.map((result) => result.iteration), [1, 2]);
+    assert.equal(JSON.parse(reply.tool_results[1].result).analysis.summary.functions_count, 2);
+
+    const { messages } = await json(await fetch(`${base}/sessions/tools-rounds`));
+    assert.deepEqual(messages.map((message) => message.role), ['user', 'assistant', 'tool', 'assistant', 'tool', 'assistant']);
+    assert.ok(messages.filter((message) => message.role === 'tool').every((message) => message.tool_name === 'analyze_code_complexity'));
+  });
+
+  test('hands invalid tool arguments back to the model as an error', async () => {
+    const events = await readEvents(await fetch(`${base}/chat/tools-bad/stream?message=${encodeURIComponent('Analyze nothing')}&model=llama3.1`));
+    const result = JSON.parse(events.find((event) => event.type === 'tool_result').result);
+    assert.match(result.error, /code/);
+    assert.ok(Array.isArray(result.errors));
+    assert.equal(events.at(-1).type, 'done');
+  });
+
+  test('runs a tool directly with POST /tools/:name', async () => {
+    const reply = await json(await post('/tools/analyze_code_complexity', { code: ADD }));
+    assert.equal(reply.tool, 'analyze_code_complexity');
+    assert.equal(reply.result.analysis.functions[0].name, 'add');
+
+    const invalid = await post('/tools/analyze_code_complexity', { language: 'javascript' });
+    assert.equal(invalid.status, 400);
+    assert.ok((await invalid.json()).errors.length > 0);
+
+    assert.equal((await post('/tools/no_such_tool', {})).status, 404);
+  });
+
+  test('validates structured replies against the format', async () => {
+    const format = { type: 'object', properties: { bugs: { type: 'array' } }, required: ['bugs'] };
+    const reply = await json(await post('/chat/structured', { message: 'List the bugs', format }));
+    assert.deepEqual(reply.parsed, { bugs: [] });
+    assert.equal(reply.valid, true);
+    assert.equal(reply.attempts, 1);
+  });
+
+  test('ends the event stream with an error when Ollama fails mid-reply', async () => {
+    const events = await readEvents(await fetch(`${base}/chat/cut/stream?message=${encodeURIComponent('cut off')}`));
+    assert.equal(events.at(-1).type, 'error');
+    assert.ok(events.some((event) => event.type === 'content'));
+  });
+
+  test('cancels an in-flight generation', async () => {
+    const pending = fetch(`${base}/chat/slow/stream?message=${encodeURIComponent(SLOW_PROMPT)}`);
+    await sleep(400);
+    const cancelled = await json(await post('/chat/slow/cancel', {}));
+    assert.equal(cancelled.session_id, 'slow');
+
+    const events = await readEvents(await pending);
+    assert.equal(events.at(-1).type, 'cancelled');
+    const session = await json(await fetch(`${base}/sessions/slow`));
+    assert.equal(session.messages.at(-1).interrupted, true);
+  });
+
+  test('rejects malformed requests', async () => {
+    assert.deepEqual(await json(await post('/chat/bad', {}), 400), { error: 'Message is required' });
+    assert.equal((await post('/chat/bad', '{"message": ')).status, 400); // express.json's own error page
+    assert.deepEqual(await json(await post('/chat/bad', { message: 'hi', options: 'hot' }), 400), { error: 'Options must be an object' });
+    assert.deepEqual(await json(await post('/chat/bad', { message: 'hi', rag: 'yes' }), 400), { error: 'rag must be true or false' });
+    assert.equal((await json(await post('/chat/bad', { message: 'hi', format: 42 }), 400)).error.length > 0, true);
+    const { error } = await json(await post('/chat/bad', { message: 'hi', format: { type: 'array', contains: { type: 'string' } } }), 400);
+    assert.match(error, /contains is not supported/);
+    assert.deepEqual(await json(await fetch(`${base}/chat/bad/stream`), 400), { error: 'Message parameter is required' });
+    assert.deepEqual(await json(await fetch(`${base}/chat/bad/stream?message=hi&temperature=warm`), 400), { error: 'temperature must be a number' });
+    assert.deepEqual(await json(await post('/chat/idle/cancel', {}), 404), { error: 'No active request for this session' });
+    await json(await post('/complete', { suffix: '}' }), 400);
+  });
+
+  test('passes Ollama 404s for unknown models through', async () => {
+    const { error } = await json(await post('/chat/unknown-model', { message: 'hi', model: 'no-such-model' }), 404);
+    assert.match(error, /not found/);
+  });
+
+  test('completes code in the middle with /complete', async () => {
+    const reply = await json(await post('/complete', { prefix: 'function add(a, b) {\n  return ', suffix: '\n}', language: 'javascript' }));
+    assert.equal(reply.format, 'deepseek-coder');
+    assert.equal(reply.completions.length, 1);
+    assert.equal(typeof reply.completions[0].text, 'string');
+    const { endpoint, body } = mock.requests.at(-1);
+    assert.equal(endpoint, 'generate');
+    assert.equal(body.raw, true);
+  });
+
+  test('gives each /complete candidate its own seed, refusing seeds that are no integer', async () => {
+    for (const seed of ['42', 1.5, null]) {
+      assert.deepEqual(await json(await post('/complete', { prefix: 'let x = ', options: { seed } }), 400), { error: 'options.seed must be an integer' });
+    }
+
+    await json(await post('/complete', { prefix: 'let x = ', n: 3, options: { seed: 42 } }));
+    const seeds = mock.requests.slice(-3).map(({ body }) => body.options.seed);
+    assert.deepEqual(seeds.sort(), [42, 43, 44]);
+  });
+
+  test('rejects unknown fill-in-the-middle formats', async () => {
+    for (const format of ['constructor', '__proto__', 'toString', 42]) {
+      const { error } = await json(await post('/complete', { prefix: 'let x = ', format }), 400);
+      assert.match(error, /^Unknown format/);
+    }
+  });
+
+  test('counts only the context /complete sends against the prompt limit', async () => {
+    const file = 'const line = 1;\n'.repeat(2000);
+    await json(await post('/complete', { prefix: file, suffix: file }));
+    assert.ok(mock.requests.at(-1).body.prompt.length < 10000);
+
+    const { reason } = await json(await post('/chat/too-long', { message: file }), 413);
+    assert.equal(reason, 'prompt_too_long');
+  });
+
+  test('speaks the OpenAI chat completions protocol', async () => {
+    const reply = await json(await post('/v1/chat/completions', { model: 'llama2', messages: [{ role: 'user', content: 'hi' }] }));
+    assert.equal(reply.object, 'chat.completion');
+    assert.equal(reply.choices[0].message.content, 'Mock reply to: hi');
+
+    const events = await readEvents(await post('/v1/chat/completions', { model: 'llama2', stream: true, messages: [{ role: 'user', content: 'hi' }] }));
+    assert.equal(events.at(-1), '[DONE]');
+    const chunks = events.slice(0, -1);
+    assert.ok(chunks.every((chunk) => chunk.object === 'chat.completion.chunk'));
+    assert.equal(chunks.map((chunk) => chunk.choices[0]?.delta?.content ?? '').join(''), 'Mock reply to: hi');
+    assert.equal(chunks.at(-1).choices[0].finish_reason, 'stop');
+
+    const embeddings = await json(await post('/v1/embeddings', { model: 'nomic-embed-text', input: ['a', 'b'] }));
+    assert.equal(embeddings.data.length, 2);
+    assert.equal(embeddings.data[0].embedding.length, 16);
+  });
+
+  test('reports health and lists models', async () => {
+    const health = await json(await fetch(`${base}/health`));
+    assert.equal(health.status, 'healthy');
+    assert.deepEqual(health.session_store, { status: 'ok' });
+    assert.equal(health.ollama_host, mock.url);
+
+    const models = await json(await fetch(`${base}/models`));
+    assert.ok(models.available_models.some((model) => model.name === 'llama3.1'));
+    assert.equal(models.tools_support['llama3.1'], true);
+  });
+});
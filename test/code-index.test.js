@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, test } from 'node:test';
+import { CodeIndex } from '../lib/code-index.js';
+
+// Embeds by letter counts, so texts sharing words score close together.
+// `failAfter` makes it throw once that many batches went through.
+function embedder({ failAfter = Infinity } = {}) {
+  const embed = async (texts, { signal } = {}) => {
+    signal?.throwIfAborted();
+    if (embed.batches++ >= failAfter) throw new Error('Ollama went away');
+    return texts.map((text) => Array.from({ length: 26 }, (_, i) => text.split(String.fromCharCode(97 + i)).length - 1));
+  };
+  embed.batches = 0;
+  return embed;
+}
+
+describe('CodeIndex', () => {
+  let dir;
+  let src;
+  let file;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-index-test-'));
+    src = path.join(dir, 'src');
+    file = path.join(dir, 'code-index.json');
+    await fs.mkdir(src);
+    for (let i = 0; i < 20; i++) {
+      await fs.writeFile(path.join(src, `module${i}.js`), `export function handler${i}() {\n  return ${i};\n}\n`);
+    }
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test('embeds only the files that changed since the last run', async () => {
+    const index = new CodeIndex({ file, model: 'embed-a', embed: embedder() });
+    assert.deepEqual(await index.indexDirectory(src), { root: src, files: 20, chunks: 20, embedded: 20, reused: 0 });
+
+    await fs.writeFile(path.join(src, 'module0.js'), 'export function handler0() {\n  return "changed";\n}\n');
+    const again = await new CodeIndex({ file, model: 'embed-a', embed: embedder() }).indexDirectory(src);
+    assert.deepEqual([again.embedded, again.reused], [1, 19]);
+  });
+
+  test('keeps the old index when a rebuild for another model fails partway', async () => {
+    const index = new CodeIndex({ file, model: 'embed-b', embed: embedder({ failAfter: 1 }) });
+    const saved = await fs.readFile(file, 'utf8');
+
+    await assert.rejects(index.indexDirectory(src), /Ollama went away/);
+    assert.deepEqual([index.indexModel, index.chunks.length, Object.keys(index.roots)], ['embed-a', 20, [src]]);
+    assert.equal(await fs.readFile(file, 'utf8'), saved);
+    assert.equal(index.indexing, null);
+
+    await assert.rejects(index.search('handler'), { code: 'EMODEL' });
+  });
+
+  test('keeps the old index when indexing is aborted', async () => {
+    const index = new CodeIndex({ file, model: 'embed-b', embed: embedder() });
+    await assert.rejects(index.indexDirectory(src, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+    assert.deepEqual([index.indexModel, index.chunks.length], ['embed-a', 20]);
+
+    const rebuilt = await index.indexDirectory(src);
+    assert.deepEqual([rebuilt.embedded, index.indexModel], [20, 'embed-b']);
+    assert.equal((await index.search('handler7', { limit: 1 })).length, 1);
+  });
+});
@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { analyzeCode } from '../lib/complexity.js';
+
+const JAVASCRIPT = `function classify(n, flags) {
+  if (n < 0) {
+    return 'negative';
+  } else if (n === 0) {
+    return 'zero';
+  } else {
+    for (const flag of flags) {
+      if (flag && n > 10 || flag === 'big') return 'big';
+    }
+  }
+  const pick = (x) => x ? 'yes' : 'no';
+  return pick(n);
+}
+
+class Parser {
+  constructor(a, b, c, d, e, f) {}
+  get size() { return this.n ?? 0; }
+}
+`;
+
+const PYTHON = `class Shop:
+    def __init__(self, items):
+        self.items = items
+
+    def total(self, discount=0, *, tax=None):
+        result = 0
+        for item in self.items:
+            if item.price > 0 and item.qty:  # "or" in a comment does not count
+                result += item.price
+            elif item.free:
+                pass
+        return result if tax else result * 2
+`;
+
+function byName(result) {
+  return Object.fromEntries(result.functions.map((fn) => [fn.name, fn]));
+}
+
+describe('analyzeCode', () => {
+  test('measures JavaScript functions from the AST, nested ones on their own', () => {
+    const result = analyzeCode(JAVASCRIPT);
+    assert.equal(result.language, 'javascript');
+    assert.equal(result.method, 'ast');
+
+    const functions = byName(result);
+    assert.deepEqual(Object.keys(functions), ['classify', 'pick', 'Parser.constructor', 'Parser.size']);
+    assert.deepEqual(functions.classify, {
+      name: 'classify',
+      kind: 'function',
+      start_line: 1,
+      end_line: 13,
+      params: 2,
+      cyclomatic: 7,
+      cognitive: 10,
+      max_nesting: 3,
+      rating: 'Medium'
+    });
+    assert.deepEqual(
+      [functions.pick.kind, functions.pick.cyclomatic, functions.pick.cognitive, functions.pick.max_nesting],
+      ['arrow', 2, 1, 1]
+    );
+    assert.equal(functions['Parser.constructor'].kind, 'constructor');
+    assert.deepEqual([functions['Parser.size'].kind, functions['Parser.size'].cyclomatic], ['getter', 2]);
+
+    assert.deepEqual(result.summary, {
+      lines_of_code: 17,
+      functions_count: 4,
+      max_cyclomatic: 7,
+      average_cyclomatic: 3,
+      max_cognitive: 10,
+      max_nesting: 3,
+      complexity_rating: 'Medium'
+    });
+    assert.deepEqual(result.suggestions, ['Parser.constructor (lines 16-16) takes 6 parameters; consider passing an options object']);
+  });
+
+  test('estimates Python functions from indentation, ignoring strings and comments', () => {
+    const result = analyzeCode(PYTHON);
+    assert.equal(result.language, 'python');
+    assert.equal(result.method, 'heuristic');
+
+    const functions = byName(result);
+    assert.equal(functions['Shop.__init__'].kind, 'constructor');
+    assert.deepEqual(functions['Shop.total'], {
+      name: 'Shop.total',
+      kind: 'method',
+      start_line: 5,
+      end_line: 12,
+      params: 2,
+      cyclomatic: 6,
+      cognitive: 6,
+      max_nesting: 2,
+      rating: 'Medium'
+    });
+  });
+
+  test('flags functions past the thresholds', () => {
+    const branches = Array.from({ length: 11 }, (_, i) => `  if (x === ${i}) return ${i};`).join('\n');
+    const deep = 'if (a) { if (b) { if (c) { if (d) { if (e) { go(); } } } } }';
+    const result = analyzeCode(`function branchy(x) {\n${branches}\n}\nfunction deep(a, b, c, d, e) {\n  ${deep}\n}\n`);
+    const functions = byName(result);
+
+    assert.equal(functions.branchy.cyclomatic, 12);
+    assert.equal(functions.branchy.rating, 'High');
+    assert.equal(functions.deep.max_nesting, 5);
+    assert.equal(functions.deep.cognitive, 15);
+    assert.equal(result.summary.complexity_rating, 'High');
+    assert.deepEqual(result.suggestions, [
+      'branchy (lines 1-13) has cyclomatic complexity 12; split it into smaller functions',
+      'deep (lines 14-16) nests 5 levels deep; use early returns or extract the inner blocks'
+    ]);
+
+    assert.deepEqual(analyzeCode('const add = (a, b) => a + b;').suggestions, ['Code complexity is acceptable']);
+  });
+
+  test('picks the language from aliases or the code, and falls back for the rest', () => {
+    assert.equal(analyzeCode('const n = 1;', { language: 'TS' }).language, 'typescript');
+    assert.equal(analyzeCode('interface Point { x: number }').language, 'typescript');
+    assert.equal(analyzeCode('def f():\n    return 1\n', { language: 'py' }).language, 'python');
+
+    const ruby = analyzeCode('const n = 1;', { language: 'ruby' });
+    assert.equal(ruby.note, 'No analyzer for ruby; parsed as JavaScript');
+  });
+
+  test('estimates the whole file when the code does not parse', () => {
+    const result = analyzeCode('function broken( {\n  if (a && b) {\n');
+    assert.equal(result.method, 'heuristic');
+    assert.match(result.parse_error, /Unexpected token/);
+    assert.deepEqual(result.functions, [{
+      name: '<file>',
+      kind: 'file',
+      start_line: 1,
+      end_line: 3,
+      params: 0,
+      cyclomatic: 3,
+      cognitive: 2,
+      max_nesting: 0,
+      rating: 'Low'
+    }]);
+  });
+});
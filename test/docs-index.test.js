@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { gzipSync } from 'zlib';
+import { after, before, describe, test } from 'node:test';
+import { DocsIndex, createDocsIndex, makeSnippet, parseDocument, tokenize } from '../lib/docs-index.js';
+
+describe('parseDocument', () => {
+  test('splits Markdown on headings, leaving code fences alone', () => {
+    const markdown = '# Streams\n\nIntro with a [link](https://x.test).\n\n## Backpressure\n\n```sh\n# not a heading\n```\n\n## Empty\n';
+    assert.deepEqual(parseDocument(markdown, 'docs/streams.md'), [
+      { title: 'Streams', section: 'Streams', text: 'Intro with a link.' },
+      { title: 'Streams', section: 'Backpressure', text: '```sh\n# not a heading\n```' }
+    ]);
+  });
+
+  test('reads HTML sections and man pages', () => {
+    const html = '<title>Fetch &amp; more</title><nav>skip me</nav><p>Before</p><h2>Options</h2><p>Use <b>signal</b>&#33;</p>';
+    const sections = parseDocument(html, 'fetch.html');
+    assert.ok(sections.every(({ title }) => title === 'Fetch & more'));
+    assert.doesNotMatch(sections[0].text, /skip me/);
+    assert.deepEqual(sections.slice(1), [{ title: 'Fetch & more', section: 'Options', text: 'Use signal!' }]);
+
+    const man = '.TH GREP 1\n.SH NAME\ngrep \\- print lines\n.SH OPTIONS\n.B \\-i\nignore case\n';
+    assert.deepEqual(parseDocument(man, 'grep.1'), [
+      { title: 'GREP(1)', section: 'NAME', text: 'grep - print lines' },
+      { title: 'GREP(1)', section: 'OPTIONS', text: '-i\nignore case' }
+    ]);
+  });
+
+  test('cuts long sections on paragraph boundaries', () => {
+    const paragraph = 'word '.repeat(300).trim();
+    const sections = parseDocument(`# Long\n\n${paragraph}\n\n${paragraph}\n`, 'long.md');
+    assert.equal(sections.length, 2);
+    assert.ok(sections.every(({ text }) => text === paragraph));
+  });
+});
+
+describe('search helpers', () => {
+  test('tokenize drops stopwords and single characters', () => {
+    assert.deepEqual(tokenize('How to use the fs.readFile API in Node_20?'), ['use', 'fs', 'readfile', 'api', 'node_20']);
+  });
+
+  test('makeSnippet keeps short text and cuts long text around the query terms', () => {
+    assert.equal(makeSnippet('  short\n text ', ['text']), 'short text');
+
+    const text = `${'filler '.repeat(200)}the retry option controls backoff ${'padding '.repeat(200)}`;
+    const snippet = makeSnippet(text, ['retry', 'backoff']);
+    assert.ok(snippet.startsWith('…') && snippet.endsWith('…'), snippet);
+    assert.match(snippet, /filler the retry option/);
+    assert.ok(snippet.length <= 302);
+  });
+});
+
+describe('DocsIndex', () => {
+  let dir;
+  let docs;
+  let file;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs-index-test-'));
+    docs = path.join(dir, 'docs');
+    file = path.join(dir, 'index', 'docs-index.json');
+
+    await fs.mkdir(path.join(docs, 'guides'), { recursive: true });
+    await fs.writeFile(path.join(docs, 'express.md'), '# Express\n\n## Routing\n\nDefine a route with app.get and a handler.\n');
+    await fs.writeFile(path.join(docs, 'guides', 'websocket.md'), '# WebSocket\n\n## Heartbeat\n\nSend a ping so dead sockets close. A route is not needed.\n');
+    await fs.writeFile(path.join(docs, 'curl.1.gz'), gzipSync('.TH CURL 1\n.SH DESCRIPTION\ncurl transfers a URL with retry support\n'));
+    await fs.writeFile(path.join(docs, 'image.png'), 'not docs');
+
+    const modules = path.join(dir, 'node_modules');
+    await fs.mkdir(path.join(modules, 'left-pad'), { recursive: true });
+    await fs.mkdir(path.join(modules, '@scope', 'tool'), { recursive: true });
+    await fs.writeFile(path.join(modules, 'left-pad', 'README.md'), '# Padding strings\n\nPads a string on the left.\n');
+    await fs.writeFile(path.join(modules, '@scope', 'tool', 'readme'), 'A scoped tool for padding.\n');
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test('indexes a directory and ranks sections with BM25', async () => {
+    const index = new DocsIndex({ file });
+    assert.deepEqual(await index.search('route'), [], 'nothing indexed yet');
+
+    assert.deepEqual(await index.indexDirectory(docs), { root: docs, files: 3, documents: 3 });
+
+    const hits = await index.search('define a route handler');
+    assert.deepEqual(hits.map((hit) => [path.relative(docs, hit.path), hit.section]), [
+      ['express.md', 'Routing'],
+      [path.join('guides', 'websocket.md'), 'Heartbeat']
+    ]);
+    assert.ok(hits[0].score > hits[1].score);
+    assert.equal(hits[0].snippet, 'Define a route with app.get and a handler.');
+
+    const [curl] = await index.search('retry');
+    assert.deepEqual([curl.title, curl.section], ['CURL(1)', 'DESCRIPTION']);
+    assert.deepEqual(await index.search('the and of'), [], 'a query of stopwords matches nothing');
+    assert.equal((await index.search('route', { limit: 1 })).length, 1);
+  });
+
+  test('boosts sections from the requested technology', async () => {
+    const index = new DocsIndex({ file });
+    const [top] = await index.search('route', { technology: 'websocket' });
+    assert.equal(path.basename(top.path), 'websocket.md');
+  });
+
+  test('indexes one README per package under node_modules, titled by package', async () => {
+    const index = new DocsIndex({ file });
+    const modules = path.join(dir, 'node_modules');
+    assert.deepEqual(await index.indexDirectory(modules), { root: modules, files: 2, documents: 2 });
+
+    const titles = (await index.search('padding')).map((hit) => hit.title).sort();
+    assert.deepEqual(titles, ['@scope/tool', 'left-pad']);
+    assert.deepEqual((await index.stats()).roots.map(({ root }) => root).sort(), [docs, modules].sort());
+  });
+
+  test('picks up changes saved by another instance and removes roots', async () => {
+    const reader = new DocsIndex({ file });
+    const writer = new DocsIndex({ file });
+    assert.equal((await reader.stats()).documents, 5);
+
+    assert.equal(await writer.removeDirectory(path.join(dir, 'node_modules')), true);
+    assert.equal(await writer.removeDirectory(path.join(dir, 'never-indexed')), false);
+
+    // Make sure the rewrite gets a new mtime even on coarse clocks
+    const later = new Date(Date.now() + 5000);
+    await fs.utimes(file, later, later);
+
+    assert.equal((await reader.stats()).documents, 3);
+    assert.deepEqual(await reader.search('padding'), []);
+  });
+
+  test('refuses directories it cannot index and index files from another version', async () => {
+    const index = new DocsIndex({ file });
+    await assert.rejects(index.indexDirectory(path.join(docs, 'express.md')), /Not a directory/);
+    await assert.rejects(index.indexDirectory(path.join(dir, 'missing')), { code: 'ENOENT' });
+
+    const old = path.join(dir, 'old-index.json');
+    await fs.writeFile(old, JSON.stringify({ version: 0, roots: {}, docs: [], terms: {} }));
+    await assert.rejects(new DocsIndex({ file: old }).search('route'), /Unsupported docs index version 0/);
+  });
+
+  test('createDocsIndex reads DOCS_INDEX_FILE', () => {
+    assert.equal(createDocsIndex({ DOCS_INDEX_FILE: file }).file, file);
+    assert.equal(createDocsIndex({}).file, path.resolve('docs-index.json'));
+  });
+});
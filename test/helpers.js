@@ -0,0 +1,195 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import { MockOllama } from '../lib/mock-ollama.js';
+
+// Shared plumbing for the integration tests: a mock Ollama in the test
+// process, the servers as child processes pointed at it, and clients that
+// collect what the servers send so tests can wait for a given message.
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const STARTUP_TIMEOUT_MS = 15000;
+const WAIT_TIMEOUT_MS = 5000;
+
+export async function startMockOllama(options = {}) {
+  const mock = new MockOllama(options);
+  await mock.listen(0);
+  return mock;
+}
+
+// A port nothing listens on right now
+export async function freePort() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+// Runs one of the server scripts with `env` on top of a clean environment,
+// in a scratch directory so no .env file or earlier state leaks in, and
+// resolves once it logs `ready` (a log message). stop() kills it and removes
+// the directory; output() is everything it logged, for failing tests.
+export async function startServer(script, { env = {}, ready }) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ollama-sdk-test-'));
+  const child = spawn(process.execPath, [path.join(ROOT, script)], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      HOME: dir,
+      LOG_LEVEL: 'info',
+      AUTH_DISABLED: 'true',
+      API_KEYS_FILE: path.join(dir, 'api-keys.json'),
+      OLLAMA_URL: '',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  const lines = [];
+  let onLine = () => {};
+  let buffer = '';
+  child.stdout.on('data', (chunk) => {
+    output += chunk;
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      try {
+        lines.push(JSON.parse(line));
+        onLine(lines.at(-1));
+      } catch {
+        // not a log line
+      }
+    }
+  });
+  child.stderr.on('data', (chunk) => {
+    output += chunk;
+  });
+
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`${script} did not start:\n${output}`)), STARTUP_TIMEOUT_MS);
+    onLine = (line) => {
+      if (line.msg === ready) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    exited.then((code) => {
+      clearTimeout(timer);
+      reject(new Error(`${script} exited with ${code}:\n${output}`));
+    });
+  });
+  onLine = () => {};
+
+  return {
+    dir,
+    logs: lines,
+    output: () => output,
+    async stop() {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill();
+        await exited;
+      }
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// A WebSocket client that keeps every message it receives (JSON parsed when
+// possible) so tests can wait for the next one matching a predicate
+export class TestClient {
+  constructor(url, options) {
+    this.ws = new WebSocket(url, options);
+    this.messages = [];
+    this.waiters = [];
+    this.closed = new Promise((resolve) => this.ws.once('close', (code) => resolve(code)));
+    this.ws.on('error', (error) => {
+      this.error = error; // connect() rejects with it; later ones show up as `closed`
+    });
+    this.ws.on('message', (data) => {
+      const text = data.toString();
+      let message = text;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        // plain text frame
+      }
+      this.messages.push(message);
+      this.waiters = this.waiters.filter((waiter) => !waiter.check());
+    });
+  }
+
+  static async connect(url, options) {
+    const client = new TestClient(url, options);
+    await new Promise((resolve, reject) => {
+      client.ws.once('open', resolve);
+      client.ws.once('error', reject);
+    });
+    return client;
+  }
+
+  send(message) {
+    this.ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+  }
+
+  // Resolves to (and consumes) the first message, received or yet to come,
+  // that `match` accepts: a predicate, or a `type` to look for
+  async next(match, timeoutMs) {
+    const messages = await this.take(match, timeoutMs, (index) => [index, 1]);
+    return messages[0];
+  }
+
+  // Consumes and resolves to every message up to and including that one
+  until(match, timeoutMs) {
+    return this.take(match, timeoutMs, (index) => [0, index + 1]);
+  }
+
+  take(match, timeoutMs = WAIT_TIMEOUT_MS, range) {
+    const predicate = typeof match === 'function' ? match : (message) => message?.type === match;
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        check: () => {
+          const index = this.messages.findIndex(predicate);
+          if (index === -1) return false;
+          clearTimeout(timer);
+          resolve(this.messages.splice(...range(index)));
+          return true;
+        }
+      };
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter((other) => other !== waiter);
+        reject(new Error(`No message matching ${match.name || match} within ${timeoutMs}ms; got ${JSON.stringify(this.messages)}`));
+      }, timeoutMs);
+      if (!waiter.check()) this.waiters.push(waiter);
+    });
+  }
+
+  async close() {
+    if (this.ws.readyState !== WebSocket.CLOSED) this.ws.close();
+    await this.closed;
+  }
+}
+
+// The `data:` events of a server-sent event stream, JSON parsed when possible
+export async function readEvents(response) {
+  const text = await response.text();
+  return text.split('\n\n')
+    .map((block) => block.split('\n').filter((line) => line.startsWith('data: ')).map((line) => line.slice(6)).join('\n'))
+    .filter(Boolean)
+    .map((data) => {
+      try {
+        return JSON.parse(data);
+      } catch {
+        return data;
+      }
+    });
+}
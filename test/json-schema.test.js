@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { checkSchema, validate } from '../lib/json-schema.js';
+import { parseStructured, readFormat } from '../lib/structured-output.js';
+
+describe('validate', () => {
+  test('checks types, required and additional properties', () => {
+    const schema = {
+      type: 'object',
+      properties: { name: { type: 'string', minLength: 1 }, tags: { type: 'array', items: { type: 'string' } } },
+      required: ['name'],
+      additionalProperties: false
+    };
+    assert.deepEqual(validate(schema, { name: 'a', tags: ['x'] }), []);
+    assert.deepEqual(validate(schema, { tags: [1], extra: true }), [
+      'name is required',
+      'tags[0] must be of type string, got integer',
+      'extra is not an allowed property'
+    ]);
+  });
+
+  test('checks exclusive bounds and multipleOf', () => {
+    const schema = { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 1, multipleOf: 0.1 };
+    assert.deepEqual(validate(schema, 0.3), []);
+    assert.deepEqual(validate(schema, 0), ['value must be > 0']);
+    assert.deepEqual(validate(schema, 1), ['value must be < 1']);
+    assert.deepEqual(validate(schema, 0.25), ['value must be a multiple of 0.1']);
+    assert.deepEqual(validate({ type: 'integer', multipleOf: 3 }, 7), ['value must be a multiple of 3']);
+  });
+
+  test('checks uniqueItems regardless of key order', () => {
+    const schema = { type: 'array', uniqueItems: true };
+    assert.deepEqual(validate(schema, [1, '1', { a: 1, b: 2 }]), []);
+    assert.deepEqual(validate(schema, [{ a: 1, b: 2 }, { b: 2, a: 1 }]), ['[1] repeats [0]; items must be unique']);
+  });
+
+  test('follows local $refs, recursive ones included', () => {
+    const schema = {
+      $defs: {
+        node: {
+          type: 'object',
+          properties: { value: { type: 'integer' }, children: { type: 'array', items: { $ref: '#/$defs/node' } } },
+          required: ['value']
+        }
+      },
+      $ref: '#/$defs/node'
+    };
+    assert.deepEqual(validate(schema, { value: 1, children: [{ value: 2, children: [] }] }), []);
+    assert.deepEqual(validate(schema, { value: 1, children: [{ children: [{ value: 'x' }] }] }), [
+      'children[0].value is required',
+      'children[0].children[0].value must be of type integer, got string'
+    ]);
+  });
+
+  test('checks not and the number of properties', () => {
+    assert.deepEqual(validate({ not: { type: 'string' } }, 'x'), ['value matches a shape that is not allowed']);
+    assert.deepEqual(validate({ type: 'object', minProperties: 1 }, {}), ['value must have at least 1 properties']);
+  });
+});
+
+describe('checkSchema', () => {
+  test('accepts everything validate implements, annotations included', () => {
+    assert.deepEqual(checkSchema({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: 'Review',
+      type: 'object',
+      properties: {
+        score: { type: 'number', exclusiveMinimum: 0, multipleOf: 0.5, description: 'out of 10' },
+        tags: { type: 'array', items: { $ref: '#/definitions/tag' }, uniqueItems: true },
+        when: { type: 'string', format: 'date-time' }
+      },
+      definitions: { tag: { type: 'string', pattern: '^[a-z]+$' } }
+    }), []);
+  });
+
+  test('lists unsupported keywords, foreign $refs and broken patterns', () => {
+    assert.deepEqual(checkSchema({
+      type: 'object',
+      patternProperties: { '^x-': { type: 'string' } },
+      properties: {
+        a: { $ref: 'https://example.com/schema.json' },
+        b: { $ref: '#/$defs/missing' },
+        c: { type: 'string', pattern: '(' },
+        d: { type: 'array', items: [{ type: 'string' }] },
+        e: { if: { type: 'string' }, then: { minLength: 1 } },
+        f: { type: 'number', exclusiveMinimum: true }
+      }
+    }), [
+      '#: patternProperties is not supported',
+      '#/properties/a: $ref "https://example.com/schema.json" does not point into this schema',
+      '#/properties/b: $ref "#/$defs/missing" does not point into this schema',
+      '#/properties/c: pattern "(" is not a valid regular expression',
+      '#/properties/d: items as an array (tuple validation) is not supported',
+      '#/properties/e: if is not supported',
+      '#/properties/e: then is not supported',
+      '#/properties/f: exclusiveMinimum must be a number'
+    ]);
+  });
+});
+
+describe('readFormat', () => {
+  test('takes "json", schema objects and schemas as JSON strings', () => {
+    assert.deepEqual(readFormat('json'), { format: 'json' });
+    assert.deepEqual(readFormat('{"type":"object"}'), { format: { type: 'object' } });
+    assert.deepEqual(readFormat(undefined), { format: undefined });
+    assert.match(readFormat(42).error, /must be "json" or a JSON Schema object/);
+    assert.match(readFormat('{not json').error, /must be "json" or a JSON Schema object/);
+  });
+
+  test('refuses schemas it could only partly check', () => {
+    const { error } = readFormat({ type: 'array', contains: { type: 'string' } });
+    assert.equal(error, 'format uses JSON Schema features this server cannot check: #: contains is not supported');
+  });
+
+  test('parses replies and reports what does not match', () => {
+    const { format } = readFormat({ type: 'object', properties: { ids: { type: 'array', uniqueItems: true } } });
+    assert.deepEqual(parseStructured('```json\n{"ids": [1, 2]}\n```', format), { value: { ids: [1, 2] }, errors: [] });
+    assert.deepEqual(parseStructured('{"ids": [1, 1]}', format).errors, ['ids[1] repeats ids[0]; items must be unique']);
+    assert.match(parseStructured('{"ids": [', format).errors[0], /^The reply is not valid JSON/);
+  });
+});
@@ -0,0 +1,181 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { after, before, describe, test } from 'node:test';
+import { AuditLog, Logger, createAuditLog, createLogger, redact, requestId, requestLogging } from '../lib/logger.js';
+
+// A logger that keeps its lines
+function capturing(config = {}) {
+  const lines = [];
+  const logger = new Logger({ write: (line) => lines.push(line), ...config });
+  return { logger, lines, entries: () => lines.map((line) => JSON.parse(line)) };
+}
+
+describe('redact', () => {
+  const text = 'x'.repeat(30);
+
+  test('cuts or hides body fields at any depth and leaves the rest alone', () => {
+    const value = { model: 'llama2', messages: [{ role: 'user', content: text }], options: { prompt: text } };
+    assert.deepEqual(redact(value, { bodies: 'truncate', bodyChars: 10 }), {
+      model: 'llama2',
+      messages: [{ role: 'user', content: `${'x'.repeat(10)}… [20 more chars]` }],
+      options: { prompt: `${'x'.repeat(10)}… [20 more chars]` }
+    });
+    assert.deepEqual(redact(value, { bodies: 'redact' }).messages, [{ role: '[4 chars]', content: '[30 chars]' }]);
+    assert.deepEqual(redact(value, { bodies: 'full' }), value);
+  });
+
+  test('never writes credentials, whatever the mode', () => {
+    const value = { headers: { Authorization: 'Bearer sk-1' }, query: { access_token: 'sk-2', accessToken: 'sk-3' }, api_key: 'sk-4', password: 'sk-5' };
+    for (const bodies of ['full', 'truncate', 'redact']) {
+      const redacted = JSON.stringify(redact(value, { bodies, bodyChars: 200 }));
+      assert.doesNotMatch(redacted, /sk-\d/, bodies);
+    }
+  });
+});
+
+describe('Logger', () => {
+  test('writes JSON lines at or above its level, with child fields', () => {
+    const { logger, entries } = capturing({ level: 'info' });
+    const child = logger.child({ requestId: 'r-1' }).assign({ model: 'llama2' });
+    child.debug('hidden');
+    child.info('chat complete', { latencyMs: 5 });
+    child.warn('slow', { error: new Error('boom') });
+
+    const [info, warn] = entries();
+    assert.equal(entries().length, 2);
+    assert.deepEqual({ ...info, time: undefined }, { time: undefined, level: 'info', msg: 'chat complete', requestId: 'r-1', model: 'llama2', latencyMs: 5 });
+    assert.deepEqual(warn.error, { name: 'Error', message: 'boom' }, 'no stack below error level');
+    assert.deepEqual(logger.fields, {}, 'children do not change their parent');
+  });
+
+  test('reads its settings from the environment and rejects malformed ones', () => {
+    assert.throws(() => createLogger({ LOG_LEVEL: 'loud' }), /Unknown log level loud/);
+    assert.throws(() => createLogger({ LOG_BODIES: 'some' }), /LOG_BODIES must be one of full, truncate, redact/);
+    assert.throws(() => createLogger({ LOG_BODY_CHARS: '0' }), /LOG_BODY_CHARS must be a positive integer/);
+    assert.throws(() => createAuditLog({ AUDIT_MAX_FILES: 'many' }), /AUDIT_MAX_FILES/);
+
+    const lines = [];
+    createLogger({ LOG_FORMAT: 'pretty' }, { service: 'test' }, { stream: { write: (line) => lines.push(line) } }).info('ready', { port: 3000 });
+    assert.match(lines[0], /^\d\d:\d\d:\d\d\.\d{3} INFO {2}ready service="test" port=3000\n$/);
+  });
+
+  test('keeps tame client request ids and replaces the rest', () => {
+    assert.equal(requestId('abc-123.4:5'), 'abc-123.4:5');
+    for (const candidate of ['', 'has space', 'x'.repeat(129), undefined]) {
+      assert.match(requestId(candidate), /^[0-9a-f-]{36}$/);
+    }
+  });
+});
+
+describe('AuditLog', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-log-test-'));
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test('rotates by size and keeps maxFiles old files', async () => {
+    const file = path.join(dir, 'rotate', 'audit.jsonl');
+    const audit = new AuditLog({ file, maxBytes: 150, maxFiles: 2 });
+    for (let i = 0; i < 6; i++) {
+      await audit.record({ index: i, message: 'x'.repeat(50) });
+    }
+
+    assert.deepEqual((await fs.readdir(path.dirname(file))).sort(), ['audit.jsonl', 'audit.jsonl.1', 'audit.jsonl.2']);
+    const current = (await fs.readFile(file, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(current.map(({ index }) => index), [5]);
+    assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+  });
+
+  test('reports write failures instead of rejecting', async () => {
+    const errors = [];
+    const blocker = path.join(dir, 'blocker');
+    await fs.writeFile(blocker, '');
+    const audit = new AuditLog({ file: path.join(blocker, 'audit.jsonl'), onError: (error) => errors.push(error) });
+    await audit.record({ msg: 'lost' });
+    assert.equal(errors.length, 1);
+    assert.equal(new AuditLog().enabled, false);
+  });
+});
+
+describe('requestLogging', () => {
+  let dir;
+  let server;
+  let base;
+  let lines;
+  let audit;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'request-logging-test-'));
+    const capture = capturing({ level: 'debug' });
+    lines = capture.lines;
+    audit = new AuditLog({ file: path.join(dir, 'audit.jsonl') });
+
+    const app = express();
+    app.use(express.json());
+    app.use(requestLogging({ logger: capture.logger, audit, quiet: ['/health'] }));
+    app.get('/health', (req, res) => res.json({ status: 'ok' }));
+    app.post('/chat', (req, res) => {
+      req.log.assign({ model: 'llama2' });
+      res.json({ response: `reply to ${req.body.message}` });
+    });
+
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function settled() {
+    // The line is written on 'close', just after the client got its response
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await audit.pending;
+    const records = (await fs.readFile(audit.file, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+    return { logged: lines.join(''), records, audited: await fs.readFile(audit.file, 'utf8') };
+  }
+
+  test('keeps access tokens and Authorization headers out of the log and the audit trail', async () => {
+    const response = await fetch(`${base}/chat?access_token=sk-query-secret&stream=false`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer sk-header-secret', 'Content-Type': 'application/json', 'X-Request-Id': 'req-42' },
+      body: JSON.stringify({ message: 'hello', api_key: 'sk-body-secret' })
+    });
+    assert.equal(response.headers.get('x-request-id'), 'req-42');
+    await response.json();
+
+    const { logged, records, audited } = await settled();
+    for (const secret of ['sk-query-secret', 'sk-header-secret', 'sk-body-secret']) {
+      assert.ok(!logged.includes(secret), `${secret} in the log`);
+      assert.ok(!audited.includes(secret), `${secret} in the audit trail`);
+    }
+
+    const record = records.at(-1);
+    assert.equal(record.requestId, 'req-42');
+    assert.equal(record.model, 'llama2');
+    assert.deepEqual(record.request, { query: { access_token: '[secret]', stream: 'false' }, body: { message: 'hello', api_key: '[secret]' } });
+    assert.deepEqual(record.reply, { response: 'reply to hello' });
+
+    const line = JSON.parse(lines.at(-1));
+    assert.deepEqual([line.level, line.msg, line.path, line.route, line.status], ['info', 'request', '/chat', '/chat', 200]);
+  });
+
+  test('logs health checks at debug and leaves them out of the audit trail', async () => {
+    const audited = (await settled()).records.length;
+    await (await fetch(`${base}/health?access_token=sk-health-secret`)).json();
+
+    const { logged, records } = await settled();
+    assert.equal(records.length, audited);
+    assert.equal(JSON.parse(lines.at(-1)).level, 'debug');
+    assert.ok(!logged.includes('sk-health-secret'));
+  });
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { RateLimitError, RateLimiter, createRateLimiter, promptLength, rateLimitIdentity, readLimits } from '../lib/rate-limit.js';
+
+// A limiter on a clock the test moves by hand
+function onClock(defaults, start = Date.UTC(2026, 0, 1, 12)) {
+  const clock = { time: start };
+  const limiter = new RateLimiter({ defaults, now: () => clock.time });
+  return { limiter, clock };
+}
+
+function refusal(fn) {
+  try {
+    fn();
+  } catch (error) {
+    assert.ok(error instanceof RateLimitError, error.stack);
+    return error;
+  }
+  assert.fail('expected a RateLimitError');
+}
+
+describe('RateLimiter', () => {
+  test('allows requestsPerMinute in any rolling minute, then 429 with the wait', () => {
+    const { limiter, clock } = onClock({ requestsPerMinute: 2 });
+    limiter.acquire('key:a').release();
+    clock.time += 20000;
+    limiter.acquire('key:a').release();
+
+    clock.time += 10000;
+    const error = refusal(() => limiter.acquire('key:a'));
+    assert.equal(error.status, 429);
+    assert.equal(error.reason, 'requests_per_minute');
+    assert.equal(error.retryAfter, 30, 'until the first request leaves the window');
+
+    clock.time += 30000;
+    limiter.acquire('key:a').release();
+  });
+
+  test('caps concurrent generations until a lease is released', () => {
+    const { limiter } = onClock({ concurrent: 1 });
+    const lease = limiter.acquire('key:a');
+    assert.equal(refusal(() => limiter.acquire('key:a')).reason, 'concurrent');
+
+    lease.release();
+    lease.release(); // a second release changes nothing
+    assert.equal(limiter.usage('key:a').active, 0);
+    limiter.acquire('key:a');
+    assert.equal(refusal(() => limiter.acquire('key:a')).retryAfter, 1);
+  });
+
+  test('refuses oversized prompts with a 413 that retrying cannot fix', () => {
+    const { limiter } = onClock({ maxPromptChars: 10 });
+    limiter.acquire('key:a', { promptChars: 10 }).release();
+    const error = refusal(() => limiter.acquire('key:a', { promptChars: 11 }));
+    assert.equal(error.status, 413);
+    assert.equal(error.reason, 'prompt_too_long');
+    assert.equal(error.retryAfter, null);
+  });
+
+  test('charges eval_count to a daily budget that resets at UTC midnight', () => {
+    const { limiter, clock } = onClock({ dailyTokens: 100 }, Date.UTC(2026, 0, 1, 23, 59));
+    limiter.acquire('key:a').release(150);
+    const error = refusal(() => limiter.acquire('key:a'));
+    assert.equal(error.reason, 'daily_tokens');
+    assert.equal(error.retryAfter, 60);
+    assert.equal(limiter.usage('key:a').tokens_remaining, 0);
+
+    clock.time += 60000;
+    limiter.acquire('key:a').release();
+    assert.equal(limiter.usage('key:a').tokens_today, 0);
+  });
+
+  test('counts each caller on its own, with per-key overrides', () => {
+    const { limiter } = onClock({ requestsPerMinute: 1 });
+    const generous = { id: 'b', limits: { requestsPerMinute: 3 } };
+    limiter.acquire('key:a').release();
+    refusal(() => limiter.acquire('key:a'));
+
+    for (let i = 0; i < 3; i++) {
+      limiter.acquire(rateLimitIdentity(generous), { limits: limiter.limitsFor(generous) }).release();
+    }
+    refusal(() => limiter.acquire(rateLimitIdentity(generous), { limits: limiter.limitsFor(generous) }));
+    limiter.acquire(rateLimitIdentity(null, '10.0.0.1')).release();
+  });
+
+  test('treats a limit of 0 as no limit', () => {
+    const { limiter } = onClock({ requestsPerMinute: 0, concurrent: 0, maxPromptChars: 0 });
+    for (let i = 0; i < 100; i++) limiter.acquire('key:a', { promptChars: 1e6 });
+    assert.equal(limiter.usage('key:a').active, 100);
+  });
+});
+
+describe('rate limit settings', () => {
+  test('reads non-negative integer limits and refuses the rest', () => {
+    assert.deepEqual(readLimits({ requestsPerMinute: '5', concurrent: 0, dailyTokens: '' }), { requestsPerMinute: 5, concurrent: 0 });
+    assert.throws(() => readLimits({ concurrent: -1 }), /concurrent must be a non-negative integer/);
+    assert.throws(() => readLimits({ maxPromptChars: '1e3x' }), /maxPromptChars/);
+    assert.throws(() => createRateLimiter({ RATE_LIMIT_RPM: 'lots' }), /requestsPerMinute/);
+    assert.deepEqual(createRateLimiter({}).defaults, { requestsPerMinute: 60, concurrent: 4, maxPromptChars: 32000, dailyTokens: 0 });
+  });
+
+  test('counts prompt characters in strings, arrays and messages', () => {
+    assert.equal(promptLength([{ role: 'user', content: 'abc' }, 'de', { text: 'f', images: ['xxxx'] }, 42]), 6);
+    assert.equal(rateLimitIdentity({ id: 'k1' }, '10.0.0.1'), 'key:k1');
+    assert.equal(rateLimitIdentity({ id: null }, '10.0.0.1'), 'address:10.0.0.1');
+  });
+});
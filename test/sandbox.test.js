@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { describe, test } from 'node:test';
+import os from 'os';
+import { Sandbox, createSandbox } from '../lib/sandbox.js';
+
+const HAS_PYTHON = spawnSync('python3', ['--version']).status === 0;
+const HOSTNAME = os.hostname();
+
+// Each of these reads /etc/hostname from a child process when it gets the chance
+const PYTHON_ESCAPES = {
+  '_posixsubprocess.fork_exec': `import _posixsubprocess, os
+r, w = os.pipe()
+pid = _posixsubprocess.fork_exec([b'/bin/cat', b'/etc/hostname'], [b'/bin/cat'], True, (w,), None, None, -1, -1, -1, w, -1, -1, -1, -1, -1, -1, False, False, False, None, None, None, -1, None, False)
+print(os.read(r, 100))`,
+  'ctypes system()': `import ctypes
+ctypes.CDLL(None).system(b'cat /etc/hostname')`,
+  'subprocess.run': `import subprocess
+print(subprocess.run(['cat', '/etc/hostname'], capture_output=True).stdout)`,
+  'os.system': `import os
+os.system('cat /etc/hostname')`,
+  'os.execv': `import os
+os.execv('/bin/cat', ['cat', '/etc/hostname'])`,
+  'os.posix_spawn': `import os
+os.posix_spawn('/bin/cat', ['cat', '/etc/hostname'], {})`,
+  'os.fork': `import os
+if os.fork() == 0:
+    os.execv('/bin/cat', ['cat', '/etc/hostname'])`,
+  'a fresh posix module': `import sys
+del sys.modules['posix']
+import posix
+posix.system('cat /etc/hostname')`
+};
+
+describe('Sandbox', () => {
+  const sandbox = new Sandbox({ timeout: 2000, cpuSeconds: 1 });
+
+  test('runs JavaScript and Python snippets', { skip: !HAS_PYTHON && 'python3 is not installed' }, async () => {
+    const js = await sandbox.run({ language: 'javascript', code: 'console.log(6 * 7)' });
+    assert.equal(js.exitCode, 0, js.stderr);
+    assert.equal(js.stdout, '42\n');
+
+    const py = await sandbox.run({ language: 'python', code: 'import sys\nprint(sys.stdin.read().upper())', stdin: 'piped' });
+    assert.equal(py.exitCode, 0, py.stderr);
+    assert.equal(py.stdout, 'PIPED\n');
+  });
+
+  for (const [name, code] of Object.entries(PYTHON_ESCAPES)) {
+    test(`stops Python from starting processes with ${name}`, { skip: !HAS_PYTHON && 'python3 is not installed' }, async () => {
+      const result = await sandbox.run({ language: 'python', code });
+      assert.notEqual(result.exitCode, 0);
+      assert.match(result.stderr, /PermissionError: Sandbox: /);
+      assert.doesNotMatch(result.stdout, new RegExp(HOSTNAME));
+    });
+  }
+
+  test('stops Python from reading files outside its library', { skip: !HAS_PYTHON && 'python3 is not installed' }, async () => {
+    const result = await sandbox.run({ language: 'python', code: "print(open('/etc/hostname').read())" });
+    assert.match(result.stderr, /file access is disabled/);
+    assert.equal(result.stdout, '');
+  });
+
+  test('stops JavaScript from starting processes or reading files', async () => {
+    const spawned = await sandbox.run({ language: 'javascript', code: "console.log(String(require('child_process').execSync('cat /etc/hostname')))" });
+    assert.match(spawned.stderr, /ERR_ACCESS_DENIED/);
+    assert.equal(spawned.stdout, '');
+
+    const read = await sandbox.run({ language: 'javascript', code: "console.log(require('fs').readFileSync('/etc/hostname', 'utf8'))" });
+    assert.match(read.stderr, /ERR_ACCESS_DENIED/);
+    assert.equal(read.stdout, '');
+  });
+
+  // The OS-level boundary on its own: the Python guard lets stat() through,
+  // so only the isolated root keeps /etc out of sight
+  test('runs snippets as an unprivileged user on a root of their own', async (t) => {
+    const languages = HAS_PYTHON ? ['javascript', 'python'] : ['javascript'];
+    if (!(await Promise.all(languages.map((language) => sandbox.isolation(language)))).every(Boolean)) {
+      return t.skip('this machine does not allow user namespaces');
+    }
+
+    const js = await sandbox.run({ language: 'javascript', code: 'console.log(process.getuid(), process.ppid)' });
+    assert.equal(js.stdout, '65534 1\n', js.stderr, 'the server is out of sight in another PID namespace');
+
+    if (HAS_PYTHON) {
+      const py = await sandbox.run({ language: 'python', code: "import os\nprint(os.getuid(), os.path.exists('/etc/hostname'))" });
+      assert.equal(py.stdout, '65534 False\n', py.stderr);
+    }
+  });
+
+  test('stops snippets at the CPU and wall-clock limits', async () => {
+    const spinning = await sandbox.run({ language: 'javascript', code: 'while (true) {}' });
+    assert.equal(spinning.cpuLimitExceeded, true);
+    assert.equal(spinning.signal, 'SIGXCPU');
+
+    const sleeping = await sandbox.run({ language: 'javascript', code: 'setTimeout(() => {}, 60000)' });
+    assert.equal(sleeping.timedOut, true);
+    assert.equal(sleeping.signal, 'SIGKILL');
+  });
+
+  test('counts Buffers and ArrayBuffers against the memory limit', async () => {
+    const small = new Sandbox({ memoryMb: 64 });
+    for (const code of ['Buffer.alloc(600 * 1024 * 1024)', 'new Uint8Array(new ArrayBuffer(600 * 1024 * 1024)).fill(1)']) {
+      const result = await small.run({ language: 'javascript', code: `${code}; console.log('allocated')` });
+      assert.notEqual(result.exitCode, 0, code);
+      assert.equal(result.stdout, '', code);
+      assert.equal(result.memoryLimitExceeded, true, result.stderr);
+    }
+
+    const fits = await small.run({ language: 'javascript', code: 'console.log(Buffer.alloc(32 * 1024 * 1024).length)' });
+    assert.equal(fits.stdout, `${32 * 1024 * 1024}\n`, fits.stderr);
+    assert.equal(fits.memoryLimitExceeded, false);
+  });
+
+  test('refuses to run without isolation when it is required', async (t) => {
+    const required = new Sandbox({ requireIsolation: true });
+    if (await required.isolation('javascript')) {
+      return t.skip('this machine allows user namespaces');
+    }
+    await assert.rejects(required.run({ language: 'javascript', code: '1' }), /have to run isolated/);
+  });
+});
+
+describe('createSandbox', () => {
+  test('rejects malformed limits', () => {
+    assert.throws(() => createSandbox({ SANDBOX_TIMEOUT_MS: '10s' }), /SANDBOX_TIMEOUT_MS must be an integer/);
+    assert.throws(() => createSandbox({ SANDBOX_MEMORY_MB: '0' }), /SANDBOX_MEMORY_MB/);
+    assert.equal(createSandbox({ SANDBOX_CPU_SECONDS: '2' }).cpuSeconds, 2);
+    assert.equal(createSandbox({}).timeout, 10000);
+  });
+});
@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { FairScheduler, QueueAbortError } from '../lib/scheduler.js';
+
+// A task that only finishes when the test says so
+function deferred(log, name) {
+  let finish;
+  const done = new Promise((resolve) => { finish = resolve; });
+  const task = () => {
+    log.push(name);
+    return done.then(() => name);
+  };
+  return { task, finish };
+}
+
+// Lets the scheduler hand the freed slot to the next task
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('FairScheduler', () => {
+  test('hands free slots to clients in turn instead of first come first served', async () => {
+    const scheduler = new FairScheduler({ concurrency: 1 });
+    const started = [];
+    const tasks = {};
+    const results = [];
+
+    for (const name of ['a1', 'a2', 'a3', 'b1', 'b2']) {
+      tasks[name] = deferred(started, name);
+      results.push(scheduler.schedule(name[0], tasks[name].task));
+    }
+
+    // a was already waiting its turn when b joined; after that they alternate
+    for (const name of ['a1', 'a2', 'b1', 'a3', 'b2']) {
+      assert.equal(started.at(-1), name);
+      tasks[name].finish();
+      await settle();
+    }
+    assert.deepEqual(await Promise.all(results), ['a1', 'a2', 'a3', 'b1', 'b2']);
+  });
+
+  test('never runs more tasks than its concurrency', async () => {
+    const scheduler = new FairScheduler({ concurrency: 2 });
+    const started = [];
+    const tasks = ['a1', 'b1', 'c1', 'a2'].map((name) => deferred(started, name));
+    const results = tasks.map(({ task }, index) => scheduler.schedule(`client-${index}`, task));
+
+    assert.deepEqual(started, ['a1', 'b1']);
+    assert.deepEqual({ active: scheduler.stats().active, queued: scheduler.stats().queued }, { active: 2, queued: 2 });
+
+    tasks[1].finish();
+    await settle();
+    assert.deepEqual(started, ['a1', 'b1', 'c1']);
+    assert.equal(scheduler.stats().active, 2);
+
+    tasks.forEach(({ finish }) => finish());
+    await Promise.all(results);
+    assert.deepEqual(scheduler.stats(), { concurrency: 2, active: 0, queued: 0, clients: [] });
+  });
+
+  test('rejects a task cancelled while queued without ever running it', async () => {
+    const scheduler = new FairScheduler();
+    const started = [];
+    const first = deferred(started, 'first');
+    const queued = deferred(started, 'queued');
+    const last = deferred(started, 'last');
+    const controller = new AbortController();
+
+    const running = scheduler.schedule('a', first.task);
+    const cancelled = scheduler.schedule('b', queued.task, { signal: controller.signal });
+    const after = scheduler.schedule('c', last.task);
+
+    controller.abort();
+    await assert.rejects(cancelled, QueueAbortError);
+    assert.equal(scheduler.stats().queued, 1);
+
+    first.finish();
+    last.finish();
+    await Promise.all([running, after]);
+    assert.deepEqual(started, ['first', 'last']);
+
+    await assert.rejects(scheduler.schedule('a', first.task, { signal: AbortSignal.abort() }), QueueAbortError);
+  });
+
+  test('reports queue positions in the order tasks will start', async () => {
+    const scheduler = new FairScheduler();
+    const started = [];
+    const positions = {};
+    const tasks = {};
+    const results = [];
+
+    for (const name of ['a1', 'a2', 'a3', 'b1', 'b2']) {
+      tasks[name] = deferred(started, name);
+      positions[name] = [];
+      results.push(scheduler.schedule(name[0], tasks[name].task, {
+        onQueued: (position) => positions[name].push(position)
+      }));
+    }
+
+    assert.equal(scheduler.positionOf('a', 0), 1);
+    assert.equal(scheduler.positionOf('b', 0), 2);
+    assert.equal(scheduler.positionOf('a', 1), 3);
+    assert.equal(scheduler.positionOf('b', 1), 4);
+    assert.deepEqual(positions.a1, [], 'a task that starts straight away is never queued');
+    assert.deepEqual(positions.b2, [4]);
+
+    tasks.a1.finish();
+    await settle();
+    assert.deepEqual(positions, { a1: [], a2: [1], a3: [2, 3, 2], b1: [2, 1], b2: [4, 3] });
+
+    Object.values(tasks).forEach(({ finish }) => finish());
+    await Promise.all(results);
+  });
+
+  test('refuses a concurrency that is not a positive integer', () => {
+    for (const concurrency of [0, -1, 1.5, NaN, '2']) {
+      assert.throws(() => new FairScheduler({ concurrency }), /concurrency must be an integer of at least 1/);
+    }
+    assert.equal(new FairScheduler().concurrency, 1);
+  });
+});
@@ -0,0 +1,303 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { setTimeout as sleep } from 'timers/promises';
+import { TestClient, freePort, startMockOllama, startServer } from './helpers.js';
+
+const SLOW_PROMPT = 'take your time';
+
+describe('server-activity.js', () => {
+  let mock;
+  let server;
+  let url;
+
+  before(async () => {
+    mock = await startMockOllama({
+      fixtures: [
+        { endpoint: 'chat', prompt: SLOW_PROMPT, reply: { content: 'one two three four five six seven eight' }, chunkDelayMs: 200 }
+      ]
+    });
+    const port = await freePort();
+    server = await startServer('server-activity.js', {
+      env: { OLLAMA_HOST: mock.url, WS_PORT: String(port), OLLAMA_MODEL: 'llama2' },
+      ready: 'WebSocket server listening'
+    });
+    url = `ws://127.0.0.1:${port}`;
+  });
+
+  after(async () => {
+    await server?.stop();
+    await mock?.close();
+  });
+
+  // A client that has had its welcome, closed when the test ends
+  async function connect(t) {
+    const client = await TestClient.connect(url);
+    t.after(() => client.close());
+    client.welcome = await client.next('welcome');
+    return client;
+  }
+
+  // Messages other clients get through broadcast(), unwrapped
+  const broadcastOf = (type, predicate = () => true) => (message) =>
+    message.type === 'broadcast' && message.message.type === type && predicate(message.message);
+
+  test('welcomes a client and announces it in the client list', async (t) => {
+    const first = await connect(t);
+    assert.equal(typeof first.welcome.clientId, 'number');
+    assert.equal(typeof first.welcome.conversationId, 'string');
+    assert.match(first.welcome.message, new RegExp(`Client ${first.welcome.clientId}`));
+
+    const second = await connect(t);
+    const { message } = await first.next(broadcastOf('client_list', ({ clients }) =>
+      clients.some((client) => client.id === second.welcome.clientId)));
+    assert.ok(message.clients.some((client) => client.id === first.welcome.clientId));
+    assert.ok(message.clients.every((client) => client.name && client.connected));
+  });
+
+  test('streams a chat reply and ends it with stats', async (t) => {
+    const client = await connect(t);
+    client.send({ type: 'chat', requestId: 'hello-1', prompt: 'hello there' });
+
+    const messages = await client.until((message) => message.type === 'stream_end' && message.requestId === 'hello-1');
+    const end = messages.pop();
+    const chunks = messages.filter((message) => message.type === 'stream' && message.requestId === 'hello-1');
+    assert.ok(chunks.length > 1, 'reply arrives in several stream messages');
+    assert.equal(chunks.map((chunk) => chunk.content).join(''), 'Mock reply to: hello there');
+    assert.equal(end.conversationId, client.welcome.conversationId);
+    assert.equal(end.message, 'Generation complete');
+    assert.equal(end.stats.model, 'llama2');
+    assert.ok(end.stats.tokens > 0);
+    assert.ok(end.stats.tokensPerSecond > 0);
+  });
+
+  test('passes generation options on to Ollama', async (t) => {
+    const client = await connect(t);
+    client.send({ type: 'chat', requestId: 'options-1', prompt: 'be precise', options: { temperature: 0.1, seed: 3 } });
+    await client.next((message) => message.type === 'stream_end' && message.requestId === 'options-1');
+    assert.deepEqual(mock.requests.at(-1).body.options, { temperature: 0.1, seed: 3 });
+
+    client.send({ type: 'chat', requestId: 'options-2', prompt: 'x', options: 'hot' });
+    assert.deepEqual(await client.next('error'), { type: 'error', requestId: 'options-2', message: 'Options must be an object' });
+  });
+
+  test('keeps the conversation across turns', async (t) => {
+    const client = await connect(t);
+    client.send({ type: 'chat', requestId: 'turn-1', prompt: 'first question' });
+    await client.next((message) => message.type === 'stream_end' && message.requestId === 'turn-1');
+    client.send({ type: 'chat', requestId: 'turn-2', prompt: 'second question' });
+    await client.next((message) => message.type === 'stream_end' && message.requestId === 'turn-2');
+
+    const sent = mock.requests.at(-1).body;
+    assert.deepEqual(sent.messages.map((message) => message.content), [
+      'first question',
+      'Mock reply to: first question',
+      'second question'
+    ]);
+
+    client.send({ type: 'get_history' });
+    const history = await client.next('history');
+    assert.equal(history.conversationId, client.welcome.conversationId);
+    assert.deepEqual(history.messages.map((message) => message.role), ['user', 'assistant', 'user', 'assistant']);
+
+    client.send({ type: 'fork_conversation' });
+    const fork = await client.next('conversation_forked');
+    assert.equal(fork.forkedFrom, client.welcome.conversationId);
+    assert.equal(fork.messageCount, 4);
+
+    client.send({ type: 'reset_conversation' });
+    const reset = await client.next('conversation_reset');
+    assert.equal(reset.conversationId, fork.conversationId);
+    client.send({ type: 'get_history' });
+    assert.deepEqual((await client.next('history')).messages, []);
+  });
+
+  test('returns structured replies parsed and validated', async (t) => {
+    const client = await connect(t);
+    const format = {
+      type: 'object',
+      properties: { bugs: { type: 'array', items: { type: 'string' } }, severity: { enum: ['low', 'high'] } },
+      required: ['bugs', 'severity']
+    };
+    client.send({ type: 'chat', requestId: 'json-1', prompt: 'list the bugs', format });
+
+    const end = await client.next((message) => message.type === 'stream_end' && message.requestId === 'json-1');
+    assert.equal(end.valid, true);
+    assert.deepEqual(end.parsed, { bugs: [], severity: 'low' });
+    assert.equal(end.attempts, 1);
+    assert.deepEqual(mock.requests.at(-1).body.format, format);
+  });
+
+  test('cancels an in-flight chat', async (t) => {
+    const client = await connect(t);
+    client.send({ type: 'chat', requestId: 'slow-1', prompt: SLOW_PROMPT });
+    await client.next((message) => message.type === 'stream' && message.requestId === 'slow-1');
+    client.send({ type: 'cancel', requestId: 'slow-1' });
+
+    const end = await client.next((message) => message.type === 'stream_end' && message.requestId === 'slow-1');
+    assert.equal(end.cancelled, true);
+    assert.equal(end.message, 'Generation cancelled');
+
+    client.send({ type: 'get_history' });
+    const [, reply] = (await client.next('history')).messages;
+    assert.equal(reply.interrupted, true);
+    assert.ok(reply.content.length < 'one two three four five six seven eight'.length);
+  });
+
+  test('relays broadcasts and name changes to the other clients', async (t) => {
+    const sender = await connect(t);
+    const receiver = await connect(t);
+
+    sender.send({ type: 'set_name', name: 'alice' });
+    assert.equal((await sender.next('name_set')).name, 'alice');
+    const { message: renamed } = await receiver.next(broadcastOf('client_name_changed'));
+    assert.equal(renamed.clientId, sender.welcome.clientId);
+    assert.equal(renamed.newName, 'alice');
+
+    sender.send({ type: 'broadcast', message: 'hello everyone' });
+    await sender.next('broadcast_sent');
+    const { message } = await receiver.next(broadcastOf('user_broadcast'));
+    assert.equal(message.from, 'alice');
+    assert.equal(message.fromId, sender.welcome.clientId);
+    assert.equal(message.message, 'hello everyone');
+    assert.ok(!sender.messages.some(broadcastOf('user_broadcast')), 'sender does not get its own broadcast');
+  });
+
+  test('lists clients on request, marking the caller', async (t) => {
+    const client = await connect(t);
+    client.send({ type: 'get_clients' });
+    const { clients } = await client.next((message) => message.type === 'client_list');
+    const you = clients.filter((entry) => entry.isYou);
+    assert.equal(you.length, 1);
+    assert.equal(you[0].id, client.welcome.clientId);
+  });
+
+  test('tells the others when a client disconnects', async (t) => {
+    const watcher = await connect(t);
+    const leaver = await connect(t);
+    await leaver.close();
+
+    const { message } = await watcher.next(broadcastOf('client_disconnected'));
+    assert.equal(message.clientId, leaver.welcome.clientId);
+    assert.equal(message.reason, 'closed');
+    await watcher.next(broadcastOf('client_list', ({ clients }) =>
+      !clients.some((client) => client.id === leaver.welcome.clientId)));
+  });
+
+  test('answers malformed and invalid messages with errors and stays usable', async (t) => {
+    const client = await connect(t);
+
+    client.send('this is not json');
+    assert.equal((await client.next('error')).message, 'Invalid message format');
+
+    client.send({ type: 'chat', requestId: 'empty', prompt: '   ' });
+    assert.deepEqual(await client.next('error'), { type: 'error', requestId: 'empty', message: 'Prompt is required' });
+
+    client.send({ type: 'chat', requestId: 'bad-format', prompt: 'x', format: 42 });
+    assert.equal((await client.next('error')).requestId, 'bad-format');
+
+    client.send({ type: 'cancel', requestId: 'nothing' });
+    assert.equal((await client.next('error')).message, 'No in-flight request with id nothing');
+
+    client.send({ type: 'get_history', conversationId: 'no-such-conversation' });
+    assert.equal((await client.next('error')).message, 'Unknown conversation: no-such-conversation');
+
+    client.send({ type: 'chat', requestId: 'missing-model', prompt: 'hi', model: 'no-such-model' });
+    const error = await client.next('error');
+    assert.equal(error.requestId, 'missing-model');
+    assert.match(error.message, /404/);
+
+    client.send({ type: 'chat', requestId: 'after', prompt: 'still there?' });
+    await client.next((message) => message.type === 'stream_end' && message.requestId === 'after');
+  });
+
+  test('serves Prometheus metrics next to the WebSocket', async (t) => {
+    const client = await connect(t);
+    client.send({ type: 'made-up-type' });
+    await client.next('error');
+
+    const response = await fetch(url.replace('ws:', 'http:') + '/metrics');
+    assert.equal(response.status, 200);
+    const text = await response.text();
+    assert.match(text, /^websocket_messages_total\{type="chat"\} \d+$/m);
+    assert.match(text, /^websocket_messages_total\{type="other"\} \d+$/m);
+    assert.match(text, /^ollama_requests_total\{model="llama2",route="chat"\} \d+$/m);
+    // Clients choose message types and model names; neither becomes a label as is
+    assert.doesNotMatch(text, /made-up-type|no-such-model/);
+    assert.match(text, /^ollama_errors_total\{model="other",route="chat",type="OllamaResponseError"\} \d+$/m);
+  });
+});
+
+describe('server-activity.js heartbeats', () => {
+  let mock;
+  let server;
+  let url;
+
+  before(async () => {
+    mock = await startMockOllama();
+    const port = await freePort();
+    server = await startServer('server-activity.js', {
+      env: {
+        OLLAMA_HOST: mock.url,
+        WS_PORT: String(port),
+        HEARTBEAT_INTERVAL_MS: '100',
+        HEARTBEAT_TIMEOUT_MS: '200',
+        IDLE_TIMEOUT_MS: '800'
+      },
+      ready: 'WebSocket server listening'
+    });
+    url = `ws://127.0.0.1:${port}`;
+  });
+
+  after(async () => {
+    await server?.stop();
+    await mock?.close();
+  });
+
+  async function connect(t, options) {
+    const client = await TestClient.connect(url, options);
+    t.after(() => client.close());
+    client.welcome = await client.next('welcome');
+    return client;
+  }
+
+  // Keeps a client active (and so clear of the idle timeout) until stopped
+  function keepBusy(client) {
+    const timer = setInterval(() => client.send({ type: 'get_queue' }), 200);
+    return () => clearInterval(timer);
+  }
+
+  test('drops a client that stops answering pings', async (t) => {
+    const watcher = await connect(t);
+    const stopWatcher = keepBusy(watcher);
+    t.after(stopWatcher);
+    const silent = await connect(t, { autoPong: false });
+
+    const { message } = await watcher.next((entry) => entry.type === 'broadcast' &&
+      entry.message.type === 'client_disconnected' && entry.message.clientId === silent.welcome.clientId, 3000);
+    assert.equal(message.reason, 'heartbeat_timeout');
+    assert.match(message.message, /no heartbeat/);
+    assert.equal(await silent.closed, 1006, 'terminated without a close handshake');
+
+    await sleep(500);
+    watcher.send({ type: 'get_clients' });
+    const { clients } = await watcher.next((entry) => entry.type === 'client_list');
+    assert.deepEqual(clients.map((client) => client.id), [watcher.welcome.clientId], 'a client that answers pings stays');
+  });
+
+  test('closes connections idle for longer than IDLE_TIMEOUT_MS', async (t) => {
+    const busy = await connect(t);
+    const stopBusy = keepBusy(busy);
+    t.after(stopBusy);
+    const idle = await connect(t);
+
+    assert.equal(await idle.closed, 4000);
+    const { message } = await busy.next((entry) => entry.type === 'broadcast' &&
+      entry.message.type === 'client_disconnected' && entry.message.clientId === idle.welcome.clientId, 3000);
+    assert.equal(message.reason, 'idle_timeout');
+    assert.equal(busy.ws.readyState, busy.ws.OPEN);
+
+    const text = await (await fetch(url.replace('ws:', 'http:') + '/metrics')).text();
+    assert.match(text, /^websocket_disconnects_total\{reason="idle_timeout"\} 1$/m);
+    assert.match(text, /^websocket_disconnects_total\{reason="heartbeat_timeout"\} 1$/m);
+  });
+});
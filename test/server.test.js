@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { TestClient, freePort, startMockOllama, startServer } from './helpers.js';
+
+const GENERATION_COMPLETE = '\n--- generation complete ---\n';
+const COMMAND_COMPLETE = '\n--- command complete ---\n';
+
+// server.js speaks plain text: tokens as they come, then a marker line
+describe('server.js', () => {
+  let mock;
+  let server;
+  let url;
+
+  before(async () => {
+    mock = await startMockOllama();
+    const port = await freePort();
+    server = await startServer('server.js', {
+      env: { OLLAMA_HOST: mock.url, WS_PORT: String(port) },
+      ready: 'WebSocket server listening'
+    });
+    url = `ws://127.0.0.1:${port}`;
+  });
+
+  after(async () => {
+    await server?.stop();
+    await mock?.close();
+  });
+
+  async function connect(t) {
+    const client = await TestClient.connect(url);
+    t.after(() => client.close());
+    return client;
+  }
+
+  // Text received up to the given marker, without it
+  async function readUntil(client, marker) {
+    const messages = await client.until((message) => message === marker);
+    return messages.slice(0, -1).join('');
+  }
+
+  test('streams a one-shot generation and closes the socket', async (t) => {
+    const client = await connect(t);
+    client.send({ model: 'codellama:7b-code', prompt: 'write a loop' });
+
+    assert.equal(await readUntil(client, GENERATION_COMPLETE), 'Mock reply to: write a loop');
+    await client.closed;
+    assert.equal(mock.requests.at(-1).endpoint, 'generate');
+    assert.equal(mock.requests.at(-1).body.stream, true);
+  });
+
+  test('keeps a conversation open across turns', async (t) => {
+    const client = await connect(t);
+    const conversationId = 'server-test-conversation';
+
+    client.send({ model: 'llama2', prompt: 'first', conversationId, system: 'Be brief' });
+    assert.equal(await readUntil(client, GENERATION_COMPLETE), 'Mock reply to: first');
+    client.send({ model: 'llama2', prompt: 'second', conversationId });
+    assert.equal(await readUntil(client, GENERATION_COMPLETE), 'Mock reply to: second');
+
+    const sent = mock.requests.at(-1).body;
+    assert.equal(mock.requests.at(-1).endpoint, 'chat');
+    assert.deepEqual(sent.messages.map((message) => message.content), ['Be brief', 'first', 'Mock reply to: first', 'second']);
+
+    client.send({ command: 'history', conversationId });
+    const [history] = await client.until((message) => message === COMMAND_COMPLETE);
+    assert.equal(history.conversationId, conversationId);
+    assert.equal(history.system, 'Be brief');
+    assert.equal(history.messages.length, 4);
+
+    client.send({ command: 'fork', conversationId });
+    const [fork] = await client.until((message) => message === COMMAND_COMPLETE);
+    assert.equal(fork.forkedFrom, conversationId);
+    assert.notEqual(fork.conversationId, conversationId);
+
+    client.send({ command: 'reset', conversationId });
+    assert.match(await readUntil(client, COMMAND_COMPLETE), /cleared/);
+    client.send({ command: 'history', conversationId: fork.conversationId });
+    const [forked] = await client.until((message) => message === COMMAND_COMPLETE);
+    assert.equal(forked.messages.length, 4, 'a fork keeps its history when the original is reset');
+  });
+
+  test('reports unknown conversations and commands', async (t) => {
+    const client = await connect(t);
+
+    client.send({ command: 'history', conversationId: 'nope' });
+    assert.equal(await readUntil(client, COMMAND_COMPLETE), '❌ Unknown conversation: nope');
+
+    client.send({ model: 'llama2', prompt: 'hi', conversationId: 'known' });
+    await readUntil(client, GENERATION_COMPLETE);
+    client.send({ command: 'explode', conversationId: 'known' });
+    assert.equal(await readUntil(client, COMMAND_COMPLETE), '❌ Unknown command: explode');
+  });
+
+  test('keeps a conversation open after an Ollama error', async (t) => {
+    const client = await connect(t);
+    client.send({ model: 'no-such-model', prompt: 'hi', conversationId: 'failing' });
+    assert.equal(await readUntil(client, GENERATION_COMPLETE), '❌ Error connecting to Ollama (is it running?)');
+
+    client.send({ model: 'llama2', prompt: 'retry', conversationId: 'failing' });
+    assert.equal(await readUntil(client, GENERATION_COMPLETE), 'Mock reply to: retry');
+  });
+
+  test('closes the socket on a malformed message', async (t) => {
+    const client = await connect(t);
+    client.send('{not json');
+    assert.equal(await client.next((message) => typeof message === 'string'), '❌ Internal server error');
+    await client.closed;
+  });
+});
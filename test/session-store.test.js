@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, test } from 'node:test';
+import { FileSessionStore, MemorySessionStore, createSessionStore } from '../lib/session-store.js';
+
+function session(id, lastActivity = new Date()) {
+  return { id, messages: [], created: new Date(), lastActivity };
+}
+
+describe('FileSessionStore', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ollama-sdk-sessions-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('keeps only the most recently used sessions cached', async () => {
+    const store = new FileSessionStore({ dir: path.join(dir, 'lru'), cacheSize: 2 });
+    await store.save(session('a'));
+    await store.save(session('b'));
+    await store.get('a');
+    await store.save(session('c'));
+
+    assert.deepEqual([...store.cache.keys()].map((file) => path.basename(file)), ['a.json', 'c.json']);
+    assert.equal((await store.get('b')).id, 'b', 'evicted sessions are read back from disk');
+    assert.equal(store.cache.size, 2);
+  });
+
+  test('counts session files without parsing them', async () => {
+    const sessions = path.join(dir, 'count');
+    const store = new FileSessionStore({ dir: sessions, ttl: 60000 });
+    await store.save(session('fresh'));
+    await store.save(session('stale', new Date(Date.now() - 120000)));
+    const stale = path.join(sessions, 'stale.json');
+    const old = new Date(Date.now() - 120000);
+    await fs.utimes(stale, old, old);
+    await fs.writeFile(path.join(sessions, 'corrupt.json'), '{not json');
+
+    assert.equal(await store.count(), 2);
+  });
+
+  test('lists the other sessions past a corrupt or truncated file, with a warning', async () => {
+    const sessions = path.join(dir, 'corrupt');
+    const warnings = [];
+    const store = new FileSessionStore({ dir: sessions, logger: { warn: (msg, fields) => warnings.push({ msg, fields }) } });
+    await store.save(session('good'));
+    await fs.writeFile(path.join(sessions, 'edited.json'), '{not json');
+    await fs.writeFile(path.join(sessions, 'truncated.json'), JSON.stringify(session('truncated')).slice(0, 20));
+
+    assert.deepEqual((await store.all()).map(({ id }) => id), ['good']);
+    assert.deepEqual(await store.purgeExpired(), []);
+    assert.deepEqual(warnings.map(({ fields }) => path.basename(fields.file)).sort(), ['edited.json', 'edited.json', 'truncated.json', 'truncated.json']);
+    assert.ok(warnings.every(({ msg, fields }) => msg === 'Skipping unreadable session file' && fields.error instanceof SyntaxError));
+  });
+
+  test('counts nothing when the directory does not exist yet', async () => {
+    assert.equal(await new FileSessionStore({ dir: path.join(dir, 'missing') }).count(), 0);
+  });
+});
+
+describe('createSessionStore', () => {
+  test('reads the session lifetime in minutes and rejects malformed ones', () => {
+    assert.equal(createSessionStore({ SESSION_STORE: 'memory', SESSION_TTL_MINUTES: '1.5' }).ttl, 90000);
+    assert.equal(createSessionStore({ SESSION_STORE: 'memory', SESSION_TTL_MINUTES: '0' }).ttl, 0);
+    assert.ok(createSessionStore({ SESSION_STORE: 'memory' }) instanceof MemorySessionStore);
+
+    for (const ttl of ['10m', '-5', 'Infinity', 'NaN']) {
+      assert.throws(() => createSessionStore({ SESSION_TTL_MINUTES: ttl }), /SESSION_TTL_MINUTES must be a non-negative number/);
+    }
+  });
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, test } from 'node:test';
+import { Workspace, WorkspaceError, createWorkspace } from '../lib/workspace.js';
+
+// A workspace next to a directory it must never reach
+describe('Workspace', () => {
+  let dir;
+  let outside;
+  let workspace;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-test-'));
+    outside = path.join(dir, 'outside');
+    await fs.mkdir(outside);
+    await fs.writeFile(path.join(outside, 'secret.txt'), 'secret');
+    workspace = new Workspace({ root: path.join(dir, 'root'), maxFileSize: 100, maxTotalSize: 200, maxVersions: 2 });
+    await workspace.writeFile('hello.js', 'console.log(1)');
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  async function refused(promise, code) {
+    await assert.rejects(promise, (error) => error instanceof WorkspaceError && error.code === code);
+  }
+
+  test('refuses paths that leave the root', async () => {
+    for (const escape of ['../outside/secret.txt', 'a/../../outside/secret.txt', '..\\outside\\secret.txt']) {
+      await refused(workspace.readFile(escape), 'EOUTSIDE');
+      await refused(workspace.writeFile(escape.replace('secret.txt', 'new.txt'), 'x'), 'EOUTSIDE');
+    }
+    await refused(workspace.readFile(path.join(outside, 'secret.txt')), 'EOUTSIDE');
+    await refused(workspace.readFile('C:\\Windows\\win.ini'), 'EOUTSIDE');
+    await refused(workspace.readFile('.'), 'EOUTSIDE');
+    await refused(workspace.readFile('hello.js\0.txt'), 'EINVAL');
+    await refused(workspace.readFile(''), 'EINVAL');
+  });
+
+  test('keeps the saved versions out of reach', async () => {
+    await refused(workspace.readFile('.versions/hello.js/1.js'), 'EOUTSIDE');
+    await refused(workspace.writeFile('.versions/hello.js/1.js', 'x'), 'EOUTSIDE');
+  });
+
+  test('refuses to follow symlinks anywhere along the path', async () => {
+    await fs.symlink(outside, path.join(workspace.root, 'linked-dir'));
+    await fs.symlink(path.join(outside, 'secret.txt'), path.join(workspace.root, 'linked.txt'));
+
+    await refused(workspace.readFile('linked-dir/secret.txt'), 'ESYMLINK');
+    await refused(workspace.writeFile('linked-dir/planted.txt', 'x'), 'ESYMLINK');
+    await refused(workspace.readFile('linked.txt'), 'ESYMLINK');
+    await refused(workspace.writeFile('linked.txt', 'overwritten'), 'ESYMLINK');
+    assert.equal(await fs.readFile(path.join(outside, 'secret.txt'), 'utf8'), 'secret');
+    await assert.rejects(fs.access(path.join(outside, 'planted.txt')));
+
+    const linkedRoot = new Workspace({ root: path.join(workspace.root, 'linked-dir') });
+    await refused(linkedRoot.readFile('secret.txt'), 'ESYMLINK');
+  });
+
+  test('limits extensions, file size and total size', async () => {
+    await refused(workspace.writeFile('run.exe', 'x'), 'EEXTENSION');
+    await refused(workspace.writeFile('Makefile', 'x'), 'EEXTENSION');
+    await refused(workspace.writeFile('big.txt', 'x'.repeat(101)), 'EQUOTA');
+    await workspace.writeFile('a.txt', 'x'.repeat(100));
+    await refused(workspace.writeFile('b.txt', 'x'.repeat(100)), 'EQUOTA');
+  });
+
+  test('keeps the newest versions of overwritten files', async () => {
+    const first = await workspace.writeFile('notes.md', 'one');
+    assert.deepEqual(first, { path: 'notes.md', bytes: 3, version: null });
+    await workspace.writeFile('notes.md', 'two');
+    await workspace.writeFile('notes.md', 'three');
+    assert.equal((await workspace.writeFile('notes.md', 'four')).version, 3);
+    assert.deepEqual(await workspace.versions('notes.md'), [2, 3]);
+    assert.equal(await workspace.readFile('notes.md'), 'four');
+  });
+});
+
+describe('createWorkspace', () => {
+  test('reads its limits from the environment and rejects malformed ones', () => {
+    const workspace = createWorkspace({ WORKSPACE_ROOT: '/tmp/ws', WORKSPACE_MAX_FILE_BYTES: '10', WORKSPACE_EXTENSIONS: 'js, .PY' });
+    assert.equal(workspace.root, path.resolve('/tmp/ws'));
+    assert.equal(workspace.maxFileSize, 10);
+    assert.deepEqual(workspace.allowedExtensions, ['.js', '.py']);
+
+    assert.throws(() => createWorkspace({ WORKSPACE_QUOTA_BYTES: '50MB' }), /WORKSPACE_QUOTA_BYTES must be an integer/);
+    assert.throws(() => createWorkspace({ WORKSPACE_MAX_VERSIONS: '0' }), /WORKSPACE_MAX_VERSIONS/);
+    assert.equal(createWorkspace({}).maxTotalSize, 50 * 1024 * 1024);
+  });
+});
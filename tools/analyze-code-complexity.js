@@ -0,0 +1,29 @@
+import { analyzeCode } from '../lib/complexity.js';
+
+export default {
+  name: 'analyze_code_complexity',
+  description: 'Analyze the complexity and quality of code. JavaScript and TypeScript are parsed; Python is estimated. ' +
+    'Returns { language, method, summary: { lines_of_code, functions_count, max_cyclomatic, average_cyclomatic, ' +
+    'max_cognitive, max_nesting, complexity_rating }, functions: [{ name, kind, start_line, end_line, params, ' +
+    'cyclomatic, cognitive, max_nesting, rating }], suggestions }. Cite functions by name and line range.',
+  parameters: {
+    type: 'object',
+    properties: {
+      code: {
+        type: 'string',
+        description: 'The code to analyze'
+      },
+      language: {
+        type: 'string',
+        description: 'javascript, typescript or python (detected from the code when omitted)'
+      }
+    },
+    required: ['code']
+  },
+
+  // See lib/complexity.js for what each metric means
+  handler: async (args) => {
+    const { code, language } = args;
+    return { analysis: analyzeCode(code, { language }) };
+  }
+};
@@ -0,0 +1,33 @@
+import { SANDBOX_LANGUAGES } from '../lib/sandbox.js';
+
+export default {
+  name: 'execute_code',
+  description: 'Run a short JavaScript (Node) or Python snippet in an isolated sandbox and return its output. ' +
+    'The sandbox has no filesystem or network access and limited CPU time and memory; print what you want to see. ' +
+    'Returns { exitCode, signal, stdout, stderr, timedOut, cpuLimitExceeded, memoryLimitExceeded, truncated, durationMs }.',
+  parameters: {
+    type: 'object',
+    properties: {
+      language: {
+        type: 'string',
+        enum: SANDBOX_LANGUAGES,
+        description: 'Language of the snippet'
+      },
+      code: {
+        type: 'string',
+        description: 'The code to run'
+      },
+      stdin: {
+        type: 'string',
+        description: 'Text to feed to the program on standard input'
+      }
+    },
+    required: ['language', 'code']
+  },
+
+  // context.sandbox runs the snippet in a separate, resource-limited process
+  handler: async (args, { sandbox }) => {
+    const { language, code, stdin } = args;
+    return sandbox.run({ language, code, stdin });
+  }
+};
@@ -0,0 +1,47 @@
+export default {
+  name: 'save_code_snippet',
+  description: 'Save a code snippet to a file',
+  parameters: {
+    type: 'object',
+    properties: {
+      filename: {
+        type: 'string',
+        description: 'The filename to save the code to, relative to the snippets directory'
+      },
+      code: {
+        type: 'string',
+        description: 'The code content to save'
+      },
+      language: {
+        type: 'string',
+        description: 'Programming language of the code'
+      }
+    },
+    required: ['filename', 'code']
+  },
+
+  // Files go through context.workspace, which keeps them inside the
+  // snippets directory and versions anything they overwrite
+  handler: async (args, { workspace }) => {
+    try {
+      const { filename, code } = args;
+      const saved = await workspace.writeFile(filename, code);
+      
+      return {
+        success: true,
+        message: saved.version
+          ? `Code snippet saved to ${saved.path} (previous contents kept as version ${saved.version})`
+          : `Code snippet saved to ${saved.path}`,
+        filepath: saved.path,
+        bytes: saved.bytes,
+        version: saved.version
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Error saving file: ${error.message}`,
+        code: error.code
+      };
+    }
+  }
+};
@@ -0,0 +1,51 @@
+export default {
+  name: 'search_documentation',
+  description: 'Search the locally indexed API documentation and package READMEs. ' +
+    'Returns ranked snippets with the file each came from; cite the path when you use one.',
+  parameters: {
+    type: 'object',
+    properties: {
+      technology: {
+        type: 'string',
+        description: 'The technology or library to search for'
+      },
+      query: {
+        type: 'string',
+        description: 'What to search for'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 20,
+        description: 'How many results to return (default 5)'
+      }
+    },
+    required: ['query']
+  },
+
+  // context.docsIndex is the on-disk index built with `npm run index-docs`
+  // or POST /admin/docs/index
+  handler: async (args, { docsIndex }) => {
+    const { technology, query, limit = 5 } = args;
+    const searchText = technology ? `${technology} ${query}` : query;
+    const results = await docsIndex.search(searchText, { limit, technology });
+
+    if (results.length === 0) {
+      const { documents } = await docsIndex.stats();
+      return {
+        technology,
+        query,
+        results: [],
+        message: documents === 0
+          ? 'The documentation index is empty; index a docs directory first'
+          : 'No matching documentation found'
+      };
+    }
+
+    return {
+      technology,
+      query,
+      results
+    };
+  }
+};